@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * Background service worker: keyboard shortcuts and context-menu entries that
+ * copy Markdown without opening the popup, and the copy that follows the
+ * element picker (launched from the popup, which closes while the user picks;
+ * see lib/element-picker.js). Extraction runs exactly as in the
+ * popup (lib/extraction-runner.js); the clipboard is written from an
+ * offscreen document, since service workers have no DOM or clipboard access.
+ */
+importScripts('lib/link-urls.js', 'lib/settings.js', 'lib/custom-handlers.js', 'lib/extraction-runner.js', 'lib/history-store.js');
+
+const LINKS = globalThis.__WCM_LINKS__;
+const SETTINGS = globalThis.__WCM_SETTINGS__;
+const CUSTOM = globalThis.__WCM_CUSTOM_HANDLERS__;
+const RUNNER = globalThis.__WCM_RUNNER__;
+const HISTORY = globalThis.__WCM_HISTORY__;
+
+const OFFSCREEN_URL = 'offscreen.html';
+const BADGE_CLEAR_DELAY = 2500; // ms the success/failure badge stays visible
+
+const MENU_ITEMS = [
+  { id: 'copy-page', title: 'Copy page as Markdown', contexts: ['page'] },
+  { id: 'copy-selection', title: 'Copy selection as Markdown', contexts: ['selection'] },
+  { id: 'copy-link', title: 'Copy link as Markdown', contexts: ['link'] },
+  { id: 'copy-image', title: 'Copy image as Markdown', contexts: ['image'] }
+];
+
+// Context menus persist across service worker restarts; (re)create them only
+// when the extension is installed or updated.
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    MENU_ITEMS.forEach((item) => chrome.contextMenus.create(item));
+  });
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === 'copy-page' || command === 'copy-selection') {
+    handleAction(command, tab);
+  }
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  handleAction(info.menuItemId, tab, info);
+});
+
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message?.target !== 'background' || message.type !== 'picked-elements') return;
+  handlePick(sender.tab, message.pick);
+});
+
+/**
+ * Markdown for a link or image context-menu target. Links and images need no
+ * page extraction: the menu event already carries the URL.
+ */
+function formatTargetMarkdown(action, info) {
+  if (action === 'copy-link') {
+    const text = (info.selectionText || info.linkUrl).replace(/[[\]]/g, '\\$&');
+    return `[${text}](${LINKS.markdownDestination(info.linkUrl)})`;
+  }
+  return `![](${LINKS.markdownDestination(info.srcUrl)})`;
+}
+
+/**
+ * Extract `tab` with the stored settings plus `overrides`, keeping the result
+ * in the history. Resolves with the result and the text to copy; with
+ * `overrides.useSelection`, rejects before recording anything when nothing is
+ * selected (the runner would fall back to the full page).
+ */
+async function extractForCopy(tab, overrides) {
+  const settings = await SETTINGS.loadSettings();
+  const options = { ...settings, customHandlers: await CUSTOM.loadCustomHandlers(), ...overrides };
+  const result = await RUNNER.runExtraction(tab, options);
+  if (overrides.useSelection && !result.fromSelection) {
+    throw new Error('No text selected');
+  }
+  HISTORY.recordExtraction({
+    url: tab.url,
+    canonicalUrl: result.canonicalUrl,
+    title: result.title,
+    markdown: result.markdown,
+    html: result.html,
+    options,
+    fromSelection: result.fromSelection
+  }, settings).catch((error) => console.error('Error saving to history:', error));
+  return { result, text: RUNNER.buildCopyContent(result.markdown, result.html, settings.includeHtml) };
+}
+
+async function handleAction(action, tab, info) {
+  try {
+    let text;
+    if (action === 'copy-link' || action === 'copy-image') {
+      text = formatTargetMarkdown(action, info);
+    } else {
+      text = (await extractForCopy(tab, { useSelection: action === 'copy-selection' })).text;
+    }
+
+    await copyToClipboard(text);
+    showBadge(tab, '✓', '#2A9D8F');
+  } catch (error) {
+    console.error('Error copying markdown:', error);
+    showBadge(tab, '!', '#d32f2f');
+  }
+}
+
+/**
+ * Copy the regions picked with the element picker, first saving them as a
+ * site handler for the page's hostname when the user asked to.
+ */
+async function handlePick(tab, pick) {
+  try {
+    if (pick.save && (pick.include.length || pick.exclude.length)) {
+      const current = await CUSTOM.loadCustomHandlers();
+      const handler = CUSTOM.buildPickedHandler(new URL(tab.url).hostname, pick, current);
+      await CUSTOM.saveCustomHandlers(CUSTOM.mergeHandlers(current, [handler]));
+    }
+    const { text } = await extractForCopy(tab, { useSelection: false, pick });
+    await copyToClipboard(text);
+    showBadge(tab, '✓', '#2A9D8F');
+  } catch (error) {
+    console.error('Error copying picked elements:', error);
+    showBadge(tab, '!', '#d32f2f');
+  }
+}
+
+/**
+ * Flash a success/failure badge on the toolbar icon for `tab`.
+ */
+function showBadge(tab, text, color) {
+  const tabId = tab?.id;
+  if (tabId === undefined) return;
+
+  chrome.action.setBadgeBackgroundColor({ tabId, color });
+  chrome.action.setBadgeText({ tabId, text });
+  setTimeout(() => chrome.action.setBadgeText({ tabId, text: '' }), BADGE_CLEAR_DELAY);
+}
+
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
+  });
+  if (contexts.length) return;
+
+  await chrome.offscreen.createDocument({
+    url: OFFSCREEN_URL,
+    reasons: ['CLIPBOARD'],
+    justification: 'Write the generated Markdown to the clipboard'
+  });
+}
+
+async function copyToClipboard(text) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    type: 'copy-to-clipboard',
+    text
+  });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Clipboard write failed');
+  }
+}
@@ -1,40 +1,57 @@
 /**
  * Page content extractor. Injected into the target page (ISOLATED world) after
- * `lib/turndown.js` and `lib/markdown-cleanup.js`, both of which it depends on.
+ * `lib/turndown.js`, `lib/markdown-cleanup.js`, `lib/content-scorer.js` and
+ * `lib/page-metadata.js`, `lib/custom-handlers.js`, `lib/link-urls.js`,
+ * `lib/code-blocks.js`, `lib/math.js`, `lib/footnotes.js`,
+ * `lib/image-sources.js`, `lib/media-embeds.js` and `lib/diagnostics.js`, all
+ * of which it depends on.
  *
  * Exposes `globalThis.__WCM_EXTRACT__(options)` which the popup calls to run
- * extraction and receive `{ success, markdown, html, title }`.
+ * extraction and receive `{ success, markdown, html, title, hasSelection,
+ * fromSelection, diagnostics }` (see `lib/diagnostics.js`). A non-empty
+ * selection is converted instead of the main content unless
+ * `options.useSelection` is false.
+ *
+ * `options` carries the user settings (see `lib/settings.js`): `includeImages`,
+ * `includeFrames`, `keepScreenReaderText`, `headingStyle`, `bulletListMarker`, `linkStyle`,
+ * `linkReferenceStyle`, `trackingParams`, `headerFormat` and `metadataFields`, plus `customHandlers` (the user's
+ * handler definitions) and `pick` (`{ include, exclude }` selectors from the
+ * element picker, see `lib/element-picker.js`). Missing keys fall back to the
+ * built-in defaults.
+ *
+ * Open shadow roots are always flattened into the converted tree. With
+ * `includeFrames`, same-origin iframes are inlined too, and the popup injects
+ * into every frame: a subframe the top frame inlined returns `{ skipped }`,
+ * any other returns its Markdown without a metadata header, plus a `frame`
+ * summary (`{ textLength, hasMainContent }`) the merge uses to drop widgets.
  */
 (function () {
   'use strict';
 
   const CLEANUP = globalThis.__WCM_CLEANUP__;
 
-  // Generic content selectors, tried when no site handler matches (or the
-  // handler's selectors don't yield enough content).
-  const GENERIC_SELECTORS = [
-    'article',
-    '[role="main"]',
-    'main',
-    '.post-content',
-    '.article-content',
-    '.entry-content',
-    '.content',
-    '#content',
-    '[role="article"]'
-  ];
-
-  const MIN_CONTENT_LENGTH = 100;   // A candidate must contain at least this much text
-  const MIN_CONTENT_RATIO = 0.3;    // ...and at least 30% of the body's text
-
-  function getMetaContent(name) {
-    const meta = document.querySelector(
-      `meta[name="${name}"], meta[property="${name}"]`
-    );
-    return meta?.content?.trim() || null;
-  }
+  const SCORER = globalThis.__WCM_SCORER__;
+  const METADATA = globalThis.__WCM_METADATA__;
+  const CUSTOM = globalThis.__WCM_CUSTOM_HANDLERS__;
+  const LINKS = globalThis.__WCM_LINKS__;
+  const CODE = globalThis.__WCM_CODE__;
+  const MATH = globalThis.__WCM_MATH__;
+  const FOOTNOTES = globalThis.__WCM_FOOTNOTES__;
+  const DIAGNOSTICS = globalThis.__WCM_DIAGNOSTICS__;
+  const IMAGE_SOURCES = globalThis.__WCM_IMAGE_SOURCES__;
+  const MEDIA = globalThis.__WCM_MEDIA__;
 
-  function extractMetadata(title) {
+  const MIN_CONTENT_LENGTH = 100;   // A handler's selector must match at least this much text
+
+  // A subframe holding none of these is a widget (ad, consent banner, share
+  // buttons), not content worth appending
+  const FRAME_CONTENT_SELECTOR = 'main, article, [role="main"]';
+
+  /**
+   * Combine the page's own metadata (lib/page-metadata.js) with what only the
+   * extractor knows: the cleaned title, extraction time and converted text.
+   */
+  function extractMetadata(title, pageMeta, contentText) {
     const url = window.location.href;
     const now = new Date();
     // Format date and time in the user's local timezone. (Mixing toISOString,
@@ -44,68 +61,389 @@
       `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}` +
       ` at ${pad(now.getHours())}:${pad(now.getMinutes())}`;
 
-    const siteName =
-      getMetaContent('og:site_name') ||
-      getMetaContent('application-name') ||
-      getMetaContent('publisher') ||
-      window.location.hostname.replace(/^www\./, '');
-
-    const authorName =
-      getMetaContent('author') ||
-      getMetaContent('article:author') ||
-      getMetaContent('twitter:creator') ||
-      null;
-
-    const section =
-      getMetaContent('article:section') ||
-      getMetaContent('category') ||
-      null;
+    const readingTime = pageMeta.readingTime || METADATA.estimateReadingTime(contentText);
+
+    return {
+      title,
+      url,
+      dateStr,
+      extractedAt: CLEANUP.formatIsoTimestamp(now),
+      siteName: pageMeta.siteName || window.location.hostname.replace(/^www\./, ''),
+      authors: pageMeta.authors,
+      authorName: pageMeta.authors.join(', ') || null,
+      section: pageMeta.section,
+      description: pageMeta.description,
+      publishedDate: CLEANUP.normalizeDate(pageMeta.publishedDate),
+      modifiedDate: CLEANUP.normalizeDate(pageMeta.modifiedDate),
+      canonicalUrl: pageMeta.canonicalUrl,
+      tags: pageMeta.keywords,
+      language: pageMeta.language,
+      readingTime: readingTime ? `${readingTime} min` : null
+    };
+  }
 
-    return { title, url, dateStr, siteName, authorName, section };
+  /**
+   * Remove everything under `element` matching `selectors`. Counts, and
+   * invalid selectors (skipped), are recorded in the diagnostics as `source`.
+   */
+  function removeMatching(element, selectors, source, diag) {
+    for (const selector of selectors) {
+      try {
+        const matches = element.querySelectorAll(selector);
+        matches.forEach((el) => el.remove());
+        diag.removed(source, selector, matches.length);
+      } catch (e) {
+        diag.invalid(source, selector, e);
+      }
+    }
   }
 
   /**
    * Remove site-specific UI cruft from a cloned content element.
    * Conservative: only removes elements we're confident are not content.
    */
-  function cleanContentElement(element, handler) {
+  function cleanContentElement(element, handler, diag) {
     if (handler && handler.removeSelectors) {
-      for (const selector of handler.removeSelectors) {
-        try {
-          element.querySelectorAll(selector).forEach((el) => el.remove());
-        } catch (e) {
-          // Ignore invalid selectors
-        }
-      }
+      removeMatching(element, handler.removeSelectors, 'handler', diag);
     }
     return element;
   }
 
-  function getMainContent(handler) {
+  // Attributes used to tag hidden elements in the live DOM so the clone can
+  // drop them (a detached clone has no computed styles). Removed afterwards.
+  const HIDDEN_ATTR = 'data-wcm-hidden';
+  const SR_ONLY_ATTR = 'data-wcm-sr-only';
+
+  // Never rendered anyway; skipping them saves style lookups
+  const UNRENDERED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'LINK', 'META'];
+
+  /**
+   * A box with no area at all. One zero dimension is not enough: aspect-ratio
+   * wrappers (`height: 0; padding-bottom: 56.25%`) and collapsing containers
+   * with floated children still render their content.
+   */
+  function isZeroSize(style) {
+    const noPadding = ['paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft']
+      .every((side) => !parseFloat(style[side]));
+    return parseFloat(style.width) === 0 && parseFloat(style.height) === 0 && noPadding;
+  }
+
+  /**
+   * clip: rect(top, right, bottom, left) that leaves at most a 1px box.
+   */
+  function isClippedAway(style) {
+    const match = (style.clip || '').match(/^rect\((.*)\)$/);
+    if (!match) return false;
+    const [top, right, bottom, left] = match[1].split(/[\s,]+/).map((value) => parseFloat(value) || 0);
+    return bottom - top <= 1 || right - left <= 1;
+  }
+
+  /**
+   * The "visually hidden" / sr-only pattern: taken out of flow and shrunk or
+   * clipped to (nearly) nothing, but still read by screen readers.
+   */
+  function isScreenReaderOnly(style) {
+    if (style.position !== 'absolute' && style.position !== 'fixed') return false;
+    if (isClippedAway(style)) return true;
+    if (/inset\((50|100)%\)/.test(style.clipPath || '')) return true;
+    const tiny = parseFloat(style.width) <= 1 && parseFloat(style.height) <= 1;
+    return tiny && style.overflow === 'hidden';
+  }
+
+  /**
+   * HIDDEN_ATTR, SR_ONLY_ATTR or null for a live element. Sizes are read from
+   * computed styles rather than layout, so unsized (`auto`) elements never
+   * count as zero-size.
+   */
+  function getHiddenKind(el) {
+    // `hidden="until-found"` content is collapsed, not hidden (find-in-page opens it)
+    if (el.hidden && el.getAttribute('hidden') !== 'until-found') return HIDDEN_ATTR;
+    if (el.getAttribute('aria-hidden') === 'true') return HIDDEN_ATTR;
+
+    const view = el.ownerDocument.defaultView;
+    if (!view) return null;
+    const style = view.getComputedStyle(el);
+    if (style.display === 'none') return HIDDEN_ATTR;
+    if (style.visibility === 'hidden' || style.visibility === 'collapse') return HIDDEN_ATTR;
+    if (isScreenReaderOnly(style)) return SR_ONLY_ATTR;
+    if (isZeroSize(style) && style.overflow === 'hidden') return HIDDEN_ATTR;
+    return null;
+  }
+
+  /**
+   * Tag hidden elements under `root` (descending into open shadow roots and,
+   * when enabled, same-origin frames). Subtrees of tagged elements are not
+   * visited. Returns the tagged elements so they can be untagged.
+   *
+   * The tags go on the live page because visibility can only be read there,
+   * and they must survive the clones made for scoring and output (a WeakSet
+   * of live elements would not follow them). The page's MutationObservers do
+   * see the attribute changes, but only after extraction, when the tags are
+   * already gone again (see unmarkHiddenElements); observers filtering on
+   * their own attributes never hear of them.
+   */
+  function markHiddenElements(root, options, marked) {
+    marked = marked || [];
+    for (const el of root.children) {
+      if (UNRENDERED_TAGS.includes(el.nodeName)) continue;
+
+      const kind = getHiddenKind(el);
+      if (kind) {
+        el.setAttribute(kind, '');
+        marked.push(el);
+        continue;
+      }
+      // Formulas keep their source in visually hidden MathML; the math rule
+      // in buildTurndownService picks it up
+      if (MATH.isMathContainer(el)) continue;
+
+      if (el.shadowRoot) markHiddenElements(el.shadowRoot, options, marked);
+      if (options.includeFrames && el.nodeName === 'IFRAME') {
+        const frameDoc = getFrameDocument(el);
+        if (frameDoc) markHiddenElements(frameDoc.body, options, marked);
+      }
+      markHiddenElements(el, options, marked);
+    }
+    return marked;
+  }
+
+  /**
+   * Tag the elements the user excluded with the element picker as hidden, so
+   * they are neither scored nor output. Adds them to `marked`.
+   */
+  function markExcludedElements(selectors, marked, diag) {
+    for (const selector of selectors) {
+      try {
+        const matches = document.querySelectorAll(selector);
+        matches.forEach((el) => {
+          el.setAttribute(HIDDEN_ATTR, '');
+          marked.push(el);
+        });
+        diag.removed('picker', selector, matches.length);
+      } catch (e) {
+        diag.invalid('picker', selector, e);
+      }
+    }
+    return marked;
+  }
+
+  function unmarkHiddenElements(marked) {
+    marked.forEach((el) => {
+      el.removeAttribute(HIDDEN_ATTR);
+      el.removeAttribute(SR_ONLY_ATTR);
+    });
+  }
+
+  /**
+   * The document of a same-origin iframe, or null (cross-origin frames return
+   * no contentDocument; some browsers throw instead).
+   */
+  function getFrameDocument(iframe) {
+    try {
+      const frameDoc = iframe.contentDocument;
+      return frameDoc && frameDoc.body ? frameDoc : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether the body holds anything a plain cloneNode(true) would miss: open
+   * shadow roots, or (when enabled) same-origin iframe documents.
+   */
+  function hasEmbeddedContent(root, options) {
+    for (const el of root.querySelectorAll('*')) {
+      if (el.shadowRoot) return true;
+      if (options.includeFrames && el.nodeName === 'IFRAME' && getFrameDocument(el)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Deep-clone a node as it is rendered: shadow hosts are cloned with their
+   * shadow tree instead of their light DOM children, each <slot> is replaced
+   * by the nodes assigned to it (or its fallback content), and same-origin
+   * iframes become a <div> holding their document's body.
+   */
+  function cloneComposed(node, options) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return node.cloneNode(true);
+
+    if (node.nodeName === 'SLOT' && typeof node.assignedNodes === 'function') {
+      const fragment = document.createDocumentFragment();
+      node.assignedNodes({ flatten: true }).forEach((assigned) => {
+        fragment.appendChild(cloneComposed(assigned, options));
+      });
+      return fragment;
+    }
+
+    if (node.nodeName === 'IFRAME' && options.includeFrames) {
+      const frameDoc = getFrameDocument(node);
+      if (frameDoc) {
+        const wrapper = document.createElement('div');
+        wrapper.setAttribute('data-wcm-frame', node.getAttribute('src') || '');
+        frameDoc.body.childNodes.forEach((child) => wrapper.appendChild(cloneComposed(child, options)));
+        // Relative URLs are relative to the frame, not the page it is inlined into
+        LINKS.rewriteElementUrls(wrapper, frameDoc.baseURI, []);
+        return wrapper;
+      }
+    }
+
+    const clone = node.cloneNode(false);
+    const children = node.shadowRoot ? node.shadowRoot.childNodes : node.childNodes;
+    children.forEach((child) => clone.appendChild(cloneComposed(child, options)));
+    return clone;
+  }
+
+  /**
+   * The document to search for content. Pages without shadow roots or frames
+   * to inline are searched as-is; otherwise the body is flattened into a
+   * detached document first so selectors and scoring can see that content.
+   */
+  function getComposedDocument(options) {
+    if (!hasEmbeddedContent(document.body, options)) return document;
+    const composed = document.implementation.createHTMLDocument(document.title);
+    composed.documentElement.replaceChild(cloneComposed(document.body, options), composed.body);
+    return composed;
+  }
+
+  /**
+   * The elements matching the picked `selectors`, outermost only, in
+   * document order.
+   */
+  function getPickedElements(doc, selectors, diag) {
+    const found = new Set();
+    for (const selector of selectors) {
+      try {
+        doc.querySelectorAll(selector).forEach((el) => found.add(el));
+      } catch (e) {
+        diag.invalid('picker', selector, e);
+      }
+    }
+    return Array.from(found)
+      .filter((el) => !Array.from(found).some((other) => other !== el && other.contains(el)))
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+  }
+
+  /**
+   * Pick the content element, recording each step tried (picked elements,
+   * handler selectors, scorer, body) in the diagnostics.
+   */
+  function getMainContent(handler, options, diag) {
+    const doc = getComposedDocument(options);
+
+    // Elements the user pointed at with the element picker come first
+    const include = (options.pick && options.pick.include) || [];
+    if (include.length) {
+      const picked = getPickedElements(doc, include, diag);
+      diag.step('picker', { selectors: include.length, found: picked.length });
+      if (picked.length) {
+        let element = picked[0].cloneNode(true);
+        if (picked.length > 1) {
+          element = doc.createElement('div');
+          picked.forEach((el) => element.appendChild(el.cloneNode(true)));
+        }
+        diag.chose('picker', picked.length > 1 ? element : picked[0], include.join(', '));
+        return cleanContentElement(element, handler, diag);
+      }
+    }
+
     // Site-specific selectors first (most specific wins)
     if (handler && handler.contentSelectors) {
       for (const selector of handler.contentSelectors) {
-        const element = document.querySelector(selector);
-        if (element && element.textContent.trim().length > MIN_CONTENT_LENGTH) {
-          return cleanContentElement(element.cloneNode(true), handler);
+        let element;
+        try {
+          element = doc.querySelector(selector);
+        } catch (e) {
+          diag.invalid('handler', selector, e);
+          diag.step('handler', { selector, error: e.message });
+          continue;
+        }
+        const textLength = element ? element.textContent.trim().length : 0;
+        const accepted = textLength > MIN_CONTENT_LENGTH;
+        diag.step('handler', { selector, found: Boolean(element), textLength, minLength: MIN_CONTENT_LENGTH, accepted });
+        if (accepted) {
+          diag.chose('handler', element, selector);
+          return cleanContentElement(element.cloneNode(true), handler, diag);
         }
       }
     }
 
-    const bodyTextLength = document.body.textContent.trim().length;
+    // Otherwise rank candidate nodes by content score (see lib/content-scorer.js)
+    const best = SCORER.findMainContent(doc);
+    diag.step('scorer', { found: Boolean(best), element: best ? DIAGNOSTICS.describeElement(best.element) : null });
+    if (best) {
+      diag.candidates(best.candidates, doc.body, best.merged);
+      diag.chose('scorer', best.element);
+      return cleanContentElement(best.element.cloneNode(true), handler, diag);
+    }
+
+    // Fall back to body if no suitable element found
+    diag.step('body');
+    diag.chose('body', doc.body);
+    return cleanContentElement(doc.body.cloneNode(true), handler, diag);
+  }
+
+  // List/table structure re-created around a selection whose cloned contents
+  // start below it (e.g. bare <li> or <td> nodes), so the Markdown still
+  // renders as a list or table.
+  const SELECTION_WRAPPER_TAGS = ['UL', 'OL', 'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR'];
 
-    for (const selector of GENERIC_SELECTORS) {
-      const element = document.querySelector(selector);
-      if (element && element.textContent.trim().length > MIN_CONTENT_LENGTH) {
-        // Only use a candidate that holds a reasonable portion of body content
-        if (element.textContent.trim().length >= bodyTextLength * MIN_CONTENT_RATIO) {
-          return cleanContentElement(element.cloneNode(true), handler);
-        }
+  /**
+   * Return the current non-empty selection, or null.
+   */
+  function getActiveSelection() {
+    const selection = window.getSelection && window.getSelection();
+    if (!selection || !selection.rangeCount || selection.isCollapsed) return null;
+    return selection.toString().trim() ? selection : null;
+  }
+
+  /**
+   * Clone a range's contents, wrapped in shallow copies of the list/table (or
+   * preformatted) ancestors its contents were cut out of.
+   */
+  function cloneRange(range) {
+    let node = range.cloneContents();
+    let ancestor = range.commonAncestorContainer;
+    if (ancestor.nodeType !== Node.ELEMENT_NODE) ancestor = ancestor.parentNode;
+
+    while (ancestor && SELECTION_WRAPPER_TAGS.includes(ancestor.nodeName)) {
+      const shell = ancestor.cloneNode(false);
+      shell.appendChild(node);
+      node = shell;
+      ancestor = ancestor.parentNode;
+    }
+
+    // Keep code formatting when the selection sits inside a code block
+    const pre = ancestor && ancestor.closest ? ancestor.closest('pre') : null;
+    if (pre && node.nodeName !== 'PRE') {
+      const code = ancestor.closest('code');
+      const shell = pre.cloneNode(false);
+      if (code && pre.contains(code)) {
+        const codeShell = code.cloneNode(false);
+        codeShell.appendChild(node);
+        shell.appendChild(codeShell);
+      } else {
+        shell.appendChild(node);
       }
+      node = shell;
     }
 
-    // Fall back to body if no suitable element found
-    return cleanContentElement(document.body.cloneNode(true), handler);
+    return node;
+  }
+
+  /**
+   * Build a detached content element from every range of the selection.
+   */
+  function getSelectionContent(selection, handler, diag) {
+    const container = document.createElement('div');
+    for (let i = 0; i < selection.rangeCount; i++) {
+      const block = document.createElement('div');
+      block.appendChild(cloneRange(selection.getRangeAt(i)));
+      container.appendChild(block);
+    }
+    diag.step('selection', { ranges: selection.rangeCount });
+    diag.chose('selection', container);
+    return cleanContentElement(container, handler, diag);
   }
 
   /**
@@ -149,20 +487,132 @@
     return doc.body.innerHTML;
   }
 
+  // Cell content that a single pipe-table row cannot hold. Tables containing
+  // any of these are kept as cleaned HTML instead.
+  const UNREPRESENTABLE_CELL_CONTENT = 'table, ul, ol, dl, pre, blockquote, h1, h2, h3, h4, h5, h6, hr';
+
+  // Attributes kept when a table falls back to HTML; everything else is noise.
+  const TABLE_HTML_ATTRIBUTES = ['colspan', 'rowspan', 'align', 'href', 'src', 'alt', 'title'];
+
+  function getTableRows(table) {
+    // Only this table's own rows (not those of nested tables)
+    return Array.from(table.querySelectorAll('tr')).filter(
+      (row) => row.closest('table') === table
+    );
+  }
+
+  function getCellAlignment(cell) {
+    const align = (cell.getAttribute('align') || cell.style.textAlign || '').toLowerCase();
+    if (align === 'left' || align === 'start') return 'left';
+    if (align === 'center') return 'center';
+    if (align === 'right' || align === 'end') return 'right';
+    return null;
+  }
+
+  function canRenderAsGfmTable(table) {
+    return !table.querySelector(UNREPRESENTABLE_CELL_CONTENT);
+  }
+
+  function tableToCleanHtml(table) {
+    const clone = table.cloneNode(true);
+    [clone, ...clone.querySelectorAll('*')].forEach((el) => {
+      Array.from(el.attributes).forEach((attr) => {
+        if (!TABLE_HTML_ATTRIBUTES.includes(attr.name)) el.removeAttribute(attr.name);
+      });
+    });
+    return clone.outerHTML;
+  }
+
+  function getRowCells(row) {
+    return Array.from(row.children).filter((cell) => cell.nodeName === 'TD' || cell.nodeName === 'TH');
+  }
+
+  function getSpan(cell, name) {
+    return Math.max(1, parseInt(cell.getAttribute(name), 10) || 1);
+  }
+
+  /**
+   * Lay the table's cells out on a grid, copying spanned cells into every slot
+   * they cover so each Markdown row stands on its own. Cell Markdown was stashed
+   * on the node by the `tableCell` rule (see buildTurndownService).
+   *
+   * Spans are clamped to the table's real size: HTML allows colspan="1000"
+   * and rowspan="65534", which would otherwise become that many Markdown
+   * cells. A colspan counts for at most as many columns as the widest row
+   * has cells, and no span reaches past the last column or row.
+   */
+  function tableToGrid(table) {
+    const grid = [];
+    const alignments = [];
+    const rows = getTableRows(table);
+    const maxCells = rows.reduce((max, row) => Math.max(max, getRowCells(row).length), 0);
+    const columnCount = rows.reduce((max, row) => Math.max(max, getRowCells(row)
+      .reduce((sum, cell) => sum + Math.min(getSpan(cell, 'colspan'), maxCells), 0)), 0);
+
+    rows.forEach((row, rowIndex) => {
+      grid[rowIndex] = grid[rowIndex] || [];
+      let col = 0;
+      getRowCells(row)
+        .forEach((cell) => {
+          while (grid[rowIndex][col] !== undefined) col++;
+          const colspan = Math.max(1, Math.min(getSpan(cell, 'colspan'), columnCount - col));
+          const rowspan = Math.min(getSpan(cell, 'rowspan'), rows.length - rowIndex);
+          const text = cell.wcmMarkdown || '';
+          const alignment = getCellAlignment(cell);
+
+          for (let r = 0; r < rowspan; r++) {
+            grid[rowIndex + r] = grid[rowIndex + r] || [];
+            for (let c = 0; c < colspan; c++) {
+              grid[rowIndex + r][col + c] = text;
+              if (alignments[col + c] === undefined && alignment) alignments[col + c] = alignment;
+            }
+          }
+          col += colspan;
+        });
+    });
+
+    // Fill holes left by ragged rows
+    return {
+      rows: grid.map((row) => Array.from(row || [], (cell) => cell || '')),
+      alignments
+    };
+  }
+
+  function tableHasHeader(table) {
+    const rows = getTableRows(table);
+    if (!rows.length) return false;
+    if (rows[0].parentNode.nodeName === 'THEAD') return true;
+    const cells = Array.from(rows[0].children);
+    return cells.length > 0 && cells.every((cell) => cell.nodeName === 'TH');
+  }
+
+  /**
+   * Matchers for the tracking parameters to strip from URLs; the built-in
+   * list unless the settings provide one (an empty one disables stripping).
+   */
+  function getTrackingPatterns(options) {
+    return LINKS.compileParamPatterns(
+      typeof options.trackingParams === 'string' ? options.trackingParams : LINKS.DEFAULT_TRACKING_PARAMS
+    );
+  }
+
   function buildTurndownService(options) {
+    const trackingPatterns = getTrackingPatterns(options);
     const turndownService = new TurndownService({
-      headingStyle: 'atx',
+      headingStyle: options.headingStyle || 'atx',
       hr: '---',
-      bulletListMarker: '-',
+      bulletListMarker: options.bulletListMarker || '-',
       codeBlockStyle: 'fenced',
       emDelimiter: '*',
       strongDelimiter: '**',
-      linkStyle: 'inlined'
+      // Text-only links are a rule of our own (below) on top of the inline style
+      linkStyle: options.linkStyle === 'referenced' ? 'referenced' : 'inlined',
+      linkReferenceStyle: options.linkReferenceStyle || 'full'
     });
 
-    // Remove elements hidden via inline styles. NOTE: this only catches inline
-    // style="display:none" — class-based hiding isn't detectable here because
-    // the content is converted from a detached clone (no computed styles).
+    // Remove elements hidden via inline styles. Computed-style hiding is
+    // handled before cloning (see markHiddenElements); this stays as a cheap
+    // safety net for inline styles on content the live walk did not visit.
     turndownService.addRule('removeHidden', {
       filter: function (node) {
         const style = node.style;
@@ -179,6 +629,59 @@
       replacement: () => ''
     });
 
+    if (options.linkStyle === 'text') {
+      turndownService.addRule('textOnlyLinks', {
+        filter: 'a',
+        replacement: (content) => content
+      });
+    }
+
+    // Formulas as $inline$ or $$display$$ LaTeX, from the TeX source the
+    // page kept or converted from MathML (see lib/math.js)
+    turndownService.addRule('math', {
+      filter: (node) => MATH.isMathContainer(node),
+      replacement: function (content, node) {
+        const math = MATH.getMathSource(node);
+        if (!math) return content;
+        if (!math.tex) return '';
+        return math.display ? '\n\n$$\n' + math.tex + '\n$$\n\n' : '$' + math.tex + '$';
+      }
+    });
+
+    // Footnotes marked up by lib/footnotes.js: [^n] references, and
+    // definitions with continuation lines indented under the label
+    turndownService.addRule('footnoteReference', {
+      filter: (node) => node.nodeName === 'SUP' && node.hasAttribute(FOOTNOTES.REF_ATTR),
+      replacement: (content, node) => `[^${node.getAttribute(FOOTNOTES.REF_ATTR)}]`
+    });
+    turndownService.addRule('footnoteDefinition', {
+      filter: (node) => node.nodeName === 'DIV' && node.hasAttribute(FOOTNOTES.DEF_ATTR),
+      replacement: function (content, node) {
+        const text = content.trim().replace(/\n/g, '\n    ');
+        return `\n\n[^${node.getAttribute(FOOTNOTES.DEF_ATTR)}]: ${text}\n\n`;
+      }
+    });
+
+    // Figures: the image (or whatever the figure holds), then its caption in
+    // italics. The caption is stashed on the figure, converted after it.
+    turndownService.addRule('figcaption', {
+      filter: (node) => node.nodeName === 'FIGCAPTION' && node.parentNode.nodeName === 'FIGURE',
+      replacement: function (content, node) {
+        node.parentNode.wcmCaption = content.replace(/\s+/g, ' ').trim();
+        return '';
+      }
+    });
+    turndownService.addRule('figure', {
+      filter: 'figure',
+      replacement: function (content, node) {
+        const body = content.trim();
+        // Emphasis inside the caption switches to underscores so it nests
+        const caption = (node.wcmCaption || '').replace(/(^|[^*])\*([^*]+)\*(?!\*)/g, '$1_$2_');
+        if (!caption) return body ? '\n\n' + body + '\n\n' : '';
+        return '\n\n' + (body ? body + '\n\n' : '') + '*' + caption + '*\n\n';
+      }
+    });
+
     // Handle strong/bold whitespace properly
     turndownService.addRule('strong', {
       filter: ['strong', 'b'],
@@ -220,11 +723,45 @@
           }
         }
 
+        // A decoded CDN source is a new URL: clean it like the rest
+        if (src !== node.getAttribute('src')) src = LINKS.cleanUrl(src, document.baseURI, trackingPatterns);
         src = src.replace(/\s+/g, '%20');
         return alt ? `![${alt}](${src})` : `![](${src})`;
       }
     });
 
+    // Stash each cell's converted Markdown on the node; the `table` rule below
+    // assembles the grid once all of its cells have been converted.
+    turndownService.addRule('tableCell', {
+      filter: ['th', 'td'],
+      replacement: function (content, node) {
+        node.wcmMarkdown = content;
+        return ' ' + content + ' ';
+      }
+    });
+
+    // GitHub-flavored pipe tables. Tables a pipe table cannot represent
+    // (nested tables, lists or other block content in cells) keep their
+    // structure as cleaned HTML, which Markdown renderers pass through.
+    turndownService.addRule('table', {
+      filter: 'table',
+      replacement: function (content, node) {
+        if (!canRenderAsGfmTable(node)) {
+          return '\n\n' + tableToCleanHtml(node) + '\n\n';
+        }
+
+        const { rows, alignments } = tableToGrid(node);
+        const table = CLEANUP.buildGfmTable(rows, { alignments, hasHeader: tableHasHeader(node) });
+        if (!table) return '';
+
+        const caption = node.querySelector('caption');
+        const captionText = caption && caption.closest('table') === node
+          ? caption.textContent.trim()
+          : '';
+        return '\n\n' + (captionText ? captionText + '\n\n' : '') + table + '\n\n';
+      }
+    });
+
     // 4-space indentation for nested lists (compatible with Notion, GitHub, etc.)
     turndownService.addRule('listItem', {
       filter: 'li',
@@ -252,57 +789,167 @@
     return turndownService;
   }
 
+  /**
+   * Whether the top frame inlined this frame: it walks same-origin iframes
+   * down from its own document, so every frame between the top and this one
+   * must be reachable from its parent. `frameElement` is null when the parent
+   * is cross-origin, so a same-origin frame inside a cross-origin one is not
+   * inlined and extracts on its own.
+   */
+  function isInlinedByTop() {
+    try {
+      for (let win = window; win !== win.top; win = win.parent) {
+        if (!win.frameElement) return false;
+      }
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
   function extractPageContent(options) {
     options = options || {};
+    const diag = DIAGNOSTICS.createRecorder();
     try {
       const hostname = window.location.hostname;
-      const handler = CLEANUP.getSiteHandler(hostname);
+      const handler = CLEANUP.getSiteHandler(hostname, {
+        url: window.location.href,
+        handlers: CUSTOM.compileHandlers(options.customHandlers)
+      });
+      diag.setHandler(handler);
 
-      let title = document.title || 'Untitled Page';
+      // When injected into every frame, same-origin frames are already inlined
+      // by the top frame; only frames it cannot reach report their own content.
+      const isSubframe = Boolean(window.top) && window !== window.top;
+      if (isSubframe && isInlinedByTop()) {
+        return { success: true, skipped: true };
+      }
+
+      const pageMeta = diag.phase('metadata', () => METADATA.extractPageMetadata(document));
+      let title = pageMeta.title || document.title || 'Untitled Page';
       if (handler && handler.cleanTitle) {
         title = handler.cleanTitle(title);
       }
 
-      const contentElement = getMainContent(handler);
+      // Tag hidden elements in the live page, clone, then untag right away
+      const marked = diag.phase('hidden elements', () => markExcludedElements(
+        (options.pick && options.pick.exclude) || [],
+        markHiddenElements(document.body, options),
+        diag
+      ));
+      let selection;
+      let fromSelection;
+      let contentElement;
+      try {
+        // Convert only the highlighted part of the page unless the user asked
+        // for the full page
+        selection = getActiveSelection();
+        fromSelection = Boolean(selection) && options.useSelection !== false;
+        contentElement = diag.phase('content selection', () => (fromSelection
+          ? getSelectionContent(selection, handler, diag)
+          : getMainContent(handler, options, diag)));
+      } finally {
+        unmarkHiddenElements(marked);
+      }
+
+      // Videos, audio and embedded players become labeled links before
+      // iframes and scripts are dropped; hidden ones are left to be removed
+      const removedAsHidden = options.keepScreenReaderText
+        ? `[${HIDDEN_ATTR}]`
+        : `[${HIDDEN_ATTR}], [${SR_ONLY_ATTR}]`;
+      diag.transform('media embeds', diag.phase('media', () => MEDIA.convertMediaEmbeds(contentElement, document.baseURI, {
+        skip: removedAsHidden
+      })));
+
+      // Real sources for lazy-loaded images, read before the <noscript>
+      // fallbacks go; placeholders and tracking pixels are dropped
+      if (options.includeImages) {
+        const images = diag.phase('images', () => IMAGE_SOURCES.resolveImages(contentElement));
+        diag.transform('lazy images', images.resolved);
+        diag.removed('images', 'placeholders and tracking pixels', images.dropped);
+      }
 
       // Remove non-content / unsafe elements once, so the Markdown conversion
       // and the raw HTML export stay consistent. (Previously this was split
       // between a DOM pass and a Turndown filter rule.) `img` is dropped only
       // when images are disabled; otherwise the image rule handles them.
       const outputRemovals = [
-        'script', 'style', 'noscript', 'iframe',
+        'script:not([type^="math/tex"])', 'style', 'noscript', 'iframe',
         'nav', '[role="navigation"]',
-        'footer', 'aside', 'header'
+        'footer', 'aside', 'header',
+        `[${HIDDEN_ATTR}]`
       ];
       if (!options.includeImages) {
         outputRemovals.push('img');
       }
-      outputRemovals.forEach((selector) => {
-        try {
-          contentElement.querySelectorAll(selector).forEach((el) => el.remove());
-        } catch (e) {
-          // Ignore invalid selectors
-        }
-      });
+      if (!options.keepScreenReaderText) {
+        outputRemovals.push(`[${SR_ONLY_ATTR}]`);
+      }
+      diag.phase('cleanup', () => removeMatching(contentElement, outputRemovals, 'output', diag));
+      contentElement.querySelectorAll(`[${SR_ONLY_ATTR}]`).forEach((el) => el.removeAttribute(SR_ONLY_ATTR));
+
+      // Footnote references and their endnote list become [^n] markers and
+      // definitions (notes outside the content are looked up in the page)
+      diag.transform('footnotes', diag.phase('footnotes', () => FOOTNOTES.convertFootnotes(contentElement, {
+        handler,
+        lookup: (id) => document.getElementById(id)
+      })));
+
+      // Highlighter markup (token spans, line-number gutters, copy buttons)
+      // becomes plain <pre><code class="language-x"> for the fenced-code rule
+      diag.transform('code blocks', diag.phase('code blocks', () => CODE.normalizeCodeBlocks(contentElement)));
+
+      // Absolute, untracked link and image URLs in both the Markdown and the HTML
+      diag.transform('URLs', diag.phase('URLs', () => (
+        LINKS.rewriteElementUrls(contentElement, document.baseURI, getTrackingPatterns(options))
+      )));
 
       const html = preprocessHtml(contentElement.innerHTML);
-      const metadata = extractMetadata(title);
+      const metadata = extractMetadata(title, pageMeta, contentElement.textContent);
 
-      const turndownService = buildTurndownService(options);
-      let markdown = turndownService.turndown(html);
+      let markdown = diag.phase('conversion', () => buildTurndownService(options).turndown(html));
 
-      // Site-specific markdown cleanup before generic post-processing
-      if (handler && handler.cleanMarkdown) {
-        markdown = handler.cleanMarkdown(markdown);
-      }
+      markdown = diag.phase('post-processing', () => {
+        // Site-specific markdown cleanup before generic post-processing
+        let text = markdown;
+        if (handler && handler.cleanMarkdown) {
+          text = handler.cleanMarkdown(text);
+        }
 
-      const header = CLEANUP.buildMetadataHeader(metadata);
-      markdown = `# ${metadata.title}\n\n${header}\n---\n\n${markdown}`;
-      markdown = CLEANUP.postProcessMarkdown(markdown, { hostname, handler });
+        // A subframe becomes a section of the top frame's document, so it
+        // gets no title or metadata header of its own
+        if (!isSubframe) {
+          text = CLEANUP.composeDocument(metadata, text, {
+            format: options.headerFormat,
+            fields: options.metadataFields
+          });
+        }
+        return CLEANUP.postProcessMarkdown(text, { hostname, handler });
+      });
 
-      return { success: true, markdown, html, title: metadata.title };
+      const result = {
+        success: true,
+        markdown,
+        html,
+        title: metadata.title,
+        canonicalUrl: metadata.canonicalUrl || null,
+        hasSelection: Boolean(selection),
+        fromSelection,
+        diagnostics: diag.toJSON()
+      };
+      if (isSubframe) {
+        result.frame = {
+          textLength: contentElement.textContent.trim().length,
+          hasMainContent: Boolean(document.querySelector(FRAME_CONTENT_SELECTOR))
+        };
+      }
+      return result;
     } catch (error) {
-      return { success: false, error: error.message || 'Unknown error during extraction' };
+      return {
+        success: false,
+        error: error.message || 'Unknown error during extraction',
+        diagnostics: diag.toJSON()
+      };
     }
   }
 
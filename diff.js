@@ -0,0 +1,186 @@
+'use strict';
+
+// Diff page: compares an extraction with an earlier version of the same page
+// from the history. The popup ("Compare with last saved") or the history page
+// ("Compare") hands over the newer Markdown and the older entry's summary
+// through chrome.storage.session; the older Markdown is read from the history.
+
+const HISTORY = globalThis.__WCM_HISTORY__;
+const DIFF = globalThis.__WCM_DIFF__;
+
+const CONTEXT_LINES = 3; // unchanged lines shown around each change
+
+// DOM Elements
+const diffTitle = document.getElementById('diffTitle');
+const diffSummary = document.getElementById('diffSummary');
+const wordLevelCheckbox = document.getElementById('wordLevel');
+const showAllCheckbox = document.getElementById('showAll');
+const copyChangesBtn = document.getElementById('copyChangesBtn');
+const diffView = document.getElementById('diffView');
+const status = document.getElementById('status');
+
+let view = null;  // { previous, current } as handed over
+let diff = null;  // result of DIFF.diffMarkdown
+let statusTimer = null;
+
+// Event Listeners
+wordLevelCheckbox.addEventListener('change', render);
+showAllCheckbox.addEventListener('change', render);
+copyChangesBtn.addEventListener('click', copyChanges);
+document.addEventListener('DOMContentLoaded', init);
+
+/**
+ * Set status message with optional type; success messages fade after a moment
+ */
+function setStatus(message, type = '') {
+  clearTimeout(statusTimer);
+  status.textContent = message;
+  status.className = 'status' + (type ? ` ${type}` : '');
+  if (type === 'success') {
+    statusTimer = setTimeout(() => setStatus(''), 1500);
+  }
+}
+
+function formatTime(time) {
+  return new Date(time).toLocaleString();
+}
+
+async function init() {
+  try {
+    const stored = await chrome.storage.session.get(DIFF.DIFF_VIEW_KEY);
+    view = stored[DIFF.DIFF_VIEW_KEY];
+    if (!view || !view.previous || !view.current) {
+      diffSummary.textContent = 'Nothing to compare. Use "Compare with last saved" in the extension popup, or "Compare" in the history.';
+      return;
+    }
+
+    const content = await HISTORY.getContent(view.previous.id);
+    if (!content) throw new Error('the earlier version is no longer in the history');
+    diff = DIFF.diffMarkdown(content.markdown, view.current.markdown);
+
+    const title = view.current.title || view.previous.title || 'Untitled';
+    diffTitle.textContent = title;
+    document.title = `Changes: ${title}`;
+    diffSummary.textContent = summarize();
+    copyChangesBtn.disabled = !(diff.added || diff.removed || diff.changed);
+    render();
+  } catch (error) {
+    console.error('Error comparing versions:', error);
+    diffSummary.textContent = 'Failed to compare: ' + error.message;
+  }
+}
+
+function summarize() {
+  const since = formatTime(view.previous.createdAt);
+  if (!diff.added && !diff.removed && !diff.changed) {
+    return `No changes since the version saved on ${since}.`;
+  }
+  const counts = [
+    diff.changed && `${diff.changed} changed`,
+    diff.added && `${diff.added} added`,
+    diff.removed && `${diff.removed} removed`
+  ].filter(Boolean).join(', ');
+  const total = diff.added + diff.removed + diff.changed;
+  return `The version saved on ${since} compared with the one from ${formatTime(view.current.createdAt)}: ` +
+    `${counts} line${total === 1 ? '' : 's'}.`;
+}
+
+/**
+ * Draw the diff. Unless "Show unchanged lines" is on, runs of unchanged
+ * lines away from any change collapse into a row that expands on click.
+ */
+function render() {
+  if (!diff) return;
+  const { lines } = diff;
+  const showAll = showAllCheckbox.checked;
+
+  // Distance of each line to the nearest change, in lines
+  const distance = new Array(lines.length).fill(Infinity);
+  let last = -Infinity;
+  lines.forEach((line, i) => {
+    if (line.type !== 'equal') last = i;
+    distance[i] = i - last;
+  });
+  last = Infinity;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (lines[i].type !== 'equal') last = i;
+    distance[i] = Math.min(distance[i], last - i);
+  }
+
+  const fragment = document.createDocumentFragment();
+  let hidden = [];
+  const flush = () => {
+    if (hidden.length) fragment.appendChild(renderCollapsed(hidden));
+    hidden = [];
+  };
+  lines.forEach((line, i) => {
+    if (!showAll && distance[i] > CONTEXT_LINES) {
+      hidden.push(line);
+      return;
+    }
+    flush();
+    fragment.appendChild(renderLine(line));
+  });
+  flush();
+  diffView.replaceChildren(fragment);
+}
+
+function renderLine(line) {
+  const row = document.createElement('div');
+  row.className = `diff-line diff-${line.type}`;
+
+  const oldNo = document.createElement('span');
+  oldNo.className = 'diff-no';
+  oldNo.textContent = line.oldNo || '';
+  const newNo = document.createElement('span');
+  newNo.className = 'diff-no';
+  newNo.textContent = line.newNo || '';
+  const marker = document.createElement('span');
+  marker.className = 'diff-marker';
+  marker.textContent = { equal: ' ', delete: '-', insert: '+' }[line.type];
+
+  const text = document.createElement('span');
+  text.className = 'diff-text';
+  if (line.words && wordLevelCheckbox.checked) {
+    line.words.forEach((segment) => {
+      if (segment.type === 'equal') {
+        text.appendChild(document.createTextNode(segment.text));
+      } else {
+        const mark = document.createElement(segment.type === 'delete' ? 'del' : 'ins');
+        mark.textContent = segment.text;
+        text.appendChild(mark);
+      }
+    });
+  } else {
+    text.textContent = line.text;
+  }
+
+  row.append(oldNo, newNo, marker, text);
+  return row;
+}
+
+function renderCollapsed(lines) {
+  const button = document.createElement('button');
+  button.className = 'diff-collapsed';
+  button.textContent = `⋯ ${lines.length} unchanged line${lines.length === 1 ? '' : 's'}`;
+  button.addEventListener('click', () => button.replaceWith(...lines.map(renderLine)));
+  return button;
+}
+
+/**
+ * Copy the changed sections as Markdown (see DIFF.buildChangesMarkdown)
+ */
+async function copyChanges() {
+  try {
+    const markdown = DIFF.buildChangesMarkdown(diff, {
+      title: view.current.title,
+      url: view.current.url,
+      since: view.previous.createdAt
+    });
+    await navigator.clipboard.writeText(markdown);
+    setStatus('Copied changed sections!', 'success');
+  } catch (error) {
+    console.error('Error copying changes:', error);
+    setStatus('Failed to copy: ' + error.message, 'error');
+  }
+}
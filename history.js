@@ -0,0 +1,347 @@
+'use strict';
+
+// History page controller: searches the extraction history kept by
+// lib/history-store.js and copies, downloads, compares or deletes entries.
+
+const SETTINGS = globalThis.__WCM_SETTINGS__;
+const RUNNER = globalThis.__WCM_RUNNER__;
+const HISTORY = globalThis.__WCM_HISTORY__;
+const DIFF = globalThis.__WCM_DIFF__;
+
+const SEARCH_DELAY = 200; // ms of typing pause before searching
+
+// DOM Elements
+const searchInput = document.getElementById('searchInput');
+const siteSelect = document.getElementById('siteSelect');
+const fromDate = document.getElementById('fromDate');
+const toDate = document.getElementById('toDate');
+const resultsTitle = document.getElementById('resultsTitle');
+const deleteShownBtn = document.getElementById('deleteShownBtn');
+const entryList = document.getElementById('entryList');
+const usageMeter = document.getElementById('usageMeter');
+const usageText = document.getElementById('usageText');
+const limitInput = document.getElementById('limitInput');
+const clearBtn = document.getElementById('clearBtn');
+const status = document.getElementById('status');
+
+let settings = null;
+let allEntries = [];     // every entry, newest first
+let shown = [];          // entries matching the current search and filters
+let searchTimer = null;
+let searchRun = 0;       // drops results of searches overtaken by newer ones
+let statusTimer = null;
+
+// Event Listeners
+searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(refresh, SEARCH_DELAY);
+});
+siteSelect.addEventListener('change', refresh);
+fromDate.addEventListener('change', refresh);
+toDate.addEventListener('change', refresh);
+deleteShownBtn.addEventListener('click', deleteShown);
+limitInput.addEventListener('change', saveLimit);
+clearBtn.addEventListener('click', clearAll);
+
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    settings = await SETTINGS.loadSettings();
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    settings = SETTINGS.normalizeSettings({});
+  }
+  limitInput.value = settings.historyMaxMB;
+  entryList.dataset.empty = settings.historyEnabled
+    ? 'Nothing here yet. Pages you convert show up here.'
+    : 'History is off (Settings → History).';
+  searchInput.focus();
+  try {
+    // The limit may have been lowered since the last extraction
+    await HISTORY.pruneHistory(settings.historyMaxMB * HISTORY.MB);
+  } catch (error) {
+    console.error('Error pruning history:', error);
+  }
+  refresh();
+});
+
+/**
+ * Set status message with optional type; success messages fade after a moment
+ */
+function setStatus(message, type = '') {
+  clearTimeout(statusTimer);
+  status.textContent = message;
+  status.className = 'status' + (type ? ` ${type}` : '');
+  if (type === 'success') {
+    statusTimer = setTimeout(() => setStatus(''), 1500);
+  }
+}
+
+function getFilter() {
+  return {
+    query: searchInput.value,
+    site: siteSelect.value,
+    ...HISTORY.parseDateRange(fromDate.value, toDate.value)
+  };
+}
+
+/**
+ * Re-run the search and redraw the list, the site filter and the usage.
+ */
+async function refresh() {
+  const run = ++searchRun;
+  try {
+    const [entries, matches] = await Promise.all([HISTORY.listEntries(), HISTORY.searchHistory(getFilter())]);
+    if (run !== searchRun) return;
+    allEntries = entries;
+    shown = matches;
+    renderSites(entries);
+    renderEntries(matches, entries.length);
+    await renderUsage(entries);
+  } catch (error) {
+    console.error('Error reading history:', error);
+    setStatus('Failed to read the history: ' + error.message, 'error');
+  }
+}
+
+function renderSites(all) {
+  const selected = siteSelect.value;
+  const options = HISTORY.listSites(all).map(({ site, count }) => {
+    const option = document.createElement('option');
+    option.value = site;
+    option.textContent = `${site} (${count})`;
+    return option;
+  });
+  siteSelect.replaceChildren(siteSelect.options[0], ...options);
+  siteSelect.value = options.some((option) => option.value === selected) ? selected : '';
+}
+
+function renderEntries(entries, total) {
+  const filtered = entries.length !== total;
+  resultsTitle.textContent = filtered ? `${entries.length} of ${total} entries` : `${total} ${total === 1 ? 'entry' : 'entries'}`;
+  deleteShownBtn.disabled = entries.length === 0;
+  deleteShownBtn.textContent = filtered ? 'Delete shown' : 'Delete all';
+  const terms = HISTORY.parseQuery(searchInput.value);
+  entryList.replaceChildren(...entries.map((entry) => renderEntry(entry, terms)));
+}
+
+function renderEntry(entry, terms) {
+  const item = document.createElement('li');
+  item.className = 'entry';
+
+  const main = document.createElement('div');
+  main.className = 'entry-main';
+
+  const title = document.createElement('a');
+  title.className = 'entry-title';
+  title.href = entry.url;
+  title.target = '_blank';
+  title.rel = 'noopener';
+  title.textContent = entry.title;
+  title.title = entry.url;
+
+  const meta = document.createElement('div');
+  meta.className = 'entry-meta';
+  meta.textContent = [entry.site, new Date(entry.createdAt).toLocaleString(), HISTORY.formatBytes(entry.size)]
+    .filter(Boolean)
+    .join(' · ');
+  const badges = [];
+  if (entry.fromSelection) badges.push('Selection');
+  if (entry.options.picked) badges.push('Picked');
+  if (entry.options.includeImages) badges.push('Images');
+  if (entry.hasHtml) badges.push('HTML');
+  badges.forEach((label) => {
+    const badge = document.createElement('span');
+    badge.className = 'entry-badge';
+    badge.textContent = label;
+    meta.appendChild(badge);
+  });
+
+  main.append(title, meta);
+  if (entry.snippet) main.appendChild(renderSnippet(entry.snippet, terms));
+
+  const actions = document.createElement('div');
+  actions.className = 'entry-actions';
+  actions.append(
+    actionButton('Copy', () => copyEntry(entry)),
+    actionButton('Download', () => downloadEntry(entry))
+  );
+  const previous = HISTORY.findPreviousVersion(allEntries, entry);
+  if (previous) {
+    const compare = actionButton('Compare', () => compareEntry(entry, previous));
+    compare.title = `Show what changed since the version of ${new Date(previous.createdAt).toLocaleString()}`;
+    actions.appendChild(compare);
+  }
+  actions.appendChild(actionButton('Delete', () => deleteEntry(entry)));
+
+  item.append(main, actions);
+  return item;
+}
+
+function actionButton(label, onClick) {
+  const button = document.createElement('button');
+  button.className = 'btn btn-tertiary btn-small';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * The snippet with the search terms marked.
+ */
+function renderSnippet(snippet, terms) {
+  const paragraph = document.createElement('p');
+  paragraph.className = 'entry-snippet';
+  const escaped = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const parts = escaped.length ? snippet.split(new RegExp(`(${escaped.join('|')})`, 'gi')) : [snippet];
+  parts.forEach((part, i) => {
+    if (i % 2) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      paragraph.appendChild(mark);
+    } else if (part) {
+      paragraph.appendChild(document.createTextNode(part));
+    }
+  });
+  return paragraph;
+}
+
+async function renderUsage(all) {
+  const bytes = all.reduce((sum, entry) => sum + entry.size, 0);
+  const limit = settings.historyMaxMB * HISTORY.MB;
+  usageMeter.value = Math.min(1, bytes / limit);
+  let text = `${all.length} ${all.length === 1 ? 'entry' : 'entries'}, ${HISTORY.formatBytes(bytes)} of ${HISTORY.formatBytes(limit)}.`;
+  if (navigator.storage && navigator.storage.estimate) {
+    const { usage, quota } = await navigator.storage.estimate();
+    if (quota) text += ` The browser allows this extension ${HISTORY.formatBytes(quota)} (${HISTORY.formatBytes(usage)} used in all).`;
+  }
+  usageText.textContent = text;
+}
+
+async function getEntryContent(entry) {
+  const content = await HISTORY.getContent(entry.id);
+  if (!content) throw new Error('This entry has no stored content');
+  return content;
+}
+
+/**
+ * Copy the entry as it was copied originally: the Markdown, plus the HTML
+ * block when it was included and kept.
+ */
+async function copyEntry(entry) {
+  try {
+    const { markdown, html } = await getEntryContent(entry);
+    const withHtml = Boolean(entry.options.includeHtml && html);
+    await navigator.clipboard.writeText(RUNNER.buildCopyContent(markdown, html, withHtml));
+    setStatus('Copied to clipboard!', 'success');
+  } catch (error) {
+    console.error('Error copying entry:', error);
+    setStatus('Failed to copy: ' + error.message, 'error');
+  }
+}
+
+function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Filename base from the entry's title (same rules as the popup's)
+ */
+function getSanitizedFilename(title) {
+  const sanitized = (title || 'content')
+    .replace(/[<>:"/\\|?*]/g, '-')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .substring(0, 100)
+    .replace(/^-|-$/g, '');
+  return sanitized || 'content';
+}
+
+async function downloadEntry(entry) {
+  try {
+    const { markdown, html } = await getEntryContent(entry);
+    const baseName = getSanitizedFilename(entry.title);
+    downloadFile(markdown, `${baseName}.md`, 'text/markdown');
+    if (html) {
+      // Small delay to avoid browser blocking multiple downloads
+      setTimeout(() => downloadFile(html, `${baseName}.html`, 'text/html'), 100);
+    }
+    setStatus(html ? 'Downloaded MD & HTML!' : 'Downloaded!', 'success');
+  } catch (error) {
+    console.error('Error downloading entry:', error);
+    setStatus('Failed to download: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Open the diff page for an entry against the page's version before it.
+ */
+async function compareEntry(entry, previous) {
+  try {
+    const { markdown } = await getEntryContent(entry);
+    await chrome.storage.session.set({
+      [DIFF.DIFF_VIEW_KEY]: {
+        previous,
+        current: { markdown, title: entry.title, url: entry.url, createdAt: entry.createdAt }
+      }
+    });
+    await chrome.tabs.create({ url: chrome.runtime.getURL('diff.html') });
+  } catch (error) {
+    console.error('Error opening the diff view:', error);
+    setStatus('Failed to compare: ' + error.message, 'error');
+  }
+}
+
+async function removeEntries(ids, message) {
+  try {
+    await HISTORY.deleteEntries(ids);
+    setStatus(message, 'success');
+  } catch (error) {
+    console.error('Error deleting history entries:', error);
+    setStatus('Failed to delete: ' + error.message, 'error');
+  }
+  refresh();
+}
+
+function deleteEntry(entry) {
+  return removeEntries([entry.id], 'Entry deleted');
+}
+
+function deleteShown() {
+  const count = shown.length;
+  if (!count || !confirm(`Delete ${count} ${count === 1 ? 'entry' : 'entries'} from the history?`)) return;
+  return removeEntries(shown.map((entry) => entry.id), `Deleted ${count} ${count === 1 ? 'entry' : 'entries'}`);
+}
+
+async function clearAll() {
+  if (!confirm('Delete the whole history? This cannot be undone.')) return;
+  try {
+    await HISTORY.clearHistory();
+    setStatus('History cleared', 'success');
+  } catch (error) {
+    console.error('Error clearing history:', error);
+    setStatus('Failed to clear: ' + error.message, 'error');
+  }
+  refresh();
+}
+
+/**
+ * Save a new size limit and apply it right away.
+ */
+async function saveLimit() {
+  try {
+    settings = await SETTINGS.saveSettings({ historyMaxMB: Number(limitInput.value) });
+    limitInput.value = settings.historyMaxMB;
+    const deleted = await HISTORY.pruneHistory(settings.historyMaxMB * HISTORY.MB);
+    setStatus(deleted ? `Limit saved; deleted ${deleted} old ${deleted === 1 ? 'entry' : 'entries'}` : 'Limit saved', 'success');
+  } catch (error) {
+    console.error('Error saving the history limit:', error);
+    setStatus('Failed to save: ' + error.message, 'error');
+  }
+  refresh();
+}
@@ -0,0 +1,195 @@
+/**
+ * Self-contained page archives: the Markdown, the cleaned HTML and
+ * (optionally) every referenced image, rewritten to relative `assets/` paths
+ * and packed with `lib/zip.js`.
+ *
+ * Loaded by the popup after `lib/zip.js` and `lib/link-urls.js` (sets
+ * `globalThis.__WCM_ARCHIVE__`) and required in Node for unit testing. Image
+ * downloads go through the `fetch` passed in, and HTML is rewritten with the
+ * global `DOMParser`.
+ */
+(function (root, factory) {
+  'use strict';
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const api = factory(isNode ? require('./link-urls.js') : root.__WCM_LINKS__);
+  if (root) root.__WCM_ARCHIVE__ = api;
+  if (isNode) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (LINKS) {
+  'use strict';
+
+  const ASSET_DIR = 'assets';
+  const MAX_ASSET_BYTES = 20 * 1024 * 1024; // larger files stay remote links
+  const IMAGE_CONCURRENCY = 4;              // images downloaded at the same time
+
+  const IMAGE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/avif': 'avif',
+    'image/svg+xml': 'svg',
+    'image/bmp': 'bmp',
+    'image/x-icon': 'ico',
+    'image/vnd.microsoft.icon': 'ico'
+  };
+
+  // ![alt](src) or ![alt](src "title"); sources may hold balanced parentheses
+  const { MARKDOWN_IMAGE_PATTERN } = LINKS;
+
+  /**
+   * Resolve `src` against the page URL. Returns null for data: URIs (already
+   * self-contained) and anything that is not http(s).
+   */
+  function resolveImageUrl(src, pageUrl) {
+    try {
+      const url = new URL(src, pageUrl);
+      return /^https?:$/.test(url.protocol) ? url.href : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function findMarkdownImages(markdown) {
+    return Array.from(String(markdown || '').matchAll(MARKDOWN_IMAGE_PATTERN), (match) => match[2]);
+  }
+
+  /**
+   * Replace each image source with `mapSrc(src)`; sources it maps to a falsy
+   * value are left alone.
+   */
+  function rewriteMarkdownImages(markdown, mapSrc) {
+    return markdown.replace(MARKDOWN_IMAGE_PATTERN, (match, start, src, end) => {
+      const replacement = mapSrc(src);
+      return replacement ? start + replacement + end : match;
+    });
+  }
+
+  function parseHtmlFragment(html) {
+    return new DOMParser().parseFromString(`<!DOCTYPE html><html><body>${html}</body></html>`, 'text/html');
+  }
+
+  function findHtmlImages(html) {
+    if (!html) return [];
+    return Array.from(parseHtmlFragment(html).querySelectorAll('img[src]'), (img) => img.getAttribute('src'));
+  }
+
+  /**
+   * Same as rewriteMarkdownImages for `<img src>` in an HTML fragment.
+   * Rewritten images lose `srcset`/`sizes`, which would still point at the
+   * remote candidates.
+   */
+  function rewriteHtmlImages(html, mapSrc) {
+    const doc = parseHtmlFragment(html);
+    doc.querySelectorAll('img[src]').forEach((img) => {
+      const replacement = mapSrc(img.getAttribute('src'));
+      if (!replacement) return;
+      img.setAttribute('src', replacement);
+      img.removeAttribute('srcset');
+      img.removeAttribute('sizes');
+    });
+    return doc.body.innerHTML;
+  }
+
+  /**
+   * Archive path for the `index`th image: a numeric prefix keeps names unique,
+   * the rest comes from the URL's file name and the extension from the
+   * response type when the URL has none.
+   */
+  function assetName(url, contentType, index) {
+    let base = '';
+    try {
+      base = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+    } catch (e) {
+      // Malformed escapes: fall back to the generic name
+    }
+    base = base.replace(/[^\w.-]+/g, '-').replace(/^[-.]+|[-.]+$/g, '').slice(0, 60);
+
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    const knownExtension = IMAGE_EXTENSIONS[type];
+    const match = base.match(/\.([a-z0-9]{2,5})$/i);
+    if (!base) base = 'image';
+    if (knownExtension && (!match || !Object.values(IMAGE_EXTENSIONS).includes(match[1].toLowerCase()))) {
+      base += '.' + knownExtension;
+    }
+    return `${ASSET_DIR}/${index}-${base}`;
+  }
+
+  async function fetchImage(url, fetchImpl) {
+    const response = await fetchImpl(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const type = response.headers.get('content-type') || '';
+    if (type && !/^image\//i.test(type)) throw new Error(`Not an image (${type})`);
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (bytes.length > MAX_ASSET_BYTES) throw new Error('Image too large');
+    return { bytes, type };
+  }
+
+  /**
+   * Download `urls` with at most IMAGE_CONCURRENCY requests in flight, so a
+   * page with hundreds of images does not open hundreds of connections.
+   * Resolves with `{ url, bytes, type }` per image in input order, null for
+   * those that failed (which are added to `failed`).
+   */
+  async function downloadImages(urls, fetchImpl, failed) {
+    const downloads = new Array(urls.length).fill(null);
+    let next = 0;
+    const worker = async () => {
+      while (next < urls.length) {
+        const index = next++;
+        const url = urls[index];
+        try {
+          downloads[index] = { url, ...(await fetchImage(url, fetchImpl)) };
+        } catch (error) {
+          failed.push({ url, error: error.message });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(IMAGE_CONCURRENCY, urls.length) }, worker));
+    return downloads;
+  }
+
+  /**
+   * Files for a page archive: `<baseName>.md`, `<baseName>.html` (when there
+   * is HTML) and, with `includeImages`, one `assets/` entry per image that
+   * could be downloaded. Images that fail keep their remote URL and are
+   * listed in `failed`. Resolves with `{ files, images, failed }`.
+   */
+  async function buildPageArchive({ markdown, html, baseName, pageUrl, includeImages, fetchImpl }) {
+    const assets = new Map(); // absolute URL -> archive path
+    const files = [];
+    const failed = [];
+
+    if (includeImages) {
+      const urls = new Set(
+        [...findMarkdownImages(markdown), ...findHtmlImages(html)]
+          .map((src) => resolveImageUrl(src, pageUrl))
+          .filter(Boolean)
+      );
+      const downloads = await downloadImages(Array.from(urls), fetchImpl, failed);
+      downloads.filter(Boolean).forEach((download, i) => {
+        const name = assetName(download.url, download.type, i + 1);
+        assets.set(download.url, name);
+        files.push({ name, data: download.bytes, compress: false });
+      });
+    }
+
+    const mapSrc = (src) => assets.get(resolveImageUrl(src, pageUrl));
+    const documents = [{ name: `${baseName}.md`, data: assets.size ? rewriteMarkdownImages(markdown, mapSrc) : markdown }];
+    if (html) {
+      documents.push({ name: `${baseName}.html`, data: assets.size ? rewriteHtmlImages(html, mapSrc) : html });
+    }
+
+    return { files: [...documents, ...files], images: assets.size, failed };
+  }
+
+  return {
+    ASSET_DIR,
+    resolveImageUrl,
+    findMarkdownImages,
+    rewriteMarkdownImages,
+    findHtmlImages,
+    rewriteHtmlImages,
+    assetName,
+    buildPageArchive
+  };
+});
@@ -0,0 +1,202 @@
+/**
+ * Batch export: extract every tab in a window and combine the pages into one
+ * Markdown bundle with a table of contents and a summary of failed tabs.
+ *
+ * Loaded by the popup after `lib/extraction-runner.js` (sets
+ * `globalThis.__WCM_BATCH__`) and required in Node for unit testing. Only
+ * `exportTabs` touches the `chrome` API, through the runner.
+ */
+(function (root, factory) {
+  'use strict';
+  const api = factory();
+  if (root) root.__WCM_BATCH__ = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const DEFAULT_CONCURRENCY = 3; // tabs extracted at the same time
+
+  // Front matter is only valid at the very top of a file, so pages inside a
+  // bundle use the bold header instead. Comments and "none" are safe anywhere.
+  const BUNDLE_HEADER_FORMATS = { yaml: 'bold', toml: 'bold' };
+
+  /**
+   * Run `fn(item, index)` over `items` with at most `limit` calls in flight.
+   * Resolves with the results in input order; `fn` is expected not to throw.
+   */
+  async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+    await Promise.all(workers);
+    return results;
+  }
+
+  /**
+   * Heading anchors as GitHub renders them: lowercased, punctuation dropped,
+   * spaces to hyphens, and `-1`, `-2`… appended to repeats.
+   */
+  function createSlugger() {
+    const seen = new Map();
+    return (text) => {
+      const base = String(text)
+        .replace(/\\([\\`*_{}[\]()#+\-.!])/g, '$1') // Markdown escapes render as the bare character
+        .trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .replace(/\s/g, '-');
+      const count = seen.get(base) || 0;
+      seen.set(base, count + 1);
+      return count ? `${base}-${count}` : base;
+    };
+  }
+
+  /**
+   * Feed every ATX heading of `markdown` (outside fenced code) to `slug`, so
+   * later anchors account for repeats. Returns the slug of the first one.
+   */
+  function slugHeadings(markdown, slug) {
+    let first = null;
+    let fence = null;
+    for (const line of markdown.split('\n')) {
+      const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+      if (fenceMatch) {
+        if (!fence) fence = fenceMatch[1][0];
+        else if (fenceMatch[1][0] === fence) fence = null;
+        continue;
+      }
+      if (fence) continue;
+      const heading = line.match(/^#{1,6}\s+(.*?)\s*#*\s*$/);
+      if (heading) {
+        const anchor = slug(heading[1]);
+        if (first === null) first = anchor;
+      }
+    }
+    return first;
+  }
+
+  /**
+   * Footnote labels are per document: number each page's footnotes apart
+   * (`[^1]` on page 2 becomes `[^2-1]`) so pages don't share definitions.
+   * Fenced code is left as written.
+   */
+  function prefixFootnotes(markdown, prefix) {
+    let fence = null;
+    return markdown.split('\n').map((line) => {
+      const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+      if (fenceMatch) {
+        if (!fence) fence = fenceMatch[1][0];
+        else if (fenceMatch[1][0] === fence) fence = null;
+        return line;
+      }
+      if (fence) return line;
+      return line.replace(/\[\^([^\]\s]+)\]/g, `[^${prefix}-$1]`);
+    }).join('\n');
+  }
+
+  function escapeLinkText(text) {
+    return String(text).replace(/[[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Combine extracted pages into one document. `pages` are `{ title, url,
+   * markdown }` in tab order; `failures` are `{ title, url, error }`.
+   * `opts.exportedAt` is the human-readable export time.
+   */
+  function buildBundle(pages, failures, opts) {
+    opts = opts || {};
+    const count = `${pages.length} page${pages.length === 1 ? '' : 's'}`;
+    const heading = `# ${opts.title || 'Exported tabs'}`;
+    const slug = createSlugger();
+    slugHeadings(heading, slug);
+
+    const intro = [heading, ''];
+    if (opts.exportedAt) intro.push(`**Exported:** ${opts.exportedAt}`, '');
+    intro.push(`**Pages:** ${count}${failures.length ? ` (${failures.length} failed)` : ''}`, '');
+
+    // "Contents" is a heading too; slug headings in document order so page
+    // anchors get the same suffixes GitHub would give them.
+    const toc = ['## Contents', ''];
+    slugHeadings(toc[0], slug);
+    const sections = pages.map((page, i) => {
+      const anchor = slugHeadings(page.markdown, slug);
+      const label = escapeLinkText(page.title || page.url);
+      toc.push(`${i + 1}. ${anchor ? `[${label}](#${anchor})` : label} - ${page.url}`);
+      return (pages.length > 1 ? prefixFootnotes(page.markdown, i + 1) : page.markdown).trim();
+    });
+    if (!pages.length) toc.push('_No pages could be extracted._');
+
+    const parts = [intro.join('\n').trim(), toc.join('\n'), ...sections];
+    if (failures.length) {
+      const lines = ['## Failed tabs', ''];
+      failures.forEach((failure) => {
+        // Tabs we have no access to (browser pages) don't expose a URL or title
+        const label = failure.url
+          ? `[${escapeLinkText(failure.title || failure.url)}](${failure.url})`
+          : escapeLinkText(failure.title || 'Browser tab');
+        lines.push(`- ${label} - ${failure.error}`);
+      });
+      parts.push(lines.join('\n'));
+    }
+    return parts.join('\n\n---\n\n') + '\n';
+  }
+
+  /**
+   * Extract every tab in `tabs` with `options` (the popup's extraction
+   * options). `opts.onProgress({ done, total, tab, ok })` fires as each tab
+   * settles. Browser-internal tabs are skipped up front; tabs that fail are
+   * collected rather than aborting the run. Resolves with `{ pages, failures }`.
+   */
+  async function exportTabs(tabs, options, opts) {
+    opts = opts || {};
+    const runner = opts.runner || globalThis.__WCM_RUNNER__;
+    const pageOptions = {
+      ...options,
+      useSelection: false,
+      headerFormat: BUNDLE_HEADER_FORMATS[options.headerFormat] || options.headerFormat
+    };
+
+    const failures = [];
+    const eligible = [];
+    tabs.forEach((tab) => {
+      if (runner.isRestrictedUrl(tab.url)) {
+        failures.push({ title: tab.title, url: tab.url || '', error: 'Skipped: browser page' });
+      } else {
+        eligible.push(tab);
+      }
+    });
+
+    let done = 0;
+    const results = await mapWithConcurrency(eligible, opts.concurrency || DEFAULT_CONCURRENCY, async (tab) => {
+      let outcome;
+      try {
+        const result = await runner.runExtraction(tab, pageOptions);
+        outcome = { ok: true, page: { title: result.title, url: tab.url, markdown: result.markdown } };
+      } catch (error) {
+        outcome = { ok: false, failure: { title: tab.title, url: tab.url, error: error.message } };
+      }
+      done++;
+      if (opts.onProgress) opts.onProgress({ done, total: eligible.length, tab, ok: outcome.ok });
+      return outcome;
+    });
+
+    return {
+      pages: results.filter((r) => r.ok).map((r) => r.page),
+      failures: [...results.filter((r) => !r.ok).map((r) => r.failure), ...failures]
+    };
+  }
+
+  return {
+    DEFAULT_CONCURRENCY,
+    mapWithConcurrency,
+    createSlugger,
+    buildBundle,
+    exportTabs
+  };
+});
@@ -0,0 +1,226 @@
+/**
+ * Code blocks from syntax highlighters, normalized to plain
+ * `<pre><code class="language-x">` before conversion.
+ *
+ * Highlighters split code into token spans (Prism, highlight.js, Shiki,
+ * GitHub), one element per line (Docusaurus, SyntaxHighlighter), or tables
+ * with a line-number gutter (Pygments, Rouge, Hugo, highlight.js's line
+ * numbers plugin), and usually put the language on a wrapper rather than on
+ * `<code>`. Turndown's fenced-code rule only understands the plain form, so
+ * each block is rebuilt from its text with gutters and copy buttons dropped
+ * and the language recovered from classes or `data-lang` attributes.
+ *
+ * Injected into the page before the extractor (sets `globalThis.__WCM_CODE__`)
+ * and required in Node for unit testing with jsdom.
+ */
+(function (root, factory) {
+  'use strict';
+  const api = factory();
+  if (root) root.__WCM_CODE__ = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // Code blocks laid out as tables (gutter column + code column) or
+  // line-per-div widgets. Replaced as a whole; any <pre> inside is part of them.
+  const CONTAINER_SELECTOR = [
+    'table.highlighttable',        // Pygments (Sphinx, MkDocs) with line numbers
+    'table.rouge-table',           // Rouge (Jekyll)
+    'table.lntable',               // Chroma (Hugo)
+    'table.js-file-line-container', // GitHub file views
+    'div.syntaxhighlighter'        // SyntaxHighlighter 3
+  ].join(', ');
+
+  // Line numbers inside a block
+  const GUTTER_SELECTOR = [
+    '.linenos', '.lineno', '.linenodiv', '.lnt', '.ln', '.gutter', '.rouge-gutter',
+    '.blob-num', '.hljs-ln-numbers', '.line-numbers-rows',
+    '[class*="line-number" i]', '[class*="linenumber" i]'
+  ].join(', ');
+
+  // Copy buttons, language labels and other controls inside a block or next
+  // to it in a highlighter wrapper (Prism toolbar, GitHub, Docusaurus,
+  // VitePress, MkDocs)
+  const CONTROL_SELECTOR = [
+    'button', 'clipboard-copy', '.zeroclipboard-container', '.toolbar',
+    '[class*="copy-button" i]', '[class*="copybutton" i]', '[class*="copy-code" i]',
+    '.md-clipboard', 'span.lang'
+  ].join(', ');
+
+  // Wrappers highlighters put around a block and its controls; elsewhere a
+  // button next to a <pre> is page content
+  const WRAPPER_SELECTOR = [
+    '.highlight',                        // Pygments, Rouge, Chroma, GitHub, MkDocs
+    '.code-toolbar',                     // Prism toolbar plugin
+    'div[class*="codehilite"]',          // Python-Markdown
+    'div[class*="codeBlockContent"]',    // Docusaurus
+    'div[class*="language-"]'            // VitePress, Jekyll's highlighter-rouge
+  ].join(', ');
+
+  // Wrapper levels searched for the language
+  const WRAPPER_DEPTH = 3;
+
+  // Whitespace directly inside these is never rendered
+  const TABLE_PARTS = ['TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR'];
+
+  // Elements holding one line of code each
+  const LINE_CLASS = /(?:^|\s)(?:line|token-line|code-line|ec-line|hljs-ln-line)(?:\s|$)/;
+
+  // Language names that mean "no highlighting"
+  const NO_LANGUAGE = ['none', 'nohighlight', 'no-highlight', 'plain', 'plaintext', 'text', 'txt', 'default'];
+
+  const LANGUAGE_ATTRIBUTES = ['data-lang', 'data-language', 'data-code-language'];
+
+  const LANGUAGE_CLASS_PATTERNS = [
+    /^(?:language|lang)-([\w+#.-]+)$/,             // Prism, highlight.js, Docusaurus, VitePress, prettify
+    /^highlight-(?:source|text)-([\w+#.]+)/,        // GitHub: highlight-source-js, highlight-text-html-basic
+    /^highlight-([\w+#.]+)$/,                       // Pygments (Sphinx): highlight-python3
+    /^brush:([\w+#.-]+)$/                           // SyntaxHighlighter: class="brush: js"
+  ];
+
+  function normalizeLanguage(name) {
+    const language = String(name || '').trim().toLowerCase();
+    return language && !NO_LANGUAGE.includes(language) ? language : '';
+  }
+
+  /**
+   * Language named by one element's attributes or classes, or ''.
+   * highlight.js's `hljs python` form and SyntaxHighlighter's
+   * `syntaxhighlighter js` carry the bare name next to the marker class.
+   */
+  function languageOf(el) {
+    for (const attribute of LANGUAGE_ATTRIBUTES) {
+      const language = normalizeLanguage(el.getAttribute(attribute));
+      if (language) return language;
+    }
+    const classes = (el.getAttribute('class') || '').replace(/brush:\s+/g, 'brush:').split(/\s+/).filter(Boolean);
+    for (const pattern of LANGUAGE_CLASS_PATTERNS) {
+      for (const name of classes) {
+        const match = name.match(pattern);
+        const language = match && normalizeLanguage(match[1]);
+        if (language) return language;
+      }
+    }
+    if (classes.includes('hljs') || classes.includes('syntaxhighlighter')) {
+      const bare = classes.find((name) => !/^(?:hljs|syntaxhighlighter)/.test(name) && /^[a-z][\w+#]*$/.test(name));
+      return normalizeLanguage(bare);
+    }
+    return '';
+  }
+
+  /**
+   * Language of the code block rooted at `el`: from the block itself, its
+   * `<code>` elements, then its nearest wrappers. '' when none is named.
+   */
+  function detectCodeLanguage(el) {
+    const candidates = [el, ...el.querySelectorAll('code, [data-lang], [data-language]')];
+    let ancestor = el.parentElement;
+    for (let i = 0; i < WRAPPER_DEPTH && ancestor; i++, ancestor = ancestor.parentElement) {
+      candidates.push(ancestor);
+    }
+    for (const candidate of candidates) {
+      const language = languageOf(candidate);
+      if (language) return language;
+    }
+    return '';
+  }
+
+  function isLineElement(el) {
+    return el.nodeName === 'TR' || el.nodeName === 'DIV' || LINE_CLASS.test(el.getAttribute('class') || '');
+  }
+
+  /**
+   * The code in `el` as the user sees it, with gutters and controls left
+   * out. Text inside `<pre>` is kept verbatim; `<br>` and line elements
+   * become newlines; line breaks and indentation between elements outside
+   * `<pre>` (HTML formatting in table and div layouts) are ignored.
+   * Non-breaking spaces, used by some highlighters for indentation, become
+   * spaces.
+   */
+  function getCodeText(el) {
+    const clone = el.cloneNode(true);
+    clone.querySelectorAll(`${GUTTER_SELECTOR}, ${CONTROL_SELECTOR}`).forEach((node) => node.remove());
+
+    let out = '';
+    let needsBreak = false;
+    const walk = (node, inPre) => {
+      node.childNodes.forEach((child) => {
+        if (child.nodeType === 3) {
+          const text = child.nodeValue;
+          if (/^[ \t\r\n]*$/.test(text) && (TABLE_PARTS.includes(node.nodeName) || (!inPre && text.includes('\n')))) return;
+          if (text.includes('\n')) needsBreak = false;
+          out += text;
+        } else if (child.nodeType === 1) {
+          if (child.nodeName === 'BR') {
+            out += '\n';
+            needsBreak = false;
+          } else if (isLineElement(child)) {
+            if (needsBreak) out += '\n';
+            needsBreak = false;
+            const start = out.length;
+            walk(child, inPre);
+            needsBreak = !(out.length > start && out.endsWith('\n'));
+          } else {
+            walk(child, inPre || child.nodeName === 'PRE');
+          }
+        }
+      });
+    };
+    walk(clone, clone.nodeName === 'PRE');
+    return out.replace(/\u00a0/g, ' ');
+  }
+
+  /**
+   * Remove controls placed next to the block inside its highlighter wrapper:
+   * sibling buttons, or sibling button groups that hold no code of their own.
+   */
+  function removeAdjacentControls(el) {
+    const wrapper = el.parentElement;
+    if (!wrapper || !wrapper.matches(WRAPPER_SELECTOR)) return;
+    Array.from(wrapper.children).forEach((sibling) => {
+      if (sibling === el) return;
+      if (sibling.matches(CONTROL_SELECTOR)) sibling.remove();
+      else if (!sibling.querySelector('pre, code')) sibling.querySelectorAll(CONTROL_SELECTOR).forEach((control) => control.remove());
+    });
+  }
+
+  function replaceWithPlainBlock(el) {
+    const doc = el.ownerDocument;
+    const language = detectCodeLanguage(el);
+    const text = getCodeText(el);
+    removeAdjacentControls(el);
+
+    const pre = doc.createElement('pre');
+    const code = doc.createElement('code');
+    if (language) code.setAttribute('class', `language-${language}`);
+    code.textContent = text;
+    pre.appendChild(code);
+    el.replaceWith(pre);
+  }
+
+  /**
+   * Rewrite every code block under `root` to `<pre><code class="language-x">`
+   * in place. Returns the number of blocks rewritten.
+   */
+  function normalizeCodeBlocks(root) {
+    let count = 0;
+    root.querySelectorAll(CONTAINER_SELECTOR).forEach((container) => {
+      // Skip containers nested in one already replaced
+      if (!root.contains(container)) return;
+      replaceWithPlainBlock(container);
+      count++;
+    });
+    root.querySelectorAll('pre').forEach((pre) => {
+      if (!root.contains(pre) || (pre.parentElement && pre.parentElement.closest('pre'))) return;
+      replaceWithPlainBlock(pre);
+      count++;
+    });
+    return count;
+  }
+
+  return {
+    detectCodeLanguage,
+    getCodeText,
+    normalizeCodeBlocks
+  };
+});
@@ -0,0 +1,251 @@
+/**
+ * Readability-style main-content scoring.
+ *
+ * Used when no site handler's selectors match. Paragraph-like elements award
+ * points to their ancestors (more for long, comma-rich text); each ancestor's
+ * total is then adjusted for class/id hints, link density and text density,
+ * and the best candidate is merged with qualifying sibling blocks.
+ *
+ * The module only touches the document it is handed (never globals), so it can
+ * be injected into a page (sets `globalThis.__WCM_SCORER__`) and required in
+ * Node against a jsdom document for testing.
+ */
+(function (root, factory) {
+  'use strict';
+  const api = factory();
+  if (root) root.__WCM_SCORER__ = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // Elements whose own text is scored and credited to their ancestors
+  const SCORABLE_TAGS = ['P', 'PRE', 'TD', 'BLOCKQUOTE', 'LI', 'DD'];
+
+  // Paragraphs inside these never count towards the main content. The data-
+  // attributes are set on hidden elements by the extractor before scoring.
+  const EXCLUDED_ANCESTORS =
+    'nav, aside, footer, header, form, [role="navigation"], [role="complementary"], [role="contentinfo"], ' +
+    '[data-wcm-hidden], [data-wcm-sr-only]';
+
+  const POSITIVE_HINTS =
+    /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story|prose/i;
+  const NEGATIVE_HINTS =
+    /hidden|banner|combx|comment|com-|contact|foot|footer|footnote|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|nav|menu|breadcrumb|cookie|popup|modal|newsletter|subscribe/i;
+
+  const MIN_PARAGRAPH_LENGTH = 25;    // Shorter paragraphs are ignored when scoring
+  const MIN_CANDIDATE_LENGTH = 100;   // The winner must hold at least this much text
+  const MIN_TEXT_DENSITY = 20;        // Chars of text per element below which a candidate is penalized
+  const MAX_ANCESTOR_LEVELS = 3;      // How far up a paragraph's score propagates
+  const SIBLING_SCORE_RATIO = 0.2;    // Siblings scoring this fraction of the winner are merged
+
+  function textOf(el) {
+    return (el.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  function countCommas(text) {
+    return (text.match(/[,،、，]/g) || []).length;
+  }
+
+  /**
+   * Fraction of an element's text that sits inside links (0..1).
+   */
+  function getLinkDensity(el) {
+    const textLength = textOf(el).length;
+    if (!textLength) return 0;
+    let linkLength = 0;
+    el.querySelectorAll('a').forEach((a) => {
+      linkLength += textOf(a).length;
+    });
+    return Math.min(1, linkLength / textLength);
+  }
+
+  /**
+   * Average text per descendant element. Boilerplate (menus, card grids) has
+   * lots of markup per character of text; prose has little.
+   */
+  function getTextDensity(el) {
+    const elementCount = el.getElementsByTagName('*').length + 1;
+    return textOf(el).length / elementCount;
+  }
+
+  /**
+   * +/-25 for each of class and id matching the positive/negative hint lists.
+   */
+  function getClassWeight(el) {
+    let weight = 0;
+    for (const value of [el.getAttribute('class'), el.getAttribute('id')]) {
+      if (!value) continue;
+      if (NEGATIVE_HINTS.test(value)) weight -= 25;
+      if (POSITIVE_HINTS.test(value)) weight += 25;
+    }
+    return weight;
+  }
+
+  function getTagWeight(el) {
+    switch (el.nodeName) {
+      case 'ARTICLE':
+        return 10;
+      case 'MAIN':
+      case 'SECTION':
+      case 'DIV':
+        return 5;
+      case 'PRE':
+      case 'TD':
+      case 'BLOCKQUOTE':
+        return 3;
+      case 'ADDRESS':
+      case 'OL':
+      case 'UL':
+      case 'DL':
+      case 'DD':
+      case 'DT':
+      case 'LI':
+      case 'FORM':
+        return -3;
+      case 'H1':
+      case 'H2':
+      case 'H3':
+      case 'H4':
+      case 'H5':
+      case 'H6':
+      case 'TH':
+        return -5;
+      default:
+        return 0;
+    }
+  }
+
+  function getRoleWeight(el) {
+    const role = el.getAttribute('role');
+    if (role === 'main' || role === 'article') return 10;
+    return 0;
+  }
+
+  function isScorableParagraph(el) {
+    if (!SCORABLE_TAGS.includes(el.nodeName)) return false;
+    // List items and cells only count when they hold prose, not when they
+    // merely wrap nested paragraphs (which are scored themselves).
+    if (el.querySelector('p, pre, blockquote')) return false;
+    return !el.closest(EXCLUDED_ANCESTORS);
+  }
+
+  /**
+   * Score every ancestor of every qualifying paragraph. Returns candidates
+   * sorted best first: `{ element, score, textLength, linkDensity,
+   * textDensity, paragraphCount }`.
+   */
+  function scoreCandidates(doc) {
+    const body = doc.body;
+    if (!body) return [];
+
+    const entries = new Map();
+    const entryFor = (el) => {
+      let entry = entries.get(el);
+      if (!entry) {
+        entry = {
+          element: el,
+          score: getTagWeight(el) + getClassWeight(el) + getRoleWeight(el),
+          paragraphCount: 0
+        };
+        entries.set(el, entry);
+      }
+      return entry;
+    };
+
+    body.querySelectorAll(SCORABLE_TAGS.join(',')).forEach((paragraph) => {
+      if (!isScorableParagraph(paragraph)) return;
+      const text = textOf(paragraph);
+      if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+      // One point for the paragraph, one per comma, one per 100 chars (max 3)
+      const points = 1 + countCommas(text) + Math.min(Math.floor(text.length / 100), 3);
+
+      let ancestor = paragraph.parentElement;
+      for (let level = 0; ancestor && level < MAX_ANCESTOR_LEVELS; level++) {
+        const entry = entryFor(ancestor);
+        // Parent gets full credit, grandparent half, beyond that a third per level
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        entry.score += points / divider;
+        if (level === 0) entry.paragraphCount++;
+        if (ancestor === body) break;
+        ancestor = ancestor.parentElement;
+      }
+    });
+
+    const candidates = [];
+    entries.forEach((entry) => {
+      const linkDensity = getLinkDensity(entry.element);
+      const textDensity = getTextDensity(entry.element);
+      let score = entry.score * (1 - linkDensity);
+      if (textDensity < MIN_TEXT_DENSITY) score *= textDensity / MIN_TEXT_DENSITY;
+      candidates.push({
+        element: entry.element,
+        score,
+        textLength: textOf(entry.element).length,
+        linkDensity,
+        textDensity,
+        paragraphCount: entry.paragraphCount
+      });
+    });
+
+    return candidates.sort((a, b) => b.score - a.score);
+  }
+
+  function shouldMergeSibling(sibling, top, scores, threshold) {
+    const entry = scores.get(sibling);
+    let bonus = 0;
+    const topClass = top.element.getAttribute('class');
+    if (topClass && sibling.getAttribute('class') === topClass) {
+      bonus += top.score * SIBLING_SCORE_RATIO;
+    }
+    if (entry && entry.score + bonus >= threshold) return true;
+
+    if (sibling.nodeName === 'P') {
+      const text = textOf(sibling);
+      const linkDensity = getLinkDensity(sibling);
+      if (text.length > 80 && linkDensity < 0.25) return true;
+      if (text.length > 0 && linkDensity === 0 && /\.( |$)/.test(text)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Pick the main content of `doc`. Returns `{ element, candidates, merged }`
+   * or null when no candidate holds enough text. `element` is the live winner,
+   * or — when siblings qualified — a detached `div` holding clones of the
+   * winner and its siblings in document order.
+   */
+  function findMainContent(doc) {
+    const candidates = scoreCandidates(doc);
+    const top = candidates.find((candidate) => candidate.element !== doc.body);
+    if (!top || top.textLength < MIN_CANDIDATE_LENGTH) {
+      return null;
+    }
+
+    const parent = top.element.parentElement;
+    if (!parent) return { element: top.element, candidates, merged: false };
+
+    const scores = new Map(candidates.map((candidate) => [candidate.element, candidate]));
+    const threshold = Math.max(10, top.score * SIBLING_SCORE_RATIO);
+    const blocks = Array.from(parent.children).filter(
+      (sibling) => sibling === top.element || shouldMergeSibling(sibling, top, scores, threshold)
+    );
+
+    if (blocks.length === 1) {
+      return { element: top.element, candidates, merged: false };
+    }
+
+    const container = doc.createElement('div');
+    blocks.forEach((block) => container.appendChild(block.cloneNode(true)));
+    return { element: container, candidates, merged: true };
+  }
+
+  return {
+    MIN_CANDIDATE_LENGTH,
+    getLinkDensity,
+    getTextDensity,
+    getClassWeight,
+    scoreCandidates,
+    findMainContent
+  };
+});
@@ -0,0 +1,434 @@
+/**
+ * User-defined site handlers: validation, compilation, import/export and
+ * `chrome.storage.sync` persistence. The list is stored as JSON text split
+ * over numbered keys, since sync storage caps each item at 8 KB; a list too
+ * large for sync storage altogether is kept in `chrome.storage.local`.
+ *
+ * Handlers are stored as plain JSON definitions (functions can't be stored or
+ * passed to an injected script) and compiled into the same shape as the
+ * built-in `SITE_HANDLERS` entries in `lib/markdown-cleanup.js`:
+ *
+ *   {
+ *     "id": "acme-docs",
+ *     "match": "docs.acme.com",          // hostname, *.host glob, or URL glob
+ *     "contentSelectors": ["main .doc"],
+ *     "removeSelectors": [".feedback"],
+ *     "fixRunTogether": false,
+ *     "titleRules": [{ "pattern": "\\s*\\|\\s*Acme$", "flags": "", "replacement": "" }],
+ *     "markdownRules": [{ "pattern": "^Was this helpful\\?.*$", "flags": "gm", "replacement": "" }]
+ *   }
+ *
+ * Injected into the page (sets `globalThis.__WCM_CUSTOM_HANDLERS__`), loaded
+ * by the popup, options page and service worker, and required in Node tests.
+ */
+(function (root, factory) {
+  'use strict';
+  const api = factory();
+  if (root) root.__WCM_CUSTOM_HANDLERS__ = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const STORAGE_KEY = 'customHandlers';
+  const PACK_VERSION = 1;
+
+  const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+  const FLAGS_PATTERN = /^(?!.*(.).*\1)[dgimsuy]*$/; // valid, non-repeated flags
+
+  // One rule per line in the editor: /pattern/flags -> replacement
+  const RULE_LINE_PATTERN = /^\/(.+?)\/([a-z]*)(?:\s+->\s?(.*))?$/;
+
+  /**
+   * Selector syntax check using a DOM when one is available. Node tests pass
+   * their own checker (jsdom); without any DOM, selectors are accepted.
+   */
+  function defaultSelectorChecker(selector) {
+    if (typeof document === 'undefined') return true;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * `*` matches any run of characters. Patterns with a "/" are matched against
+   * the URL (without the scheme when the pattern has none); others against
+   * the hostname, where a plain domain also matches its subdomains.
+   */
+  function compileMatcher(pattern) {
+    pattern = pattern.trim().toLowerCase();
+    const toRegExp = (glob) => new RegExp('^' + glob.split('*').map(escapeRegExp).join('.*') + '$');
+
+    if (pattern.includes('/')) {
+      const hasScheme = /^[a-z][a-z0-9+.-]*:\/\//.test(pattern);
+      const regex = toRegExp(pattern);
+      return (hostname, url) => {
+        if (!url) return false;
+        url = url.toLowerCase().replace(/#.*$/, '');
+        return regex.test(hasScheme ? url : url.replace(/^[a-z][a-z0-9+.-]*:\/\//, ''));
+      };
+    }
+
+    if (pattern.includes('*')) {
+      const regex = toRegExp(pattern);
+      return (hostname) => Boolean(hostname) && regex.test(hostname.toLowerCase());
+    }
+
+    return (hostname) => {
+      hostname = (hostname || '').toLowerCase();
+      return hostname === pattern || hostname.endsWith('.' + pattern);
+    };
+  }
+
+  function validateRules(rules, name, errors) {
+    if (rules === undefined) return;
+    if (!Array.isArray(rules)) {
+      errors.push(`${name} must be a list`);
+      return;
+    }
+    rules.forEach((rule, i) => {
+      if (!rule || typeof rule.pattern !== 'string' || !rule.pattern) {
+        errors.push(`${name}[${i}]: pattern is required`);
+        return;
+      }
+      const flags = rule.flags || '';
+      if (!FLAGS_PATTERN.test(flags)) {
+        errors.push(`${name}[${i}]: invalid flags "${flags}"`);
+        return;
+      }
+      if (rule.replacement !== undefined && typeof rule.replacement !== 'string') {
+        errors.push(`${name}[${i}]: replacement must be text`);
+      }
+      try {
+        new RegExp(rule.pattern, flags);
+      } catch (e) {
+        errors.push(`${name}[${i}]: ${e.message}`);
+      }
+    });
+  }
+
+  function validateSelectors(selectors, name, errors, checkSelector) {
+    if (selectors === undefined) return;
+    if (!Array.isArray(selectors)) {
+      errors.push(`${name} must be a list`);
+      return;
+    }
+    selectors.forEach((selector, i) => {
+      if (typeof selector !== 'string' || !selector.trim()) {
+        errors.push(`${name}[${i}]: selector is empty`);
+      } else if (!checkSelector(selector)) {
+        errors.push(`${name}[${i}]: invalid selector "${selector}"`);
+      }
+    });
+  }
+
+  /**
+   * Returns a list of human-readable problems (empty when the definition is
+   * valid). `opts.checkSelector` overrides the DOM-based selector check.
+   */
+  function validateHandler(def, opts) {
+    const checkSelector = (opts && opts.checkSelector) || defaultSelectorChecker;
+    const errors = [];
+
+    if (!def || typeof def !== 'object' || Array.isArray(def)) {
+      return ['Handler must be an object'];
+    }
+    if (typeof def.id !== 'string' || !ID_PATTERN.test(def.id)) {
+      errors.push('id must be letters, digits, "-" or "_"');
+    }
+    if (typeof def.match !== 'string' || !def.match.trim()) {
+      errors.push('match is required (hostname or URL pattern)');
+    }
+    validateSelectors(def.contentSelectors, 'contentSelectors', errors, checkSelector);
+    validateSelectors(def.removeSelectors, 'removeSelectors', errors, checkSelector);
+    if (def.fixRunTogether !== undefined && typeof def.fixRunTogether !== 'boolean') {
+      errors.push('fixRunTogether must be true or false');
+    }
+    validateRules(def.titleRules, 'titleRules', errors);
+    validateRules(def.markdownRules, 'markdownRules', errors);
+
+    return errors;
+  }
+
+  /**
+   * Validate a whole list, including id uniqueness. Returns `{ valid, errors }`
+   * where `errors` maps handler ids (or "#index") to their problems.
+   */
+  function validateHandlers(defs, opts) {
+    const errors = {};
+    const seen = new Set();
+    (defs || []).forEach((def, i) => {
+      const key = def && typeof def.id === 'string' && def.id ? def.id : `#${i + 1}`;
+      const problems = validateHandler(def, opts);
+      if (seen.has(key)) problems.push(`duplicate id "${key}"`);
+      seen.add(key);
+      if (problems.length) errors[key] = problems;
+    });
+    return { valid: Object.keys(errors).length === 0, errors };
+  }
+
+  /**
+   * Keep only known keys, trimming selectors and dropping empty ones.
+   */
+  function normalizeHandler(def) {
+    const cleanList = (list) => (Array.isArray(list) ? list.map((s) => String(s).trim()).filter(Boolean) : []);
+    const cleanRules = (rules) => (Array.isArray(rules) ? rules : []).map((rule) => ({
+      pattern: rule.pattern,
+      flags: rule.flags || '',
+      replacement: rule.replacement || ''
+    }));
+    return {
+      id: String(def.id).trim(),
+      match: String(def.match).trim(),
+      contentSelectors: cleanList(def.contentSelectors),
+      removeSelectors: cleanList(def.removeSelectors),
+      fixRunTogether: Boolean(def.fixRunTogether),
+      titleRules: cleanRules(def.titleRules),
+      markdownRules: cleanRules(def.markdownRules)
+    };
+  }
+
+  function applyRules(text, rules) {
+    return rules.reduce((out, rule) => out.replace(rule.regex, rule.replacement), text);
+  }
+
+  function compileRules(rules) {
+    return rules.map((rule) => ({
+      regex: new RegExp(rule.pattern, rule.flags),
+      replacement: rule.replacement
+    }));
+  }
+
+  /**
+   * Turn a definition into a site handler, or null if it is invalid.
+   */
+  function compileHandler(def, opts) {
+    if (validateHandler(def, opts).length) return null;
+    def = normalizeHandler(def);
+
+    const titleRules = compileRules(def.titleRules);
+    const markdownRules = compileRules(def.markdownRules);
+    const handler = {
+      id: def.id,
+      custom: true,
+      match: compileMatcher(def.match),
+      contentSelectors: def.contentSelectors,
+      removeSelectors: def.removeSelectors,
+      fixRunTogether: def.fixRunTogether
+    };
+    if (titleRules.length) {
+      handler.cleanTitle = (title) => applyRules(title, titleRules).trim();
+    }
+    if (markdownRules.length) {
+      handler.cleanMarkdown = (markdown) => applyRules(markdown, markdownRules);
+    }
+    return handler;
+  }
+
+  function compileHandlers(defs, opts) {
+    return (defs || []).map((def) => compileHandler(def, opts)).filter(Boolean);
+  }
+
+  /**
+   * Rules as editor text, one `/pattern/flags -> replacement` per line.
+   */
+  function formatRuleLines(rules) {
+    return (rules || [])
+      .map((rule) => `/${rule.pattern}/${rule.flags || ''}` + (rule.replacement ? ` -> ${rule.replacement}` : ''))
+      .join('\n');
+  }
+
+  /**
+   * Parse editor text back into rules. Returns `{ rules, errors }`.
+   */
+  function parseRuleLines(text) {
+    const rules = [];
+    const errors = [];
+    String(text || '').split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      const match = line.trim().match(RULE_LINE_PATTERN);
+      if (!match) {
+        errors.push(`line ${i + 1}: expected /pattern/flags -> replacement`);
+        return;
+      }
+      rules.push({ pattern: match[1], flags: match[2], replacement: match[3] || '' });
+    });
+    return { rules, errors };
+  }
+
+  function serializeHandlerPack(defs) {
+    return JSON.stringify({ version: PACK_VERSION, handlers: defs.map(normalizeHandler) }, null, 2);
+  }
+
+  /**
+   * Parse an exported pack (or a bare array of handlers). Returns
+   * `{ handlers, errors }`; only valid handlers are returned.
+   */
+  function parseHandlerPack(text, opts) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      return { handlers: [], errors: { file: [`Not valid JSON: ${e.message}`] } };
+    }
+    const defs = Array.isArray(data) ? data : data && Array.isArray(data.handlers) ? data.handlers : null;
+    if (!defs) {
+      return { handlers: [], errors: { file: ['Expected a list of handlers'] } };
+    }
+    const { errors } = validateHandlers(defs, opts);
+    const handlers = defs
+      .filter((def) => !validateHandler(def, opts).length)
+      .map(normalizeHandler);
+    return { handlers, errors };
+  }
+
+  /**
+   * Merge imported handlers into the current list; same ids are replaced.
+   */
+  function mergeHandlers(current, incoming) {
+    const byId = new Map(current.map((def) => [def.id, def]));
+    incoming.forEach((def) => byId.set(def.id, def));
+    return Array.from(byId.values());
+  }
+
+  /**
+   * A handler definition for `hostname` from selectors picked on the page
+   * with the element picker (`{ include, exclude }`), keeping the rules of an
+   * earlier one picked for the same site. Included selectors become content
+   * selectors, so the first of them that matches wins on later pages.
+   */
+  function buildPickedHandler(hostname, pick, current) {
+    const host = String(hostname || '').replace(/^www\./, '');
+    const id = 'picked-' + host.replace(/[^a-z0-9_-]+/gi, '-');
+    const previous = (current || []).find((def) => def.id === id);
+    return normalizeHandler({
+      ...previous,
+      id,
+      match: host,
+      contentSelectors: pick.include,
+      removeSelectors: pick.exclude
+    });
+  }
+
+  // chrome.storage.sync.QUOTA_BYTES_PER_ITEM, counting the key and the JSON
+  // of the value
+  const SYNC_ITEM_BYTES = 8192;
+
+  function isQuotaError(error) {
+    return /quota|MAX_ITEMS/i.test(String(error && error.message));
+  }
+
+  /** Split `text` into pieces whose JSON stays within one sync item. */
+  function chunkForSync(text) {
+    const encoder = new TextEncoder();
+    const room = SYNC_ITEM_BYTES - `${STORAGE_KEY}.999`.length - 2;
+    const chunks = [];
+    let chunk = '';
+    let size = 0;
+    for (const char of text) {
+      const bytes = encoder.encode(JSON.stringify(char)).length - 2;
+      if (size + bytes > room) {
+        chunks.push(chunk);
+        chunk = '';
+        size = 0;
+      }
+      chunk += char;
+      size += bytes;
+    }
+    chunks.push(chunk);
+    return chunks;
+  }
+
+  /**
+   * `STORAGE_KEY` holds the number of chunks, written in the same call as
+   * the chunks so a reader never sees a count without its chunks. Chunks
+   * left over from a longer list are removed afterwards.
+   */
+  async function writeToSync(handlers) {
+    const previous = (await chrome.storage.sync.get(STORAGE_KEY))[STORAGE_KEY];
+    const chunks = chunkForSync(JSON.stringify(handlers));
+    const items = { [STORAGE_KEY]: chunks.length };
+    chunks.forEach((chunk, i) => {
+      items[`${STORAGE_KEY}.${i}`] = chunk;
+    });
+    await chrome.storage.sync.set(items);
+    const stale = [];
+    for (let i = chunks.length; i < (Number.isInteger(previous) ? previous : 0); i++) stale.push(`${STORAGE_KEY}.${i}`);
+    if (stale.length) await chrome.storage.sync.remove(stale);
+  }
+
+  async function readFromSync() {
+    const count = (await chrome.storage.sync.get(STORAGE_KEY))[STORAGE_KEY];
+    // Lists saved before chunking are a plain array
+    if (Array.isArray(count)) return count;
+    if (!Number.isInteger(count) || count < 1) return [];
+    const keys = Array.from({ length: count }, (_, i) => `${STORAGE_KEY}.${i}`);
+    const chunks = await chrome.storage.sync.get(keys);
+    try {
+      return JSON.parse(keys.map((key) => chunks[key]).join(''));
+    } catch (e) {
+      // Chunks from another device still arriving
+      return [];
+    }
+  }
+
+  async function loadCustomHandlers() {
+    // A local copy only exists while the list is too large to sync
+    const local = (await chrome.storage.local.get(STORAGE_KEY))[STORAGE_KEY];
+    const defs = Array.isArray(local) ? local : await readFromSync();
+    return (Array.isArray(defs) ? defs : []).filter((def) => !validateHandler(def).length).map(normalizeHandler);
+  }
+
+  /**
+   * Validate and store the full list. Rejects with the problems if any
+   * handler is invalid, so nothing half-valid is saved. A list over the sync
+   * quota is saved on this device only; if even that fails, the rejection
+   * says how large the list is.
+   */
+  async function saveCustomHandlers(defs) {
+    const { valid, errors } = validateHandlers(defs);
+    if (!valid) {
+      const detail = Object.entries(errors).map(([id, problems]) => `${id}: ${problems.join('; ')}`);
+      throw new Error(detail.join('\n'));
+    }
+    const handlers = defs.map(normalizeHandler);
+    try {
+      await writeToSync(handlers);
+      await chrome.storage.local.remove(STORAGE_KEY);
+    } catch (error) {
+      if (!isQuotaError(error)) throw error;
+      try {
+        await chrome.storage.local.set({ [STORAGE_KEY]: handlers });
+      } catch (localError) {
+        if (!isQuotaError(localError)) throw localError;
+        const size = new TextEncoder().encode(JSON.stringify(handlers)).length;
+        throw new Error(`Not enough storage for ${handlers.length} site handlers (${Math.ceil(size / 1024)} KB): ${localError.message}`);
+      }
+    }
+    return handlers;
+  }
+
+  return {
+    STORAGE_KEY,
+    compileMatcher,
+    validateHandler,
+    validateHandlers,
+    normalizeHandler,
+    compileHandler,
+    compileHandlers,
+    formatRuleLines,
+    parseRuleLines,
+    serializeHandlerPack,
+    parseHandlerPack,
+    mergeHandlers,
+    buildPickedHandler,
+    loadCustomHandlers,
+    saveCustomHandlers
+  };
+});
@@ -0,0 +1,205 @@
+/**
+ * Per-run extraction diagnostics: which handler matched, how the content
+ * element was chosen, what the cleanup selectors removed (and which of them
+ * were invalid), and how long each phase took.
+ *
+ * The extractor records a run with `createRecorder` and returns
+ * `recorder.toJSON()` as `result.diagnostics` (plain data, so it survives
+ * `chrome.scripting.executeScript`); the popup's Details panel shows it with
+ * `formatDiagnostics`. Injected into the page before the extractor and loaded
+ * by the popup (sets `globalThis.__WCM_DIAGNOSTICS__`); required in Node for
+ * unit testing.
+ */
+(function (root, factory) {
+  'use strict';
+  const api = factory();
+  if (root) root.__WCM_DIAGNOSTICS__ = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const MAX_CANDIDATES = 5;   // Scorer candidates kept in the report
+  const MAX_CLASSES = 3;      // Classes shown per element descriptor
+
+  function textLength(el) {
+    return (el.textContent || '').replace(/\s+/g, ' ').trim().length;
+  }
+
+  function round(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }
+
+  /**
+   * Short CSS-like label for an element: `div#main.post.entry`.
+   */
+  function describeElement(el) {
+    if (!el || !el.nodeName) return '';
+    let label = el.nodeName.toLowerCase();
+    if (el.id) label += `#${el.id}`;
+    const classes = (el.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+    if (classes.length) {
+      label += '.' + classes.slice(0, MAX_CLASSES).join('.');
+      if (classes.length > MAX_CLASSES) label += '…';
+    }
+    return label;
+  }
+
+  /**
+   * Start recording one extraction run. `now` returns milliseconds
+   * (defaults to `performance.now`).
+   */
+  function createRecorder(opts) {
+    opts = opts || {};
+    const now = opts.now || (() => performance.now());
+    const started = now();
+    const data = {
+      handler: null,
+      content: { source: null, selector: null, element: null, path: [], candidates: [], merged: false },
+      removals: [],
+      invalidSelectors: [],
+      transforms: {},
+      phases: [],
+      totalMs: 0
+    };
+
+    return {
+      setHandler(handler) {
+        data.handler = handler ? { id: handler.id || '(unnamed)', custom: Boolean(handler.custom) } : null;
+      },
+
+      /**
+       * One step of the content search: the picked elements, a handler
+       * selector that was tried, the scorer, the body fallback or the
+       * selection.
+       */
+      step(source, detail) {
+        data.content.path.push({ source, ...detail });
+      },
+
+      /**
+       * The content element that was used, and where it came from.
+       */
+      chose(source, element, selector) {
+        data.content.source = source;
+        data.content.selector = selector || null;
+        data.content.element = describeElement(element);
+      },
+
+      /**
+       * Scorer candidates, best first, with their share of the body's text.
+       */
+      candidates(list, body, merged) {
+        const bodyLength = body ? textLength(body) : 0;
+        data.content.merged = Boolean(merged);
+        data.content.candidates = (list || []).slice(0, MAX_CANDIDATES).map((candidate) => ({
+          element: describeElement(candidate.element),
+          score: round(candidate.score, 1),
+          textLength: candidate.textLength,
+          textRatio: bodyLength ? round(candidate.textLength / bodyLength, 2) : 0,
+          linkDensity: round(candidate.linkDensity, 2),
+          textDensity: round(candidate.textDensity, 1),
+          paragraphs: candidate.paragraphCount
+        }));
+      },
+
+      removed(source, selector, count) {
+        data.removals.push({ source, selector, count });
+      },
+
+      invalid(source, selector, error) {
+        data.invalidSelectors.push({ source, selector, error: (error && error.message) || String(error) });
+      },
+
+      transform(name, count) {
+        data.transforms[name] = count;
+      },
+
+      /**
+       * Run `fn` as the named phase and record its duration.
+       */
+      phase(name, fn) {
+        const start = now();
+        try {
+          return fn();
+        } finally {
+          data.phases.push({ name, ms: round(now() - start, 1) });
+        }
+      },
+
+      toJSON() {
+        return { ...data, totalMs: round(now() - started, 1) };
+      }
+    };
+  }
+
+  function formatStep(step) {
+    if (step.source === 'handler') {
+      if (step.error) return `handler selector ${step.selector}: invalid (${step.error})`;
+      if (!step.found) return `handler selector ${step.selector}: no match`;
+      return `handler selector ${step.selector}: ${step.textLength} chars` +
+        (step.accepted ? '' : ` (under ${step.minLength})`);
+    }
+    if (step.source === 'scorer') {
+      return step.found ? `scorer: ${step.element}` : 'scorer: no candidate with enough text';
+    }
+    if (step.source === 'picker') return `picked: ${step.found} element(s) for ${step.selectors} selector(s)`;
+    if (step.source === 'selection') return `selection: ${step.ranges} range(s)`;
+    return 'body';
+  }
+
+  /**
+   * The diagnostics as plain text for the popup's Details panel.
+   */
+  function formatDiagnostics(diagnostics) {
+    if (!diagnostics) return '';
+    const lines = [];
+    const { handler, content } = diagnostics;
+
+    lines.push(`Handler: ${handler ? handler.id + (handler.custom ? ' (custom)' : '') : 'none'}`);
+    let chosen = `Content: ${content.source || 'unknown'}`;
+    if (content.selector) chosen += ` via ${content.selector}`;
+    if (content.element) chosen += ` → ${content.element}`;
+    if (content.merged) chosen += ' + merged siblings';
+    lines.push(chosen);
+    content.path.forEach((step, i) => lines.push(`  ${i + 1}. ${formatStep(step)}`));
+
+    if (content.candidates.length) {
+      lines.push('', 'Candidates (score · chars · share of page · link density):');
+      content.candidates.forEach((candidate) => {
+        lines.push(
+          `  ${candidate.element}  ${candidate.score} · ${candidate.textLength} · ` +
+          `${Math.round(candidate.textRatio * 100)}% · ${candidate.linkDensity}`
+        );
+      });
+    }
+
+    const removed = diagnostics.removals.filter((removal) => removal.count);
+    if (removed.length) {
+      lines.push('', 'Removed:');
+      removed.forEach((removal) => lines.push(`  ${removal.count} × ${removal.selector} (${removal.source})`));
+    }
+
+    if (diagnostics.invalidSelectors.length) {
+      lines.push('', 'Invalid selectors:');
+      diagnostics.invalidSelectors.forEach((entry) => {
+        lines.push(`  ${entry.selector} (${entry.source}): ${entry.error}`);
+      });
+    }
+
+    const transforms = Object.entries(diagnostics.transforms).filter(([, count]) => count);
+    if (transforms.length) {
+      lines.push('', 'Rewritten: ' + transforms.map(([name, count]) => `${count} ${name}`).join(', '));
+    }
+
+    lines.push('', `Timing: ${diagnostics.totalMs} ms total`);
+    diagnostics.phases.forEach((phase) => lines.push(`  ${phase.name}: ${phase.ms} ms`));
+    return lines.join('\n');
+  }
+
+  return {
+    describeElement,
+    createRecorder,
+    formatDiagnostics
+  };
+});
@@ -0,0 +1,284 @@
+/**
+ * Visual element picker: an overlay for pointing at the content instead of
+ * writing selectors.
+ *
+ * Hovering highlights the element under the pointer; a click includes it as
+ * (part of) the content, a shift-click excludes it, clicking it again clears
+ * it. Enter or "Done" reports the picks as CSS selectors through
+ * `opts.onDone({ include, exclude, save })`; Escape or "Cancel" closes the
+ * picker without picking. The extractor takes the selectors as
+ * `options.pick` (see content/extractor.js).
+ *
+ * The overlay lives in a closed shadow root so page styles cannot reach it,
+ * and page handlers never see the picking clicks. Injected into the page by
+ * the popup (sets `globalThis.__WCM_PICKER__`) and required in Node for unit
+ * testing with jsdom.
+ */
+(function (root, factory) {
+  'use strict';
+  const api = factory();
+  if (root) root.__WCM_PICKER__ = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const HOST_ATTR = 'data-wcm-picker';
+
+  // Ids and classes that change between page loads or builds (hashes, CSS-in-JS
+  // names, long numbers) make selectors that would not work next time
+  const GENERATED_NAME = /\d{4,}|[0-9a-f]{8,}|^(?:css|sc|jsx|svelte|emotion|styled)-|^_[\w-]{5,}$/i;
+  // Classes describing a passing state rather than the element
+  const STATE_CLASS = /^(?:is|has)-|^(?:active|hover|focus|selected|open|visible|show)$/i;
+  const MAX_CLASSES = 2;
+
+  // Page events swallowed while picking, so links and widgets stay put
+  const BLOCKED_EVENTS = ['mousedown', 'mouseup', 'click', 'dblclick', 'pointerdown', 'pointerup', 'contextmenu'];
+
+  const STYLE = `
+    :host { all: initial; }
+    .box { position: fixed; pointer-events: none; box-sizing: border-box; z-index: 2147483646; border-radius: 2px; }
+    .hover { border: 2px dashed #2A9D8F; background: rgba(42, 157, 143, 0.08); }
+    .include { border: 2px solid #2A9D8F; background: rgba(42, 157, 143, 0.15); }
+    .exclude { border: 2px solid #d32f2f; background: rgba(211, 47, 47, 0.15); }
+    .bar {
+      position: fixed; left: 50%; bottom: 16px; transform: translateX(-50%); z-index: 2147483647;
+      display: flex; align-items: center; gap: 12px; padding: 10px 14px; border-radius: 8px;
+      background: #1f2933; color: #fff; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+      font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+    .hint { color: #cbd2d9; }
+    label { display: flex; align-items: center; gap: 4px; cursor: pointer; }
+    button { font: inherit; padding: 4px 12px; border: none; border-radius: 4px; cursor: pointer; }
+    .done { background: #2A9D8F; color: #fff; }
+    .cancel { background: #52606d; color: #fff; }
+  `;
+
+  let active = null; // the running picker, so launching again replaces it
+
+  function cssEscape(value) {
+    if (typeof CSS !== 'undefined' && CSS.escape) return CSS.escape(value);
+    return String(value)
+      .replace(/[^\w-]/g, '\\$&')
+      .replace(/^(-?)(\d)/, (match, dash, digit) => `${dash}\\3${digit} `);
+  }
+
+  function isUnique(doc, selector, el) {
+    try {
+      const matches = doc.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === el;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function stableClasses(el) {
+    return (el.getAttribute('class') || '')
+      .split(/\s+/)
+      .filter((name) => name && !GENERATED_NAME.test(name) && !STATE_CLASS.test(name))
+      .slice(0, MAX_CLASSES);
+  }
+
+  function stableId(el) {
+    return el.id && !GENERATED_NAME.test(el.id) ? `#${cssEscape(el.id)}` : null;
+  }
+
+  /**
+   * Tag plus stable classes, with `:nth-of-type` when that still leaves
+   * siblings it could be confused with.
+   */
+  function stepSelector(el) {
+    let step = el.nodeName.toLowerCase() + stableClasses(el).map((name) => `.${cssEscape(name)}`).join('');
+    const parent = el.parentElement;
+    if (parent) {
+      const lookalikes = Array.from(parent.children).filter((sibling) => sibling.matches(step));
+      if (lookalikes.length > 1) {
+        const sameTag = Array.from(parent.children).filter((sibling) => sibling.nodeName === el.nodeName);
+        step += `:nth-of-type(${sameTag.indexOf(el) + 1})`;
+      }
+    }
+    return step;
+  }
+
+  /**
+   * A CSS selector matching only `el` in its document, preferring ids and
+   * classes over positions so it has a chance of working on other pages of
+   * the site: `#content`, `article.post-body`, or a `>` path from the
+   * nearest ancestor with an id.
+   */
+  function getSelector(el) {
+    const doc = el.ownerDocument;
+    const id = stableId(el);
+    if (id && isUnique(doc, id, el)) return id;
+
+    const tagAndClasses = el.nodeName.toLowerCase() + stableClasses(el).map((name) => `.${cssEscape(name)}`).join('');
+    if (isUnique(doc, tagAndClasses, el)) return tagAndClasses;
+
+    const steps = [];
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const anchor = node !== el && stableId(node);
+      if (anchor && isUnique(doc, anchor, node)) {
+        steps.unshift(anchor);
+        break;
+      }
+      steps.unshift(stepSelector(node));
+      if (node.nodeName === 'BODY') break;
+      const selector = steps.join(' > ');
+      if (isUnique(doc, selector, el)) return selector;
+    }
+    return steps.join(' > ');
+  }
+
+  function createElement(doc, tag, className, text) {
+    const el = doc.createElement(tag);
+    if (className) el.className = className;
+    if (text) el.textContent = text;
+    return el;
+  }
+
+  function placeBox(box, el) {
+    const rect = el.getBoundingClientRect();
+    box.style.left = `${rect.left}px`;
+    box.style.top = `${rect.top}px`;
+    box.style.width = `${rect.width}px`;
+    box.style.height = `${rect.height}px`;
+  }
+
+  /**
+   * Show the picker over `opts.document` (defaults to the page). Calls
+   * `opts.onDone({ include, exclude, save })` with selector lists, or
+   * `opts.onCancel()`. Returns `{ finish, cancel }`.
+   */
+  function startPicker(opts) {
+    opts = opts || {};
+    if (active) active.cancel();
+    const doc = opts.document || document;
+    const view = doc.defaultView;
+    const hostname = (view && view.location.hostname) || '';
+
+    const host = createElement(doc, 'div');
+    host.setAttribute(HOST_ATTR, '');
+    const shadow = host.attachShadow({ mode: 'closed' });
+    shadow.appendChild(createElement(doc, 'style', '', STYLE));
+    const hoverBox = createElement(doc, 'div', 'box hover');
+    hoverBox.hidden = true;
+    const boxes = createElement(doc, 'div');
+    shadow.append(hoverBox, boxes);
+
+    const bar = createElement(doc, 'div', 'bar');
+    const hint = createElement(doc, 'span', 'hint');
+    const saveLabel = createElement(doc, 'label');
+    const saveBox = createElement(doc, 'input');
+    saveBox.type = 'checkbox';
+    saveLabel.append(saveBox, `Save for ${hostname.replace(/^www\./, '') || 'this site'}`);
+    const doneBtn = createElement(doc, 'button', 'done', 'Done');
+    const cancelBtn = createElement(doc, 'button', 'cancel', 'Cancel');
+    bar.append(hint, saveLabel, doneBtn, cancelBtn);
+    shadow.appendChild(bar);
+
+    const picks = new Map(); // element -> 'include' | 'exclude'
+    let hovered = null;
+
+    function render() {
+      boxes.replaceChildren();
+      picks.forEach((kind, el) => {
+        const box = createElement(doc, 'div', `box ${kind}`);
+        placeBox(box, el);
+        boxes.appendChild(box);
+      });
+      hoverBox.hidden = !hovered;
+      if (hovered) placeBox(hoverBox, hovered);
+      const included = Array.from(picks.values()).filter((kind) => kind === 'include').length;
+      hint.textContent = picks.size
+        ? `${included} included · ${picks.size - included} excluded`
+        : 'Click the content · Shift+click to exclude';
+    }
+
+    // Elements of the page proper: not the picker, not the document itself
+    function pageTarget(event) {
+      const target = event.target;
+      if (!target || target.nodeType !== 1 || target === host) return null;
+      if (target === doc.documentElement || target === doc.body) return null;
+      return target;
+    }
+
+    function onMove(event) {
+      const target = pageTarget(event);
+      if (target === hovered) return;
+      hovered = target;
+      render();
+    }
+
+    function onBlocked(event) {
+      if (event.target === host) return;
+      event.preventDefault();
+      event.stopPropagation();
+      if (event.type !== 'click') return;
+      const target = pageTarget(event);
+      if (!target) return;
+      const kind = event.shiftKey ? 'exclude' : 'include';
+      if (picks.get(target) === kind) picks.delete(target);
+      else picks.set(target, kind);
+      render();
+    }
+
+    function onKey(event) {
+      if (event.key === 'Escape') controller.cancel();
+      else if (event.key === 'Enter') controller.finish();
+      else return;
+      event.preventDefault();
+      event.stopPropagation();
+    }
+
+    function onViewportChange() {
+      render();
+    }
+
+    function teardown() {
+      doc.removeEventListener('mousemove', onMove, true);
+      BLOCKED_EVENTS.forEach((type) => doc.removeEventListener(type, onBlocked, true));
+      doc.removeEventListener('keydown', onKey, true);
+      if (view) {
+        view.removeEventListener('scroll', onViewportChange, true);
+        view.removeEventListener('resize', onViewportChange);
+      }
+      host.remove();
+      if (active === controller) active = null;
+    }
+
+    const controller = {
+      finish() {
+        const selectorsOf = (kind) => Array.from(picks)
+          .filter(([, pickKind]) => pickKind === kind)
+          .map(([el]) => getSelector(el));
+        const pick = { include: selectorsOf('include'), exclude: selectorsOf('exclude'), save: saveBox.checked };
+        teardown();
+        if (opts.onDone) opts.onDone(pick);
+      },
+      cancel() {
+        teardown();
+        if (opts.onCancel) opts.onCancel();
+      }
+    };
+
+    doneBtn.addEventListener('click', () => controller.finish());
+    cancelBtn.addEventListener('click', () => controller.cancel());
+    doc.addEventListener('mousemove', onMove, true);
+    BLOCKED_EVENTS.forEach((type) => doc.addEventListener(type, onBlocked, true));
+    doc.addEventListener('keydown', onKey, true);
+    if (view) {
+      view.addEventListener('scroll', onViewportChange, true);
+      view.addEventListener('resize', onViewportChange);
+    }
+
+    doc.documentElement.appendChild(host);
+    render();
+    active = controller;
+    return controller;
+  }
+
+  return {
+    HOST_ATTR,
+    getSelector,
+    startPicker
+  };
+});
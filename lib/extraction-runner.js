@@ -0,0 +1,231 @@
+/**
+ * Runs extraction in a tab: injects the page scripts, calls
+ * `__WCM_EXTRACT__`, and combines per-frame results.
+ *
+ * Shared by the popup (script tag) and the background service worker
+ * (`importScripts`); sets `globalThis.__WCM_RUNNER__`. The pure helpers are
+ * also exported for Node unit tests.
+ */
+(function (root, factory) {
+  'use strict';
+  const api = factory();
+  if (root) root.__WCM_RUNNER__ = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // Files injected into the page before extraction runs. Order matters: Turndown
+  // and the helper modules must be defined before the extractor uses them.
+  const INJECTED_FILES = [
+    'lib/turndown.js',
+    'lib/markdown-cleanup.js',
+    'lib/content-scorer.js',
+    'lib/page-metadata.js',
+    'lib/custom-handlers.js',
+    'lib/link-urls.js',
+    'lib/code-blocks.js',
+    'lib/math.js',
+    'lib/footnotes.js',
+    'lib/image-sources.js',
+    'lib/media-embeds.js',
+    'lib/diagnostics.js',
+    'lib/image-inliner.js',
+    'content/extractor.js'
+  ];
+
+  // Files injected for the element picker
+  const PICKER_FILES = ['lib/element-picker.js'];
+
+  const RESTRICTED_PATTERNS = [
+    /^chrome:\/\//,
+    /^chrome-extension:\/\//,
+    /^edge:\/\//,
+    /^about:/,
+    /^view-source:/,
+    /^file:\/\//,
+    /^https:\/\/chrome\.google\.com\/webstore/,
+    /^https:\/\/microsoftedge\.microsoft\.com\/addons/
+  ];
+
+  /**
+   * Check if URL is restricted (cannot inject content scripts)
+   */
+  function isRestrictedUrl(url) {
+    if (!url) return true;
+    return RESTRICTED_PATTERNS.some((pattern) => pattern.test(url));
+  }
+
+  // Subframe results with less text than this are widgets, not content
+  const MIN_FRAME_TEXT_LENGTH = 200;
+
+  /**
+   * Whether a subframe's own result is worth appending: frames the top frame
+   * inlined report `skipped`, and ads, consent banners and share buttons have
+   * little text and no <main> or <article> (see `frame` in
+   * content/extractor.js).
+   */
+  function isFrameContent(result) {
+    if (!result || !result.success || result.skipped || !result.markdown) return false;
+    const frame = result.frame;
+    if (!frame) return true;
+    return frame.hasMainContent && frame.textLength >= MIN_FRAME_TEXT_LENGTH;
+  }
+
+  /**
+   * Combine per-frame extraction results: the top frame's result, followed by
+   * a section (headed by the frame's title) for each subframe with content of
+   * its own.
+   */
+  function mergeFrameResults(results) {
+    const main = results.find((r) => r.frameId === 0)?.result;
+    if (!main || !main.success) return main;
+
+    const frameMarkdown = results
+      .filter((r) => r.frameId !== 0 && isFrameContent(r.result))
+      .map(({ result }) => (result.title && !/^#/.test(result.markdown)
+        ? `## ${result.title}\n\n${result.markdown}`
+        : result.markdown));
+
+    if (!frameMarkdown.length) return main;
+    return { ...main, markdown: [main.markdown, ...frameMarkdown].join('\n\n---\n\n') };
+  }
+
+  /**
+   * The text to copy or preview: the Markdown alone, or Markdown and HTML
+   * with start/end flags when HTML is included.
+   */
+  function buildCopyContent(markdown, html, includeHtml) {
+    if (!markdown) return null;
+
+    if (includeHtml && html) {
+      return [
+        '<!-- MARKDOWN START -->',
+        markdown,
+        '<!-- MARKDOWN END -->',
+        '',
+        '<!-- HTML START -->',
+        html,
+        '<!-- HTML END -->'
+      ].join('\n');
+    }
+
+    return markdown;
+  }
+
+  /**
+   * Inline-image limits (lib/image-inliner.js) from the user settings.
+   */
+  function getInlineLimits(options) {
+    const limits = {};
+    if (options.inlineImageMaxKB) limits.maxImageBytes = options.inlineImageMaxKB * 1024;
+    if (options.inlineTotalMaxKB) limits.maxTotalBytes = options.inlineTotalMaxKB * 1024;
+    if (typeof options.inlineMaxDimension === 'number') limits.maxDimension = options.inlineMaxDimension;
+    return limits;
+  }
+
+  /**
+   * Replace the images in `markdown` with data URIs. Runs in the tab's top
+   * frame, after extraction, so fetches can be served from the page's cache.
+   */
+  async function inlineImages(tab, markdown, options) {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: (md, limits) => globalThis.__WCM_INLINER__.inlineMarkdownImages(md, limits),
+      args: [markdown, getInlineLimits(options)]
+    });
+    return injection.result;
+  }
+
+  /**
+   * Reject tabs scripts cannot be injected into, with a user-facing message.
+   */
+  function assertInjectable(tab) {
+    if (!tab) {
+      throw new Error('No active tab found');
+    }
+
+    if (isRestrictedUrl(tab.url)) {
+      throw new Error('Cannot access this page. Chrome system pages, the Web Store, and local files are restricted.');
+    }
+  }
+
+  /**
+   * Inject the page scripts into `tab` and run the extractor with `options`.
+   * Resolves with the (successful) result; rejects with a user-facing message.
+   */
+  async function runExtraction(tab, options) {
+    assertInjectable(tab);
+
+    // With embedded content enabled, every frame gets the extractor so frames
+    // the top document cannot inline (cross-origin) can report their own content
+    const target = { tabId: tab.id, allFrames: Boolean(options.includeFrames) };
+
+    // Inject the libraries + extractor (idempotent; survives page reloads)
+    await chrome.scripting.executeScript({
+      target,
+      files: INJECTED_FILES
+    });
+
+    // Run the extractor with the current options
+    const results = await chrome.scripting.executeScript({
+      target,
+      func: (opts) => globalThis.__WCM_EXTRACT__(opts),
+      args: [options]
+    });
+
+    const result = mergeFrameResults(results);
+
+    if (!result) {
+      throw new Error('Failed to extract content - no result returned');
+    }
+
+    if (!result.success) {
+      const error = new Error(result.error || 'Content extraction failed');
+      // Still worth showing: how far the run got before failing
+      error.diagnostics = result.diagnostics;
+      throw error;
+    }
+
+    if (options.includeImages && options.imageMode === 'inline') {
+      const inlined = await inlineImages(tab, result.markdown, options);
+      return {
+        ...result,
+        markdown: inlined.markdown,
+        inlinedImages: inlined.inlined,
+        skippedImages: inlined.skipped
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Show the element picker in `tab`'s top frame. The picks are sent to the
+   * service worker as a `picked-elements` message, which extracts and copies
+   * them (the popup closes once the page takes focus).
+   */
+  async function launchPicker(tab) {
+    assertInjectable(tab);
+    const target = { tabId: tab.id };
+    await chrome.scripting.executeScript({ target, files: PICKER_FILES });
+    await chrome.scripting.executeScript({
+      target,
+      func: () => {
+        globalThis.__WCM_PICKER__.startPicker({
+          onDone: (pick) => chrome.runtime.sendMessage({ target: 'background', type: 'picked-elements', pick })
+        });
+      }
+    });
+  }
+
+  return {
+    INJECTED_FILES,
+    PICKER_FILES,
+    isRestrictedUrl,
+    mergeFrameResults,
+    buildCopyContent,
+    getInlineLimits,
+    runExtraction,
+    launchPicker
+  };
+});
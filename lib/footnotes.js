@@ -0,0 +1,170 @@
+/**
+ * Footnotes: superscript references that link to an endnote list become
+ * Markdown footnotes (`[^1]` in the text, `[^1]: ...` at the end).
+ *
+ * `convertFootnotes` rewrites the content element in place before
+ * conversion: each reference turns into a marker the extractor's Turndown
+ * rules render as `[^n]`, the notes are copied (minus their back-links) into
+ * a definitions block at the end, and the original endnote list is removed
+ * along with its "Notes"/"References" heading once every note in it has been
+ * used. Notes are numbered in order of first reference; repeated references
+ * to one note share its number.
+ *
+ * Injected into the page before the extractor (sets
+ * `globalThis.__WCM_FOOTNOTES__`) and required in Node for unit testing.
+ */
+(function (root, factory) {
+  'use strict';
+  const api = factory();
+  if (root) root.__WCM_FOOTNOTES__ = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // Attributes the extractor's Turndown rules look for
+  const REF_ATTR = 'data-wcm-footnote-ref';
+  const DEF_ATTR = 'data-wcm-footnote-def';
+  const DEFS_ATTR = 'data-wcm-footnotes';
+
+  // Footnote reference links (pandoc, Sphinx, kramdown, Hugo, Wikipedia, ...)
+  const REFERENCE_SELECTOR = [
+    'a[role="doc-noteref"]',
+    'a.footnote-ref',
+    'a.footnote-reference',
+    'a.footnote',
+    'sup > a[href^="#"]'
+  ].join(', ');
+
+  // The element holding one note, when the link targets something inside it:
+  // a list item or an endnote container. A link into a paragraph or sidebar
+  // is a cross-reference, and the whole paragraph is not its note.
+  const NOTE_SELECTOR = 'li, dd, [role="doc-endnote"], .footnote, .footnote-item';
+
+  // Links from a note back to its references
+  const BACKLINK_SELECTOR = [
+    '[role="doc-backlink"]', '.footnote-back', '.footnote-backref', '.reversefootnote',
+    '.mw-cite-backlink', '.footnote-return'
+  ].join(', ');
+
+  // Reference text looks like a marker: digits ("1", "[12]"), a single letter
+  // ("a", "(b)") or symbols ("*", "†", "**"). Words are link text.
+  const MARKER_TEXT = /^[[(]?(?:\p{N}{1,4}|\p{L}|[*†‡§¶]{1,3})[\])]?$/u;
+
+  const NOTES_HEADING = /^(?:(?:foot|end)?notes|references|citations|sources)$/i;
+
+  function targetId(anchor) {
+    const href = anchor.getAttribute('href') || '';
+    if (!href.startsWith('#') || href.length < 2) return null;
+    try {
+      return decodeURIComponent(href.slice(1));
+    } catch (e) {
+      return href.slice(1);
+    }
+  }
+
+  /**
+   * The element a reference replaces: a `<sup>` holding nothing but the
+   * link, or the link itself.
+   */
+  function referenceElement(anchor) {
+    const parent = anchor.parentElement;
+    if (parent && parent.nodeName === 'SUP' && parent.textContent.trim() === anchor.textContent.trim()) {
+      return parent;
+    }
+    return anchor;
+  }
+
+  function isNotesHeading(el) {
+    const heading = /^H[1-6]$/.test(el.nodeName) ? el : el.querySelector(':scope > h1, :scope > h2, :scope > h3, :scope > h4');
+    if (!heading || el.textContent.trim() !== heading.textContent.trim()) return false;
+    return NOTES_HEADING.test(heading.textContent.replace(/\[edit\]/i, '').trim());
+  }
+
+  /**
+   * Remove `el` and the wrappers above it that are left empty, up to `root`,
+   * plus a "Notes"/"References" heading right before any of them.
+   */
+  function removeEmptied(el, root) {
+    while (el && el !== root && !el.textContent.trim() && !el.querySelector('img, picture, video, svg, table')) {
+      const parent = el.parentElement;
+      const previous = el.previousElementSibling;
+      el.remove();
+      if (previous && isNotesHeading(previous)) previous.remove();
+      el = parent;
+    }
+  }
+
+  /**
+   * Convert the footnotes under `root` in place. `opts.handler` may carry a
+   * site-specific `footnotes: { references, notes, content }` (selectors for
+   * the reference links, the note elements and the text inside a note);
+   * `opts.lookup(id)` finds notes that live outside `root` (defaults to none).
+   * Returns the number of notes.
+   */
+  function convertFootnotes(root, opts) {
+    opts = opts || {};
+    const doc = root.ownerDocument;
+    const site = opts.handler && opts.handler.footnotes;
+    const selector = site ? `${site.references}, ${REFERENCE_SELECTOR}` : REFERENCE_SELECTOR;
+
+    const ids = new Map();
+    root.querySelectorAll('[id], a[name]').forEach((el) => {
+      const id = el.id || el.getAttribute('name');
+      if (!ids.has(id)) ids.set(id, el);
+    });
+
+    const numbers = new Map(); // note element -> footnote number
+    const referenceIds = new Set();
+    root.querySelectorAll(selector).forEach((anchor) => {
+      if (!root.contains(anchor) || anchor.closest(BACKLINK_SELECTOR)) return;
+      const id = targetId(anchor);
+      if (!id || !MARKER_TEXT.test(anchor.textContent.trim())) return;
+      const target = ids.get(id) || (opts.lookup ? opts.lookup(id) : null);
+      if (!target || target.contains(anchor)) return;
+
+      const note = (site && target.closest(site.notes)) || target.closest(NOTE_SELECTOR) || target;
+      if (note.contains(anchor)) return;
+      if (!numbers.has(note)) numbers.set(note, numbers.size + 1);
+
+      const reference = referenceElement(anchor);
+      [anchor, reference].forEach((el) => el.id && referenceIds.add(el.id));
+      const marker = doc.createElement('sup');
+      marker.setAttribute(REF_ATTR, String(numbers.get(note)));
+      // Turndown drops empty elements before any rule sees them
+      marker.textContent = String(numbers.get(note));
+      reference.replaceWith(marker);
+    });
+    if (!numbers.size) return 0;
+
+    const definitions = doc.createElement('div');
+    definitions.setAttribute(DEFS_ATTR, '');
+    numbers.forEach((number, note) => {
+      const content = ((site && site.content && note.querySelector(site.content)) || note).cloneNode(true);
+      content.querySelectorAll(BACKLINK_SELECTOR).forEach((el) => el.remove());
+      content.querySelectorAll('a[href^="#"]').forEach((link) => {
+        if (referenceIds.has(targetId(link))) link.remove();
+      });
+      const definition = doc.createElement('div');
+      definition.setAttribute(DEF_ATTR, String(number));
+      // A list item's content, not the item (it would render as a list)
+      definition.append(...(content.nodeName === 'LI' ? content.childNodes : [content]));
+      definitions.appendChild(definition);
+    });
+
+    numbers.forEach((number, note) => {
+      if (!root.contains(note)) return;
+      const parent = note.parentElement;
+      note.remove();
+      removeEmptied(parent, root);
+    });
+    root.appendChild(definitions);
+    return numbers.size;
+  }
+
+  return {
+    REF_ATTR,
+    DEF_ATTR,
+    DEFS_ATTR,
+    convertFootnotes
+  };
+});
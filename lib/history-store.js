@@ -0,0 +1,477 @@
+/**
+ * Extraction history: every page converted from the popup, a shortcut, the
+ * context menu or the element picker, kept in IndexedDB so "that page I
+ * copied on Tuesday" can be found again after it changed or went behind a
+ * login.
+ *
+ * Entries live in two object stores: `entries` holds the small summary
+ * (URL, title, site, time, options, size) that listing, filtering and quota
+ * pruning read, and `contents` the Markdown and optional HTML, read only for
+ * full-text search, copying, downloading and comparing versions. Versions
+ * of a page are matched by `pageKey`, its canonical URL normalized.
+ *
+ * Loaded by the popup, the history page and the service worker (sets
+ * `globalThis.__WCM_HISTORY__`) and required in Node for unit testing. Only
+ * the functions below "IndexedDB" touch the database.
+ */
+(function (root, factory) {
+  'use strict';
+  const api = factory();
+  if (root) root.__WCM_HISTORY__ = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const DB_NAME = 'wcm-history';
+  const DB_VERSION = 2;
+  const ENTRIES = 'entries';
+  const CONTENTS = 'contents';
+
+  const MB = 1024 * 1024;
+  const SNIPPET_LENGTH = 180;
+
+  // Extraction options worth showing next to an entry (the rest of the
+  // settings are defaults nobody needs to see again)
+  const RECORDED_OPTIONS = ['includeImages', 'includeHtml', 'headerFormat', 'linkStyle', 'imageMode'];
+
+  // Query parameters that only track the visit, left out of page keys
+  const TRACKING_PARAM = /^(?:utm_\w+|fbclid|gclid|msclkid|mc_cid|mc_eid|ref_src)$/i;
+
+  function siteOf(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * The key that versions of one page share: its URL without the fragment,
+   * tracking parameters, a `www.` prefix or a trailing slash. Pass the
+   * canonical URL when the page declares one.
+   */
+  function pageKey(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return String(url || '');
+    }
+    const params = new URLSearchParams();
+    parsed.searchParams.forEach((value, name) => {
+      if (!TRACKING_PARAM.test(name)) params.append(name, value);
+    });
+    params.sort();
+    const query = params.toString();
+    const host = parsed.host.replace(/^www\./, '');
+    const path = parsed.pathname.replace(/\/+$/, '');
+    return `${parsed.protocol}//${host}${path}${query ? `?${query}` : ''}`;
+  }
+
+  /**
+   * FNV-1a hash of `text` as 8 hex digits; tells repeated extractions of an
+   * unchanged page apart from new ones.
+   */
+  function fingerprint(text) {
+    let hash = 0x811c9dc5;
+    const value = String(text || '');
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }
+
+  function byteSize(text) {
+    return text ? new TextEncoder().encode(text).length : 0;
+  }
+
+  /**
+   * The options an entry keeps (RECORDED_OPTIONS, plus `picked` when the
+   * element picker chose the content), always in the same key order.
+   */
+  function recordOptions(options) {
+    options = options || {};
+    const recorded = {};
+    RECORDED_OPTIONS.forEach((key) => {
+      if (options[key] !== undefined) recorded[key] = options[key];
+    });
+    if (options.pick) recorded.picked = true;
+    return recorded;
+  }
+
+  /**
+   * Split one extraction into the summary and content records.
+   * `extraction` is `{ url, canonicalUrl, title, markdown, html, options,
+   * fromSelection }`; the HTML is kept only with `opts.keepHtml`. The fingerprint covers the
+   * cleaned HTML (which, unlike the Markdown header, has no timestamp) and
+   * the recorded options.
+   */
+  function createEntry(extraction, opts) {
+    opts = opts || {};
+    const recorded = recordOptions(extraction.options);
+    const markdown = String(extraction.markdown || '');
+    const html = opts.keepHtml && extraction.html ? String(extraction.html) : null;
+    return {
+      entry: {
+        url: extraction.url || '',
+        pageKey: pageKey(extraction.canonicalUrl || extraction.url),
+        title: extraction.title || extraction.url || 'Untitled',
+        site: siteOf(extraction.url),
+        createdAt: opts.now || Date.now(),
+        options: recorded,
+        fromSelection: Boolean(extraction.fromSelection),
+        hasHtml: Boolean(html),
+        size: byteSize(markdown) + byteSize(html),
+        fingerprint: fingerprint(`${extraction.html || markdown}\n${JSON.stringify(recorded)}`)
+      },
+      content: { markdown, html }
+    };
+  }
+
+  /**
+   * Search terms of a query: words, or "quoted phrases", lowercased.
+   */
+  function parseQuery(query) {
+    const terms = [];
+    String(query || '').replace(/"([^"]+)"|(\S+)/g, (m, phrase, word) => {
+      const term = (phrase || word).trim().toLowerCase();
+      if (term) terms.push(term);
+      return m;
+    });
+    return terms;
+  }
+
+  /**
+   * Local-time bounds for the history page's date inputs (`YYYY-MM-DD`, either
+   * may be empty): `{ from, until }` in ms, `until` at the end of its day.
+   */
+  function parseDateRange(fromDate, toDate) {
+    const day = (value) => {
+      const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    };
+    const from = day(fromDate);
+    const to = day(toDate);
+    return {
+      from: from ? from.getTime() : null,
+      until: to ? new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1).getTime() - 1 : null
+    };
+  }
+
+  /**
+   * Whether a summary passes the site and date parts of `filter`
+   * (`{ site, from, until }`; the query is checked against the content).
+   */
+  function matchesFilter(entry, filter) {
+    filter = filter || {};
+    if (filter.site && entry.site !== filter.site) return false;
+    if (filter.from != null && entry.createdAt < filter.from) return false;
+    if (filter.until != null && entry.createdAt > filter.until) return false;
+    return true;
+  }
+
+  /**
+   * Whether every term occurs in the entry's title, URL or Markdown.
+   */
+  function matchesQuery(terms, entry, content) {
+    if (!terms.length) return true;
+    const text = `${entry.title}\n${entry.url}\n${content ? content.markdown : ''}`.toLowerCase();
+    return terms.every((term) => text.includes(term));
+  }
+
+  /**
+   * A line of text around the first term found in `markdown`, with Markdown
+   * syntax and whitespace flattened; '' when no term occurs in it.
+   */
+  function buildSnippet(markdown, terms) {
+    const text = String(markdown || '')
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[#*_`>|]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    const lower = text.toLowerCase();
+    const positions = terms.map((term) => lower.indexOf(term)).filter((index) => index !== -1);
+    if (!positions.length) return '';
+    const at = Math.min(...positions);
+    const start = Math.max(0, at - Math.floor(SNIPPET_LENGTH / 3));
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * Ids of the oldest entries to delete so the rest fit in `maxBytes`. The
+   * newest entry is always kept, even when it alone is over the limit.
+   */
+  function planPrune(entries, maxBytes) {
+    const newestFirst = entries.slice().sort((a, b) => b.createdAt - a.createdAt);
+    const ids = [];
+    let total = 0;
+    newestFirst.forEach((entry, i) => {
+      total += entry.size || 0;
+      if (i > 0 && total > maxBytes) ids.push(entry.id);
+    });
+    return ids;
+  }
+
+  /**
+   * The newest entry of the same page saved before `entry`, among `entries`;
+   * null when there is none.
+   */
+  function findPreviousVersion(entries, entry) {
+    return entries
+      .filter((other) => other.pageKey === entry.pageKey && other.id !== entry.id && other.createdAt < entry.createdAt)
+      .sort((a, b) => b.createdAt - a.createdAt)[0] || null;
+  }
+
+  /**
+   * The newest of `versions` (entries of one page) that was saved before
+   * `filter.before` with the same recorded options as `filter.options`
+   * (extraction options, see recordOptions); null when there is none. Other
+   * options change the output without the page changing.
+   */
+  function pickLatestVersion(versions, filter) {
+    filter = filter || {};
+    const options = filter.options ? JSON.stringify(recordOptions(filter.options)) : null;
+    return versions
+      .filter((version) => (!filter.before || version.createdAt < filter.before) &&
+        (!options || JSON.stringify(version.options || {}) === options))
+      .sort((a, b) => b.createdAt - a.createdAt)[0] || null;
+  }
+
+  /**
+   * Sites in the history with their entry counts, most frequent first.
+   */
+  function listSites(entries) {
+    const counts = new Map();
+    entries.forEach((entry) => {
+      if (entry.site) counts.set(entry.site, (counts.get(entry.site) || 0) + 1);
+    });
+    return Array.from(counts, ([site, count]) => ({ site, count }))
+      .sort((a, b) => b.count - a.count || a.site.localeCompare(b.site));
+  }
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < MB) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / MB).toFixed(1)} MB`;
+  }
+
+  // ---------------------------------------------------------------------------
+  // IndexedDB
+  // ---------------------------------------------------------------------------
+
+  let dbPromise = null;
+
+  function requestResult(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('History transaction aborted'));
+    });
+  }
+
+  function openHistory() {
+    if (!dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        let entries;
+        if (event.oldVersion < 1) {
+          entries = db.createObjectStore(ENTRIES, { keyPath: 'id', autoIncrement: true });
+          entries.createIndex('url', 'url');
+          db.createObjectStore(CONTENTS, { keyPath: 'id' });
+        } else {
+          entries = request.transaction.objectStore(ENTRIES);
+        }
+        if (event.oldVersion < 2) {
+          // Entries saved before versions were compared get a key from their URL
+          entries.createIndex('pageKey', 'pageKey');
+          const cursorRequest = entries.openCursor();
+          cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return;
+            if (!cursor.value.pageKey) cursor.update({ ...cursor.value, pageKey: pageKey(cursor.value.url) });
+            cursor.continue();
+          };
+        }
+      };
+      dbPromise = requestResult(request).catch((error) => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * All summaries, newest first.
+   */
+  async function listEntries() {
+    const db = await openHistory();
+    const entries = await requestResult(db.transaction(ENTRIES).objectStore(ENTRIES).getAll());
+    return entries.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * The stored `{ markdown, html }` of entry `id`, or null.
+   */
+  async function getContent(id) {
+    const db = await openHistory();
+    const content = await requestResult(db.transaction(CONTENTS).objectStore(CONTENTS).get(id));
+    return content ? { markdown: content.markdown, html: content.html || null } : null;
+  }
+
+  /**
+   * The newest entry saved for the page with key `key` that matches `filter`
+   * (see pickLatestVersion), or null.
+   */
+  async function getLatestVersion(key, filter) {
+    const db = await openHistory();
+    const versions = await requestResult(db.transaction(ENTRIES).objectStore(ENTRIES).index('pageKey').getAll(key));
+    return pickLatestVersion(versions, filter);
+  }
+
+  async function writeEntry(entry, content) {
+    const db = await openHistory();
+    const tx = db.transaction([ENTRIES, CONTENTS], 'readwrite');
+    const request = tx.objectStore(ENTRIES).put(entry);
+    request.onsuccess = () => tx.objectStore(CONTENTS).put({ id: request.result, ...content });
+    await transactionDone(tx);
+    return request.result;
+  }
+
+  async function deleteEntries(ids) {
+    if (!ids.length) return;
+    const db = await openHistory();
+    const tx = db.transaction([ENTRIES, CONTENTS], 'readwrite');
+    ids.forEach((id) => {
+      tx.objectStore(ENTRIES).delete(id);
+      tx.objectStore(CONTENTS).delete(id);
+    });
+    await transactionDone(tx);
+  }
+
+  async function clearHistory() {
+    const db = await openHistory();
+    const tx = db.transaction([ENTRIES, CONTENTS], 'readwrite');
+    tx.objectStore(ENTRIES).clear();
+    tx.objectStore(CONTENTS).clear();
+    await transactionDone(tx);
+  }
+
+  /**
+   * Delete the oldest entries until the history fits in `maxBytes`.
+   * Returns how many were deleted.
+   */
+  async function pruneHistory(maxBytes) {
+    const ids = planPrune(await listEntries(), maxBytes);
+    await deleteEntries(ids);
+    return ids.length;
+  }
+
+  /**
+   * Store an extraction (see createEntry). Extracting an unchanged page
+   * again with the same options refreshes its latest entry instead of adding
+   * one. When the browser's quota is hit, the older half of the history
+   * makes room. `opts.maxBytes` caps the total size. Resolves with the id.
+   */
+  async function addEntry(extraction, opts) {
+    opts = opts || {};
+    const { entry, content } = createEntry(extraction, opts);
+    const db = await openHistory();
+    const sameUrl = await requestResult(db.transaction(ENTRIES).objectStore(ENTRIES).index('url').getAll(entry.url));
+    const latest = sameUrl.sort((a, b) => b.createdAt - a.createdAt)[0];
+    const record = latest && latest.fingerprint === entry.fingerprint ? { ...entry, id: latest.id } : entry;
+
+    let id;
+    try {
+      id = await writeEntry(record, content);
+    } catch (error) {
+      if (!error || error.name !== 'QuotaExceededError') throw error;
+      const entries = await listEntries();
+      await pruneHistory(entries.reduce((sum, e) => sum + e.size, 0) / 2);
+      id = await writeEntry(record, content);
+    }
+    if (opts.maxBytes) await pruneHistory(opts.maxBytes);
+    return id;
+  }
+
+  /**
+   * Add an extraction as the settings say: nothing when history is off,
+   * the HTML only when it should be kept, within the size limit. Resolves
+   * with the id, or null when history is off.
+   */
+  async function recordExtraction(extraction, settings) {
+    if (!settings.historyEnabled) return null;
+    return addEntry(extraction, {
+      keepHtml: settings.historyKeepHtml,
+      maxBytes: settings.historyMaxMB * MB
+    });
+  }
+
+  /**
+   * Summaries matching `filter` (`{ query, site, from, until }`), newest
+   * first. With a query, each result carries a `snippet` of the text around
+   * the first match.
+   */
+  async function searchHistory(filter) {
+    filter = filter || {};
+    const candidates = (await listEntries()).filter((entry) => matchesFilter(entry, filter));
+    const terms = parseQuery(filter.query);
+    if (!terms.length || !candidates.length) return candidates;
+
+    const byId = new Map(candidates.map((entry) => [entry.id, entry]));
+    const matches = new Map();
+    const db = await openHistory();
+    const tx = db.transaction(CONTENTS);
+    const cursorRequest = tx.objectStore(CONTENTS).openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+      const entry = byId.get(cursor.key);
+      if (entry && matchesQuery(terms, entry, cursor.value)) {
+        matches.set(entry.id, { ...entry, snippet: buildSnippet(cursor.value.markdown, terms) });
+      }
+      cursor.continue();
+    };
+    await transactionDone(tx);
+    return candidates.filter((entry) => matches.has(entry.id)).map((entry) => matches.get(entry.id));
+  }
+
+  return {
+    MB,
+    RECORDED_OPTIONS,
+    siteOf,
+    pageKey,
+    fingerprint,
+    recordOptions,
+    createEntry,
+    parseQuery,
+    parseDateRange,
+    matchesFilter,
+    matchesQuery,
+    buildSnippet,
+    planPrune,
+    findPreviousVersion,
+    pickLatestVersion,
+    listSites,
+    formatBytes,
+    listEntries,
+    getContent,
+    getLatestVersion,
+    deleteEntries,
+    clearHistory,
+    pruneHistory,
+    addEntry,
+    recordExtraction,
+    searchHistory
+  };
+});
@@ -0,0 +1,189 @@
+/**
+ * Inline images as data URIs, for Markdown that has to work without network
+ * access (pasting into tools that cannot fetch external images).
+ *
+ * Runs in the page after extraction: Turndown rules are synchronous, while
+ * fetching and re-encoding images is not, so the runner calls
+ * `inlineMarkdownImages` on the finished Markdown. Fetching from the page
+ * context lets the browser cache answer for images the page already loaded.
+ * Images over the per-image cap are downscaled and re-encoded on a canvas;
+ * any that still don't fit, or would push the document over the total cap,
+ * keep their URL.
+ *
+ * Injected into the page after `lib/link-urls.js` (sets
+ * `globalThis.__WCM_INLINER__`) and required in Node for unit testing with a
+ * stubbed loader.
+ */
+(function (root, factory) {
+  'use strict';
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const api = factory(isNode ? require('./link-urls.js') : root.__WCM_LINKS__);
+  if (root) root.__WCM_INLINER__ = api;
+  if (isNode) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (LINKS) {
+  'use strict';
+
+  const DEFAULT_LIMITS = {
+    maxImageBytes: 200 * 1024,   // per data URI
+    maxTotalBytes: 2000 * 1024,  // all data URIs in the document
+    maxDimension: 1600           // longest side after downscaling; 0 keeps the size
+  };
+
+  // Re-encoding attempts for oversized images, tried in order; each retry
+  // also shrinks the image by 30%, but never below MIN_DIMENSION
+  const ENCODE_QUALITIES = [0.85, 0.7, 0.55, 0.4];
+  const MIN_DIMENSION = 200;
+
+  // ![alt](src) or ![alt](src "title"); sources may hold balanced parentheses
+  const { MARKDOWN_IMAGE_PATTERN } = LINKS;
+
+  function bytesToBase64(bytes) {
+    let binary = '';
+    const chunk = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunk) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return btoa(binary);
+  }
+
+  async function blobToDataUri(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    return `data:${blob.type || 'application/octet-stream'};base64,${bytesToBase64(bytes)}`;
+  }
+
+  /**
+   * Draw `bitmap` with its longest side at `dimension` and encode it as
+   * `type`. Resolves with a Blob.
+   */
+  async function encodeBitmap(bitmap, dimension, type, quality) {
+    const scale = Math.min(1, dimension / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+
+    if (typeof OffscreenCanvas !== 'undefined') {
+      const canvas = new OffscreenCanvas(width, height);
+      canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+      return canvas.convertToBlob({ type, quality });
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+    return new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+  }
+
+  // base64 grows data by 4/3; keep a little room for the "data:...;base64," prefix
+  function fitsAsDataUri(blob, maxBytes) {
+    return Math.ceil(blob.size / 3) * 4 + 40 <= maxBytes;
+  }
+
+  /**
+   * Downscale and re-encode until the image fits `maxBytes`: first to
+   * `maxDimension`, then smaller with lower quality on each attempt. PNG
+   * stays PNG (it may have transparency); everything else becomes JPEG.
+   */
+  async function shrinkImage(blob, limits) {
+    if (typeof createImageBitmap === 'undefined') return null;
+    const bitmap = await createImageBitmap(blob);
+    try {
+      const type = blob.type === 'image/png' ? 'image/png' : 'image/jpeg';
+      const longest = Math.max(bitmap.width, bitmap.height);
+      let dimension = limits.maxDimension ? Math.min(limits.maxDimension, longest) : longest;
+      for (const quality of ENCODE_QUALITIES) {
+        const encoded = await encodeBitmap(bitmap, dimension, type, quality);
+        if (encoded && fitsAsDataUri(encoded, limits.maxImageBytes)) return encoded;
+        if (dimension <= MIN_DIMENSION) break;
+        dimension = Math.max(MIN_DIMENSION, Math.round(dimension * 0.7));
+      }
+      return null;
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  /**
+   * Fetch `url` and return it as a data URI within `limits.maxImageBytes`,
+   * downscaling when needed. Resolves with null when the image can't be
+   * fetched or made small enough. SVG and GIF are never re-encoded (that
+   * would lose vectors or animation).
+   */
+  async function loadImageAsDataUri(url, limits, fetchImpl) {
+    fetchImpl = fetchImpl || fetch;
+    let blob;
+    try {
+      const response = await fetchImpl(url, { cache: 'force-cache' });
+      if (!response.ok) return null;
+      blob = await response.blob();
+    } catch (e) {
+      return null; // CORS or network failure: keep the URL
+    }
+    if (!/^image\//.test(blob.type)) return null;
+    if (fitsAsDataUri(blob, limits.maxImageBytes)) return blobToDataUri(blob);
+    if (/^image\/(svg\+xml|gif)$/.test(blob.type)) return null;
+
+    try {
+      const shrunk = await shrinkImage(blob, limits);
+      return shrunk ? blobToDataUri(shrunk) : null;
+    } catch (e) {
+      return null; // Undecodable image
+    }
+  }
+
+  /**
+   * Replace every `![alt](src)` in `markdown` with a data URI where it fits.
+   * `opts` holds the limits plus `baseUrl` (for relative sources) and an
+   * optional `loadImage(url, limits)` used instead of loadImageAsDataUri.
+   * Resolves with `{ markdown, inlined, skipped }`.
+   */
+  async function inlineMarkdownImages(markdown, opts) {
+    opts = opts || {};
+    const limits = { ...DEFAULT_LIMITS };
+    for (const key of Object.keys(DEFAULT_LIMITS)) {
+      if (typeof opts[key] === 'number') limits[key] = opts[key];
+    }
+    const loadImage = opts.loadImage || ((url) => loadImageAsDataUri(url, limits));
+    const baseUrl = opts.baseUrl || (typeof document !== 'undefined' ? document.baseURI : undefined);
+
+    // Load each distinct image once, in document order; repeats count once
+    // per use against the total cap, since each use is pasted in full
+    const uses = new Map();
+    for (const match of markdown.matchAll(MARKDOWN_IMAGE_PATTERN)) {
+      uses.set(match[2], (uses.get(match[2]) || 0) + 1);
+    }
+
+    const dataUris = new Map();
+    let total = 0;
+    let skipped = 0;
+    for (const [src, count] of uses) {
+      if (/^data:/i.test(src)) continue;
+      let url;
+      try {
+        url = new URL(src, baseUrl).href;
+      } catch (e) {
+        skipped++;
+        continue;
+      }
+      const dataUri = await loadImage(url, limits);
+      const size = dataUri ? dataUri.length * count : 0;
+      if (!dataUri || dataUri.length > limits.maxImageBytes || total + size > limits.maxTotalBytes) {
+        skipped++;
+        continue;
+      }
+      total += size;
+      dataUris.set(src, dataUri);
+    }
+
+    return {
+      markdown: markdown.replace(MARKDOWN_IMAGE_PATTERN, (match, start, src, end) =>
+        dataUris.has(src) ? start + dataUris.get(src) + end : match),
+      inlined: dataUris.size,
+      skipped
+    };
+  }
+
+  return {
+    DEFAULT_LIMITS,
+    loadImageAsDataUri,
+    inlineMarkdownImages
+  };
+});
@@ -0,0 +1,224 @@
+/**
+ * Image sources for lazy-loading pages: the real image behind a placeholder.
+ *
+ * Lazy loaders leave `src` as a 1×1 GIF or a blurred LQIP data URI and keep
+ * the real URL in `data-src` (and friends), `srcset`/`data-srcset` or a
+ * `<picture>`'s `<source>` elements; `<noscript>` often carries a plain copy
+ * of the image. `resolveImages` rewrites each image to a plain
+ * `<img src alt>` with the best source found (the largest `srcset`
+ * candidate), takes empty alt text from the figure's caption, and drops
+ * placeholders that have no real source and tracking pixels.
+ *
+ * Injected into the page before the extractor (sets
+ * `globalThis.__WCM_IMAGE_SOURCES__`) and required in Node for unit testing
+ * with jsdom.
+ */
+(function (root, factory) {
+  'use strict';
+  const api = factory();
+  if (root) root.__WCM_IMAGE_SOURCES__ = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // Attributes lazy loaders keep the real URL in, most specific first
+  const LAZY_SRC_ATTRIBUTES = ['data-src', 'data-original', 'data-lazy-src', 'data-lazy', 'data-url', 'data-hi-res-src'];
+  const LAZY_SRCSET_ATTRIBUTES = ['srcset', 'data-srcset', 'data-lazy-srcset'];
+
+  // Attributes dropped once the source is resolved (the HTML export keeps
+  // only what was used)
+  const RESOLVED_ATTRIBUTES = [...LAZY_SRC_ATTRIBUTES, ...LAZY_SRCSET_ATTRIBUTES, 'sizes', 'loading'];
+
+  const MAX_PIXEL_SIZE = 2;                 // Width or height at or below this is a pixel
+  const MIN_DATA_URI_LENGTH = 2048;         // Shorter data URIs are placeholders, not pictures
+
+  // A file named only with spacer words ("blank.gif", "lazy-placeholder.png");
+  // "pixel-art-tutorial.png" is a picture
+  const PLACEHOLDER_NAME = /(?:^|\/)(?:(?:blank|spacer|transparent|placeholder|pixel|lazy|loading|1x1)[-_]?)+\.(?:gif|png|svg)(?:$|[?#])/i;
+  const TRACKER_URL = /(?:facebook\.com\/tr|google-analytics\.com|googleadservices\.com|doubleclick\.net|scorecardresearch\.com|quantserve\.com|bat\.bing\.com|pixel\.wp\.com|\/(?:pixel|beacon|track|tracking|impression|open)(?:\.gif|\.png|\?|$))/i;
+
+  /**
+   * Parse a `srcset` value into `[{ url, width, density }]`. URLs may hold
+   * commas (image CDNs use them), so candidates are split the way the HTML
+   * spec does: at a comma after whitespace-separated descriptors, or at
+   * commas ending a URL.
+   */
+  function parseSrcset(value) {
+    const text = String(value || '');
+    const candidates = [];
+    let i = 0;
+    while (i < text.length) {
+      while (i < text.length && /[\s,]/.test(text[i])) i++;
+      if (i >= text.length) break;
+      const start = i;
+      while (i < text.length && !/\s/.test(text[i])) i++;
+      let url = text.slice(start, i);
+      let descriptors = '';
+      if (/,+$/.test(url)) {
+        url = url.replace(/,+$/, '');
+      } else {
+        const end = text.indexOf(',', i);
+        descriptors = text.slice(i, end === -1 ? text.length : end).trim();
+        i = end === -1 ? text.length : end + 1;
+      }
+      const width = descriptors.match(/(\d+)w\b/);
+      const density = descriptors.match(/(\d+(?:\.\d+)?)x\b/);
+      candidates.push({
+        url,
+        width: width ? parseInt(width[1], 10) : 0,
+        density: density ? parseFloat(density[1]) : width ? 0 : 1
+      });
+    }
+    return candidates;
+  }
+
+  /**
+   * The largest candidate of a srcset (by width, then pixel density), or ''.
+   */
+  function largestCandidate(candidates) {
+    let best = null;
+    for (const candidate of candidates) {
+      if (!candidate.url || isPlaceholderUrl(candidate.url)) continue;
+      if (!best || candidate.width > best.width || (candidate.width === best.width && candidate.density > best.density)) {
+        best = candidate;
+      }
+    }
+    return best ? best.url : '';
+  }
+
+  /**
+   * Whether `url` can only be a placeholder: empty, a short data URI, or a
+   * file named like a spacer.
+   */
+  function isPlaceholderUrl(url) {
+    const value = String(url || '').trim();
+    if (!value || value === '#' || value.startsWith('about:')) return true;
+    if (/^data:/i.test(value)) return value.length < MIN_DATA_URI_LENGTH;
+    return PLACEHOLDER_NAME.test(value);
+  }
+
+  function isTrackingPixel(img, src) {
+    const size = ['width', 'height'].map((name) => parseFloat(img.getAttribute(name)));
+    if (size.some((value) => !Number.isNaN(value) && value <= MAX_PIXEL_SIZE)) return true;
+    return TRACKER_URL.test(src);
+  }
+
+  /**
+   * The best source for `img`: the largest srcset candidate of the image or
+   * its `<picture>` sources, then a lazy-loading attribute, then `src`
+   * unless it is a placeholder. '' when there is none.
+   */
+  function findImageSource(img) {
+    const candidates = [];
+    const picture = img.parentElement && img.parentElement.nodeName === 'PICTURE' ? img.parentElement : null;
+    const sources = picture ? Array.from(picture.querySelectorAll('source')) : [];
+    for (const el of [...sources, img]) {
+      for (const attribute of LAZY_SRCSET_ATTRIBUTES) {
+        candidates.push(...parseSrcset(el.getAttribute(attribute)));
+      }
+    }
+    const fromSrcset = largestCandidate(candidates);
+    if (fromSrcset) return fromSrcset;
+
+    for (const attribute of LAZY_SRC_ATTRIBUTES) {
+      const value = (img.getAttribute(attribute) || '').trim();
+      if (value && !isPlaceholderUrl(value)) return value;
+    }
+    const src = (img.getAttribute('src') || '').trim();
+    return isPlaceholderUrl(src) ? '' : src;
+  }
+
+  /**
+   * The images inside a `<noscript>`, whether the parser kept its content as
+   * markup (scripting off) or as text (scripting on, as in a live page).
+   */
+  function noscriptImages(noscript) {
+    const inline = noscript.querySelectorAll('img');
+    if (inline.length) return Array.from(inline);
+    if (!/<img\b/i.test(noscript.textContent)) return [];
+    const template = noscript.ownerDocument.createElement('template');
+    template.innerHTML = noscript.textContent;
+    return Array.from(template.content.querySelectorAll('img'));
+  }
+
+  /**
+   * The lazy image a `<noscript>` stands in for: the image (or picture) right
+   * before it, or the only other image in its parent.
+   */
+  function lazyImageFor(noscript) {
+    const previous = noscript.previousElementSibling;
+    if (previous && previous.nodeName === 'IMG') return previous;
+    if (previous && previous.nodeName === 'PICTURE') return previous.querySelector('img');
+    const parent = noscript.parentElement;
+    const others = parent ? Array.from(parent.querySelectorAll('img')).filter((img) => !noscript.contains(img)) : [];
+    return others.length === 1 ? others[0] : null;
+  }
+
+  /**
+   * Swap each `<noscript>` fallback image in for the lazy image next to it
+   * (or, when there is none, put it in place of the `<noscript>`).
+   */
+  function useNoscriptFallbacks(root) {
+    root.querySelectorAll('noscript').forEach((noscript) => {
+      const [fallback] = noscriptImages(noscript);
+      if (!fallback) return;
+      const doc = noscript.ownerDocument;
+      const image = doc.importNode(fallback, true);
+      const lazyImg = lazyImageFor(noscript);
+      if (!lazyImg) {
+        noscript.replaceWith(image);
+        return;
+      }
+      noscript.remove();
+      // The lazy image wins when it has a real source of its own
+      if (findImageSource(lazyImg)) return;
+      if (!image.getAttribute('alt') && lazyImg.getAttribute('alt')) {
+        image.setAttribute('alt', lazyImg.getAttribute('alt'));
+      }
+      const picture = lazyImg.parentElement && lazyImg.parentElement.nodeName === 'PICTURE' ? lazyImg.parentElement : null;
+      (picture || lazyImg).replaceWith(image);
+    });
+  }
+
+  function captionOf(img) {
+    const figure = img.closest('figure');
+    const caption = figure && figure.querySelector('figcaption');
+    return caption ? caption.textContent.replace(/\s+/g, ' ').trim() : '';
+  }
+
+  /**
+   * Rewrite the images under `root` in place (see the module comment).
+   * Returns `{ resolved, dropped }`: images whose source came from somewhere
+   * other than `src`, and placeholders or tracking pixels removed.
+   */
+  function resolveImages(root) {
+    useNoscriptFallbacks(root);
+    let resolved = 0;
+    let dropped = 0;
+    root.querySelectorAll('img').forEach((img) => {
+      const src = findImageSource(img);
+      const picture = img.parentElement && img.parentElement.nodeName === 'PICTURE' ? img.parentElement : null;
+      if (!src || isTrackingPixel(img, src)) {
+        (picture || img).remove();
+        dropped++;
+        return;
+      }
+      if (src !== (img.getAttribute('src') || '').trim()) resolved++;
+      img.setAttribute('src', src);
+      RESOLVED_ATTRIBUTES.forEach((attribute) => img.removeAttribute(attribute));
+      if (!(img.getAttribute('alt') || '').trim()) {
+        const caption = captionOf(img);
+        if (caption) img.setAttribute('alt', caption);
+      }
+      if (picture) picture.replaceWith(img);
+    });
+    return { resolved, dropped };
+  }
+
+  return {
+    parseSrcset,
+    isPlaceholderUrl,
+    findImageSource,
+    resolveImages
+  };
+});
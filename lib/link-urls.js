@@ -0,0 +1,132 @@
+/**
+ * Link and image URLs in converted content: resolved to absolute URLs (so a
+ * relative `/in/...` still works once pasted elsewhere) and stripped of
+ * tracking query parameters.
+ *
+ * Injected into the page before the extractor (sets `globalThis.__WCM_LINKS__`),
+ * loaded by the extension pages and the background worker for the Markdown URL
+ * helpers, and required in Node for unit testing.
+ */
+(function (root, factory) {
+  'use strict';
+  const api = factory();
+  if (root) root.__WCM_LINKS__ = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // Query parameters removed by default; `*` matches any run of characters
+  const DEFAULT_TRACKING_PARAMS = [
+    'utm_*', 'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid',
+    'mc_cid', 'mc_eid', 'igshid', '_hsenc', '_hsmi', 'mkt_tok', 'ref_src'
+  ];
+
+  // Elements and attributes holding URLs that end up in the output
+  const URL_ATTRIBUTES = [['a[href]', 'href'], ['img[src]', 'src']];
+
+  // A Markdown link destination as CommonMark reads it: no spaces, and
+  // parentheses only in balanced pairs (`Foo_(bar)`)
+  const MARKDOWN_URL = /(?:[^()\s]|\([^()\s]*\))+/;
+
+  // ![alt](src) or ![alt](src "title"), as produced by the extractor's image
+  // rule; groups are the part before the source, the source and the rest
+  const MARKDOWN_IMAGE_PATTERN = new RegExp(
+    `(!\\[(?:[^\\]\\\\]|\\\\.)*\\]\\()(${MARKDOWN_URL.source})((?:\\s+"[^"]*")?\\))`, 'g'
+  );
+
+  const WHOLE_MARKDOWN_URL = new RegExp(`^${MARKDOWN_URL.source}$`);
+
+  /**
+   * `url` as a Markdown link destination: as is when CommonMark reads it
+   * whole, otherwise in angle brackets, which allow spaces and unbalanced
+   * parentheses (`<`, `>` and line breaks can't appear there unescaped).
+   */
+  function markdownDestination(url) {
+    const text = String(url).replace(/[\r\n]/g, encodeURIComponent);
+    if (WHOLE_MARKDOWN_URL.test(text) && !/[<>]/.test(text)) return text;
+    return `<${text.replace(/[<>]/g, '\\$&')}>`;
+  }
+
+  /**
+   * Compile a parameter list (an array, or a string separated by commas,
+   * spaces or newlines) into case-insensitive matchers.
+   */
+  function compileParamPatterns(list) {
+    const names = Array.isArray(list) ? list : String(list || '').split(/[\s,]+/);
+    return names
+      .map((name) => String(name).trim())
+      .filter(Boolean)
+      .map((name) => new RegExp(
+        '^' + name.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$',
+        'i'
+      ));
+  }
+
+  function decodeParamName(pair) {
+    const name = pair.split('=')[0].replace(/\+/g, ' ');
+    try {
+      return decodeURIComponent(name);
+    } catch (e) {
+      return name;
+    }
+  }
+
+  /**
+   * `href` resolved against `baseUrl`, minus query parameters matching
+   * `patterns` (from compileParamPatterns). Fragment-only and non-http(s)
+   * URLs other than mailto:/tel: are returned unchanged, as is anything that
+   * does not parse.
+   */
+  function cleanUrl(href, baseUrl, patterns) {
+    const raw = String(href || '').trim();
+    if (!raw || raw.startsWith('#')) return raw;
+    let url;
+    try {
+      url = new URL(raw, baseUrl);
+    } catch (e) {
+      return raw;
+    }
+    if (!/^(https?|mailto|tel):$/.test(url.protocol)) return raw;
+
+    if (patterns && patterns.length && url.search) {
+      // Drop matching pairs from the raw query rather than going through
+      // searchParams, which would re-encode the rest (`%20` → `+`, `a` → `a=`)
+      const pairs = url.search.slice(1).split('&');
+      const kept = pairs.filter((pair) => !patterns.some((pattern) => pattern.test(decodeParamName(pair))));
+      if (kept.length < pairs.length) {
+        // Avoid a dangling "?" when nothing is left
+        url.search = kept.length ? '?' + kept.join('&') : '';
+      }
+    }
+    return url.href;
+  }
+
+  /**
+   * Rewrite every link `href` and image `src` under `root` in place with
+   * cleanUrl. Returns the number of attributes changed.
+   */
+  function rewriteElementUrls(root, baseUrl, patterns) {
+    let changed = 0;
+    for (const [selector, attribute] of URL_ATTRIBUTES) {
+      root.querySelectorAll(selector).forEach((el) => {
+        const value = el.getAttribute(attribute);
+        const cleaned = cleanUrl(value, baseUrl, patterns);
+        if (cleaned !== value) {
+          el.setAttribute(attribute, cleaned);
+          changed++;
+        }
+      });
+    }
+    return changed;
+  }
+
+  return {
+    DEFAULT_TRACKING_PARAMS,
+    MARKDOWN_URL,
+    MARKDOWN_IMAGE_PATTERN,
+    markdownDestination,
+    compileParamPatterns,
+    cleanUrl,
+    rewriteElementUrls
+  };
+});
@@ -21,23 +21,231 @@
   // popup responsive.
   const MAX_DEDUP_LENGTH = 500000;
 
-  function buildMetadataHeader(meta) {
+  // Supported metadata header formats; 'bold' is the original Notion-friendly one.
+  const HEADER_FORMATS = ['bold', 'yaml', 'toml', 'comment', 'none'];
+
+  // Metadata header entries in output order. `field` is the key users toggle
+  // in settings; `value` feeds the structured formats and `text` (when set)
+  // the human-readable bold lines. `date` values are emitted as ISO 8601.
+  const HEADER_FIELDS = [
+    { field: 'source', key: 'source', label: 'Source', value: (m) => m.url },
+    { field: 'extracted', key: 'extracted', label: 'Extracted', value: (m) => m.extractedAt || m.dateStr, text: (m) => m.dateStr, date: true },
+    { field: 'site', key: 'site', label: 'Site', value: (m) => m.siteName },
+    { field: 'author', key: 'author', label: 'Author', value: (m) => (m.authors && m.authors.length ? m.authors : m.authorName) },
+    { field: 'section', key: 'section', label: 'Section', value: (m) => m.section },
+    { field: 'published', key: 'published', label: 'Published', value: (m) => m.publishedDate, date: true },
+    { field: 'modified', key: 'modified', label: 'Updated', value: (m) => m.modifiedDate, date: true },
+    // Only worth a line when it differs from the URL the page was read from
+    { field: 'canonical', key: 'canonical', label: 'Canonical URL', value: (m) => (m.canonicalUrl !== m.url ? m.canonicalUrl : null) },
+    { field: 'tags', key: 'tags', label: 'Tags', value: (m) => m.tags },
+    { field: 'language', key: 'language', label: 'Language', value: (m) => m.language },
+    { field: 'readingTime', key: 'reading_time', label: 'Reading time', value: (m) => m.readingTime },
+    { field: 'description', key: 'description', label: 'Description', value: (m) => m.description }
+  ];
+
+  const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+  const ISO_DATE_PARTS = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?(?:(Z)|([+-]\d{2}):?(\d{2}))?)?$/;
+
+  /**
+   * Rewrite an ISO 8601 date in the RFC 3339 form TOML 1.0 (and YAML) read
+   * as a native date: `T` separator, seconds and a `±hh:mm` offset, e.g.
+   * `2024-01-01 12:00+0100` → `2024-01-01T12:00:00+01:00`. Returns null for
+   * anything else, including out-of-range fields.
+   */
+  function toRfc3339(value) {
+    const match = String(value).match(ISO_DATE_PARTS);
+    if (!match) return null;
+    const [, year, month, day, hours, minutes, seconds = '00', fraction = '', utc, offsetHours, offsetMinutes] = match;
+    const inRange = (field, max) => field === undefined || Number(field) <= max;
+    if (Number(month) < 1 || Number(day) < 1 || !inRange(month, 12) || !inRange(day, 31)) return null;
+    const date = `${year}-${month}-${day}`;
+    if (hours === undefined) return date;
+    if (!inRange(hours, 23) || !inRange(minutes, 59) || !inRange(seconds, 60)) return null;
+    if (!inRange(offsetHours && offsetHours.slice(1), 23) || !inRange(offsetMinutes, 59)) return null;
+    const offset = utc || (offsetHours ? `${offsetHours}:${offsetMinutes}` : '');
+    return `${date}T${hours}:${minutes}:${seconds}${fraction}${offset}`;
+  }
+
+  /**
+   * ISO 8601 timestamp in the local timezone with its UTC offset, e.g.
+   * `2026-02-04T14:30:00+01:00`. (toISOString would convert to UTC.)
+   */
+  function formatIsoTimestamp(date) {
+    const pad = (n) => String(Math.floor(Math.abs(n))).padStart(2, '0');
+    const offset = -date.getTimezoneOffset();
+    return (
+      `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+      `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+      `${offset >= 0 ? '+' : '-'}${pad(offset / 60)}:${pad(offset % 60)}`
+    );
+  }
+
+  /**
+   * Normalize a page-supplied date to ISO 8601. Values that already are ISO
+   * are kept verbatim (preserving the publisher's offset); anything else is
+   * parsed, and unparseable values yield null.
+   */
+  function normalizeDate(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+    if (ISO_DATE_PATTERN.test(text)) return text;
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : formatIsoTimestamp(date);
+  }
+
+  function isEmptyValue(value) {
+    return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+  }
+
+  function getHeaderEntries(meta, fields) {
+    fields = fields || {};
+    return HEADER_FIELDS
+      .filter((entry) => fields[entry.field] !== false)
+      .map((entry) => ({ ...entry, data: entry.value(meta) }))
+      .filter((entry) => !isEmptyValue(entry.data));
+  }
+
+  // JSON string syntax is valid as both a YAML double-quoted scalar and a TOML
+  // basic string, except that TOML forbids a raw DEL character.
+  function quoteString(value) {
+    return JSON.stringify(String(value)).replace(/\x7f/g, '\\u007f');
+  }
+
+  function formatScalar(value, isDate) {
+    return (isDate && toRfc3339(value)) || quoteString(value);
+  }
+
+  function buildYamlHeader(meta, entries) {
+    const lines = ['---', `title: ${quoteString(meta.title || '')}`];
+    for (const entry of entries) {
+      if (Array.isArray(entry.data)) {
+        lines.push(`${entry.key}:`);
+        entry.data.forEach((item) => lines.push(`  - ${quoteString(item)}`));
+      } else {
+        lines.push(`${entry.key}: ${formatScalar(entry.data, entry.date)}`);
+      }
+    }
+    lines.push('---');
+    return lines.join('\n') + '\n';
+  }
+
+  function buildTomlHeader(meta, entries) {
+    const lines = ['+++', `title = ${quoteString(meta.title || '')}`];
+    for (const entry of entries) {
+      const value = Array.isArray(entry.data)
+        ? `[${entry.data.map(quoteString).join(', ')}]`
+        : formatScalar(entry.data, entry.date);
+      lines.push(`${entry.key} = ${value}`);
+    }
+    lines.push('+++');
+    return lines.join('\n') + '\n';
+  }
+
+  function buildCommentHeader(meta, entries) {
+    // "--" may not appear inside an HTML comment
+    const safe = (value) => String(value).replace(/\s+/g, ' ').replace(/--/g, '- -');
+    const lines = ['<!--', `title: ${safe(meta.title || '')}`];
+    for (const entry of entries) {
+      const value = Array.isArray(entry.data) ? entry.data.join(', ') : entry.data;
+      lines.push(`${entry.key}: ${safe(value)}`);
+    }
+    lines.push('-->');
+    return lines.join('\n') + '\n';
+  }
+
+  function buildBoldHeader(meta, entries) {
     // Plain-text format (no blockquotes) for better Notion compatibility, since
     // Notion treats `>` as callouts that don't render multi-line content well.
-    const lines = [
-      `**Source:** ${meta.url}`,
-      `**Extracted:** ${meta.dateStr}`,
-      `**Site:** ${meta.siteName}`
-    ];
-
-    if (meta.authorName) {
-      lines.push(`**Author:** ${meta.authorName}`);
+    const lines = entries.map((entry) => {
+      const value = entry.text ? entry.text(meta) : entry.data;
+      return `**${entry.label}:** ${Array.isArray(value) ? value.join(', ') : value}`;
+    });
+    return lines.length ? lines.join('\n\n') + '\n' : '';
+  }
+
+  /**
+   * Render the metadata header. `opts.format` is one of HEADER_FORMATS
+   * (default 'bold'); `opts.fields` can switch individual entries off
+   * (`{ author: false }`). Entries without a value are always skipped.
+   */
+  function buildMetadataHeader(meta, opts) {
+    opts = opts || {};
+    const entries = getHeaderEntries(meta, opts.fields);
+
+    switch (opts.format) {
+      case 'yaml':
+        return buildYamlHeader(meta, entries);
+      case 'toml':
+        return buildTomlHeader(meta, entries);
+      case 'comment':
+        return buildCommentHeader(meta, entries);
+      case 'none':
+        return '';
+      default:
+        return buildBoldHeader(meta, entries);
     }
-    if (meta.section) {
-      lines.push(`**Section:** ${meta.section}`);
+  }
+
+  /**
+   * Put the title, metadata header and converted body together. Front matter
+   * and comment headers must come first in the file; the bold header follows
+   * the title and is separated from the body by a rule.
+   */
+  function composeDocument(meta, body, opts) {
+    opts = opts || {};
+    const header = buildMetadataHeader(meta, opts);
+    const title = `# ${meta.title}`;
+
+    if (!header) return `${title}\n\n${body}`;
+    if (!opts.format || opts.format === 'bold') {
+      return `${title}\n\n${header}\n---\n\n${body}`;
     }
+    return `${header}\n${title}\n\n${body}`;
+  }
 
-    return lines.join('\n\n') + '\n';
+  /**
+   * Escape a converted cell for a GFM pipe table: pipes would end the cell and
+   * newlines would end the row, so both are rewritten.
+   */
+  function escapeTableCell(text) {
+    return String(text == null ? '' : text)
+      .trim()
+      .replace(/[ \t]*\n+[ \t]*/g, '<br>')
+      .replace(/\|/g, '\\|');
+  }
+
+  /**
+   * Render a GitHub-flavored pipe table. `rows` is a rectangular array of cell
+   * strings (spans already expanded); `alignments` holds 'left' | 'center' |
+   * 'right' | null per column. Without a header row, an empty one is emitted,
+   * since GFM requires a header but promoting a data row would mislabel it.
+   */
+  function buildGfmTable(rows, opts) {
+    opts = opts || {};
+    const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    if (!columnCount) return '';
+
+    const pad = (row) => {
+      const cells = row.map(escapeTableCell);
+      while (cells.length < columnCount) cells.push('');
+      return cells;
+    };
+    const line = (cells) => '| ' + cells.join(' | ') + ' |';
+    const alignments = opts.alignments || [];
+    const delimiter = [];
+    for (let i = 0; i < columnCount; i++) {
+      switch (alignments[i]) {
+        case 'left': delimiter.push(':---'); break;
+        case 'center': delimiter.push(':---:'); break;
+        case 'right': delimiter.push('---:'); break;
+        default: delimiter.push('---');
+      }
+    }
+
+    const body = rows.map(pad);
+    const header = opts.hasHeader ? body.shift() : new Array(columnCount).fill('');
+
+    return [line(header), line(delimiter)].concat(body.map(line)).join('\n');
   }
 
   function cleanLinkedInTitle(title) {
@@ -219,14 +427,51 @@
       .replace(/Sign inSubscribe/g, '');
   }
 
+  /**
+   * Apply `fn` to `markdown` with fenced code blocks (fence lines included)
+   * swapped out for placeholder lines, so they come back byte-for-byte
+   * intact. An unclosed fence runs to the end of the document.
+   */
+  function mapOutsideCodeBlocks(markdown, fn) {
+    const blocks = [];
+    const lines = [];
+    let code = null;
+    let fence = null;
+    for (const line of markdown.split('\n')) {
+      const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+      if (!code) {
+        if (fenceMatch) {
+          code = [line];
+          fence = fenceMatch[1];
+        } else {
+          lines.push(line);
+        }
+        continue;
+      }
+      code.push(line);
+      // A closing fence uses the same character, at least as many times, and nothing else
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length &&
+          !line.trim().slice(fenceMatch[1].length).trim()) {
+        lines.push(`\uE000${blocks.push(code.join('\n')) - 1}\uE001`);
+        code = null;
+      }
+    }
+    if (code) lines.push(`\uE000${blocks.push(code.join('\n')) - 1}\uE001`);
+    return fn(lines.join('\n')).replace(/\uE000(\d+)\uE001/g, (match, index) => blocks[index]);
+  }
+
   /**
    * Generic Markdown cleanup applied to every page. Site-specific run-together
    * fixes are applied only when the matched handler opts in via `fixRunTogether`.
+   * Fenced code blocks are left exactly as converted.
    */
   function postProcessMarkdown(markdown, opts) {
     opts = opts || {};
     const handler = opts.handler || null;
+    return mapOutsideCodeBlocks(markdown, (text) => cleanProse(text, handler)).trim();
+  }
 
+  function cleanProse(markdown, handler) {
     markdown = markdown
       // Remove empty bold markers (including those with just whitespace)
       .replace(/\*\*\s*\*\*/g, '')
@@ -244,8 +489,8 @@
       // buttons or other block-level elements (common for "Apply"/"View" CTAs)
       // leave blank lines inside the [...] after their contents are stripped,
       // which breaks the markdown link. The negative lookbehind keeps image
-      // syntax (![alt](src)) intact.
-      .replace(/(?<!!)\[([\s\S]*?)\]\(([^)]*)\)/g, (match, text, url) => {
+      // syntax (![alt](src)) intact, the (?!\^) footnote references.
+      .replace(/(?<!!)\[(?!\^)([\s\S]*?)\]\(([^)]*)\)/g, (match, text, url) => {
         const clean = text.replace(/\s+/g, ' ').trim();
         return clean ? `[${clean}](${url})` : '';
       })
@@ -261,8 +506,7 @@
       // don't survive the \n{3,} collapse below.
       .replace(/[ \t]+$/gm, '')
       // Clean up excessive newlines
-      .replace(/\n{3,}/g, '\n\n')
-      .trim();
+      .replace(/\n{3,}/g, '\n\n');
 
     return markdown;
   }
@@ -271,6 +515,9 @@
    * Per-site configuration. `contentSelectors` / `removeSelectors` are plain
    * strings consumed by the DOM extractor; `cleanTitle` / `cleanMarkdown` are
    * pure string transforms; `fixRunTogether` opts into the aggressive fixes.
+   * `footnotes` names the reference links, note elements and note text for
+   * sites whose footnote markup the generic detection (lib/footnotes.js)
+   * does not cover.
    */
   const SITE_HANDLERS = [
     {
@@ -296,6 +543,14 @@
         '.recommendations',
         '.recommendations-container'
       ],
+      // <a class="footnote-anchor" href="#footnote-1">1</a> in the text;
+      // <div class="footnote"><a class="footnote-number" href="#footnote-anchor-1">1</a>
+      // <div class="footnote-content">...</div></div> at the end
+      footnotes: {
+        references: 'a.footnote-anchor',
+        notes: '.footnote',
+        content: '.footnote-content'
+      },
       fixRunTogether: true
     },
     {
@@ -380,16 +635,29 @@
     }
   ];
 
-  function getSiteHandler(hostname) {
+  /**
+   * The handler for a page. `opts.handlers` (compiled user-defined handlers,
+   * see lib/custom-handlers.js) are tried before the built-in ones, so a user
+   * can override a site; `opts.url` lets them match on the full URL.
+   */
+  function getSiteHandler(hostname, opts) {
     if (!hostname) return null;
-    return SITE_HANDLERS.find((handler) => handler.match(hostname)) || null;
+    const url = (opts && opts.url) || '';
+    const handlers = [...((opts && opts.handlers) || []), ...SITE_HANDLERS];
+    return handlers.find((handler) => handler.match(hostname, url)) || null;
   }
 
   return {
     MAX_DEDUP_LENGTH,
     SITE_HANDLERS,
     getSiteHandler,
+    HEADER_FORMATS,
+    formatIsoTimestamp,
+    normalizeDate,
     buildMetadataHeader,
+    composeDocument,
+    escapeTableCell,
+    buildGfmTable,
     cleanLinkedInTitle,
     cleanLinkedInMarkdown,
     applyRunTogetherFixes,
@@ -0,0 +1,399 @@
+/**
+ * Line- and word-level diffs between two extractions of the same page, for
+ * tracking changelogs, policies and pricing pages without a text editor.
+ *
+ * `diffMarkdown` compares two documents line by line (Myers' algorithm) and
+ * pairs each run of removed lines with the added lines that replaced it, so
+ * a changed line also carries a word-level diff. The extraction timestamp
+ * in the metadata header is left out: it differs on every run.
+ * `buildChangesMarkdown` turns a diff into Markdown holding only the
+ * sections (heading to next heading) that changed.
+ *
+ * Loaded by the diff page, and by the popup and history page that open it
+ * (sets `globalThis.__WCM_DIFF__`); required in Node for unit testing.
+ */
+(function (root, factory) {
+  'use strict';
+  const api = factory();
+  if (root) root.__WCM_DIFF__ = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const DIFF_VIEW_KEY = 'diffView';
+
+  // Edits beyond which one Myers pass gives up and the diff is split at a
+  // shared line instead; the edit trace grows with the square of this
+  const MAX_EDITS = 2000;
+
+  // The "Extracted" header line in each header format (see HEADER_FIELDS in
+  // lib/markdown-cleanup.js), looked for only near the top of the document
+  const EXTRACTED_LINE = /^(?:\*\*Extracted:\*\*|extracted\s*[:=])\s/;
+  const HEADER_SCAN_LINES = 40;
+
+  // Removed and added lines at the same place count as one changed line
+  // when at least this share of their text is the same
+  const MIN_SIMILARITY = 0.5;
+
+  const HEADING = /^ {0,3}(#{1,6})(?:[ \t]+|$)(.*)$/;
+  const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+
+  function pushOp(ops, type, item) {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) last.items.push(item);
+    else ops.push({ type, items: [item] });
+  }
+
+  /**
+   * Shortest edit script from `a` to `b` (Myers, with a trace per edit
+   * distance for the backtrack), as pushOp calls in order. Returns false when
+   * more than `maxEdits` edits would be needed.
+   */
+  function myers(a, b, maxEdits, ops) {
+    const n = a.length;
+    const m = b.length;
+    const limit = Math.min(n + m, maxEdits);
+    const offset = limit + 1;
+    const v = new Int32Array(2 * limit + 3);
+    const trace = [];
+
+    let found = -1;
+    for (let d = 0; d <= limit && found < 0; d++) {
+      for (let k = -d; k <= d; k += 2) {
+        let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= n && y >= m) {
+          found = d;
+          break;
+        }
+      }
+      trace.push(v.slice(offset - d, offset + d + 1));
+    }
+    if (found < 0) return false;
+
+    const reversed = [];
+    let x = n;
+    let y = m;
+    for (let d = found; d > 0; d--) {
+      const previous = trace[d - 1];
+      const at = (k) => previous[k + d - 1];
+      const k = x - y;
+      const down = k === -d || (k !== d && at(k - 1) < at(k + 1));
+      const prevK = down ? k + 1 : k - 1;
+      const prevX = at(prevK);
+      const prevY = prevX - prevK;
+      const snakeX = down ? prevX : prevX + 1;
+      while (x > snakeX) {
+        x--;
+        y--;
+        reversed.push(['equal', a[x]]);
+      }
+      reversed.push(down ? ['insert', b[prevY]] : ['delete', a[prevX]]);
+      x = prevX;
+      y = prevY;
+    }
+    while (x > 0) {
+      x--;
+      reversed.push(['equal', a[x]]);
+    }
+    for (let i = reversed.length - 1; i >= 0; i--) pushOp(ops, reversed[i][0], reversed[i][1]);
+    return true;
+  }
+
+  /**
+   * The line, found exactly once in each of `a` and `b`, nearest the middle
+   * of `a`: `{ a, b }` indexes, or null.
+   */
+  function findAnchor(a, b) {
+    const counts = new Map();
+    a.forEach((item) => counts.set(item, (counts.get(item) || 0) + 1));
+    const inB = new Map();
+    b.forEach((item, j) => {
+      if (counts.get(item) === 1) inB.set(item, inB.has(item) ? -1 : j);
+    });
+    let anchor = null;
+    a.forEach((item, i) => {
+      const j = inB.get(item);
+      if (counts.get(item) !== 1 || j === undefined || j < 0) return;
+      if (!anchor || Math.abs(i - a.length / 2) < Math.abs(anchor.a - a.length / 2)) anchor = { a: i, b: j };
+    });
+    return anchor;
+  }
+
+  function diffInto(a, b, maxEdits, ops) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    for (let i = 0; i < start; i++) pushOp(ops, 'equal', a[i]);
+    const middleA = a.slice(start, endA);
+    const middleB = b.slice(start, endB);
+    if (!myers(middleA, middleB, maxEdits, ops)) {
+      // Too far apart for one pass: split both at a line they share once
+      // and diff the halves, or else report the middle as replaced
+      const anchor = findAnchor(middleA, middleB);
+      if (anchor) {
+        diffInto(middleA.slice(0, anchor.a), middleB.slice(0, anchor.b), maxEdits, ops);
+        pushOp(ops, 'equal', middleA[anchor.a]);
+        diffInto(middleA.slice(anchor.a + 1), middleB.slice(anchor.b + 1), maxEdits, ops);
+      } else {
+        middleA.forEach((item) => pushOp(ops, 'delete', item));
+        middleB.forEach((item) => pushOp(ops, 'insert', item));
+      }
+    }
+    for (let i = endA; i < a.length; i++) pushOp(ops, 'equal', a[i]);
+  }
+
+  /**
+   * Diff two arrays of strings: runs of `{ type: 'equal'|'delete'|'insert',
+   * items }` in order, deletions before insertions where both occur.
+   * `opts.maxEdits` bounds a single Myers pass (see diffInto).
+   */
+  function diffSequences(a, b, opts) {
+    opts = opts || {};
+    const ops = [];
+    diffInto(a, b, opts.maxEdits || MAX_EDITS, ops);
+    return ops;
+  }
+
+  /**
+   * Words, runs of whitespace and single punctuation marks, so a word diff
+   * never splits a word and keeps the spacing of the text.
+   */
+  function tokenizeWords(text) {
+    return String(text || '').match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+  }
+
+  /**
+   * Word-level diff of two lines: `[{ type, text }]` segments.
+   */
+  function diffWords(oldText, newText) {
+    return diffSequences(tokenizeWords(oldText), tokenizeWords(newText))
+      .map((op) => ({ type: op.type, text: op.items.join('') }));
+  }
+
+  /**
+   * Share of a word diff's text left unchanged (0 to 1).
+   */
+  function similarity(segments) {
+    let same = 0;
+    let total = 0;
+    segments.forEach((segment) => {
+      const length = segment.text.trim().length;
+      if (segment.type === 'equal') same += 2 * length;
+      total += segment.type === 'equal' ? 2 * length : length;
+    });
+    return total ? same / total : 1;
+  }
+
+  /**
+   * The document's lines with the extraction timestamp removed.
+   */
+  function splitLines(markdown) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').replace(/\n+$/, '').split('\n');
+    const stamp = lines.slice(0, HEADER_SCAN_LINES).findIndex((line) => EXTRACTED_LINE.test(line));
+    if (stamp !== -1) {
+      // The bold header separates its lines with blank ones; drop one with it
+      const blank = lines[stamp].startsWith('**') && lines[stamp + 1] === '' ? 1 : 0;
+      lines.splice(stamp, 1 + blank);
+    }
+    return lines;
+  }
+
+  /**
+   * Compare two Markdown documents. Returns `{ lines, added, removed,
+   * changed }`: `lines` is every line of both in order as `{ type, text,
+   * oldNo, newNo }` (1-based numbers; a deleted line has no `newNo`, an
+   * inserted one no `oldNo`), and the counts are of lines. Where removed
+   * lines are directly replaced by added ones, they are paired up in order;
+   * a pair that is mostly the same text is a changed line: both carry
+   * `words`, the word-level diff of the pair, and it counts once as
+   * `changed` instead of as removed and added.
+   */
+  function diffMarkdown(oldMarkdown, newMarkdown) {
+    const ops = diffSequences(splitLines(oldMarkdown), splitLines(newMarkdown));
+    const lines = [];
+    let oldNo = 0;
+    let newNo = 0;
+    let added = 0;
+    let removed = 0;
+    let changed = 0;
+
+    for (let i = 0; i < ops.length; i++) {
+      const op = ops[i];
+      if (op.type === 'equal') {
+        op.items.forEach((text) => lines.push({ type: 'equal', text, oldNo: ++oldNo, newNo: ++newNo }));
+        continue;
+      }
+      if (op.type === 'insert') {
+        op.items.forEach((text) => lines.push({ type: 'insert', text, newNo: ++newNo }));
+        added += op.items.length;
+        continue;
+      }
+
+      const next = ops[i + 1];
+      const inserted = next && next.type === 'insert' ? next.items : [];
+      const pairs = Math.min(op.items.length, inserted.length);
+      const words = [];
+      for (let j = 0; j < pairs; j++) {
+        const segments = diffWords(op.items[j], inserted[j]);
+        if (similarity(segments) >= MIN_SIMILARITY) words[j] = segments;
+      }
+      const deletions = op.items.map((text, j) => {
+        const line = { type: 'delete', text, oldNo: ++oldNo };
+        if (words[j]) line.words = words[j].filter((segment) => segment.type !== 'insert');
+        return line;
+      });
+      const insertions = inserted.map((text, j) => {
+        const line = { type: 'insert', text, newNo: ++newNo };
+        if (words[j]) line.words = words[j].filter((segment) => segment.type !== 'delete');
+        return line;
+      });
+      const paired = words.filter(Boolean).length;
+      lines.push(...deletions, ...insertions);
+      changed += paired;
+      removed += op.items.length - paired;
+      added += inserted.length - paired;
+      if (inserted.length) i++;
+    }
+    return { lines, added, removed, changed };
+  }
+
+  /**
+   * Heading level and text of a Markdown line, or null.
+   */
+  function parseHeading(line) {
+    const match = HEADING.exec(line);
+    return match ? { level: match[1].length, text: match[2].replace(/[ \t]+#+[ \t]*$/, '').trim() } : null;
+  }
+
+  /**
+   * Split `lines` into sections at ATX headings outside code fences:
+   * `[{ start, end, heading }]` (`end` exclusive; the first section has no
+   * heading when the document does not open with one).
+   */
+  function splitSections(lines) {
+    const sections = [];
+    let fence = null;
+    lines.forEach((line, i) => {
+      const fenceMatch = FENCE.exec(line);
+      if (fence) {
+        if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+        return;
+      }
+      if (fenceMatch) {
+        fence = fenceMatch[1];
+        return;
+      }
+      const heading = parseHeading(line);
+      if (heading || i === 0) {
+        if (sections.length) sections[sections.length - 1].end = i;
+        sections.push({ start: i, end: lines.length, heading });
+      }
+    });
+    return sections;
+  }
+
+  /**
+   * Markdown holding only what changed: each section of the new document
+   * with added or removed lines, under the headings of the sections that
+   * contain it, then a list of the headings the new version no longer has.
+   * `opts.title`, `opts.url` and `opts.since` (a time in ms) fill in the
+   * introduction. Returns '' when nothing changed.
+   */
+  function buildChangesMarkdown(diff, opts) {
+    opts = opts || {};
+    const newLines = diff.lines.filter((line) => line.type !== 'delete').map((line) => line.text);
+    const sections = splitSections(newLines);
+    const sectionOf = [];
+    sections.forEach((section, i) => {
+      for (let j = section.start; j < section.end; j++) sectionOf[j] = i;
+    });
+    const sectionAt = (index) => sectionOf[index] || 0;
+    const headings = new Set(newLines.map(parseHeading).filter(Boolean).map((heading) => heading.text));
+
+    const touched = new Set();
+    const removedHeadings = [];
+    let newIndex = 0;
+    diff.lines.forEach((line) => {
+      if (line.type === 'delete') {
+        // A removed line belongs to the section it was removed from: the one
+        // holding the new line just before it
+        touched.add(sectionAt(Math.max(0, newIndex - 1)));
+        const heading = parseHeading(line.text);
+        if (heading && !headings.has(heading.text)) {
+          removedHeadings.push(heading.text);
+        }
+        return;
+      }
+      if (line.type === 'insert') touched.add(sectionAt(newIndex));
+      newIndex++;
+    });
+    if (!touched.size) return '';
+
+    const parts = [];
+    const included = new Set();
+    Array.from(touched).sort((a, b) => a - b).forEach((index) => {
+      const section = sections[index];
+      // The headings above this section, for context
+      const parents = [];
+      let level = section.heading ? section.heading.level : 7;
+      for (let i = index - 1; i >= 0 && level > 1; i--) {
+        const heading = sections[i].heading;
+        if (heading && heading.level < level) {
+          if (!included.has(i)) parents.unshift(i);
+          level = heading.level;
+        }
+      }
+      parents.forEach((i) => {
+        included.add(i);
+        parts.push(newLines[sections[i].start]);
+      });
+      included.add(index);
+      const body = newLines.slice(section.start, section.end).join('\n').trim();
+      if (body) parts.push(body);
+    });
+    if (removedHeadings.length) {
+      parts.push('**Removed sections:**\n\n' + removedHeadings.map((text) => `- ${text}`).join('\n'));
+    }
+
+    const counts = [
+      diff.changed && `${diff.changed} changed`,
+      diff.added && `${diff.added} added`,
+      diff.removed && `${diff.removed} removed`
+    ].filter(Boolean).join(', ');
+    const intro = [
+      `# Changes: ${opts.title || 'Untitled'}`,
+      '',
+      opts.url ? `**Source:** ${opts.url}` : null,
+      opts.url ? '' : null,
+      `**Compared with:** the version saved ${opts.since ? new Date(opts.since).toLocaleString() : 'earlier'} (${counts} line${diff.added + diff.removed + diff.changed === 1 ? '' : 's'})`,
+      '',
+      '---'
+    ].filter((line) => line !== null);
+    return `${intro.join('\n')}\n\n${parts.join('\n\n')}\n`;
+  }
+
+  return {
+    DIFF_VIEW_KEY,
+    diffSequences,
+    tokenizeWords,
+    diffWords,
+    splitLines,
+    diffMarkdown,
+    splitSections,
+    buildChangesMarkdown
+  };
+});
@@ -0,0 +1,604 @@
+/**
+ * Offline Markdown renderer for the "Export rendered HTML" and "Open
+ * printable view" actions: turns the generated Markdown into a readable
+ * document with the metadata header as a table, a table of contents and
+ * highlighted code.
+ *
+ * Parsing is done by the vendored markdown-it (`lib/markdown-it.js`, with
+ * `lib/markdown-it-footnote.js`); this module adds what the extension's
+ * Markdown needs on top: the metadata header, heading anchors from
+ * `lib/batch-export.js`'s slugger (so the contents links of an all-tabs
+ * bundle keep working), task lists, `$`/`$$` math shown as TeX source,
+ * code highlighting, and safety: raw HTML is sanitized with the global
+ * `DOMParser` against an allow-list and unsafe link schemes are dropped.
+ *
+ * Loaded by the popup and the printable view after `lib/batch-export.js`,
+ * `lib/markdown-it.js` and `lib/markdown-it-footnote.js` (sets
+ * `globalThis.__WCM_RENDERER__`) and required in Node for unit testing.
+ */
+(function (root, factory) {
+  'use strict';
+  const api = factory();
+  if (root) root.__WCM_RENDERER__ = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // chrome.storage.session key the popup hands the printable view its
+  // Markdown under
+  const PRINT_VIEW_KEY = 'printView';
+
+  const TOC_MAX_LEVEL = 3;  // Deeper headings stay out of the contents
+  const TOC_MIN_ENTRIES = 2; // A one-entry contents is noise
+
+  // Raw HTML: tags kept as they are; others are unwrapped to their content,
+  // and DROPPED_TAGS go with everything inside them
+  const ALLOWED_TAGS = new Set([
+    'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'code', 'col', 'colgroup', 'dd', 'del', 'details', 'div',
+    'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd',
+    'li', 'mark', 'ol', 'p', 'pre', 's', 'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody',
+    'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+  ]);
+  const DROPPED_TAGS = 'script, style, iframe, frame, frameset, object, embed, form, input, button, select, textarea, template, noscript, link, meta, base, svg, math';
+  const ALLOWED_ATTRIBUTES = ['href', 'src', 'alt', 'title', 'colspan', 'rowspan', 'align', 'scope', 'start', 'open'];
+  const SAFE_SCHEMES = ['http', 'https', 'mailto', 'tel', 'ftp'];
+
+  // Inline HTML kept inside text (attribute-free only); any other tag is
+  // shown as written
+  const INLINE_HTML = /^<(\/?)(br|sub|sup|kbd|mark|u|s|del|ins|small|abbr)\s*\/?>$/i;
+
+  // Math: `$$…$$` or `$…$` (no space inside the dollars, no digit after the
+  // closing one, so prices stay text), and `$$` display blocks
+  const INLINE_MATH = /\$\$([^$]+?)\$\$|\$(?![\s$])((?:[^$\\\n]|\\.)+?)(?<!\s)\$(?!\d)/y;
+  const DISPLAY_MATH_END = /\$\$\s*$/;
+
+  const TASK_MARKER = /^\[([ xX])\][ \t]+/;
+
+  // Metadata header keys (see lib/markdown-cleanup.js) and their labels
+  const METADATA_LABELS = {
+    source: 'Source',
+    extracted: 'Extracted',
+    site: 'Site',
+    author: 'Author',
+    section: 'Section',
+    published: 'Published',
+    modified: 'Updated',
+    canonical: 'Canonical URL',
+    tags: 'Tags',
+    language: 'Language',
+    reading_time: 'Reading time',
+    description: 'Description'
+  };
+
+  // Code highlighting: a keyword set shared by the common languages, with
+  // comment syntax picked by language. Good enough to make code readable in
+  // print; not a parser.
+  const KEYWORDS = new Set((
+    'abstract and as async await break case catch class const continue def default defer del do elif else ' +
+    'enum except export extends false final finally fn for from func function go if impl implements import in ' +
+    'instanceof interface is lambda let loop match mod module mut new nil none not null of or package pass ' +
+    'private protected pub public raise return self static struct super switch this throw throws trait true try ' +
+    'type typeof undefined unless until use var void when where while with yield None True False'
+  ).split(' '));
+  const SQL_KEYWORDS = new Set((
+    'select from where join inner left right outer full on and or not null is in as insert into values update ' +
+    'set delete create table alter drop index view group by order having limit offset union all distinct case ' +
+    'when then else end primary key foreign references default exists between like'
+  ).split(' '));
+  const HASH_COMMENT_LANGUAGES = /^(?:python|py|ruby|rb|bash|sh|shell|zsh|console|powershell|ps1|yaml|yml|toml|ini|conf|r|perl|pl|dockerfile|makefile|make|cmake|elixir|ex|coffee|julia|nim|tcl|graphql)$/;
+  const DASH_COMMENT_LANGUAGES = /^(?:sql|mysql|pgsql|postgresql|sqlite|lua|haskell|hs|elm|ada)$/;
+  const MARKUP_LANGUAGES = /^(?:html|xml|xhtml|svg|vue|svelte)$/;
+  const PLAIN_LANGUAGES = /^(?:|text|txt|plain|plaintext|output|log|markdown|md)$/;
+
+  const STRING_TOKEN = /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`(?:[^`\\]|\\.)*`/.source;
+  const NUMBER_TOKEN = /\b(?:0x[\da-fA-F]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/.source;
+  const WORD_TOKEN = /[A-Za-z_$][\w$]*/.source;
+  const COMMENT_TOKENS = {
+    hash: /#.*/.source,
+    dash: /--.*/.source,
+    slash: /\/\/.*|\/\*[\s\S]*?\*\//.source
+  };
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function decodeEntities(html) {
+    return String(html)
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * `url` if it is safe to link to: relative, or one of SAFE_SCHEMES (and
+   * `data:image/` for images). '' otherwise, e.g. for `javascript:`. The
+   * scheme is read the way browsers read it, after dropping control
+   * characters and spaces (`\u0001javascript:` is still `javascript:`).
+   */
+  function safeUrl(url, isImage) {
+    const value = String(url || '').trim();
+    const bare = value.replace(/[\u0000-\u0020\u007f]/g, '');
+    if (!bare) return '';
+    let protocol;
+    try {
+      protocol = new URL(bare, 'https://invalid.invalid/').protocol;
+    } catch (e) {
+      return '';
+    }
+    if (SAFE_SCHEMES.includes(protocol.slice(0, -1).toLowerCase())) return value;
+    return isImage && /^data:image\//i.test(bare) ? value : '';
+  }
+
+  /**
+   * Sanitize raw HTML from the Markdown (see ALLOWED_TAGS): comments, event
+   * handlers, styles and unsafe URLs are removed.
+   */
+  function sanitizeHtml(html) {
+    const doc = new DOMParser().parseFromString(`<!DOCTYPE html><html><body>${html}</body></html>`, 'text/html');
+    const body = doc.body;
+    body.querySelectorAll(DROPPED_TAGS).forEach((el) => el.remove());
+
+    const walker = doc.createTreeWalker(body, 128 /* NodeFilter.SHOW_COMMENT */);
+    const comments = [];
+    while (walker.nextNode()) comments.push(walker.currentNode);
+    comments.forEach((comment) => comment.remove());
+
+    body.querySelectorAll('*').forEach((el) => {
+      if (!ALLOWED_TAGS.has(el.nodeName.toLowerCase())) {
+        el.replaceWith(...el.childNodes);
+        return;
+      }
+      Array.from(el.attributes).forEach((attr) => {
+        if (!ALLOWED_ATTRIBUTES.includes(attr.name)) {
+          el.removeAttribute(attr.name);
+        } else if (attr.name === 'href' || attr.name === 'src') {
+          const url = safeUrl(attr.value, attr.name === 'src');
+          if (url) el.setAttribute(attr.name, url);
+          else el.removeAttribute(attr.name);
+        }
+      });
+    });
+    return body.innerHTML;
+  }
+
+  function tokenPattern(language) {
+    if (MARKUP_LANGUAGES.test(language)) {
+      return new RegExp(`(<!--[\\s\\S]*?-->)|(${STRING_TOKEN})|((?!))|(<\\/?[\\w:-]+|\\/?>)`, 'g');
+    }
+    const comment = HASH_COMMENT_LANGUAGES.test(language)
+      ? COMMENT_TOKENS.hash
+      : DASH_COMMENT_LANGUAGES.test(language) ? COMMENT_TOKENS.dash : COMMENT_TOKENS.slash;
+    return new RegExp(`(${comment})|(${STRING_TOKEN})|(${NUMBER_TOKEN})|(${WORD_TOKEN})`, 'g');
+  }
+
+  function isKeyword(word, language) {
+    if (DASH_COMMENT_LANGUAGES.test(language) && SQL_KEYWORDS.has(word.toLowerCase())) return true;
+    return KEYWORDS.has(word);
+  }
+
+  /**
+   * Highlight `code` as `language`: comments, strings, numbers and keywords
+   * (tags in markup) are wrapped in `<span class="tok-*">`. Plain text and
+   * unlabeled blocks are only escaped; diffs color added and removed lines.
+   */
+  function highlightCode(code, language) {
+    const lang = String(language || '').toLowerCase();
+    if (PLAIN_LANGUAGES.test(lang)) return escapeHtml(code);
+    if (lang === 'diff' || lang === 'patch') {
+      return code.split('\n').map((line) => {
+        if (/^\+/.test(line)) return `<span class="tok-inserted">${escapeHtml(line)}</span>`;
+        if (/^-/.test(line)) return `<span class="tok-deleted">${escapeHtml(line)}</span>`;
+        return escapeHtml(line);
+      }).join('\n');
+    }
+
+    const pattern = tokenPattern(lang);
+    let html = '';
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(code))) {
+      html += escapeHtml(code.slice(last, match.index));
+      const text = escapeHtml(match[0]);
+      if (match[1] !== undefined) html += `<span class="tok-comment">${text}</span>`;
+      else if (match[2] !== undefined) html += `<span class="tok-string">${text}</span>`;
+      else if (match[3]) html += `<span class="tok-number">${text}</span>`;
+      else if (match[4] !== undefined && (MARKUP_LANGUAGES.test(lang) || isKeyword(match[0], lang))) {
+        html += `<span class="${MARKUP_LANGUAGES.test(lang) ? 'tok-tag' : 'tok-keyword'}">${text}</span>`;
+      } else html += text;
+      last = pattern.lastIndex;
+    }
+    return html + escapeHtml(code.slice(last));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Metadata header
+  // ---------------------------------------------------------------------------
+
+  function parseHeaderValue(text) {
+    const value = text.trim();
+    if (/^".*"$/.test(value) || /^\[.*\]$/.test(value)) {
+      try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed.join(', ') : String(parsed);
+      } catch (e) {
+        return value;
+      }
+    }
+    return value;
+  }
+
+  /**
+   * The entries of a YAML/TOML front matter or comment header (as written by
+   * `buildMetadataHeader`): `[{ key, value }]`, lists joined with commas.
+   */
+  function parseHeaderLines(lines, separator) {
+    const entries = [];
+    for (const line of lines) {
+      const item = line.match(/^\s+-\s+(.*)$/);
+      if (item && entries.length) {
+        const entry = entries[entries.length - 1];
+        const value = parseHeaderValue(item[1]);
+        entry.value = entry.value ? `${entry.value}, ${value}` : value;
+        continue;
+      }
+      const index = line.indexOf(separator);
+      if (index <= 0) continue;
+      entries.push({ key: line.slice(0, index).trim(), value: parseHeaderValue(line.slice(index + 1)) });
+    }
+    return entries;
+  }
+
+  /**
+   * A comment header: `<!--`, one `key: value` per line, `-->`. Returns its
+   * entries, or null for any other comment.
+   */
+  function parseCommentHeader(lines) {
+    if (lines.length < 3 || lines[0].trim() !== '<!--' || lines[lines.length - 1].trim() !== '-->') return null;
+    const body = lines.slice(1, -1);
+    if (!body.every((line) => /^[\w-]+:\s/.test(line))) return null;
+    return parseHeaderLines(body, ':');
+  }
+
+  /**
+   * Split YAML (`---`) or TOML (`+++`) front matter off the top of `lines`.
+   */
+  function takeFrontMatter(lines) {
+    const fence = lines[0] && lines[0].trim();
+    if (fence !== '---' && fence !== '+++') return { entries: null, rest: lines };
+    const end = lines.indexOf(fence, 1);
+    if (end === -1) return { entries: null, rest: lines };
+    return { entries: parseHeaderLines(lines.slice(1, end), fence === '---' ? ':' : '='), rest: lines.slice(end + 1) };
+  }
+
+  function renderMetadataTable(entries) {
+    const rows = entries
+      .filter((entry) => entry.key !== 'title' && entry.value)
+      .map((entry) => {
+        const label = METADATA_LABELS[entry.key] || entry.key.replace(/_/g, ' ').replace(/^\w/, (c) => c.toUpperCase());
+        const url = /^https?:\/\/\S+$/.test(entry.value) ? safeUrl(entry.value) : '';
+        const value = url ? `<a href="${escapeHtml(url)}">${escapeHtml(entry.value)}</a>` : escapeHtml(entry.value);
+        return `<tr><th scope="row">${escapeHtml(label)}</th><td>${value}</td></tr>`;
+      });
+    return rows.length ? `<table class="metadata"><tbody>${rows.join('')}</tbody></table>` : '';
+  }
+
+  // ---------------------------------------------------------------------------
+  // markdown-it setup
+  // ---------------------------------------------------------------------------
+
+  function stripTags(html) {
+    return decodeEntities(String(html).replace(/<[^>]*>/g, '')).trim();
+  }
+
+  /**
+   * `$$ … $$` display math as a block; it may interrupt a paragraph.
+   */
+  function mathBlockRule(state, startLine, endLine, silent) {
+    const start = state.bMarks[startLine] + state.tShift[startLine];
+    if (state.sCount[startLine] - state.blkIndent >= 4 || !state.src.startsWith('$$', start)) return false;
+    if (silent) return true;
+
+    const lineText = (line) => state.src.slice(state.bMarks[line] + state.tShift[line], state.eMarks[line]);
+    const first = lineText(startLine).slice(2);
+    const tex = [first];
+    let line = startLine;
+    let closed = DISPLAY_MATH_END.test(first) && first.trim() !== '$$' && first.trim() !== '';
+    while (!closed && ++line < endLine) {
+      tex.push(lineText(line));
+      closed = DISPLAY_MATH_END.test(lineText(line));
+    }
+    state.line = closed ? line + 1 : endLine;
+    const token = state.push('math_block', 'div', 0);
+    token.block = true;
+    token.content = tex.join('\n').replace(DISPLAY_MATH_END, '').trim();
+    token.map = [startLine, state.line];
+    return true;
+  }
+
+  function mathInlineRule(state, silent) {
+    if (state.src.charCodeAt(state.pos) !== 0x24 /* $ */) return false;
+    INLINE_MATH.lastIndex = state.pos;
+    const match = INLINE_MATH.exec(state.src);
+    if (!match || INLINE_MATH.lastIndex > state.posMax) return false;
+    if (!silent) {
+      const token = state.push('math_inline', 'span', 0);
+      token.content = match[1] !== undefined ? match[1].trim() : match[2];
+    }
+    state.pos = INLINE_MATH.lastIndex;
+    return true;
+  }
+
+  /**
+   * Links and images whose URL safeUrl refused (normalizeLink below made it
+   * '') lose the link: a link keeps its text, an image becomes its alt text.
+   */
+  function dropUnsafeLinks(children) {
+    let dropClose = false;
+    return children.filter((token) => {
+      if (token.type === 'link_open' && !token.attrGet('href')) {
+        dropClose = true;
+        return false;
+      }
+      if (token.type === 'link_close' && dropClose) {
+        dropClose = false;
+        return false;
+      }
+      if (token.type === 'image' && !token.attrGet('src')) {
+        token.type = 'text';
+        token.tag = '';
+        token.children = null;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Core rule run after inline parsing: heading anchors and the collected
+   * headings (`env.ctx`), task list checkboxes, unsafe links, and tables
+   * whose header row is empty (see buildGfmTable), which lose it.
+   */
+  function finishTokens(state) {
+    const { ctx } = state.env;
+    const tokens = state.tokens;
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type === 'inline' && token.children) {
+        token.children = dropUnsafeLinks(token.children);
+      }
+
+      if (token.type === 'heading_open') {
+        const inline = tokens[i + 1];
+        const id = ctx.slug(inline.content);
+        token.attrSet('id', id);
+        const html = state.md.renderer.renderInline(inline.children, state.md.options, state.env);
+        ctx.headings.push({ level: Number(token.tag.slice(1)), text: stripTags(html), id });
+      }
+
+      if (token.type === 'inline' && tokens[i - 1] && tokens[i - 1].type === 'paragraph_open' &&
+          tokens[i - 2] && tokens[i - 2].type === 'list_item_open') {
+        const first = token.children[0];
+        const task = first && first.type === 'text' && first.content.match(TASK_MARKER);
+        if (task) {
+          first.content = first.content.slice(task[0].length);
+          const checkbox = new state.Token('task_checkbox', 'input', 0);
+          checkbox.meta = { checked: task[1] !== ' ' };
+          token.children.unshift(checkbox);
+          tokens[i - 2].attrJoin('class', 'task');
+        }
+      }
+
+      if (token.type === 'thead_open') {
+        const end = tokens.findIndex((t, j) => j > i && t.type === 'thead_close');
+        const cells = tokens.slice(i, end).filter((t) => t.type === 'inline');
+        if (cells.every((cell) => !cell.content.trim())) {
+          tokens.splice(i, end - i + 1);
+          i--;
+        }
+      }
+    }
+  }
+
+  let parser = null;
+
+  function createParser() {
+    const md = globalThis.markdownit({ html: true, linkify: false, typographer: false })
+      .use(globalThis.markdownitFootnote);
+
+    // Every URL goes through safeUrl; refused ones come out empty and
+    // finishTokens drops the link
+    const normalizeLink = md.normalizeLink.bind(md);
+    md.validateLink = () => true;
+    md.normalizeLink = (url) => (safeUrl(url, true) ? normalizeLink(url) : '');
+
+    md.block.ruler.before('fence', 'math_block', mathBlockRule, { alt: ['paragraph', 'reference', 'blockquote', 'list'] });
+    md.inline.ruler.before('escape', 'math_inline', mathInlineRule);
+    md.core.ruler.push('wcm_finish', finishTokens);
+
+    const rules = md.renderer.rules;
+    rules.math_inline = (tokens, idx) => `<span class="math">${escapeHtml(tokens[idx].content)}</span>`;
+    rules.math_block = (tokens, idx) => `<div class="math math-display">${escapeHtml(tokens[idx].content)}</div>\n`;
+    rules.task_checkbox = (tokens, idx) => `<input type="checkbox" disabled${tokens[idx].meta.checked ? ' checked' : ''}> `;
+    rules.fence = (tokens, idx) => {
+      const language = tokens[idx].info.trim().match(/^[\w+#.-]*/)[0];
+      const langClass = language ? ` class="language-${escapeHtml(language)}"` : '';
+      return `<pre><code${langClass}>${highlightCode(tokens[idx].content.replace(/\n$/, ''), language)}</code></pre>\n`;
+    };
+    rules.html_inline = (tokens, idx) => {
+      const tag = tokens[idx].content.match(INLINE_HTML);
+      return tag ? `<${tag[1]}${tag[2].toLowerCase()}>` : escapeHtml(tokens[idx].content);
+    };
+    rules.html_block = (tokens, idx) => {
+      // Comments are dropped, except a comment metadata header (as each page
+      // of an all-tabs bundle has)
+      const content = tokens[idx].content;
+      const entries = parseCommentHeader(content.trim().split('\n'));
+      const html = entries ? renderMetadataTable(entries) : sanitizeHtml(content).trim();
+      return html ? `${html}\n` : '';
+    };
+    rules.footnote_caption = (tokens, idx) => String(tokens[idx].meta.id + 1);
+    return md;
+  }
+
+  /**
+   * Render `markdown` to HTML. Returns `{ html, title, headings, metadata }`:
+   * `headings` are `{ level, text, id }` in document order, `metadata` the
+   * entries of a front matter or leading comment header (`[{ key, value }]`,
+   * left out of `html`), and `title` the first level-1 heading (or the
+   * header's title).
+   */
+  function renderMarkdown(markdown) {
+    const BATCH = globalThis.__WCM_BATCH__;
+    const ctx = { slug: BATCH.createSlugger(), headings: [] };
+
+    const frontMatter = takeFrontMatter(String(markdown || '').replace(/\r\n?/g, '\n').split('\n'));
+    let lines = frontMatter.rest;
+    let metadata = frontMatter.entries;
+    if (!metadata) {
+      const start = lines.findIndex((line) => line.trim());
+      const end = lines.findIndex((line, i) => i >= start && line.includes('-->'));
+      if (start !== -1 && lines[start].trim() === '<!--' && end !== -1) {
+        metadata = parseCommentHeader(lines.slice(start, end + 1));
+        if (metadata) lines = lines.slice(end + 1);
+      }
+    }
+
+    if (!parser) parser = createParser();
+    const html = parser.render(lines.join('\n'), { ctx }).trim();
+    const heading = ctx.headings.find((h) => h.level === 1);
+    const headerTitle = metadata && metadata.find((entry) => entry.key === 'title');
+    return {
+      html,
+      title: heading ? heading.text : headerTitle ? headerTitle.value : '',
+      headings: ctx.headings,
+      metadata: metadata || []
+    };
+  }
+
+  /**
+   * The table of contents for `headings` (levels 1-3, less the document
+   * title), or '' when there is little to list or the document has its own
+   * contents section (as all-tabs bundles do).
+   */
+  function buildToc(headings) {
+    const entries = headings.filter((h, i) => h.level <= TOC_MAX_LEVEL && !(i === 0 && h.level === 1));
+    if (entries.length < TOC_MIN_ENTRIES) return '';
+    if (headings.some((h) => /^(?:table of )?contents$/i.test(h.text))) return '';
+    const minLevel = Math.min(...entries.map((h) => h.level));
+    const items = entries.map((h) => `<li class="toc-level-${h.level - minLevel + 1}"><a href="#${escapeHtml(h.id)}">${escapeHtml(h.text)}</a></li>`);
+    return `<nav class="toc" aria-label="Contents"><p class="toc-title">Contents</p><ul>${items.join('')}</ul></nav>`;
+  }
+
+  /**
+   * The document as shown in the printable view and the HTML export: the
+   * title, then the metadata table and table of contents, then the content.
+   * `opts.title` is used when the Markdown has no title of its own.
+   * Returns `{ title, html }`.
+   */
+  function renderArticle(markdown, opts) {
+    opts = opts || {};
+    const rendered = renderMarkdown(markdown);
+    const front = [renderMetadataTable(rendered.metadata), buildToc(rendered.headings)].filter(Boolean).join('\n');
+    const title = rendered.title || opts.title || 'Untitled';
+
+    let html = rendered.html;
+    const titleHeading = html.match(/^<h1\b[^>]*>[\s\S]*?<\/h1>/);
+    if (titleHeading) {
+      html = titleHeading[0] + (front ? `\n${front}` : '') + html.slice(titleHeading[0].length);
+    } else {
+      html = `<h1>${escapeHtml(title)}</h1>\n${front}${front ? '\n' : ''}${html}`;
+    }
+    return { title, html };
+  }
+
+  // Shared by the HTML export and the printable view
+  const DOCUMENT_CSS = `
+.document { max-width: 760px; margin: 0 auto; padding: 32px 24px 64px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif; font-size: 16px; line-height: 1.6; color: #222; }
+.document h1, .document h2, .document h3, .document h4, .document h5, .document h6 { color: #264653; line-height: 1.25; margin: 1.6em 0 0.6em; }
+.document h1 { font-size: 2em; margin-top: 0; }
+.document h2 { font-size: 1.5em; padding-bottom: 0.2em; border-bottom: 1px solid #e4e4e4; }
+.document h3 { font-size: 1.25em; }
+.document p, .document ul, .document ol, .document blockquote, .document table, .document pre, .document figure { margin: 0 0 1em; }
+.document ul, .document ol { padding-left: 2em; }
+.document li.task { list-style: none; margin-left: -1.4em; }
+.document a { color: #1d756a; }
+.document img { max-width: 100%; height: auto; }
+.document hr { border: none; border-top: 1px solid #ddd; margin: 2em 0; }
+.document blockquote { padding: 0 1em; color: #555; border-left: 4px solid #E9C46A; }
+.document code { font-family: 'SF Mono', 'Monaco', 'Inconsolata', 'Fira Code', 'Consolas', monospace; font-size: 0.88em; background: #f3f3f3; padding: 0.1em 0.3em; border-radius: 3px; }
+.document pre { background: #f6f8fa; border: 1px solid #e4e4e4; border-radius: 6px; padding: 12px 14px; overflow-x: auto; line-height: 1.45; }
+.document pre code { background: none; padding: 0; font-size: 0.85em; }
+.document table { border-collapse: collapse; display: block; overflow-x: auto; }
+.document th, .document td { border: 1px solid #ddd; padding: 6px 12px; vertical-align: top; }
+.document thead th { background: #f6f8fa; }
+.document table.metadata { display: table; font-size: 0.9em; color: #444; }
+.document table.metadata th { text-align: left; white-space: nowrap; background: #f6f8fa; font-weight: 600; }
+.document table.metadata td { word-break: break-word; }
+.document .toc { background: #fafafa; border: 1px solid #e4e4e4; border-radius: 6px; padding: 12px 16px; margin: 0 0 1.5em; }
+.document .toc-title { font-weight: 600; color: #264653; margin: 0 0 0.4em; }
+.document .toc ul { list-style: none; padding: 0; margin: 0; }
+.document .toc li { margin: 0.15em 0; }
+.document .toc .toc-level-2 { padding-left: 1.2em; }
+.document .toc .toc-level-3 { padding-left: 2.4em; }
+.document .math { font-family: 'SF Mono', 'Monaco', 'Inconsolata', 'Fira Code', 'Consolas', monospace; font-size: 0.9em; color: #444; }
+.document .math-display { margin: 0 0 1em; padding: 8px 12px; background: #fafafa; overflow-x: auto; white-space: pre-wrap; }
+.document .footnotes { font-size: 0.9em; color: #444; }
+.document .footnote-backref { text-decoration: none; }
+.tok-comment { color: #6a737d; font-style: italic; }
+.tok-string { color: #032f62; }
+.tok-number { color: #005cc5; }
+.tok-keyword, .tok-tag { color: #d73a49; }
+.tok-inserted { color: #22863a; background: #f0fff4; }
+.tok-deleted { color: #b31d28; background: #ffeef0; }
+@page { margin: 18mm 16mm; }
+@media print {
+  .document { max-width: none; padding: 0; font-size: 11pt; }
+  .document a { color: inherit; }
+  .document pre { white-space: pre-wrap; word-break: break-word; overflow: visible; }
+  .document table { display: table; overflow: visible; }
+  .document pre, .document blockquote, .document figure, .document img, .document tr, .document .toc { break-inside: avoid; }
+  .document h1, .document h2, .document h3, .document h4 { break-after: avoid; }
+}
+`.trim();
+
+  /**
+   * A standalone HTML page for `markdown` (see renderArticle), styled
+   * inline so it reads the same opened from disk.
+   */
+  function buildHtmlDocument(markdown, opts) {
+    const article = renderArticle(markdown, opts);
+    return [
+      '<!DOCTYPE html>',
+      '<html>',
+      '<head>',
+      '<meta charset="UTF-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1.0">',
+      `<title>${escapeHtml(article.title)}</title>`,
+      `<style>\nbody { margin: 0; background: #fff; }\n${DOCUMENT_CSS}\n</style>`,
+      '</head>',
+      '<body>',
+      `<article class="document">\n${article.html}\n</article>`,
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  return {
+    PRINT_VIEW_KEY,
+    DOCUMENT_CSS,
+    escapeHtml,
+    sanitizeHtml,
+    highlightCode,
+    renderMarkdown,
+    buildToc,
+    renderArticle,
+    buildHtmlDocument
+  };
+});
@@ -0,0 +1,286 @@
+/**
+ * Math to LaTeX: finds the TeX source behind rendered formulas and converts
+ * MathML when no source is left in the page.
+ *
+ * Sources, in order of preference:
+ *  - KaTeX and Wikipedia keep the TeX in `annotation[encoding="application/x-tex"]`
+ *  - MathJax 2 keeps it in `script[type^="math/tex"]` next to the rendered output
+ *  - MathJax 3 only keeps assistive MathML (`mjx-assistive-mml`), and plain
+ *    `<math>` has nothing else, so those go through `mathmlToTex`
+ *
+ * Injected into the page before the extractor (sets `globalThis.__WCM_MATH__`)
+ * and required in Node for unit testing with jsdom.
+ */
+(function (root, factory) {
+  'use strict';
+  const api = factory();
+  if (root) root.__WCM_MATH__ = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // Outermost elements of a rendered formula. Converted as a unit, and not
+  // searched for hidden elements (the MathML copy is usually visually hidden).
+  const CONTAINER_SELECTOR = [
+    '.katex-display', '.katex',
+    'mjx-container',
+    '.MathJax_Preview', '.MathJax_Display', '.MathJax', '.MathJax_SVG_Display', '.MathJax_SVG', '.MathJax_CHTML',
+    '.mwe-math-element',
+    'script[type^="math/tex"]',
+    'math'
+  ].join(', ');
+
+  // MathJax 2 output; the TeX is in the script that follows it
+  const MATHJAX2_OUTPUT = '.MathJax_Preview, .MathJax_Display, .MathJax, .MathJax_SVG_Display, .MathJax_SVG, .MathJax_CHTML';
+
+  const TEX_ANNOTATION = 'annotation[encoding="application/x-tex"]';
+
+  const FUNCTION_NAMES = [
+    'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh', 'coth',
+    'log', 'ln', 'lg', 'exp', 'lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'det', 'dim', 'ker',
+    'deg', 'gcd', 'arg', 'hom', 'Pr'
+  ];
+
+  // Operators written below/above with _ and ^ rather than \underset/\overset
+  const LIMIT_OPERATORS = ['\\sum', '\\prod', '\\coprod', '\\int', '\\iint', '\\oint', '\\bigcup', '\\bigcap',
+    '\\lim', '\\liminf', '\\limsup', '\\max', '\\min', '\\sup', '\\inf'];
+
+  const SYMBOLS = {
+    // Greek
+    'α': '\\alpha', 'β': '\\beta', 'γ': '\\gamma', 'δ': '\\delta', 'ε': '\\varepsilon', 'ϵ': '\\epsilon',
+    'ζ': '\\zeta', 'η': '\\eta', 'θ': '\\theta', 'ϑ': '\\vartheta', 'ι': '\\iota', 'κ': '\\kappa',
+    'λ': '\\lambda', 'μ': '\\mu', 'ν': '\\nu', 'ξ': '\\xi', 'ο': 'o', 'π': '\\pi', 'ϖ': '\\varpi',
+    'ρ': '\\rho', 'ϱ': '\\varrho', 'ς': '\\varsigma', 'σ': '\\sigma', 'τ': '\\tau', 'υ': '\\upsilon',
+    'φ': '\\varphi', 'ϕ': '\\phi', 'χ': '\\chi', 'ψ': '\\psi', 'ω': '\\omega',
+    'Γ': '\\Gamma', 'Δ': '\\Delta', 'Θ': '\\Theta', 'Λ': '\\Lambda', 'Ξ': '\\Xi', 'Π': '\\Pi',
+    'Σ': '\\Sigma', 'Υ': '\\Upsilon', 'Φ': '\\Phi', 'Ψ': '\\Psi', 'Ω': '\\Omega',
+    // Operators and relations
+    '±': '\\pm', '∓': '\\mp', '×': '\\times', '÷': '\\div', '⋅': '\\cdot', '·': '\\cdot', '∘': '\\circ',
+    '∗': '*', '−': '-', '≤': '\\leq', '≥': '\\geq', '≠': '\\neq', '≈': '\\approx', '≡': '\\equiv',
+    '∼': '\\sim', '≃': '\\simeq', '≅': '\\cong', '∝': '\\propto', '≪': '\\ll', '≫': '\\gg',
+    '→': '\\to', '←': '\\leftarrow', '↔': '\\leftrightarrow', '⇒': '\\Rightarrow', '⇐': '\\Leftarrow',
+    '⇔': '\\Leftrightarrow', '↦': '\\mapsto', '∈': '\\in', '∉': '\\notin', '∋': '\\ni',
+    '⊂': '\\subset', '⊃': '\\supset', '⊆': '\\subseteq', '⊇': '\\supseteq', '∪': '\\cup', '∩': '\\cap',
+    '∖': '\\setminus', '∀': '\\forall', '∃': '\\exists', '¬': '\\neg', '∧': '\\land', '∨': '\\lor',
+    '⊗': '\\otimes', '⊕': '\\oplus', '⊥': '\\perp', '∥': '\\parallel', '∣': '\\mid', '†': '\\dagger',
+    '∑': '\\sum', '∏': '\\prod', '∐': '\\coprod', '∫': '\\int', '∬': '\\iint', '∮': '\\oint',
+    '⋃': '\\bigcup', '⋂': '\\bigcap',
+    // Other symbols
+    '∞': '\\infty', '∂': '\\partial', '∇': '\\nabla', '∅': '\\emptyset', '√': '\\surd', 'ℓ': '\\ell',
+    'ℏ': '\\hbar', 'ℝ': '\\mathbb{R}', 'ℕ': '\\mathbb{N}', 'ℤ': '\\mathbb{Z}', 'ℚ': '\\mathbb{Q}',
+    'ℂ': '\\mathbb{C}', '…': '\\ldots', '⋯': '\\cdots', '⋮': '\\vdots', '⋱': '\\ddots',
+    '′': "'", '″': "''", '⟨': '\\langle', '⟩': '\\rangle', '⌈': '\\lceil', '⌉': '\\rceil',
+    '⌊': '\\lfloor', '⌋': '\\rfloor',
+    // TeX specials
+    '{': '\\{', '}': '\\}', '#': '\\#', '$': '\\$', '%': '\\%', '&': '\\&', '_': '\\_', '\\': '\\backslash',
+    // Invisible function application, times, separator and plus
+    '\u2061': '', '\u2062': '', '\u2063': '', '\u2064': ''
+  };
+
+  const OVER_ACCENTS = {
+    '^': '\\hat', 'ˆ': '\\hat', '¯': '\\bar', '‾': '\\overline', '→': '\\vec', '\u20d7': '\\vec',
+    '˙': '\\dot', '¨': '\\ddot', '~': '\\tilde', '˜': '\\tilde', '⏞': '\\overbrace'
+  };
+  const UNDER_ACCENTS = { '_': '\\underline', '\u0332': '\\underline', '‾': '\\underline', '⏟': '\\underbrace' };
+
+  const MATH_VARIANTS = {
+    normal: '\\mathrm', bold: '\\mathbf', italic: '\\mathit', 'double-struck': '\\mathbb',
+    fraktur: '\\mathfrak', script: '\\mathcal', 'sans-serif': '\\mathsf', monospace: '\\mathtt'
+  };
+
+  function symbols(text) {
+    return Array.from(text, (char) => (char in SYMBOLS ? SYMBOLS[char] : char));
+  }
+
+  /**
+   * Concatenate TeX fragments, with a space wherever a control word would
+   * otherwise run into a following letter (`\alpha x`, not `\alphax`), or
+   * a one-character script would visually merge with what follows
+   * (`x^n a`, not `x^na`).
+   */
+  function joinTex(parts) {
+    return parts.reduce((out, part) => {
+      if (!part) return out;
+      const separate = /(?:\\[a-zA-Z]+|[_^][a-zA-Z0-9])$/.test(out) && /^[a-zA-Z0-9]/.test(part);
+      return out + (separate ? ' ' : '') + part;
+    }, '');
+  }
+
+  // One token (a character or control word) needs no braces
+  function isAtom(tex) {
+    return Array.from(tex).length === 1 || /^\\[a-zA-Z]+$/.test(tex) || /^\\.$/.test(tex);
+  }
+
+  function group(tex) {
+    return isAtom(tex) ? tex : `{${tex}}`;
+  }
+
+  function elementChildren(node) {
+    return Array.from(node.children || []);
+  }
+
+  function convertIdentifier(node) {
+    const text = node.textContent.trim();
+    if (FUNCTION_NAMES.includes(text)) return '\\' + text;
+    const variant = MATH_VARIANTS[node.getAttribute('mathvariant')];
+    if (Array.from(text).length > 1) {
+      return `${variant || '\\mathrm'}{${joinTex(symbols(text))}}`;
+    }
+    const tex = joinTex(symbols(text));
+    return variant && /^[A-Za-z0-9]$/.test(text) ? `${variant}{${tex}}` : tex;
+  }
+
+  function convertOperator(node) {
+    const text = node.textContent.trim();
+    if (FUNCTION_NAMES.includes(text)) return '\\' + text;
+    return joinTex(symbols(text));
+  }
+
+  function convertText(node) {
+    const text = node.textContent;
+    if (!text.trim()) return '\\ ';
+    return `\\text{${text.replace(/[{}\\#$%&_]/g, (char) => (char === '\\' ? '\\textbackslash{}' : '\\' + char))}}`;
+  }
+
+  function convertUnderOver(node, under, over) {
+    const [baseNode] = elementChildren(node);
+    const base = convertNode(baseNode);
+    const underNode = under ? elementChildren(node)[1] : null;
+    const overNode = over ? elementChildren(node)[under ? 2 : 1] : null;
+
+    if (LIMIT_OPERATORS.includes(base)) {
+      return base + (underNode ? '_' + group(convertNode(underNode)) : '') + (overNode ? '^' + group(convertNode(overNode)) : '');
+    }
+    let tex = base;
+    if (underNode) {
+      const accent = UNDER_ACCENTS[underNode.textContent.trim()];
+      tex = accent ? `${accent}{${tex}}` : `\\underset{${convertNode(underNode)}}{${tex}}`;
+    }
+    if (overNode) {
+      const accent = OVER_ACCENTS[overNode.textContent.trim()];
+      tex = accent ? `${accent}{${tex}}` : `\\overset{${convertNode(overNode)}}{${tex}}`;
+    }
+    return tex;
+  }
+
+  function convertFenced(node) {
+    const fence = (value, fallback) => {
+      const char = value === null ? fallback : value;
+      if (!char) return '.';
+      return char === '{' || char === '}' ? '\\' + char : (SYMBOLS[char] || char);
+    };
+    const separators = (node.getAttribute('separators') === null ? ',' : node.getAttribute('separators')).replace(/\s/g, '');
+    const parts = [];
+    elementChildren(node).forEach((child, i) => {
+      if (i > 0 && separators) parts.push(separators[Math.min(i - 1, separators.length - 1)]);
+      parts.push(convertNode(child));
+    });
+    return `\\left${fence(node.getAttribute('open'), '(')}${joinTex(parts)}\\right${fence(node.getAttribute('close'), ')')}`;
+  }
+
+  function convertTable(node) {
+    const rows = elementChildren(node)
+      .filter((row) => row.localName === 'mtr' || row.localName === 'mlabeledtr')
+      .map((row) => {
+        const cells = elementChildren(row).filter((cell) => cell.localName === 'mtd');
+        // A labeled row starts with its equation number
+        if (row.localName === 'mlabeledtr') cells.shift();
+        return cells.map((cell) => convertChildren(cell)).join(' & ');
+      });
+    return `\\begin{matrix}${rows.join(' \\\\ ')}\\end{matrix}`;
+  }
+
+  function convertChildren(node) {
+    return joinTex(elementChildren(node).map(convertNode));
+  }
+
+  function convertNode(node) {
+    if (!node) return '';
+    const [first, second, third] = elementChildren(node);
+    switch (node.localName) {
+      case 'mi': return convertIdentifier(node);
+      case 'mn': return joinTex(symbols(node.textContent.trim()));
+      case 'mo': return convertOperator(node);
+      case 'mtext': case 'ms': return convertText(node);
+      case 'mspace': return '\\,';
+      case 'semantics': return convertNode(first);
+      case 'annotation': case 'annotation-xml': case 'mprescripts': case 'none': return '';
+      case 'msup': return group(convertNode(first)) + '^' + group(convertNode(second));
+      case 'msub': return group(convertNode(first)) + '_' + group(convertNode(second));
+      case 'msubsup': return group(convertNode(first)) + '_' + group(convertNode(second)) + '^' + group(convertNode(third));
+      case 'munder': return convertUnderOver(node, true, false);
+      case 'mover': return convertUnderOver(node, false, true);
+      case 'munderover': return convertUnderOver(node, true, true);
+      case 'mfrac': return `\\frac{${convertNode(first)}}{${convertNode(second)}}`;
+      case 'msqrt': return `\\sqrt{${convertChildren(node)}}`;
+      case 'mroot': return `\\sqrt[${convertNode(second)}]{${convertNode(first)}}`;
+      case 'mfenced': return convertFenced(node);
+      case 'mtable': return convertTable(node);
+      case 'mphantom': return `\\phantom{${convertChildren(node)}}`;
+      case 'mglyph': return node.getAttribute('alt') || '';
+      default: return convertChildren(node); // math, mrow, mstyle, mpadded, menclose, merror, ...
+    }
+  }
+
+  /**
+   * LaTeX for a MathML `<math>` element (or any MathML subtree). Covers the
+   * presentation elements pages actually use: tokens, scripts, fractions,
+   * roots, fences, accents and tables.
+   */
+  function mathmlToTex(node) {
+    return convertNode(node).replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * TeX as pages store it, without the `{\displaystyle ...}` wrapper
+   * Wikipedia adds.
+   */
+  function cleanTex(tex) {
+    tex = String(tex || '').trim();
+    const wrapped = tex.match(/^\{\\(?:displaystyle|textstyle)\s*([\s\S]*)\}$/);
+    return (wrapped ? wrapped[1] : tex).trim();
+  }
+
+  function isMathContainer(node) {
+    return node.nodeType === 1 && node.matches(CONTAINER_SELECTOR);
+  }
+
+  function followedByTexScript(node) {
+    let next = node.nextElementSibling;
+    while (next && next.matches('.MathJax_Preview, .MathJax_Display, .MathJax')) next = next.nextElementSibling;
+    return Boolean(next && next.matches('script[type^="math/tex"]'));
+  }
+
+  /**
+   * `{ tex, display }` for a math container (see isMathContainer), or null
+   * when it holds no recoverable math. MathJax 2 output that has its source
+   * script alongside returns an empty `tex`: the script is converted instead.
+   */
+  function getMathSource(node) {
+    if (node.nodeName === 'SCRIPT') {
+      return { tex: cleanTex(node.textContent), display: /mode\s*=\s*display/.test(node.getAttribute('type')) };
+    }
+    if (node.localName !== 'mjx-container' && node.matches(MATHJAX2_OUTPUT) && followedByTexScript(node)) {
+      return { tex: '', display: false };
+    }
+
+    const math = node.localName === 'math' ? node : node.querySelector('math');
+    const annotation = node.querySelector(TEX_ANNOTATION);
+    const tex = annotation ? cleanTex(annotation.textContent) : math ? mathmlToTex(math) : '';
+    if (!tex) return null;
+
+    const display = node.matches('.katex-display, .MathJax_Display, .MathJax_SVG_Display') ||
+      Boolean(node.closest('.katex-display')) ||
+      node.getAttribute('display') === 'true' ||
+      Boolean(math && math.getAttribute('display') === 'block');
+    return { tex, display };
+  }
+
+  return {
+    CONTAINER_SELECTOR,
+    isMathContainer,
+    getMathSource,
+    mathmlToTex,
+    cleanTex
+  };
+});
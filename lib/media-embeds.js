@@ -0,0 +1,189 @@
+/**
+ * Embedded media as labeled links: `<video>`, `<audio>` and players embedded
+ * from YouTube, Vimeo, X/Twitter, CodePen and GitHub Gist.
+ *
+ * The extractor drops iframes and scripts (they are never content in
+ * themselves), so a tutorial's embedded video used to vanish without a
+ * trace. `convertMediaEmbeds` runs before that and replaces each recognized
+ * embed with a paragraph holding a link to the original page, e.g.
+ * `[▶ Video: Intro to flexbox](https://www.youtube.com/watch?v=...)`, which
+ * then converts like any other link.
+ *
+ * Injected into the page before the extractor (sets `globalThis.__WCM_MEDIA__`)
+ * and required in Node for unit testing with jsdom.
+ */
+(function (root, factory) {
+  'use strict';
+  const api = factory();
+  if (root) root.__WCM_MEDIA__ = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const MEDIA_ATTR = 'data-wcm-media';
+
+  // Embeds handled: players (with a lazy-loading src), YouTube's lite
+  // element, CodePen's pre-script markup and Gist's script tag
+  const EMBED_SELECTOR = [
+    'iframe', 'video', 'audio', 'lite-youtube', 'lite-vimeo',
+    'p.codepen[data-slug-hash]', 'div.codepen[data-slug-hash]', 'script[src*="gist.github.com/"]'
+  ].join(', ');
+
+  // Titles players give every embed; not worth repeating in the link
+  const GENERIC_TITLE = /^(?:(?:youtube|vimeo)(?: video)?(?: player| embed)?|video player|x post|twitter tweet|embedded (?:content|video)|codepen embed|iframe)$/i;
+
+  const LABELS = {
+    video: '▶ Video',
+    audio: '▶ Audio',
+    post: 'Post on X',
+    pen: 'CodePen',
+    gist: 'Gist'
+  };
+
+  function parseUrl(src, baseUrl) {
+    try {
+      return new URL(String(src || '').trim(), baseUrl);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * YouTube `start` seconds (`?start=90` or `?t=1m30s`) as a watch-URL `t`.
+   */
+  function youTubeStart(params) {
+    const value = params.get('start') || params.get('t');
+    if (!value) return '';
+    const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s?)?$/);
+    if (!match) return '';
+    const seconds = (parseInt(match[1] || 0, 10) * 3600) + (parseInt(match[2] || 0, 10) * 60) + parseInt(match[3] || 0, 10);
+    return seconds ? `&t=${seconds}s` : '';
+  }
+
+  /**
+   * The page behind an embed URL: `{ kind, provider, url }` for the players
+   * this module knows, otherwise null.
+   */
+  function resolveEmbedUrl(src, baseUrl) {
+    const url = parseUrl(src, baseUrl);
+    if (!url || !/^https?:$/.test(url.protocol)) return null;
+    const host = url.hostname.replace(/^www\./, '');
+    const path = url.pathname;
+    let match;
+
+    if (/(?:^|\.)youtube(?:-nocookie)?\.com$/.test(host) && (match = path.match(/^\/embed\/([\w-]+)/))) {
+      if (match[1] === 'videoseries' && url.searchParams.get('list')) {
+        return { kind: 'video', provider: 'YouTube', url: `https://www.youtube.com/playlist?list=${url.searchParams.get('list')}` };
+      }
+      return { kind: 'video', provider: 'YouTube', url: `https://www.youtube.com/watch?v=${match[1]}${youTubeStart(url.searchParams)}` };
+    }
+    if (host === 'player.vimeo.com' && (match = path.match(/^\/video\/(\d+)/))) {
+      const hash = url.searchParams.get('h');
+      return { kind: 'video', provider: 'Vimeo', url: `https://vimeo.com/${match[1]}${hash ? `/${hash}` : ''}` };
+    }
+    if (host === 'platform.twitter.com' && /^\/embed\/Tweet\.html/.test(path) && /^\d+$/.test(url.searchParams.get('id') || '')) {
+      return { kind: 'post', provider: 'X', url: `https://x.com/i/status/${url.searchParams.get('id')}` };
+    }
+    if (host === 'codepen.io' && (match = path.match(/^\/((?:team\/)?[\w-]+)\/(?:embed|full|pen)\/(?:preview\/)?([\w-]+)/))) {
+      return { kind: 'pen', provider: 'CodePen', url: `https://codepen.io/${match[1]}/pen/${match[2]}` };
+    }
+    if (host === 'gist.github.com' && (match = path.match(/^\/([\w-]+)\/([0-9a-f]+)(?:\.js|\.pibb)?$/i))) {
+      return { kind: 'gist', provider: 'Gist', url: `https://gist.github.com/${match[1]}/${match[2]}`, name: `${match[1]}/${match[2]}` };
+    }
+    return null;
+  }
+
+  function titleOf(el) {
+    const title = ['title', 'aria-label', 'data-title', 'playlabel']
+      .map((name) => (el.getAttribute(name) || '').replace(/\s+/g, ' ').trim())
+      .find(Boolean) || '';
+    return GENERIC_TITLE.test(title) ? '' : title;
+  }
+
+  /**
+   * Source of a `<video>`/`<audio>`: its own `src` or the first `<source>`
+   * with a fetchable URL (not a `blob:` stream).
+   */
+  function mediaSource(el, baseUrl) {
+    const candidates = [el.getAttribute('src'), ...Array.from(el.querySelectorAll('source'), (source) => source.getAttribute('src'))];
+    for (const candidate of candidates) {
+      const url = parseUrl(candidate, baseUrl);
+      if (candidate && url && /^https?:$/.test(url.protocol)) return url.href;
+    }
+    return null;
+  }
+
+  /**
+   * `{ kind, url, title }` for one embed element, or null when it is not
+   * one this module recognizes (or has no URL to link to).
+   */
+  function describeEmbed(el, baseUrl) {
+    const name = el.nodeName.toLowerCase();
+    const title = titleOf(el);
+    if (name === 'video' || name === 'audio') {
+      const src = mediaSource(el, baseUrl);
+      if (!src) return null;
+      return { ...(resolveEmbedUrl(src, baseUrl) || { kind: name, url: src }), title };
+    }
+    if (name === 'lite-youtube' && el.getAttribute('videoid')) {
+      return { kind: 'video', provider: 'YouTube', url: `https://www.youtube.com/watch?v=${el.getAttribute('videoid')}`, title };
+    }
+    if (name === 'lite-vimeo' && el.getAttribute('videoid')) {
+      return { kind: 'video', provider: 'Vimeo', url: `https://vimeo.com/${el.getAttribute('videoid')}`, title };
+    }
+    if (el.hasAttribute('data-slug-hash')) {
+      const user = el.getAttribute('data-user') || 'anon';
+      return { kind: 'pen', provider: 'CodePen', url: `https://codepen.io/${user}/pen/${el.getAttribute('data-slug-hash')}`, title };
+    }
+    const embed = resolveEmbedUrl(el.getAttribute('src') || el.getAttribute('data-src'), baseUrl);
+    return embed ? { ...embed, title } : null;
+  }
+
+  function labelFor(embed) {
+    const label = LABELS[embed.kind];
+    if (embed.title) return `${label}: ${embed.title}`;
+    if (embed.name) return `${label}: ${embed.name}`;
+    if (embed.provider && embed.kind === 'video') return `${label} (${embed.provider})`;
+    return label;
+  }
+
+  /**
+   * Replace the embeds under `root` with labeled links in place (see the
+   * module comment). A Gist script whose gist has already rendered right
+   * after it is left alone: the rendered code is better than a link.
+   * Embeds matching or inside `opts.skip` (a selector for elements that will
+   * be removed, such as hidden ones) are left alone too, since the link that
+   * replaces them would not carry their marker. Returns the number of embeds
+   * converted.
+   */
+  function convertMediaEmbeds(root, baseUrl, opts) {
+    const skip = (opts && opts.skip) || null;
+    const doc = root.ownerDocument;
+    let count = 0;
+    root.querySelectorAll(EMBED_SELECTOR).forEach((el) => {
+      if (!root.contains(el)) return;
+      if (skip && el.closest(skip)) return;
+      if (el.nodeName === 'SCRIPT' && el.nextElementSibling && el.nextElementSibling.matches('.gist')) return;
+      const embed = describeEmbed(el, baseUrl);
+      if (!embed) return;
+
+      const link = doc.createElement('a');
+      link.setAttribute('href', embed.url);
+      link.textContent = labelFor(embed);
+      // Inline players stay inline; everything else gets its own paragraph
+      const inParagraph = el.parentElement && el.parentElement.closest('p');
+      const holder = doc.createElement(inParagraph ? 'span' : 'p');
+      holder.setAttribute(MEDIA_ATTR, embed.kind);
+      holder.appendChild(link);
+      el.replaceWith(holder);
+      count++;
+    });
+    return count;
+  }
+
+  return {
+    MEDIA_ATTR,
+    resolveEmbedUrl,
+    convertMediaEmbeds
+  };
+});
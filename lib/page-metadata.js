@@ -0,0 +1,260 @@
+/**
+ * Page metadata from JSON-LD, OpenGraph, Twitter cards, Dublin Core and plain
+ * `<meta>`/`<link>` tags.
+ *
+ * Sources are consulted in that order of trust: JSON-LD (structured, usually
+ * generated from the CMS) first, then OpenGraph/`article:*`, Twitter, Dublin
+ * Core and finally generic meta names. Like the scorer, the module only reads
+ * the document it is handed, so it can be injected into a page (sets
+ * `globalThis.__WCM_METADATA__`) and required in Node against jsdom.
+ */
+(function (root, factory) {
+  'use strict';
+  const api = factory();
+  if (root) root.__WCM_METADATA__ = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // JSON-LD types treated as "the article" on the page
+  const ARTICLE_TYPES = [
+    'Article', 'NewsArticle', 'BlogPosting', 'TechArticle', 'ScholarlyArticle',
+    'Report', 'SocialMediaPosting', 'LiveBlogPosting', 'AnalysisNewsArticle',
+    'OpinionNewsArticle', 'ReviewNewsArticle'
+  ];
+
+  const WORDS_PER_MINUTE = 230;
+
+  function firstValue(...values) {
+    for (const value of values) {
+      if (Array.isArray(value)) {
+        if (value.length) return value[0];
+      } else if (value != null && String(value).trim()) {
+        return String(value).trim();
+      }
+    }
+    return null;
+  }
+
+  function unique(values) {
+    const seen = new Set();
+    return values.filter((value) => {
+      const key = value.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  function isUrl(value) {
+    return /^https?:\/\//i.test(value);
+  }
+
+  /**
+   * All `<meta>` values keyed by lowercased name/property/itemprop, in
+   * document order (several `article:tag` or `author` tags are common).
+   */
+  function readMetaTags(doc) {
+    const tags = new Map();
+    doc.querySelectorAll('meta[content]').forEach((meta) => {
+      const content = (meta.getAttribute('content') || '').trim();
+      if (!content) return;
+      for (const attr of ['name', 'property', 'itemprop', 'http-equiv']) {
+        const key = (meta.getAttribute(attr) || '').trim().toLowerCase();
+        if (!key) continue;
+        if (!tags.has(key)) tags.set(key, []);
+        tags.get(key).push(content);
+      }
+    });
+    return tags;
+  }
+
+  function typesOf(entity) {
+    const type = entity && entity['@type'];
+    return Array.isArray(type) ? type : type ? [type] : [];
+  }
+
+  /**
+   * Flatten parsed JSON-LD blocks (single objects, arrays, `@graph`
+   * containers) into a list of entities.
+   */
+  function flattenJsonLd(data, out) {
+    out = out || [];
+    if (Array.isArray(data)) {
+      data.forEach((item) => flattenJsonLd(item, out));
+    } else if (data && typeof data === 'object') {
+      if (Array.isArray(data['@graph'])) flattenJsonLd(data['@graph'], out);
+      if (data['@type']) out.push(data);
+    }
+    return out;
+  }
+
+  function parseJsonLd(doc) {
+    const entities = [];
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach((script) => {
+      try {
+        flattenJsonLd(JSON.parse(script.textContent), entities);
+      } catch (e) {
+        // Ignore malformed blocks; many sites ship at least one
+      }
+    });
+    return entities;
+  }
+
+  /**
+   * Resolve `{ "@id": ... }` references against the other entities.
+   */
+  function resolveRef(value, byId) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && value['@id'] && byId.has(value['@id'])) {
+      return { ...byId.get(value['@id']), ...value };
+    }
+    return value;
+  }
+
+  function namesOf(value, byId) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.flatMap((item) => namesOf(item, byId));
+    if (typeof value === 'string') return [value.trim()].filter(Boolean);
+    const resolved = resolveRef(value, byId);
+    const name = resolved && (resolved.name || [resolved.givenName, resolved.familyName].filter(Boolean).join(' '));
+    return typeof name === 'string' && name.trim() ? [name.trim()] : [];
+  }
+
+  function listOf(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.flatMap(listOf);
+    return String(value).split(',').map((item) => item.trim()).filter(Boolean);
+  }
+
+  /**
+   * Author names from meta tags. A single tag may list several people, but
+   * "Doe, Jane" is one name, so only semicolons separate them.
+   */
+  function authorsOf(values) {
+    return values.flatMap((value) => value.split(';')).map((name) => name.trim()).filter(Boolean);
+  }
+
+  /**
+   * `inLanguage` as a string: a code, a Language object with a name, or an
+   * array of either (the first wins).
+   */
+  function languageOf(value) {
+    const first = Array.isArray(value) ? value[0] : value;
+    if (first && typeof first === 'object') return firstValue(first.name);
+    return firstValue(first);
+  }
+
+  /**
+   * Minutes in an ISO 8601 duration such as `PT5M` or `PT1H2M30S`.
+   */
+  function parseDurationMinutes(value) {
+    const match = String(value || '').match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i);
+    if (!match) return null;
+    const [, days, hours, minutes, seconds] = match.map((part) => parseInt(part, 10) || 0);
+    const total = days * 1440 + hours * 60 + minutes + Math.round(seconds / 60);
+    return total > 0 ? total : null;
+  }
+
+  function estimateReadingTime(text) {
+    const words = (String(text || '').match(/\S+/g) || []).length;
+    return words ? Math.max(1, Math.round(words / WORDS_PER_MINUTE)) : null;
+  }
+
+  function readJsonLd(doc) {
+    const entities = parseJsonLd(doc);
+    const byId = new Map();
+    entities.forEach((entity) => {
+      if (entity['@id']) byId.set(entity['@id'], entity);
+    });
+
+    const article = entities.find((entity) => typesOf(entity).some((type) => ARTICLE_TYPES.includes(type)));
+    // Profile pages describe a Person with no article around it
+    const person = entities.find((entity) => typesOf(entity).includes('Person'));
+    const webPage = entities.find((entity) => typesOf(entity).some((type) => /WebPage$/.test(type)));
+    const main = article || webPage || null;
+    if (!main && !person) return {};
+
+    const mainEntityOfPage = main && resolveRef(main.mainEntityOfPage, byId);
+    return {
+      title: main && firstValue(main.headline, main.name),
+      description: main && firstValue(main.description),
+      authors: main ? namesOf(main.author || main.creator, byId) : namesOf(person, byId),
+      publishedDate: main && firstValue(main.datePublished, main.dateCreated),
+      modifiedDate: main && firstValue(main.dateModified),
+      keywords: main ? listOf(main.keywords) : [],
+      section: main && firstValue(listOf(main.articleSection)),
+      language: main && languageOf(main.inLanguage),
+      siteName: main && firstValue(namesOf(main.publisher, byId)),
+      canonicalUrl: firstValue(
+        typeof mainEntityOfPage === 'string' ? mainEntityOfPage : mainEntityOfPage && mainEntityOfPage['@id'],
+        main && main.url
+      ),
+      readingTime: main && parseDurationMinutes(main.timeRequired)
+    };
+  }
+
+  /**
+   * Collect everything we know about the page. Missing values are null (or
+   * empty arrays for `authors` / `keywords`); `readingTime` is in minutes and
+   * only set when the page declares it (see estimateReadingTime otherwise).
+   */
+  function extractPageMetadata(doc) {
+    const ld = readJsonLd(doc);
+    const meta = readMetaTags(doc);
+    const get = (...keys) => firstValue(...keys.map((key) => meta.get(key)));
+    const getAll = (...keys) => keys.flatMap((key) => meta.get(key) || []);
+
+    const canonicalLink = doc.querySelector('link[rel="canonical"][href]');
+    const ogLocale = get('og:locale');
+
+    const metaAuthors = getAll('author', 'article:author', 'dc.creator', 'dcterms.creator')
+      // article:author is frequently a profile URL rather than a name
+      .filter((value) => !isUrl(value));
+
+    return {
+      title: firstValue(ld.title, get('og:title', 'twitter:title', 'dc.title', 'dcterms.title')),
+      description: firstValue(
+        ld.description,
+        get('og:description', 'twitter:description', 'description', 'dc.description', 'dcterms.description')
+      ),
+      authors: unique(
+        ld.authors && ld.authors.length
+          ? ld.authors
+          : metaAuthors.length ? authorsOf(metaAuthors) : getAll('twitter:creator')
+      ),
+      publishedDate: firstValue(
+        ld.publishedDate,
+        get('article:published_time', 'datepublished', 'dc.date.issued', 'dcterms.issued',
+          'dcterms.created', 'dc.date', 'date', 'pubdate')
+      ),
+      modifiedDate: firstValue(
+        ld.modifiedDate,
+        get('article:modified_time', 'og:updated_time', 'datemodified', 'dcterms.modified', 'last-modified')
+      ),
+      canonicalUrl: firstValue(canonicalLink && canonicalLink.href, ld.canonicalUrl, get('og:url')),
+      keywords: unique(
+        ld.keywords && ld.keywords.length
+          ? ld.keywords
+          : listOf(getAll('article:tag').length ? getAll('article:tag') : get('keywords', 'news_keywords', 'dc.subject'))
+      ),
+      section: firstValue(ld.section, get('article:section', 'category')),
+      language: firstValue(
+        doc.documentElement.getAttribute('lang'),
+        ld.language,
+        get('dc.language', 'dcterms.language', 'content-language'),
+        ogLocale && ogLocale.replace('_', '-')
+      ),
+      siteName: firstValue(get('og:site_name'), ld.siteName, get('application-name', 'publisher', 'dc.publisher')),
+      readingTime: ld.readingTime || parseDurationMinutes(get('timerequired')) || null
+    };
+  }
+
+  return {
+    readMetaTags,
+    flattenJsonLd,
+    parseJsonLd,
+    parseDurationMinutes,
+    estimateReadingTime,
+    extractPageMetadata
+  };
+});
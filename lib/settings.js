@@ -0,0 +1,145 @@
+/**
+ * User settings: defaults, validation, and `chrome.storage.sync` persistence.
+ *
+ * Loaded by the popup and the options page after `lib/link-urls.js` (sets
+ * `globalThis.__WCM_SETTINGS__`) and required in Node for unit testing
+ * (`module.exports`). Only `loadSettings` / `saveSettings` touch the `chrome`
+ * API.
+ */
+(function (root, factory) {
+  'use strict';
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const api = factory(isNode ? require('./link-urls.js') : root.__WCM_LINKS__);
+  if (root) root.__WCM_SETTINGS__ = api;
+  if (isNode) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (LINKS) {
+  'use strict';
+
+  const STORAGE_KEY = 'settings';
+
+  // Metadata header lines, in output order. Keys match `buildMetadataHeader`.
+  const METADATA_FIELDS = [
+    'source', 'extracted', 'site', 'author', 'section',
+    'published', 'modified', 'canonical', 'tags', 'language', 'readingTime', 'description'
+  ];
+
+  // Allowed values for each choice setting; the first is the default.
+  const CHOICES = {
+    headingStyle: ['atx', 'setext'],
+    bulletListMarker: ['-', '*', '+'],
+    linkStyle: ['inlined', 'referenced', 'text'],
+    linkReferenceStyle: ['full', 'collapsed', 'shortcut'],
+    headerFormat: ['bold', 'yaml', 'toml', 'comment', 'none'],
+    downloadFormat: ['files', 'zip'],
+    imageMode: ['link', 'inline'],
+    tokenizer: ['approx-bpe', 'chars']
+  };
+
+  // Allowed [min, max] for numeric settings; values are rounded and clamped.
+  const NUMBER_RANGES = {
+    inlineImageMaxKB: [10, 10000],
+    inlineTotalMaxKB: [10, 100000],
+    inlineMaxDimension: [0, 10000],
+    tokenBudget: [100, 10000000],
+    historyMaxMB: [1, 10000]
+  };
+
+  const DEFAULT_SETTINGS = {
+    includeImages: false,
+    includeHtml: false,
+    includeFrames: false,
+    keepScreenReaderText: false,
+    headingStyle: 'atx',
+    bulletListMarker: '-',
+    linkStyle: 'inlined',       // 'referenced' collects URLs at the end; 'text' drops them
+    linkReferenceStyle: 'full', // [text][1], [text][] or [text]
+    // Query parameters stripped from link and image URLs (`*` is a wildcard)
+    trackingParams: LINKS.DEFAULT_TRACKING_PARAMS.join(', '),
+    headerFormat: 'bold',
+    downloadFormat: 'files',    // separate .md/.html files, or one ZIP archive
+    zipImages: true,            // with 'zip': download images into assets/
+    imageMode: 'link',          // 'inline' embeds images as data URIs
+    inlineImageMaxKB: 200,      // per inlined image; larger ones are downscaled or stay links
+    inlineTotalMaxKB: 2000,     // all inlined images together
+    inlineMaxDimension: 1600,   // longest side when downscaling (0 keeps the size)
+    tokenizer: 'approx-bpe',    // see lib/token-budget.js
+    tokenBudget: 100000,        // context budget the popup warns against
+    fitToBudget: false,         // trim the output until it fits tokenBudget
+    historyEnabled: true,       // keep every extraction (see lib/history-store.js)
+    historyKeepHtml: false,     // store the cleaned HTML with the Markdown
+    historyMaxMB: 100,          // oldest entries are deleted beyond this
+    metadataFields: {
+      source: true,
+      extracted: true,
+      site: true,
+      author: true,
+      section: true,
+      published: true,
+      modified: true,
+      canonical: true,
+      tags: true,
+      language: true,
+      readingTime: true,
+      description: true
+    }
+  };
+
+  /**
+   * Merge stored values over the defaults, dropping unknown keys and values
+   * of the wrong type (e.g. left over from an older version).
+   */
+  function normalizeSettings(raw) {
+    raw = raw && typeof raw === 'object' ? raw : {};
+    const settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      const value = raw[key];
+      if (value === undefined) continue;
+
+      if (CHOICES[key]) {
+        if (CHOICES[key].includes(value)) settings[key] = value;
+      } else if (NUMBER_RANGES[key]) {
+        const [min, max] = NUMBER_RANGES[key];
+        if (typeof value === 'number' && isFinite(value)) {
+          settings[key] = Math.min(max, Math.max(min, Math.round(value)));
+        }
+      } else if (key === 'metadataFields') {
+        if (value && typeof value === 'object') {
+          for (const field of METADATA_FIELDS) {
+            if (typeof value[field] === 'boolean') settings.metadataFields[field] = value[field];
+          }
+        }
+      } else if (typeof value === typeof DEFAULT_SETTINGS[key]) {
+        settings[key] = value;
+      }
+    }
+
+    return settings;
+  }
+
+  async function loadSettings() {
+    const stored = await chrome.storage.sync.get(STORAGE_KEY);
+    return normalizeSettings(stored[STORAGE_KEY]);
+  }
+
+  /**
+   * Save a partial update on top of the stored settings. Returns the result.
+   */
+  async function saveSettings(changes) {
+    const current = await loadSettings();
+    const settings = normalizeSettings({ ...current, ...changes });
+    await chrome.storage.sync.set({ [STORAGE_KEY]: settings });
+    return settings;
+  }
+
+  return {
+    STORAGE_KEY,
+    METADATA_FIELDS,
+    CHOICES,
+    NUMBER_RANGES,
+    DEFAULT_SETTINGS,
+    normalizeSettings,
+    loadSettings,
+    saveSettings
+  };
+});
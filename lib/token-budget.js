@@ -0,0 +1,283 @@
+/**
+ * Token counts and context-window budgets for the popup.
+ *
+ * Tokenizers are pluggable: each is `{ id, label, count(text) }`, registered
+ * with `registerTokenizer`. The bundled `approx-bpe` estimator splits text the
+ * way GPT-style BPE pre-tokenizers do (words with their leading space, digit
+ * groups, punctuation runs, whitespace) and charges each piece what a real
+ * vocabulary typically would, so it works offline with no vocabulary file.
+ * Expect it to be within roughly 10-15% of an exact count for English prose.
+ *
+ * Loaded by the popup after `lib/link-urls.js` (sets `globalThis.__WCM_TOKENS__`)
+ * and required in Node for unit testing.
+ */
+(function (root, factory) {
+  'use strict';
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const api = factory(isNode ? require('./link-urls.js') : root.__WCM_LINKS__);
+  if (root) root.__WCM_TOKENS__ = api;
+  if (isNode) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (LINKS) {
+  'use strict';
+
+  const DEFAULT_TOKENIZER = 'approx-bpe';
+
+  // Pre-tokenizer pieces, in the spirit of the cl100k split pattern
+  const PIECE_PATTERN = /'(?:s|t|re|ve|m|ll|d)\b| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+/gu;
+  const WIDE_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]/u;
+
+  const tokenizers = new Map();
+
+  /**
+   * Cost of one pre-tokenized piece. Common English words (up to ~6 letters)
+   * are single tokens; longer ones split into ~4-letter fragments. CJK and
+   * similar scripts cost about a token per character, other non-Latin text
+   * about one per two characters.
+   */
+  function pieceCost(piece) {
+    if (/^\s+$/.test(piece)) {
+      // Runs of spaces merge into one token; each newline pair is about one
+      return Math.max(1, Math.ceil((piece.match(/\n/g) || []).length / 2));
+    }
+    const core = piece.replace(/^ /, '');
+    if (/^\p{L}+$/u.test(core)) {
+      if (WIDE_SCRIPT.test(core)) return Array.from(core).length;
+      if (/[^\x00-\x7f]/.test(core)) return Math.ceil(Array.from(core).length / 2);
+      return core.length <= 6 ? 1 : Math.ceil(core.length / 4);
+    }
+    if (/^\p{N}+$/u.test(core)) return Math.ceil(core.length / 3);
+    return Math.ceil(Array.from(core).length / 2);
+  }
+
+  function approxBpeCount(text) {
+    let tokens = 0;
+    for (const match of String(text || '').matchAll(PIECE_PATTERN)) {
+      tokens += pieceCost(match[0]);
+    }
+    return tokens;
+  }
+
+  function registerTokenizer(tokenizer) {
+    if (!tokenizer || !tokenizer.id || typeof tokenizer.count !== 'function') {
+      throw new TypeError('A tokenizer needs an id and a count(text) function');
+    }
+    tokenizers.set(tokenizer.id, tokenizer);
+  }
+
+  /**
+   * The tokenizer registered as `id`, falling back to the default.
+   */
+  function getTokenizer(id) {
+    return tokenizers.get(id) || tokenizers.get(DEFAULT_TOKENIZER);
+  }
+
+  function listTokenizers() {
+    return Array.from(tokenizers.values(), ({ id, label }) => ({ id, label }));
+  }
+
+  registerTokenizer({ id: 'approx-bpe', label: 'BPE estimate (GPT/Claude-like)', count: approxBpeCount });
+  registerTokenizer({ id: 'chars', label: 'Characters ÷ 4', count: (text) => Math.ceil(String(text || '').length / 4) });
+
+  /**
+   * Character (code point), word and token counts for `text`.
+   */
+  function countText(text, tokenizerId) {
+    text = String(text || '');
+    return {
+      characters: Array.from(text).length,
+      words: (text.match(/\S+/g) || []).length,
+      tokens: getTokenizer(tokenizerId).count(text)
+    };
+  }
+
+  // Bracketed link text and the (url "title") after it; URLs may hold
+  // balanced parentheses (`Foo_(bar)`)
+  const LINK_TEXT = String.raw`\[((?:[^\]\\]|\\.)*)\]`;
+  const LINK_TARGET = String.raw`\((?:${LINKS.MARKDOWN_URL.source})?(?:\s+"[^"]*")?\)`;
+
+  // Markdown images: alone on their line (taking the blank lines after them
+  // along), or inline
+  const IMAGE_LINE_PATTERN = new RegExp(String.raw`^[ \t]*!${LINK_TEXT}${LINK_TARGET}[ \t]*(?:\n|$)(?:[ \t]*\n)*`, 'gm');
+  const IMAGE_PATTERN = new RegExp(`!${LINK_TEXT}${LINK_TARGET}`, 'g');
+  // [text](url) -> text, leaving images (already gone by then) alone
+  const LINK_PATTERN = new RegExp(`(^|[^!])${LINK_TEXT}${LINK_TARGET}`, 'g');
+
+  // Link reference definitions ("[1]: https://..."), which the referenced
+  // link style collects at the end; footnote definitions ("[^1]: ") are text
+  const DEFINITION_LINE = /^ {0,3}\[((?:[^\]\\^]|\\.)(?:[^\]\\]|\\.)*)\]:[ \t]+\S/;
+  // Reference links: [text][label], [text][] and [label]
+  const REFERENCE_PATTERN = /(^|[^!\\])\[((?:[^\]\\]|\\.)*)\](?:\[((?:[^\]\\]|\\.)*)\])?/g;
+
+  const SECTION_HEADING = /^#{2,6}\s/;
+
+  function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * Apply `fn` to the runs of `markdown` outside fenced code blocks (fence
+   * lines included), leaving the code as written.
+   */
+  function mapOutsideFences(markdown, fn) {
+    const runs = [];
+    let prose = [];
+    let fence = null;
+    const flush = () => {
+      if (prose.length) runs.push(fn(prose.join('\n')));
+      prose = [];
+    };
+    for (const line of markdown.split('\n')) {
+      const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+      const inCode = Boolean(fence || fenceMatch);
+      if (fenceMatch) {
+        if (!fence) fence = fenceMatch[1][0];
+        else if (fenceMatch[1][0] === fence) fence = null;
+      }
+      if (inCode) {
+        flush();
+        runs.push(line);
+      } else {
+        prose.push(line);
+      }
+    }
+    flush();
+    return runs.join('\n');
+  }
+
+  /**
+   * Take the link reference definitions out of `markdown` (outside fenced
+   * code). Returns `{ body, definitions }`, `definitions` mapping each
+   * normalized label to its line; `body` is `markdown` itself when there are
+   * none.
+   */
+  function splitDefinitions(markdown) {
+    const definitions = new Map();
+    const body = [];
+    let fence = null;
+    for (const line of markdown.split('\n')) {
+      const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+      if (fenceMatch) {
+        if (!fence) fence = fenceMatch[1][0];
+        else if (fenceMatch[1][0] === fence) fence = null;
+      }
+      const definition = !fence && line.match(DEFINITION_LINE);
+      if (definition) definitions.set(normalizeLabel(definition[1]), line);
+      else body.push(line);
+    }
+    return { body: definitions.size ? body.join('\n').trimEnd() : markdown, definitions };
+  }
+
+  /**
+   * `text` with each reference link whose label is defined reduced to its text.
+   */
+  function stripReferences(text, definitions) {
+    return text.replace(REFERENCE_PATTERN, (match, before, linkText, label) => (
+      definitions.has(normalizeLabel(label || linkText)) ? before + linkText : match
+    ));
+  }
+
+  /**
+   * Split Markdown into blocks that can be dropped from the end: sections
+   * starting at `##`-or-deeper headings, or paragraphs when there are none.
+   * The first block (title, metadata header, intro) always stays.
+   */
+  function splitTrailingBlocks(markdown) {
+    const sections = [[]];
+    const paragraphs = [[]];
+    let fence = null;
+    for (const line of markdown.split('\n')) {
+      const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+      if (fenceMatch) {
+        if (!fence) fence = fenceMatch[1][0];
+        else if (fenceMatch[1][0] === fence) fence = null;
+      }
+      if (!fence && SECTION_HEADING.test(line) && sections[sections.length - 1].length) sections.push([]);
+      sections[sections.length - 1].push(line);
+
+      // Blank lines inside a fenced block belong to the code
+      if (!fence && !line.trim()) {
+        if (paragraphs[paragraphs.length - 1].length) paragraphs.push([]);
+      } else {
+        paragraphs[paragraphs.length - 1].push(line);
+      }
+    }
+    const blocks = sections.length > 1 ? sections : paragraphs.filter((paragraph) => paragraph.length);
+    return blocks.map((block) => block.join('\n'));
+  }
+
+  /**
+   * Trim `markdown` (and the optional `html` block) until `render(markdown,
+   * html)` fits `budget` tokens, applying the least damaging steps first:
+   * drop the HTML block, drop images, reduce links to their text, then drop
+   * trailing sections (or paragraphs) and note the truncation. Reference
+   * links (`linkStyle: referenced`) are reduced together with their
+   * definitions, before any section goes. Returns `{ markdown, html, tokens,
+   * fits, steps }` where `steps` names what was applied.
+   */
+  function fitToBudget(markdown, html, opts) {
+    opts = opts || {};
+    const tokenizer = getTokenizer(opts.tokenizer);
+    const render = opts.render || ((md, h) => (h ? `${md}\n\n${h}` : md));
+    const budget = opts.budget;
+    const measure = (md, h) => tokenizer.count(render(md, h));
+
+    const steps = [];
+    let tokens = measure(markdown, html);
+    const done = () => ({ markdown, html, tokens, fits: tokens <= budget, steps });
+    if (tokens <= budget) return done();
+
+    if (html) {
+      html = null;
+      steps.push('HTML block');
+      tokens = measure(markdown, html);
+      if (tokens <= budget) return done();
+    }
+
+    const withoutImages = mapOutsideFences(markdown, (text) => text.replace(IMAGE_LINE_PATTERN, '').replace(IMAGE_PATTERN, ''));
+    if (withoutImages !== markdown) {
+      markdown = withoutImages;
+      steps.push('images');
+      tokens = measure(markdown, html);
+      if (tokens <= budget) return done();
+    }
+
+    // Reference links lose their definitions in the same step, so sections
+    // dropped below never leave definitions behind or lose their own
+    const { body, definitions } = splitDefinitions(markdown);
+    const withoutUrls = mapOutsideFences(body, (text) => stripReferences(text.replace(LINK_PATTERN, '$1$2'), definitions));
+    if (withoutUrls !== markdown) {
+      markdown = withoutUrls;
+      steps.push('link URLs');
+      tokens = measure(markdown, html);
+      if (tokens <= budget) return done();
+    }
+
+    // Token counts are close to additive across block boundaries, so count
+    // each block once and drop from the end instead of re-measuring the
+    // whole document each time.
+    const blocks = splitTrailingBlocks(markdown);
+    const note = `*[Truncated to fit a ${budget.toLocaleString('en-US')}-token budget]*`;
+    const costs = blocks.map((block) => tokenizer.count(block + '\n\n'));
+    let total = tokens + tokenizer.count(note);
+    let keep = blocks.length;
+    while (keep > 1 && total > budget) {
+      keep--;
+      total -= costs[keep];
+    }
+    if (keep < blocks.length) {
+      markdown = blocks.slice(0, keep).join('\n\n').trimEnd() + '\n\n' + note + '\n';
+      steps.push(`${blocks.length - keep} trailing section${blocks.length - keep === 1 ? '' : 's'}`);
+      tokens = measure(markdown, html);
+    }
+    return done();
+  }
+
+  return {
+    DEFAULT_TOKENIZER,
+    registerTokenizer,
+    getTokenizer,
+    listTokenizers,
+    countText,
+    fitToBudget
+  };
+});
@@ -0,0 +1,167 @@
+/**
+ * Minimal ZIP archive writer (no dependencies).
+ *
+ * Entries are deflated with the platform's `CompressionStream('deflate-raw')`
+ * when that makes them smaller, and stored otherwise (images are usually
+ * compressed already). File names are UTF-8. No ZIP64, so archives are
+ * limited to 4 GB, far beyond anything a page produces.
+ *
+ * Loaded by the popup (sets `globalThis.__WCM_ZIP__`) and required in Node for
+ * unit testing.
+ */
+(function (root, factory) {
+  'use strict';
+  const api = factory();
+  if (root) root.__WCM_ZIP__ = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const METHOD_STORE = 0;
+  const METHOD_DEFLATE = 8;
+  const FLAG_UTF8 = 0x0800;
+  const VERSION = 20; // 2.0: deflate, directories
+
+  let crcTable = null;
+
+  function getCrcTable() {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+    return crcTable;
+  }
+
+  function crc32(bytes) {
+    const table = getCrcTable();
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  function toBytes(data) {
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    throw new TypeError('ZIP entry data must be a string, Uint8Array or ArrayBuffer');
+  }
+
+  /**
+   * MS-DOS date and time fields (local time, 2-second resolution).
+   */
+  function toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  async function deflateRaw(bytes) {
+    if (typeof CompressionStream === 'undefined') return null;
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  function concat(chunks) {
+    const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of chunks) {
+      out.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return out;
+  }
+
+  function header(size, fill) {
+    const bytes = new Uint8Array(size);
+    fill(new DataView(bytes.buffer));
+    return bytes;
+  }
+
+  /**
+   * Build a ZIP archive. `files` are `{ name, data, date?, compress? }` where
+   * `data` is a string (written as UTF-8), Uint8Array or ArrayBuffer and
+   * `compress: false` skips the deflate attempt. Resolves with a Uint8Array.
+   */
+  async function createZip(files) {
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = new TextEncoder().encode(file.name);
+      const data = toBytes(file.data);
+      const crc = crc32(data);
+      const { time, date } = toDosDateTime(file.date || new Date());
+
+      let method = METHOD_STORE;
+      let body = data;
+      if (file.compress !== false && data.length) {
+        const deflated = await deflateRaw(data);
+        if (deflated && deflated.length < data.length) {
+          method = METHOD_DEFLATE;
+          body = deflated;
+        }
+      }
+
+      const local = header(30, (view) => {
+        view.setUint32(0, 0x04034b50, true);
+        view.setUint16(4, VERSION, true);
+        view.setUint16(6, FLAG_UTF8, true);
+        view.setUint16(8, method, true);
+        view.setUint16(10, time, true);
+        view.setUint16(12, date, true);
+        view.setUint32(14, crc, true);
+        view.setUint32(18, body.length, true);
+        view.setUint32(22, data.length, true);
+        view.setUint16(26, name.length, true);
+        view.setUint16(28, 0, true);
+      });
+
+      central.push(header(46, (view) => {
+        view.setUint32(0, 0x02014b50, true);
+        view.setUint16(4, VERSION, true);
+        view.setUint16(6, VERSION, true);
+        view.setUint16(8, FLAG_UTF8, true);
+        view.setUint16(10, method, true);
+        view.setUint16(12, time, true);
+        view.setUint16(14, date, true);
+        view.setUint32(16, crc, true);
+        view.setUint32(20, body.length, true);
+        view.setUint32(24, data.length, true);
+        view.setUint16(28, name.length, true);
+        // extra, comment, disk number, internal and external attributes: 0
+        view.setUint32(42, offset, true);
+      }), name);
+
+      chunks.push(local, name, body);
+      offset += local.length + name.length + body.length;
+    }
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = header(22, (view) => {
+      view.setUint32(0, 0x06054b50, true);
+      view.setUint16(8, files.length, true);
+      view.setUint16(10, files.length, true);
+      view.setUint32(12, centralSize, true);
+      view.setUint32(16, offset, true);
+    });
+
+    return concat([...chunks, ...central, end]);
+  }
+
+  return {
+    crc32,
+    createZip
+  };
+});
@@ -0,0 +1,22 @@
+'use strict';
+
+// Offscreen document: writes text to the clipboard on behalf of the service
+// worker. The document never has focus, so navigator.clipboard is unavailable;
+// a selected textarea + execCommand('copy') works without it.
+
+const clipboardArea = document.getElementById('clipboard');
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.target !== 'offscreen' || message.type !== 'copy-to-clipboard') return;
+
+  try {
+    clipboardArea.value = message.text;
+    clipboardArea.select();
+    const copied = document.execCommand('copy');
+    sendResponse(copied ? { success: true } : { success: false, error: 'Copy command was rejected' });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  } finally {
+    clipboardArea.value = '';
+  }
+});
@@ -0,0 +1,292 @@
+'use strict';
+
+// Options page controller: mirrors lib/settings.js into the form and saves
+// every change straight back to chrome.storage.sync.
+
+const SETTINGS = globalThis.__WCM_SETTINGS__;
+
+// DOM Elements
+const settingInputs = document.querySelectorAll('[data-setting]');
+const metadataInputs = document.querySelectorAll('[data-metadata-field]');
+const resetBtn = document.getElementById('resetBtn');
+const openHistoryBtn = document.getElementById('openHistoryBtn');
+const status = document.getElementById('status');
+
+let statusTimer = null;
+
+// Event Listeners
+settingInputs.forEach((input) => input.addEventListener('change', saveForm));
+metadataInputs.forEach((input) => input.addEventListener('change', saveForm));
+resetBtn.addEventListener('click', resetSettings);
+openHistoryBtn.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('history.html') }));
+
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    fillForm(await SETTINGS.loadSettings());
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    fillForm(SETTINGS.normalizeSettings({}));
+    setStatus('Failed to load settings: ' + error.message, 'error');
+  }
+});
+
+/**
+ * Set status message with optional type; success messages fade after a moment
+ */
+function setStatus(message, type = '') {
+  clearTimeout(statusTimer);
+  status.textContent = message;
+  status.className = 'status' + (type ? ` ${type}` : '');
+  if (type === 'success') {
+    statusTimer = setTimeout(() => setStatus(''), 1500);
+  }
+}
+
+function fillForm(settings) {
+  settingInputs.forEach((input) => {
+    const value = settings[input.dataset.setting];
+    if (input.type === 'checkbox') {
+      input.checked = Boolean(value);
+    } else {
+      input.value = value;
+    }
+  });
+  metadataInputs.forEach((input) => {
+    input.checked = settings.metadataFields[input.dataset.metadataField];
+  });
+}
+
+function readForm() {
+  const changes = { metadataFields: {} };
+  settingInputs.forEach((input) => {
+    if (input.type === 'checkbox') {
+      changes[input.dataset.setting] = input.checked;
+    } else if (input.type === 'number') {
+      changes[input.dataset.setting] = Number(input.value);
+    } else {
+      changes[input.dataset.setting] = input.value;
+    }
+  });
+  metadataInputs.forEach((input) => {
+    changes.metadataFields[input.dataset.metadataField] = input.checked;
+  });
+  return changes;
+}
+
+async function saveForm() {
+  try {
+    fillForm(await SETTINGS.saveSettings(readForm()));
+    setStatus('Saved', 'success');
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    setStatus('Failed to save: ' + error.message, 'error');
+  }
+}
+
+async function resetSettings() {
+  try {
+    fillForm(await SETTINGS.saveSettings(SETTINGS.DEFAULT_SETTINGS));
+    setStatus('Defaults restored', 'success');
+  } catch (error) {
+    console.error('Error resetting settings:', error);
+    setStatus('Failed to reset: ' + error.message, 'error');
+  }
+}
+
+// --- Site handlers ---------------------------------------------------------
+// User-defined handlers (lib/custom-handlers.js) are stored separately from the
+// settings and saved as a whole list whenever one is added, edited or removed.
+
+const CUSTOM = globalThis.__WCM_CUSTOM_HANDLERS__;
+
+const handlerList = document.getElementById('handlerList');
+const handlerForm = document.getElementById('handlerForm');
+const handlerErrors = document.getElementById('handlerErrors');
+const addHandlerBtn = document.getElementById('addHandlerBtn');
+const cancelHandlerBtn = document.getElementById('cancelHandlerBtn');
+const importHandlersBtn = document.getElementById('importHandlersBtn');
+const importHandlersFile = document.getElementById('importHandlersFile');
+const exportHandlersBtn = document.getElementById('exportHandlersBtn');
+
+let handlers = [];
+let editingId = null; // id of the handler open in the form; null for a new one
+
+addHandlerBtn.addEventListener('click', () => openHandlerForm(null));
+cancelHandlerBtn.addEventListener('click', closeHandlerForm);
+handlerForm.addEventListener('submit', saveHandlerForm);
+exportHandlersBtn.addEventListener('click', exportHandlers);
+importHandlersBtn.addEventListener('click', () => importHandlersFile.click());
+importHandlersFile.addEventListener('change', importHandlers);
+
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    handlers = await CUSTOM.loadCustomHandlers();
+  } catch (error) {
+    console.error('Error loading site handlers:', error);
+    setStatus('Failed to load site handlers: ' + error.message, 'error');
+  }
+  renderHandlers();
+});
+
+function renderHandlers() {
+  handlerList.replaceChildren(...handlers.map((handler) => {
+    const item = document.createElement('li');
+    item.className = 'handler-item';
+
+    const id = document.createElement('span');
+    id.className = 'handler-id';
+    id.textContent = handler.id;
+
+    const match = document.createElement('span');
+    match.className = 'handler-match';
+    match.textContent = handler.match;
+    match.title = handler.match;
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'btn btn-tertiary';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => openHandlerForm(handler));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-tertiary';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => deleteHandler(handler.id));
+
+    item.append(id, match, editBtn, deleteBtn);
+    return item;
+  }));
+  exportHandlersBtn.disabled = handlers.length === 0;
+}
+
+function showHandlerErrors(errors) {
+  handlerErrors.replaceChildren(...errors.map((message) => {
+    const item = document.createElement('li');
+    item.textContent = message;
+    return item;
+  }));
+}
+
+function openHandlerForm(handler) {
+  const fields = handlerForm.elements;
+  editingId = handler ? handler.id : null;
+  fields.id.value = handler ? handler.id : '';
+  fields.match.value = handler ? handler.match : '';
+  fields.contentSelectors.value = handler ? handler.contentSelectors.join('\n') : '';
+  fields.removeSelectors.value = handler ? handler.removeSelectors.join('\n') : '';
+  fields.fixRunTogether.checked = Boolean(handler && handler.fixRunTogether);
+  fields.titleRules.value = handler ? CUSTOM.formatRuleLines(handler.titleRules) : '';
+  fields.markdownRules.value = handler ? CUSTOM.formatRuleLines(handler.markdownRules) : '';
+  showHandlerErrors([]);
+  handlerForm.hidden = false;
+  fields.id.focus();
+}
+
+function closeHandlerForm() {
+  editingId = null;
+  handlerForm.hidden = true;
+}
+
+/**
+ * Read the form into a handler definition. Rule lines that don't parse are
+ * reported alongside the validation errors.
+ */
+function readHandlerForm() {
+  const fields = handlerForm.elements;
+  const lines = (value) => value.split('\n').map((line) => line.trim()).filter(Boolean);
+  const titleRules = CUSTOM.parseRuleLines(fields.titleRules.value);
+  const markdownRules = CUSTOM.parseRuleLines(fields.markdownRules.value);
+  return {
+    handler: {
+      id: fields.id.value.trim(),
+      match: fields.match.value.trim(),
+      contentSelectors: lines(fields.contentSelectors.value),
+      removeSelectors: lines(fields.removeSelectors.value),
+      fixRunTogether: fields.fixRunTogether.checked,
+      titleRules: titleRules.rules,
+      markdownRules: markdownRules.rules
+    },
+    errors: [
+      ...titleRules.errors.map((error) => `Title rules, ${error}`),
+      ...markdownRules.errors.map((error) => `Markdown rules, ${error}`)
+    ]
+  };
+}
+
+async function saveHandlerForm(event) {
+  event.preventDefault();
+  const { handler, errors } = readHandlerForm();
+  errors.push(...CUSTOM.validateHandler(handler));
+  if (handler.id !== editingId && handlers.some((existing) => existing.id === handler.id)) {
+    errors.push(`A handler with id "${handler.id}" already exists`);
+  }
+  if (errors.length) {
+    showHandlerErrors(errors);
+    return;
+  }
+
+  const next = handlers.filter((existing) => existing.id !== editingId);
+  const index = handlers.findIndex((existing) => existing.id === editingId);
+  next.splice(index === -1 ? next.length : index, 0, handler);
+  if (await storeHandlers(next, 'Handler saved')) {
+    closeHandlerForm();
+  }
+}
+
+async function deleteHandler(id) {
+  if (!confirm(`Delete the site handler "${id}"?`)) return;
+  if (editingId === id) closeHandlerForm();
+  await storeHandlers(handlers.filter((handler) => handler.id !== id), 'Handler deleted');
+}
+
+/**
+ * Save the full list. A failure (an invalid handler, or no storage left)
+ * leaves the previous list in place and is shown in the status bar.
+ */
+async function storeHandlers(next, message) {
+  try {
+    handlers = await CUSTOM.saveCustomHandlers(next);
+    renderHandlers();
+    setStatus(message, 'success');
+    return true;
+  } catch (error) {
+    console.error('Error saving site handlers:', error);
+    setStatus('Failed to save site handlers: ' + error.message, 'error');
+    return false;
+  }
+}
+
+function exportHandlers() {
+  const blob = new Blob([CUSTOM.serializeHandlerPack(handlers)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'web-content-to-md-handlers.json';
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Import a pack exported from this page (or a bare JSON array of handlers).
+ * Valid handlers are merged in, replacing any with the same id; invalid ones
+ * are skipped and reported.
+ */
+async function importHandlers() {
+  const file = importHandlersFile.files[0];
+  importHandlersFile.value = '';
+  if (!file) return;
+
+  const { handlers: imported, errors } = CUSTOM.parseHandlerPack(await file.text());
+  const skipped = Object.keys(errors);
+  if (!imported.length) {
+    setStatus('Nothing imported: ' + Object.values(errors).flat().join('; '), 'error');
+    return;
+  }
+
+  const saved = await storeHandlers(
+    CUSTOM.mergeHandlers(handlers, imported),
+    `Imported ${imported.length} handler${imported.length === 1 ? '' : 's'}`
+  );
+  if (saved && skipped.length) {
+    setStatus(`Imported ${imported.length}; skipped invalid: ${skipped.join(', ')}`, 'error');
+  }
+}
@@ -4,68 +4,168 @@
 let currentMarkdown = null;
 let currentHtml = null;
 let currentTitle = null;
+let currentUrl = null;    // page the preview was extracted from (null for bundles)
 let isProcessing = false; // guards against overlapping extraction runs
-
-// Files injected into the page before extraction runs. Order matters: Turndown
-// and the cleanup helpers must be defined before the extractor uses them.
-const INJECTED_FILES = [
-  'lib/turndown.js',
-  'lib/markdown-cleanup.js',
-  'content/extractor.js'
-];
+let useSelection = true;   // convert the page's highlighted text when there is some
+let hasSelection = false;  // whether the last run found highlighted text
+let settings = null;       // user settings (see lib/settings.js), loaded on open
+let customHandlers = [];   // user-defined site handlers (see lib/custom-handlers.js)
+let batchMode = false;     // the preview holds the all-tabs bundle rather than one page
+let previousVersion = Promise.resolve(null); // the page's latest history entry before this run
+
+// "Compare with last saved" compares with versions saved before the popup
+// opened, extracted with the same options; the first lookup for a page and
+// options is kept, so regenerating never compares with this session's runs
+const openedAt = Date.now();
+const previousVersions = new Map(); // page key and options -> Promise of an entry or null
+
+const SETTINGS = globalThis.__WCM_SETTINGS__;
+const RUNNER = globalThis.__WCM_RUNNER__;
+const CUSTOM = globalThis.__WCM_CUSTOM_HANDLERS__;
+const BATCH = globalThis.__WCM_BATCH__;
+
+const ARCHIVE = globalThis.__WCM_ARCHIVE__;
+const ZIP = globalThis.__WCM_ZIP__;
+const TOKENS = globalThis.__WCM_TOKENS__;
+const DIAGNOSTICS = globalThis.__WCM_DIAGNOSTICS__;
+const RENDERER = globalThis.__WCM_RENDERER__;
+const HISTORY = globalThis.__WCM_HISTORY__;
+const DIFF = globalThis.__WCM_DIFF__;
+
+// Optional host permission for reading other tabs (batch export) and
+// downloading images from any site (ZIP archives)
+const ALL_SITES_ORIGINS = ['<all_urls>'];
 
 // DOM Elements
 const copyBtn = document.getElementById('copyBtn');
 const downloadBtn = document.getElementById('downloadBtn');
 const regenerateBtn = document.getElementById('regenerateBtn');
+const allTabsBtn = document.getElementById('allTabsBtn');
+const pickBtn = document.getElementById('pickBtn');
+const renderedHtmlBtn = document.getElementById('renderedHtmlBtn');
+const printViewBtn = document.getElementById('printViewBtn');
+const compareBtn = document.getElementById('compareBtn');
+const historyBtn = document.getElementById('historyBtn');
+const settingsBtn = document.getElementById('settingsBtn');
 const includeImagesCheckbox = document.getElementById('includeImages');
 const includeHtmlCheckbox = document.getElementById('includeHtml');
+const headerFormatSelect = document.getElementById('headerFormat');
+const scopeToggle = document.getElementById('scopeToggle');
+const scopeSelectionBtn = document.getElementById('scopeSelection');
+const scopePageBtn = document.getElementById('scopePage');
 const preview = document.getElementById('preview');
+const previewStats = document.getElementById('previewStats');
+const fitToBudgetCheckbox = document.getElementById('fitToBudget');
 const status = document.getElementById('status');
+const batchProgress = document.getElementById('batchProgress');
+const detailsPanel = document.getElementById('detailsPanel');
+const detailsText = document.getElementById('detailsText');
 
 // Event Listeners
 copyBtn.addEventListener('click', copyMarkdown);
 downloadBtn.addEventListener('click', downloadMarkdown);
-regenerateBtn.addEventListener('click', createMarkdown);
-includeImagesCheckbox.addEventListener('change', createMarkdown);
-includeHtmlCheckbox.addEventListener('change', renderPreview);
-
-// Auto-trigger create when extension opens
-document.addEventListener('DOMContentLoaded', () => createMarkdown());
+regenerateBtn.addEventListener('click', regenerate);
+allTabsBtn.addEventListener('click', exportAllTabs);
+pickBtn.addEventListener('click', pickElements);
+renderedHtmlBtn.addEventListener('click', exportRenderedHtml);
+printViewBtn.addEventListener('click', openPrintView);
+compareBtn.addEventListener('click', openDiffView);
+historyBtn.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('history.html') }));
+settingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+includeImagesCheckbox.addEventListener('change', () => {
+  rememberSetting({ includeImages: includeImagesCheckbox.checked });
+  regenerate();
+});
+includeHtmlCheckbox.addEventListener('change', () => {
+  rememberSetting({ includeHtml: includeHtmlCheckbox.checked });
+  renderPreview();
+});
+headerFormatSelect.addEventListener('change', () => {
+  rememberSetting({ headerFormat: headerFormatSelect.value });
+  regenerate();
+});
+fitToBudgetCheckbox.addEventListener('change', () => {
+  rememberSetting({ fitToBudget: fitToBudgetCheckbox.checked });
+  renderPreview();
+});
+scopeSelectionBtn.addEventListener('click', () => setScope(true));
+scopePageBtn.addEventListener('click', () => setScope(false));
+
+// Load settings, then auto-trigger create when extension opens
+document.addEventListener('DOMContentLoaded', init);
+
+async function init() {
+  try {
+    settings = await SETTINGS.loadSettings();
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    settings = SETTINGS.normalizeSettings({});
+  }
+  try {
+    customHandlers = await CUSTOM.loadCustomHandlers();
+  } catch (error) {
+    console.error('Error loading site handlers:', error);
+  }
+  includeImagesCheckbox.checked = settings.includeImages;
+  includeHtmlCheckbox.checked = settings.includeHtml;
+  headerFormatSelect.value = settings.headerFormat;
+  fitToBudgetCheckbox.checked = settings.fitToBudget;
+  createMarkdown();
+}
 
 /**
- * Check if URL is restricted (cannot inject content scripts)
+ * Persist a popup toggle so it becomes the default next time the popup opens.
  */
-function isRestrictedUrl(url) {
-  if (!url) return true;
-
-  const restrictedPatterns = [
-    /^chrome:\/\//,
-    /^chrome-extension:\/\//,
-    /^edge:\/\//,
-    /^about:/,
-    /^view-source:/,
-    /^file:\/\//,
-    /^https:\/\/chrome\.google\.com\/webstore/,
-    /^https:\/\/microsoftedge\.microsoft\.com\/addons/
-  ];
-
-  return restrictedPatterns.some((pattern) => pattern.test(url));
+async function rememberSetting(changes) {
+  try {
+    settings = await SETTINGS.saveSettings(changes);
+  } catch (error) {
+    console.error('Error saving settings:', error);
+  }
 }
 
 /**
- * Reflect processing/content state in the controls. Copy & Download require
- * generated content; Regenerate and the options are only locked while a run
- * is in flight.
+ * Reflect processing/content state in the controls. Copy, Download and the
+ * exports require generated content; Regenerate and the options are only
+ * locked while a run is in flight.
  */
 function updateControls() {
   const noContent = !currentMarkdown;
   copyBtn.disabled = isProcessing || noContent;
   downloadBtn.disabled = isProcessing || noContent;
+  renderedHtmlBtn.disabled = isProcessing || noContent;
+  printViewBtn.disabled = isProcessing || noContent;
+  compareBtn.disabled = isProcessing || noContent || batchMode;
   regenerateBtn.disabled = isProcessing;
+  allTabsBtn.disabled = isProcessing;
+  pickBtn.disabled = isProcessing;
   includeImagesCheckbox.disabled = isProcessing;
   includeHtmlCheckbox.disabled = isProcessing;
+  headerFormatSelect.disabled = isProcessing;
+  scopeSelectionBtn.disabled = isProcessing;
+  scopePageBtn.disabled = isProcessing;
   regenerateBtn.classList.toggle('spinning', isProcessing);
+  allTabsBtn.setAttribute('aria-pressed', String(batchMode));
+}
+
+/**
+ * Show the Selection / Full page toggle only when the page has highlighted
+ * text, reflecting which of the two the preview shows.
+ */
+function updateScopeToggle() {
+  scopeToggle.hidden = !hasSelection || batchMode;
+  scopeSelectionBtn.setAttribute('aria-pressed', String(useSelection));
+  scopePageBtn.setAttribute('aria-pressed', String(!useSelection));
+}
+
+/**
+ * Switch between converting the selection and the full page, then re-extract.
+ */
+function setScope(selection) {
+  if (useSelection === selection) return;
+  useSelection = selection;
+  updateScopeToggle();
+  createMarkdown();
 }
 
 /**
@@ -80,9 +180,42 @@ function setStatus(message, type = '') {
  * Render the preview area from current content + options.
  */
 function renderPreview() {
-  if (!currentMarkdown) return;
-  preview.textContent = buildCopyContent();
+  if (!currentMarkdown) {
+    previewStats.textContent = '';
+    return;
+  }
+  const output = getOutput();
+  const content = RUNNER.buildCopyContent(output.markdown, output.html, Boolean(output.html));
+  preview.textContent = content;
   preview.className = 'preview';
+  renderStats(content, output.trimmed);
+}
+
+/**
+ * Character, word and token counts for `content`, flagged when the tokens
+ * exceed the budget from Settings.
+ */
+function renderStats(content, trimmed) {
+  const { tokenizer, tokenBudget } = settings || SETTINGS.DEFAULT_SETTINGS;
+  const counts = TOKENS.countText(content, tokenizer);
+  const format = (n) => n.toLocaleString();
+  const over = counts.tokens > tokenBudget;
+
+  let text = `${format(counts.characters)} chars · ${format(counts.words)} words · ` +
+    `~${format(counts.tokens)} / ${format(tokenBudget)} tokens`;
+  if (over) text += ' · over budget';
+  previewStats.textContent = text;
+  previewStats.classList.toggle('over', over);
+  previewStats.title = trimmed.length ? `Trimmed to fit: ${trimmed.join(', ')}` : '';
+}
+
+/**
+ * Show the last run's diagnostics in the Details panel, or hide the panel
+ * when there are none (bundles, runs that never reached the extractor).
+ */
+function renderDetails(diagnostics) {
+  detailsPanel.hidden = !diagnostics;
+  detailsText.textContent = diagnostics ? DIAGNOSTICS.formatDiagnostics(diagnostics) : '';
 }
 
 function displayError(message) {
@@ -95,12 +228,33 @@ function displayLoading() {
   preview.className = 'preview loading';
 }
 
+/**
+ * Extraction options: the stored settings overridden by the popup's controls.
+ */
+function getExtractionOptions() {
+  return {
+    ...(settings || SETTINGS.DEFAULT_SETTINGS),
+    includeImages: includeImagesCheckbox.checked,
+    headerFormat: headerFormatSelect.value,
+    customHandlers,
+    useSelection
+  };
+}
+
+/**
+ * Re-run whichever extraction the preview currently shows.
+ */
+function regenerate() {
+  return batchMode ? exportAllTabs() : createMarkdown();
+}
+
 /**
  * Main function to create markdown from current tab
  */
 async function createMarkdown() {
   if (isProcessing) return; // ignore overlapping triggers (e.g. rapid toggles)
   isProcessing = true;
+  batchMode = false;
   updateControls();
   setStatus('Processing...', 'loading');
   displayLoading();
@@ -108,79 +262,191 @@ async function createMarkdown() {
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
-    if (!tab) {
-      throw new Error('No active tab found');
+    const options = getExtractionOptions();
+    const result = await RUNNER.runExtraction(tab, options);
+    recordHistory(tab.url, result, options);
+
+    currentMarkdown = result.markdown;
+    currentHtml = result.html;
+    currentTitle = result.title;
+    currentUrl = tab.url;
+    hasSelection = result.hasSelection;
+    updateScopeToggle();
+    renderPreview();
+    renderDetails(result.diagnostics);
+    let message = result.fromSelection ? 'Generated from selection' : 'Generated successfully';
+    if (result.inlinedImages || result.skippedImages) {
+      message += ` (${result.inlinedImages} image(s) embedded` +
+        (result.skippedImages ? `, ${result.skippedImages} kept as links)` : ')');
     }
+    setStatus(message, 'success');
+  } catch (error) {
+    console.error('Error creating markdown:', error);
+    currentMarkdown = null;
+    currentHtml = null;
+    currentTitle = null;
+    displayError(error.message);
+    renderDetails(error.diagnostics);
+    setStatus(error.message, 'error');
+  } finally {
+    isProcessing = false;
+    updateControls();
+  }
+}
 
-    if (isRestrictedUrl(tab.url)) {
-      throw new Error('Cannot access this page. Chrome system pages, the Web Store, and local files are restricted.');
+/**
+ * Keep an extraction in the history (lib/history-store.js) when enabled,
+ * looking up the page's latest saved version first for "Compare with last
+ * saved" (see previousVersions). Failures are only logged: the history must
+ * never get in the way.
+ */
+function recordHistory(url, result, options) {
+  const extraction = {
+    url,
+    canonicalUrl: result.canonicalUrl,
+    title: result.title,
+    markdown: result.markdown,
+    html: result.html,
+    options,
+    fromSelection: result.fromSelection
+  };
+  const config = settings || SETTINGS.DEFAULT_SETTINGS;
+  previousVersion = (async () => {
+    if (!config.historyEnabled) return null;
+    const key = HISTORY.pageKey(result.canonicalUrl || url);
+    const lookup = `${key} ${JSON.stringify(HISTORY.recordOptions(options))}`;
+    if (!previousVersions.has(lookup)) {
+      previousVersions.set(lookup, HISTORY.getLatestVersion(key, { options, before: openedAt }));
     }
+    const previous = await previousVersions.get(lookup);
+    await HISTORY.recordExtraction(extraction, config);
+    return previous;
+  })().catch((error) => {
+    console.error('Error saving to history:', error);
+    return null;
+  });
+}
 
-    const options = {
-      includeImages: includeImagesCheckbox.checked
-    };
+/**
+ * Start the element picker in the current tab and close the popup so the
+ * page gets the pointer. The service worker copies the picked content.
+ */
+async function pickElements() {
+  if (isProcessing) return;
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    await RUNNER.launchPicker(tab);
+    window.close();
+  } catch (error) {
+    console.error('Error starting the picker:', error);
+    setStatus(error.message, 'error');
+  }
+}
 
-    // Inject the libraries + extractor (idempotent; survives page reloads)
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      files: INJECTED_FILES
-    });
+/**
+ * Ask for access to all sites. Must run before any other await in a click
+ * handler, while the click still counts as a user gesture; resolves
+ * immediately once granted.
+ */
+async function requestAllSitesAccess() {
+  try {
+    return await chrome.permissions.request({ origins: ALL_SITES_ORIGINS });
+  } catch (error) {
+    console.error('Error requesting site access:', error);
+    return false;
+  }
+}
 
-    // Run the extractor with the current options
-    const results = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: (opts) => globalThis.__WCM_EXTRACT__(opts),
-      args: [options]
-    });
+/**
+ * Extract every tab in the current window into one bundle (table of contents,
+ * one section per page, failed tabs listed at the end).
+ */
+async function exportAllTabs() {
+  if (isProcessing) return;
 
-    const result = results[0]?.result;
+  // activeTab only covers the current tab; reading and injecting into the
+  // others needs host access
+  if (!(await requestAllSitesAccess())) {
+    setStatus('Access to all sites is needed to export every tab', 'error');
+    return;
+  }
 
-    if (!result) {
-      throw new Error('Failed to extract content - no result returned');
-    }
+  isProcessing = true;
+  batchMode = true;
+  updateControls();
+  updateScopeToggle();
+  renderDetails(null);
+  displayLoading();
 
-    if (!result.success) {
-      throw new Error(result.error || 'Content extraction failed');
-    }
+  try {
+    const tabs = await chrome.tabs.query({ currentWindow: true });
+    setStatus(`Extracting ${tabs.length} tabs...`, 'loading');
+    batchProgress.value = 0;
+    batchProgress.hidden = false;
+
+    const { pages, failures } = await BATCH.exportTabs(tabs, getExtractionOptions(), {
+      onProgress: ({ done, total }) => {
+        batchProgress.max = total;
+        batchProgress.value = done;
+        setStatus(`Extracting tabs... ${done}/${total}`, 'loading');
+      }
+    });
 
-    currentMarkdown = result.markdown;
-    currentHtml = result.html;
-    currentTitle = result.title;
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    const time = `${pad(now.getHours())}:${pad(now.getMinutes())}`;
+
+    currentMarkdown = BATCH.buildBundle(pages, failures, {
+      title: `Tabs exported ${date}`,
+      exportedAt: `${date} at ${time}`
+    });
+    currentHtml = null; // the HTML export is per page
+    currentTitle = `tabs-${date}`;
+    currentUrl = null;
     renderPreview();
-    setStatus('Generated successfully', 'success');
+    setStatus(
+      `Exported ${pages.length} of ${tabs.length} tabs` + (failures.length ? ` (${failures.length} failed)` : ''),
+      pages.length ? 'success' : 'error'
+    );
   } catch (error) {
-    console.error('Error creating markdown:', error);
+    console.error('Error exporting tabs:', error);
     currentMarkdown = null;
     currentHtml = null;
     currentTitle = null;
     displayError(error.message);
     setStatus(error.message, 'error');
   } finally {
+    batchProgress.hidden = true;
     isProcessing = false;
     updateControls();
   }
 }
 
 /**
- * Build the content to copy/preview based on options
+ * The Markdown and HTML to output (HTML only when included), trimmed to the
+ * token budget when "Fit to budget" is on. `trimmed` lists what was cut.
  */
-function buildCopyContent() {
-  if (!currentMarkdown) return null;
-
-  if (includeHtmlCheckbox.checked && currentHtml) {
-    // Include both MD and HTML with start/end flags
-    return [
-      '<!-- MARKDOWN START -->',
-      currentMarkdown,
-      '<!-- MARKDOWN END -->',
-      '',
-      '<!-- HTML START -->',
-      currentHtml,
-      '<!-- HTML END -->'
-    ].join('\n');
+function getOutput() {
+  const html = includeHtmlCheckbox.checked ? currentHtml : null;
+  if (!fitToBudgetCheckbox.checked) {
+    return { markdown: currentMarkdown, html, trimmed: [] };
   }
+  const { tokenizer, tokenBudget } = settings || SETTINGS.DEFAULT_SETTINGS;
+  const fitted = TOKENS.fitToBudget(currentMarkdown, html, {
+    budget: tokenBudget,
+    tokenizer,
+    render: (markdown, h) => RUNNER.buildCopyContent(markdown, h, Boolean(h))
+  });
+  return { markdown: fitted.markdown, html: fitted.html, trimmed: fitted.steps };
+}
 
-  return currentMarkdown;
+/**
+ * Build the content to copy/preview based on options
+ */
+function buildCopyContent() {
+  const { markdown, html } = getOutput();
+  return RUNNER.buildCopyContent(markdown, html, Boolean(html));
 }
 
 /**
@@ -213,7 +479,8 @@ async function copyMarkdown() {
  * Download a single file with given content, filename, and MIME type
  */
 function downloadFile(content, filename, mimeType) {
-  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const type = mimeType.startsWith('text/') ? `${mimeType};charset=utf-8` : mimeType;
+  const blob = new Blob([content], { type });
   const url = URL.createObjectURL(blob);
 
   const a = document.createElement('a');
@@ -240,9 +507,47 @@ function getSanitizedFilename() {
 }
 
 /**
- * Download markdown (and optionally HTML) as file(s)
+ * Download one ZIP holding the Markdown, the cleaned HTML and, when enabled,
+ * the images rewritten to local assets/ paths.
  */
-function downloadMarkdown() {
+async function downloadArchive(baseName) {
+  const { markdown } = getOutput();
+  const wantImages = settings.zipImages && ARCHIVE.findMarkdownImages(markdown).length > 0;
+  // Image hosts are arbitrary, so fetching them needs host access
+  const withImages = wantImages && (await requestAllSitesAccess());
+
+  isProcessing = true;
+  updateControls();
+  setStatus(withImages ? 'Downloading images...' : 'Building ZIP...', 'loading');
+  try {
+    const { files, images, failed } = await ARCHIVE.buildPageArchive({
+      markdown,
+      html: currentHtml, // the archive always carries the HTML
+      baseName,
+      pageUrl: currentUrl,
+      includeImages: withImages,
+      fetchImpl: (url) => fetch(url)
+    });
+    const zip = await ZIP.createZip(files);
+    downloadFile(zip, `${baseName}.zip`, 'application/zip');
+
+    if (failed.length) {
+      setStatus(`Downloaded ZIP; ${failed.length} image(s) kept as remote links`, 'error');
+    } else if (wantImages && !withImages) {
+      setStatus('Downloaded ZIP without images (site access not granted)', 'error');
+    } else {
+      setStatus(images ? `Downloaded ZIP with ${images} image(s)!` : 'Downloaded ZIP!', 'success');
+    }
+  } finally {
+    isProcessing = false;
+    updateControls();
+  }
+}
+
+/**
+ * Download markdown (and optionally HTML) as file(s), or as one ZIP
+ */
+async function downloadMarkdown() {
   if (!currentMarkdown) {
     setStatus('No content to download', 'error');
     return;
@@ -251,16 +556,21 @@ function downloadMarkdown() {
   try {
     const sanitizedTitle = getSanitizedFilename();
 
-    downloadFile(currentMarkdown, `${sanitizedTitle}.md`, 'text/markdown');
-
-    if (includeHtmlCheckbox.checked && currentHtml) {
-      // Small delay to avoid browser blocking multiple downloads
-      setTimeout(() => {
-        downloadFile(currentHtml, `${sanitizedTitle}.html`, 'text/html');
-      }, 100);
-      setStatus('Downloaded MD & HTML!', 'success');
+    if (settings && settings.downloadFormat === 'zip') {
+      await downloadArchive(sanitizedTitle);
     } else {
-      setStatus('Downloaded!', 'success');
+      const { markdown, html } = getOutput();
+      downloadFile(markdown, `${sanitizedTitle}.md`, 'text/markdown');
+
+      if (html) {
+        // Small delay to avoid browser blocking multiple downloads
+        setTimeout(() => {
+          downloadFile(html, `${sanitizedTitle}.html`, 'text/html');
+        }, 100);
+        setStatus('Downloaded MD & HTML!', 'success');
+      } else {
+        setStatus('Downloaded!', 'success');
+      }
     }
 
     downloadBtn.classList.add('copied');
@@ -275,3 +585,75 @@ function downloadMarkdown() {
     setStatus('Failed to download: ' + error.message, 'error');
   }
 }
+
+/**
+ * Download the Markdown rendered as a standalone, styled HTML document
+ */
+function exportRenderedHtml() {
+  if (!currentMarkdown) {
+    setStatus('No content to export', 'error');
+    return;
+  }
+
+  try {
+    const { markdown } = getOutput();
+    const page = RENDERER.buildHtmlDocument(markdown, { title: currentTitle });
+    downloadFile(page, `${getSanitizedFilename()}.html`, 'text/html');
+    setStatus('Exported rendered HTML!', 'success');
+  } catch (error) {
+    console.error('Error rendering HTML:', error);
+    setStatus('Failed to export: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Open the printable view (print.html) in a new tab. The Markdown goes
+ * through session storage, since the popup closes as the tab opens.
+ */
+async function openPrintView() {
+  if (!currentMarkdown) {
+    setStatus('No content to print', 'error');
+    return;
+  }
+
+  try {
+    const { markdown } = getOutput();
+    await chrome.storage.session.set({ [RENDERER.PRINT_VIEW_KEY]: { markdown, title: currentTitle } });
+    await chrome.tabs.create({ url: chrome.runtime.getURL('print.html') });
+  } catch (error) {
+    console.error('Error opening the printable view:', error);
+    setStatus('Failed to open the printable view: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Open the diff page (diff.html) comparing this extraction with the page's
+ * last saved version. Like the printable view, it gets the Markdown through
+ * session storage.
+ */
+async function openDiffView() {
+  if (!currentMarkdown || batchMode) {
+    setStatus('No page to compare', 'error');
+    return;
+  }
+
+  try {
+    const previous = await previousVersion;
+    if (!previous) {
+      setStatus((settings || SETTINGS.DEFAULT_SETTINGS).historyEnabled
+        ? 'No earlier version of this page with these options in the history'
+        : 'Turn on the history in Settings to compare versions', 'error');
+      return;
+    }
+    await chrome.storage.session.set({
+      [DIFF.DIFF_VIEW_KEY]: {
+        previous,
+        current: { markdown: currentMarkdown, title: currentTitle, url: currentUrl, createdAt: Date.now() }
+      }
+    });
+    await chrome.tabs.create({ url: chrome.runtime.getURL('diff.html') });
+  } catch (error) {
+    console.error('Error opening the diff view:', error);
+    setStatus('Failed to compare: ' + error.message, 'error');
+  }
+}
@@ -0,0 +1,39 @@
+'use strict';
+
+// Printable view: renders the Markdown the popup handed over (through
+// chrome.storage.session) as a styled document. The browser's print dialog
+// then turns it into a PDF ("Save as PDF").
+
+const RENDERER = globalThis.__WCM_RENDERER__;
+
+const article = document.getElementById('document');
+const printBtn = document.getElementById('printBtn');
+const status = document.getElementById('status');
+
+printBtn.addEventListener('click', () => window.print());
+document.addEventListener('DOMContentLoaded', init);
+
+async function init() {
+  // The document styles are shared with the HTML export
+  const style = document.createElement('style');
+  style.textContent = RENDERER.DOCUMENT_CSS;
+  document.head.appendChild(style);
+
+  try {
+    const stored = await chrome.storage.session.get(RENDERER.PRINT_VIEW_KEY);
+    const view = stored[RENDERER.PRINT_VIEW_KEY];
+    if (!view || !view.markdown) {
+      status.textContent = 'Nothing to show. Open the printable view from the extension popup.';
+      return;
+    }
+
+    const { title, html } = RENDERER.renderArticle(view.markdown, { title: view.title });
+    article.innerHTML = html;
+    document.title = title;
+    status.textContent = '';
+    printBtn.disabled = false;
+  } catch (error) {
+    console.error('Error rendering the printable view:', error);
+    status.textContent = 'Failed to render: ' + error.message;
+  }
+}
@@ -0,0 +1,117 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const archive = require('../lib/archive.js');
+
+// rewriteHtmlImages parses the HTML export with the global DOMParser
+global.DOMParser = new JSDOM('').window.DOMParser;
+
+function fakeFetch(responses) {
+  const calls = [];
+  const fetchImpl = async (url) => {
+    calls.push(url);
+    const entry = responses[url];
+    if (!entry) return { ok: false, status: 404, headers: new Map() };
+    return {
+      ok: true,
+      status: 200,
+      headers: new Map([['content-type', entry.type]]),
+      arrayBuffer: async () => new Uint8Array(entry.bytes).buffer
+    };
+  };
+  return { fetchImpl, calls };
+}
+
+test('findMarkdownImages and rewriteMarkdownImages handle alt text and titles', () => {
+  const markdown = 'A ![one](a.png) and ![two \\] ok](https://x.com/b.jpg "Title") and [link](c.png)';
+  assert.deepEqual(archive.findMarkdownImages(markdown), ['a.png', 'https://x.com/b.jpg']);
+  assert.equal(
+    archive.rewriteMarkdownImages(markdown, (src) => (src === 'a.png' ? 'assets/1-a.png' : null)),
+    'A ![one](assets/1-a.png) and ![two \\] ok](https://x.com/b.jpg "Title") and [link](c.png)'
+  );
+});
+
+test('image sources may hold balanced parentheses', () => {
+  const markdown = '![map](https://en.example.org/Map_(1850).png "Old") and ![x](a.png))';
+  assert.deepEqual(archive.findMarkdownImages(markdown), ['https://en.example.org/Map_(1850).png', 'a.png']);
+  assert.equal(
+    archive.rewriteMarkdownImages(markdown, () => 'assets/1.png'),
+    '![map](assets/1.png "Old") and ![x](assets/1.png))'
+  );
+});
+
+test('assetName keeps the file name and adds a missing extension', () => {
+  assert.equal(archive.assetName('https://x.com/img/Photo%201.JPG?w=2', 'image/jpeg', 1), 'assets/1-Photo-1.JPG');
+  assert.equal(archive.assetName('https://x.com/render?id=5', 'image/png', 2), 'assets/2-render.png');
+  assert.equal(archive.assetName('https://x.com/', 'image/webp', 3), 'assets/3-image.webp');
+  assert.equal(archive.assetName('https://x.com/pic.php', 'image/gif', 4), 'assets/4-pic.php.gif');
+});
+
+test('resolveImageUrl resolves relative sources and skips data URIs', () => {
+  assert.equal(archive.resolveImageUrl('/a.png', 'https://x.com/post/1'), 'https://x.com/a.png');
+  assert.equal(archive.resolveImageUrl('data:image/png;base64,AAAA', 'https://x.com/'), null);
+  assert.equal(archive.resolveImageUrl('a.png', null), null);
+});
+
+test('buildPageArchive bundles images and rewrites both documents', async () => {
+  const { fetchImpl, calls } = fakeFetch({
+    'https://x.com/img/a.png': { type: 'image/png', bytes: [1, 2, 3] },
+    'https://cdn.com/b': { type: 'image/jpeg', bytes: [4, 5] }
+  });
+
+  const result = await archive.buildPageArchive({
+    markdown: '# Page\n\n![A](/img/a.png)\n\n![B](https://cdn.com/b)\n\n![C](https://gone.com/c.png)',
+    html: '<p><img src="/img/a.png" srcset="/img/a-2x.png 2x"><img src="https://gone.com/c.png"></p>',
+    baseName: 'Page',
+    pageUrl: 'https://x.com/post',
+    includeImages: true,
+    fetchImpl
+  });
+
+  assert.equal(calls.length, 3); // each image fetched once
+  assert.equal(result.images, 2);
+  assert.deepEqual(result.failed, [{ url: 'https://gone.com/c.png', error: 'HTTP 404' }]);
+  assert.deepEqual(result.files.map((f) => f.name), ['Page.md', 'Page.html', 'assets/1-a.png', 'assets/2-b.jpg']);
+  assert.equal(result.files[0].data, '# Page\n\n![A](assets/1-a.png)\n\n![B](assets/2-b.jpg)\n\n![C](https://gone.com/c.png)');
+  assert.equal(result.files[1].data, '<p><img src="assets/1-a.png"><img src="https://gone.com/c.png"></p>');
+  assert.equal(result.files[2].compress, false);
+});
+
+test('buildPageArchive without images leaves the documents untouched', async () => {
+  const { fetchImpl, calls } = fakeFetch({});
+  const result = await archive.buildPageArchive({
+    markdown: '![A](https://x.com/a.png)',
+    html: null,
+    baseName: 'Page',
+    pageUrl: 'https://x.com/',
+    includeImages: false,
+    fetchImpl
+  });
+
+  assert.equal(calls.length, 0);
+  assert.deepEqual(result.files, [{ name: 'Page.md', data: '![A](https://x.com/a.png)' }]);
+});
+
+test('buildPageArchive downloads a few images at a time', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const fetchImpl = async () => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 1));
+    inFlight--;
+    return { ok: true, status: 200, headers: new Map([['content-type', 'image/png']]), arrayBuffer: async () => new ArrayBuffer(1) };
+  };
+  const markdown = Array.from({ length: 20 }, (_, i) => `![${i}](https://x.com/${i}.png)`).join('\n\n');
+
+  const result = await archive.buildPageArchive({
+    markdown, html: null, baseName: 'Page', pageUrl: 'https://x.com/', includeImages: true, fetchImpl
+  });
+
+  assert.equal(result.images, 20);
+  assert.ok(maxInFlight > 1 && maxInFlight <= 4, `at most 4 downloads at once, saw ${maxInFlight}`);
+  assert.equal(result.files[1].name, 'assets/1-0.png');
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const batch = require('../lib/batch-export.js');
+const runner = require('../lib/extraction-runner.js');
+
+test('mapWithConcurrency keeps order and never exceeds the limit', async () => {
+  let active = 0;
+  let peak = 0;
+  const results = await batch.mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, i) => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    active--;
+    return i;
+  });
+
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  assert.equal(peak, 2);
+});
+
+test('createSlugger mirrors GitHub heading anchors', () => {
+  const slug = batch.createSlugger();
+  assert.equal(slug('Hello, World!'), 'hello-world');
+  assert.equal(slug('Hello World'), 'hello-world-1');
+  assert.equal(slug('C\\# tips: `async` & await'), 'c-tips-async--await');
+  assert.equal(slug('Überblick 2026'), 'überblick-2026');
+});
+
+test('buildBundle adds a table of contents, page sections and failed tabs', () => {
+  const markdown = batch.buildBundle(
+    [
+      { title: 'Intro', url: 'https://a.com/', markdown: '# Intro\n\nText\n\n## Contents\n\nMore' },
+      { title: 'Contents', url: 'https://b.com/', markdown: '# Contents\n\n```\n# not a heading\n```' }
+    ],
+    [
+      { title: 'Broken', url: 'https://c.com/', error: 'Content extraction failed' },
+      { title: undefined, url: '', error: 'Skipped: browser page' }
+    ],
+    { title: 'Tabs', exportedAt: '2026-10-19 at 10:00' }
+  );
+
+  assert.match(markdown, /^# Tabs\n\n\*\*Exported:\*\* 2026-10-19 at 10:00\n\n\*\*Pages:\*\* 2 pages \(2 failed\)\n\n---\n\n## Contents\n\n/);
+  assert.match(markdown, /^1\. \[Intro\]\(#intro\) - https:\/\/a\.com\/$/m);
+  // "Contents" is taken by the TOC heading and the first page's subheading
+  assert.match(markdown, /^2\. \[Contents\]\(#contents-2\) - https:\/\/b\.com\/$/m);
+  assert.match(markdown, /\n---\n\n# Intro\n/);
+  assert.match(markdown, /## Failed tabs\n\n- \[Broken\]\(https:\/\/c\.com\/\) - Content extraction failed\n- Browser tab - Skipped: browser page\n$/);
+});
+
+test('buildBundle keeps each page\'s footnotes apart', () => {
+  const bundle = batch.buildBundle([
+    { title: 'A', url: 'https://a.example/', markdown: '# A\n\nText[^1]\n\n[^1]: Note A' },
+    { title: 'B', url: 'https://b.example/', markdown: '# B\n\nText[^1]\n\n[^1]: Note B' }
+  ], []);
+
+  assert.match(bundle, /Text\[\^1-1\]\n\n\[\^1-1\]: Note A/);
+  assert.match(bundle, /Text\[\^2-1\]\n\n\[\^2-1\]: Note B/);
+});
+
+test('buildBundle leaves footnote syntax inside fenced code alone', () => {
+  const bundle = batch.buildBundle([
+    { title: 'A', url: 'https://a.example/', markdown: '# A\n\nText[^1]\n\n[^1]: Note A' },
+    { title: 'B', url: 'https://b.example/', markdown: '# B\n\n```md\nA note[^1]\n\n[^1]: Example\n```\n\nAfter[^1]\n\n[^1]: Note B' }
+  ], []);
+
+  assert.match(bundle, /```md\nA note\[\^1\]\n\n\[\^1\]: Example\n```/);
+  assert.match(bundle, /After\[\^2-1\]\n\n\[\^2-1\]: Note B/);
+});
+
+test('exportTabs skips browser pages, collects failures and reports progress', async () => {
+  const calls = [];
+  const fakeRunner = {
+    isRestrictedUrl: runner.isRestrictedUrl,
+    runExtraction: async (tab, options) => {
+      calls.push({ id: tab.id, options });
+      if (tab.id === 2) throw new Error('Tab was discarded');
+      return { title: `Page ${tab.id}`, markdown: `# Page ${tab.id}` };
+    }
+  };
+  const progress = [];
+
+  const { pages, failures } = await batch.exportTabs(
+    [
+      { id: 1, url: 'https://a.com/', title: 'A' },
+      { id: 2, url: 'https://b.com/', title: 'B' },
+      { id: 3, url: 'chrome://settings/', title: 'Settings' },
+      { id: 4, url: 'https://d.com/', title: 'D' }
+    ],
+    { headerFormat: 'yaml', useSelection: true },
+    { runner: fakeRunner, concurrency: 2, onProgress: (p) => progress.push(`${p.done}/${p.total}:${p.ok}`) }
+  );
+
+  assert.deepEqual(pages.map((p) => p.title), ['Page 1', 'Page 4']);
+  assert.deepEqual(failures, [
+    { title: 'B', url: 'https://b.com/', error: 'Tab was discarded' },
+    { title: 'Settings', url: 'chrome://settings/', error: 'Skipped: browser page' }
+  ]);
+  assert.deepEqual(calls.map((c) => c.id).sort(), [1, 2, 4]);
+  // Whole pages, and no front matter in the middle of the bundle
+  assert.deepEqual(calls[0].options, { headerFormat: 'bold', useSelection: false });
+  assert.equal(progress.length, 3);
+  assert.equal(progress[2].split(':')[0], '3/3');
+});
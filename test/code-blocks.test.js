@@ -0,0 +1,144 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const code = require('../lib/code-blocks.js');
+
+function normalize(html) {
+  const { document } = new JSDOM(`<!DOCTYPE html><html><body><main>${html}</main></body></html>`).window;
+  const root = document.querySelector('main');
+  const count = code.normalizeCodeBlocks(root);
+  const blocks = Array.from(root.querySelectorAll('pre > code'), (el) => ({
+    language: (el.getAttribute('class') || '').replace(/^language-/, ''),
+    text: el.textContent
+  }));
+  return { count, blocks, root };
+}
+
+test('Prism: language from the pre, line numbers and toolbar dropped', () => {
+  const { blocks, root } = normalize(`
+    <div class="code-toolbar">
+      <pre class="line-numbers language-javascript"><code class="language-javascript"><span class="token keyword">const</span> a <span class="token operator">=</span> <span class="token number">1</span><span class="token punctuation">;</span>
+<span class="token keyword">if</span> <span class="token punctuation">(</span>a<span class="token punctuation">)</span> <span class="token punctuation">{</span>
+	<span class="token function">go</span><span class="token punctuation">(</span><span class="token punctuation">)</span><span class="token punctuation">;</span>
+<span class="token punctuation">}</span><span aria-hidden="true" class="line-numbers-rows"><span></span><span></span><span></span><span></span></span></code></pre>
+      <div class="toolbar"><div class="toolbar-item"><button class="copy-to-clipboard-button">Copy</button></div></div>
+    </div>`);
+
+  assert.deepEqual(blocks, [{ language: 'javascript', text: 'const a = 1;\nif (a) {\n\tgo();\n}' }]);
+  assert.doesNotMatch(root.textContent, /Copy/);
+});
+
+test('highlight.js: bare language class next to hljs', () => {
+  const { blocks } = normalize('<pre><code class="hljs python"><span class="hljs-keyword">def</span> <span class="hljs-title">f</span>():\n    <span class="hljs-keyword">pass</span></code></pre>');
+  assert.deepEqual(blocks, [{ language: 'python', text: 'def f():\n    pass' }]);
+});
+
+test('highlight.js line-numbers plugin: table rows inside the code', () => {
+  const { blocks } = normalize(
+    '<pre><code class="hljs language-go"><table class="hljs-ln"><tbody>' +
+    '<tr><td class="hljs-ln-line hljs-ln-numbers" data-line-number="1"><div class="hljs-ln-n" data-line-number="1"></div></td><td class="hljs-ln-line hljs-ln-code" data-line-number="1">func main() {</td></tr>' +
+    '<tr><td class="hljs-ln-line hljs-ln-numbers" data-line-number="2"><div class="hljs-ln-n" data-line-number="2"></div></td><td class="hljs-ln-line hljs-ln-code" data-line-number="2"></td></tr>' +
+    '<tr><td class="hljs-ln-line hljs-ln-numbers" data-line-number="3"><div class="hljs-ln-n" data-line-number="3"></div></td><td class="hljs-ln-line hljs-ln-code" data-line-number="3">}</td></tr>' +
+    '</tbody></table></code></pre>'
+  );
+  assert.deepEqual(blocks, [{ language: 'go', text: 'func main() {\n\n}' }]);
+});
+
+test('Shiki: data-language on the pre, line spans separated by newlines', () => {
+  const { blocks } = normalize(
+    '<pre class="shiki github-dark" data-language="ts" tabindex="0"><code>' +
+    '<span class="line"><span style="color:#F97583">let</span><span style="color:#E1E4E8"> x </span></span>\n' +
+    '<span class="line"></span>\n' +
+    '<span class="line"><span style="color:#E1E4E8">x</span></span></code></pre>'
+  );
+  assert.deepEqual(blocks, [{ language: 'ts', text: 'let x \n\nx' }]);
+});
+
+test('GitHub: highlight-source-* wrapper and clipboard control', () => {
+  const { blocks, root } = normalize(
+    '<div class="highlight highlight-text-html-basic notranslate position-relative overflow-auto">' +
+    '<pre><span class="pl-kos">&lt;</span><span class="pl-ent">p</span><span class="pl-kos">&gt;</span>Hi</pre>' +
+    '<div class="zeroclipboard-container"><clipboard-copy aria-label="Copy">Copy</clipboard-copy></div></div>'
+  );
+  assert.deepEqual(blocks, [{ language: 'html', text: '<p>Hi' }]);
+  assert.equal(root.querySelector('.zeroclipboard-container'), null);
+});
+
+test('Docusaurus: token lines ending in <br> and a copy button group', () => {
+  const { blocks, root } = normalize(
+    '<div class="language-bash theme-code-block codeBlockContainer_Ckt0"><div class="codeBlockContent_biex">' +
+    '<pre tabindex="0" class="prism-code language-bash codeBlock_bY9V thin-scrollbar"><code class="codeBlockLines_e6Vv">' +
+    '<span class="token-line"><span class="token plain">npm install</span><br></span>' +
+    '<span class="token-line"><span class="token plain" style="display:inline-block"></span><br></span>' +
+    '<span class="token-line"><span class="token plain">npm start</span><br></span>' +
+    '</code></pre><div class="buttonGroup__atx"><button type="button" aria-label="Copy code to clipboard" class="clean-btn">Copy</button></div>' +
+    '</div></div>'
+  );
+  assert.deepEqual(blocks, [{ language: 'bash', text: 'npm install\n\nnpm start\n' }]);
+  assert.equal(root.querySelector('button'), null);
+});
+
+test('VitePress: copy button and language label in the language-* wrapper', () => {
+  const { blocks, root } = normalize(
+    '<div class="language-js vp-adaptive-theme"><button title="Copy Code" class="copy"></button>' +
+    '<span class="lang">js</span><pre class="shiki"><code><span class="line">let a = 1</span></code></pre></div>'
+  );
+  assert.deepEqual(blocks, [{ language: 'js', text: 'let a = 1' }]);
+  assert.equal(root.querySelector('button, span.lang'), null);
+});
+
+test('controls next to a block outside a highlighter wrapper are page content', () => {
+  const { root } = normalize(`
+    <section><h2>Try it</h2><pre>npm test</pre>
+      <button>Run the demo</button>
+      <div class="toolbar"><a href="/edit">Edit this page</a></div>
+      <p>Written in <span class="lang">English</span>. <button>Subscribe</button></p>
+    </section>`);
+  assert.equal(root.querySelectorAll('button').length, 2);
+  assert.ok(root.querySelector('.toolbar a'));
+  assert.ok(root.querySelector('span.lang'));
+});
+
+test('Pygments: highlight-* wrapper and a line-number table', () => {
+  const { blocks } = normalize(
+    '<div class="highlight-python3 notranslate"><div class="highlight"><table class="highlighttable">\n<tr>\n' +
+    '<td class="linenos"><div class="linenodiv"><pre>1\n2</pre></div></td>\n' +
+    '<td class="code"><div class="highlight"><pre><span></span><span class="k">import</span> <span class="nn">os</span>\n<span class="nb">print</span><span class="p">(</span><span class="mi">1</span><span class="p">)</span>\n</pre></div></td>\n' +
+    '</tr>\n</table></div></div>'
+  );
+  assert.deepEqual(blocks, [{ language: 'python3', text: 'import os\nprint(1)\n' }]);
+});
+
+test('SyntaxHighlighter: brush class, gutter and one div per line with nbsp indentation', () => {
+  const { blocks } = normalize(`
+    <div class="syntaxhighlighter js">
+      <table border="0" cellpadding="0" cellspacing="0"><tbody><tr>
+        <td class="gutter"><div class="line number1 index0 alt2">1</div><div class="line number2 index1 alt1">2</div></td>
+        <td class="code"><div class="container">
+          <div class="line number1 index0 alt2"><code class="js keyword">if</code> <code class="js plain">(x) {</code></div>
+          <div class="line number2 index1 alt1"><code class="js spaces">&nbsp;&nbsp;</code><code class="js plain">y();</code></div>
+        </div></td>
+      </tr></tbody></table>
+    </div>`);
+  assert.deepEqual(blocks, [{ language: 'js', text: 'if (x) {\n  y();' }]);
+});
+
+test('plain blocks keep their whitespace and "none" means no language', () => {
+  const { count, blocks } = normalize(
+    '<pre>\n<code>  indented\n\n\n    more  </code></pre><pre class="language-none"><code>x</code></pre>'
+  );
+  assert.equal(count, 2);
+  // The parser drops the newline right after <pre>, as browsers do
+  assert.deepEqual(blocks, [
+    { language: '', text: '  indented\n\n\n    more  ' },
+    { language: '', text: 'x' }
+  ]);
+});
+
+test('detectCodeLanguage reads data-lang on the code element', () => {
+  const { document } = new JSDOM('<div class="highlight"><pre class="chroma"><code class="language-go" data-lang="go">x</code></pre></div>').window;
+  assert.equal(code.detectCodeLanguage(document.querySelector('pre')), 'go');
+});
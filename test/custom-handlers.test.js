@@ -0,0 +1,232 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const custom = require('../lib/custom-handlers.js');
+const cleanup = require('../lib/markdown-cleanup.js');
+
+// Selector syntax is checked with a real DOM in the options page
+const { document } = new JSDOM('<!DOCTYPE html><html><body></body></html>').window;
+const checkSelector = (selector) => {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+const DOCS = {
+  id: 'acme-docs',
+  match: 'docs.acme.com',
+  contentSelectors: ['main .doc'],
+  removeSelectors: ['.feedback'],
+  titleRules: [{ pattern: '\\s*\\|\\s*Acme Docs$', flags: '', replacement: '' }],
+  markdownRules: [{ pattern: '^Was this page helpful\\?$', flags: 'gm', replacement: '' }]
+};
+
+test('compileMatcher handles hostnames, host globs and URL globs', () => {
+  const host = custom.compileMatcher('acme.com');
+  assert.equal(host('acme.com'), true);
+  assert.equal(host('docs.acme.com'), true);
+  assert.equal(host('notacme.com'), false);
+
+  const glob = custom.compileMatcher('*.acme.*');
+  assert.equal(glob('blog.acme.io'), true);
+  assert.equal(glob('acme.io'), false);
+
+  const url = custom.compileMatcher('acme.com/docs/*');
+  assert.equal(url('acme.com', 'https://acme.com/docs/intro#top'), true);
+  assert.equal(url('acme.com', 'https://acme.com/blog/post'), false);
+
+  const withScheme = custom.compileMatcher('https://acme.com/*');
+  assert.equal(withScheme('acme.com', 'http://acme.com/page'), false);
+});
+
+test('validateHandler reports bad ids, selectors, flags and patterns', () => {
+  assert.deepEqual(custom.validateHandler(DOCS, { checkSelector }), []);
+
+  const errors = custom.validateHandler({
+    id: 'bad id',
+    match: '',
+    contentSelectors: ['div['],
+    titleRules: [{ pattern: '(', flags: '' }],
+    markdownRules: [{ pattern: 'x', flags: 'gg' }]
+  }, { checkSelector });
+
+  assert.equal(errors.length, 5);
+  assert.match(errors[0], /^id /);
+  assert.match(errors[1], /^match is required/);
+  assert.match(errors[2], /contentSelectors\[0\]: invalid selector "div\["/);
+  assert.match(errors[3], /^titleRules\[0\]: /);
+  assert.match(errors[4], /markdownRules\[0\]: invalid flags "gg"/);
+});
+
+test('validateHandlers flags duplicate ids', () => {
+  const { valid, errors } = custom.validateHandlers([DOCS, DOCS], { checkSelector });
+  assert.equal(valid, false);
+  assert.deepEqual(errors, { 'acme-docs': ['duplicate id "acme-docs"'] });
+});
+
+test('compileHandler builds a site handler with title and Markdown rules', () => {
+  const handler = custom.compileHandler(DOCS, { checkSelector });
+
+  assert.equal(handler.custom, true);
+  assert.equal(handler.fixRunTogether, false);
+  assert.deepEqual(handler.contentSelectors, ['main .doc']);
+  assert.equal(handler.cleanTitle('Install | Acme Docs'), 'Install');
+  assert.equal(handler.cleanMarkdown('Text\nWas this page helpful?\nMore'), 'Text\n\nMore');
+  assert.equal(custom.compileHandler({ id: 'x', match: 'a.com', contentSelectors: ['['] }, { checkSelector }), null);
+});
+
+test('getSiteHandler prefers user handlers over the built-in ones', () => {
+  const override = custom.compileHandler({ id: 'my-substack', match: 'substack.com', contentSelectors: ['.post'] });
+
+  assert.equal(cleanup.getSiteHandler('blog.substack.com').id, 'substack');
+  assert.equal(cleanup.getSiteHandler('blog.substack.com', { handlers: [override] }).id, 'my-substack');
+  assert.equal(cleanup.getSiteHandler('medium.com', { handlers: [override] }).id, 'medium');
+});
+
+test('rule lines round-trip through the editor format', () => {
+  const rules = [
+    { pattern: '\\s*\\| Site$', flags: '', replacement: '' },
+    { pattern: 'https://x/(\\d+)', flags: 'gi', replacement: 'item $1 -> done' }
+  ];
+  const text = custom.formatRuleLines(rules);
+  assert.equal(text, '/\\s*\\| Site$/\n/https://x/(\\d+)/gi -> item $1 -> done');
+  assert.deepEqual(custom.parseRuleLines(text), { rules, errors: [] });
+  assert.deepEqual(custom.parseRuleLines('no slashes').errors, ['line 1: expected /pattern/flags -> replacement']);
+});
+
+test('handler packs export and import, keeping only valid handlers', () => {
+  const exported = custom.serializeHandlerPack([DOCS]);
+  assert.equal(JSON.parse(exported).version, 1);
+
+  const imported = custom.parseHandlerPack(exported, { checkSelector });
+  assert.deepEqual(imported.handlers, [custom.normalizeHandler(DOCS)]);
+  assert.deepEqual(imported.errors, {});
+
+  const mixed = custom.parseHandlerPack(JSON.stringify([DOCS, { id: 'broken', match: 'x.com', removeSelectors: ['>>'] }]), { checkSelector });
+  assert.deepEqual(mixed.handlers.map((h) => h.id), ['acme-docs']);
+  assert.deepEqual(Object.keys(mixed.errors), ['broken']);
+
+  assert.match(custom.parseHandlerPack('{', { checkSelector }).errors.file[0], /Not valid JSON/);
+});
+
+test('mergeHandlers replaces handlers with the same id', () => {
+  const merged = custom.mergeHandlers(
+    [{ id: 'a', match: 'a.com' }, { id: 'b', match: 'b.com' }],
+    [{ id: 'b', match: 'b.org' }, { id: 'c', match: 'c.com' }]
+  );
+  assert.deepEqual(merged.map((h) => `${h.id}:${h.match}`), ['a:a.com', 'b:b.org', 'c:c.com']);
+});
+
+test('buildPickedHandler turns picked selectors into a handler for the site', () => {
+  const pick = { include: ['#post'], exclude: ['div.share'], save: true };
+  const handler = custom.buildPickedHandler('www.blog.example.com', pick, []);
+  assert.equal(handler.id, 'picked-blog-example-com');
+  assert.equal(handler.match, 'blog.example.com');
+  assert.deepEqual(handler.contentSelectors, ['#post']);
+  assert.deepEqual(handler.removeSelectors, ['div.share']);
+  assert.deepEqual(custom.validateHandler(handler, { checkSelector }), []);
+
+  // Picking again keeps the rules written for the earlier one
+  const titleRules = [{ pattern: ' - Blog$', flags: '', replacement: '' }];
+  const again = custom.buildPickedHandler('blog.example.com', { include: ['main'], exclude: [] }, [{ ...handler, titleRules }]);
+  assert.deepEqual(again.contentSelectors, ['main']);
+  assert.deepEqual(again.removeSelectors, []);
+  assert.deepEqual(again.titleRules, titleRules);
+});
+
+// A storage area that, like the browser's, rejects writes over `maxItemBytes`
+// per item (key plus JSON value) or `maxBytes` in total
+function fakeStorageArea(maxItemBytes, maxBytes = Infinity) {
+  const store = {};
+  const bytes = (key, value) => Buffer.byteLength(key + JSON.stringify(value));
+  const pick = (keys) => Object.fromEntries([].concat(keys).filter((key) => key in store).map((key) => [key, store[key]]));
+  return {
+    store,
+    get: async (keys) => pick(keys),
+    set: async (values) => {
+      for (const [key, value] of Object.entries(values)) {
+        if (bytes(key, value) > maxItemBytes) throw new Error('QUOTA_BYTES_PER_ITEM quota exceeded');
+      }
+      const next = { ...store, ...values };
+      if (Object.entries(next).reduce((sum, [key, value]) => sum + bytes(key, value), 0) > maxBytes) {
+        throw new Error('QUOTA_BYTES quota exceeded');
+      }
+      Object.assign(store, values);
+    },
+    remove: async (keys) => {
+      [].concat(keys).forEach((key) => delete store[key]);
+    }
+  };
+}
+
+const MANY = Array.from({ length: 40 }, (_, i) => ({
+  ...DOCS,
+  id: `site-${i}`,
+  match: `docs${i}.example.com`,
+  removeSelectors: ['.feedback', '.cookie-banner', 'nav.breadcrumbs', '.edit-on-github', '.newsletter-signup'],
+  titleRules: [{ pattern: '\\s*[|–]\\s*Ünïcode "Docs"$', flags: '', replacement: '' }]
+}));
+
+test('saveCustomHandlers refuses invalid handlers and stores valid ones', async (t) => {
+  global.chrome = { storage: { local: fakeStorageArea(Infinity), sync: fakeStorageArea(8192) } };
+  t.after(() => delete global.chrome);
+
+  await assert.rejects(custom.saveCustomHandlers([{ id: '', match: 'x.com' }]), /#1: id /);
+  await custom.saveCustomHandlers([DOCS]);
+  assert.deepEqual(await custom.loadCustomHandlers(), [custom.normalizeHandler(DOCS)]);
+});
+
+test('handler lists beyond the 8 KB sync item limit are split across sync items', async (t) => {
+  const sync = fakeStorageArea(8192, 102400);
+  global.chrome = { storage: { local: fakeStorageArea(Infinity), sync } };
+  t.after(() => delete global.chrome);
+
+  assert.ok(JSON.stringify(MANY.map(custom.normalizeHandler)).length > 8192);
+  await custom.saveCustomHandlers(MANY);
+  assert.ok(sync.store.customHandlers > 1);
+  assert.deepEqual(await custom.loadCustomHandlers(), MANY.map(custom.normalizeHandler));
+  assert.deepEqual(global.chrome.storage.local.store, {});
+
+  // A shorter list leaves no stale chunks behind
+  await custom.saveCustomHandlers([DOCS]);
+  assert.deepEqual(Object.keys(sync.store).sort(), ['customHandlers', 'customHandlers.0']);
+  assert.deepEqual(await custom.loadCustomHandlers(), [custom.normalizeHandler(DOCS)]);
+});
+
+test('handler lists over the sync quota fall back to local storage', async (t) => {
+  const sync = fakeStorageArea(8192, 8192);
+  global.chrome = { storage: { local: fakeStorageArea(Infinity), sync } };
+  t.after(() => delete global.chrome);
+
+  await custom.saveCustomHandlers(MANY);
+  assert.equal((await custom.loadCustomHandlers()).length, 40);
+  assert.equal(global.chrome.storage.local.store.customHandlers.length, 40);
+
+  // Once the list fits again it goes back to sync storage
+  await custom.saveCustomHandlers([DOCS]);
+  assert.deepEqual(global.chrome.storage.local.store, {});
+  assert.deepEqual(await custom.loadCustomHandlers(), [custom.normalizeHandler(DOCS)]);
+
+  // Errors other than the quota are not swallowed, and a full local area is reported readably
+  global.chrome.storage.local = fakeStorageArea(8192);
+  await assert.rejects(custom.saveCustomHandlers(MANY), /^Error: Not enough storage for 40 site handlers \(\d+ KB\)/);
+  sync.set = async () => {
+    throw new Error('MAX_WRITE_OPERATIONS_PER_MINUTE exceeded');
+  };
+  await assert.rejects(custom.saveCustomHandlers([DOCS]), /MAX_WRITE_OPERATIONS/);
+});
+
+test('handler lists saved as one sync item before chunking still load', async (t) => {
+  const sync = fakeStorageArea(8192);
+  sync.store.customHandlers = [DOCS];
+  global.chrome = { storage: { local: fakeStorageArea(Infinity), sync } };
+  t.after(() => delete global.chrome);
+
+  assert.deepEqual(await custom.loadCustomHandlers(), [custom.normalizeHandler(DOCS)]);
+});
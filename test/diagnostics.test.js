@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const diagnostics = require('../lib/diagnostics.js');
+
+function fakeClock(...times) {
+  return () => times.shift();
+}
+
+test('describeElement labels an element by tag, id and first classes', () => {
+  const { document } = new JSDOM('<div id="main" class="a b c d"></div><p></p>').window;
+  assert.equal(diagnostics.describeElement(document.getElementById('main')), 'div#main.a.b.c…');
+  assert.equal(diagnostics.describeElement(document.querySelector('p')), 'p');
+  assert.equal(diagnostics.describeElement(null), '');
+});
+
+test('the recorder times phases, including ones that throw', () => {
+  const recorder = diagnostics.createRecorder({ now: fakeClock(0, 1, 3.25, 3.5, 4, 10) });
+  assert.equal(recorder.phase('one', () => 42), 42);
+  assert.throws(() => recorder.phase('two', () => { throw new Error('boom'); }), /boom/);
+
+  const data = recorder.toJSON();
+  assert.deepEqual(data.phases, [{ name: 'one', ms: 2.3 }, { name: 'two', ms: 0.5 }]);
+  assert.equal(data.totalMs, 10);
+});
+
+test('the recorder keeps the top candidates with their share of the page text', () => {
+  const { document } = new JSDOM(`<body><article>${'word '.repeat(60)}</article><aside>${'x'.repeat(100)}</aside></body>`).window;
+  const article = document.querySelector('article');
+  const recorder = diagnostics.createRecorder();
+  const candidates = Array.from({ length: 7 }, (_, i) => ({
+    element: article, score: 40.123 - i, textLength: 299, linkDensity: 0.1234, textDensity: 299, paragraphCount: 1
+  }));
+  recorder.candidates(candidates, document.body, false);
+
+  const { content } = recorder.toJSON();
+  assert.equal(content.candidates.length, 5);
+  assert.deepEqual(content.candidates[0], {
+    element: 'article', score: 40.1, textLength: 299, textRatio: 0.75, linkDensity: 0.12, textDensity: 299, paragraphs: 1
+  });
+});
+
+test('formatDiagnostics summarizes the run as text', () => {
+  const recorder = diagnostics.createRecorder({ now: fakeClock(0, 0, 1.5, 20) });
+  recorder.setHandler({ id: 'substack' });
+  recorder.step('handler', { selector: '.body.markup', found: true, textLength: 40, minLength: 100, accepted: false });
+  recorder.step('handler', { selector: 'div[', error: 'not a valid selector' });
+  recorder.invalid('handler', 'div[', new Error('not a valid selector'));
+  recorder.step('scorer', { found: false, element: null });
+  recorder.step('body');
+  recorder.chose('body', null);
+  recorder.removed('handler', '.subscribe-widget', 3);
+  recorder.removed('output', 'nav', 0);
+  recorder.transform('footnotes', 2);
+  recorder.transform('code blocks', 0);
+  recorder.phase('conversion', () => {});
+
+  assert.equal(diagnostics.formatDiagnostics(recorder.toJSON()), [
+    'Handler: substack',
+    'Content: body',
+    '  1. handler selector .body.markup: 40 chars (under 100)',
+    '  2. handler selector div[: invalid (not a valid selector)',
+    '  3. scorer: no candidate with enough text',
+    '  4. body',
+    '',
+    'Removed:',
+    '  3 × .subscribe-widget (handler)',
+    '',
+    'Invalid selectors:',
+    '  div[ (handler): not a valid selector',
+    '',
+    'Rewritten: 2 footnotes',
+    '',
+    'Timing: 20 ms total',
+    '  conversion: 1.5 ms'
+  ].join('\n'));
+  assert.equal(diagnostics.formatDiagnostics(null), '');
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const picker = require('../lib/element-picker.js');
+
+function load(body) {
+  return new JSDOM(`<!DOCTYPE html><html><body>${body}</body></html>`, { url: 'https://www.example.com/post' }).window;
+}
+
+test('getSelector prefers a unique id, then unique tag and classes', () => {
+  const { document } = load(`
+    <div id="content"><p>a</p></div>
+    <article class="post-body is-active">b</article>
+    <div id="ember1234"><section class="css-1x2y3z">c</section></div>`);
+  assert.equal(picker.getSelector(document.getElementById('content')), '#content');
+  assert.equal(picker.getSelector(document.querySelector('article')), 'article.post-body');
+  // Generated ids and classes are skipped
+  assert.equal(picker.getSelector(document.querySelector('section')), 'section');
+});
+
+test('getSelector falls back to a path from the nearest id, with positions where needed', () => {
+  const { document } = load(`
+    <main id="main"><div class="card">one</div><div class="card">two</div></main>
+    <aside><div class="card">three</div><div class="card">four</div></aside>
+    <div><p>x</p></div><div><p>y</p></div>`);
+  const second = document.querySelectorAll('.card')[1];
+  assert.equal(picker.getSelector(second), '#main > div.card:nth-of-type(2)');
+
+  const y = document.querySelectorAll('p')[1];
+  const selector = picker.getSelector(y);
+  assert.deepEqual(Array.from(document.querySelectorAll(selector)), [y]);
+});
+
+test('the picker reports included and excluded selectors on Enter', () => {
+  const window = load('<article id="post"><p>Text</p><div class="share">Share</div></article><a id="link" href="/x">x</a>');
+  const { document } = window;
+  let done = null;
+  let pageClicks = 0;
+  document.getElementById('link').addEventListener('click', () => pageClicks++);
+  picker.startPicker({ document, onDone: (pick) => { done = pick; } });
+  assert.ok(document.querySelector(`[${picker.HOST_ATTR}]`));
+
+  const click = (el, shiftKey) => el.dispatchEvent(new window.MouseEvent('click', { bubbles: true, cancelable: true, shiftKey }));
+  click(document.getElementById('post'));
+  click(document.querySelector('.share'), true);
+  click(document.getElementById('link'));
+  click(document.getElementById('link')); // a second click clears the pick
+  assert.equal(pageClicks, 0);
+
+  document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+  assert.deepEqual(done, { include: ['#post'], exclude: ['div.share'], save: false });
+  assert.equal(document.querySelector(`[${picker.HOST_ATTR}]`), null);
+
+  // Page clicks go through again once the picker is gone
+  click(document.getElementById('link'));
+  assert.equal(pageClicks, 1);
+});
+
+test('Escape cancels, and starting again replaces a running picker', () => {
+  const window = load('<p>Text</p>');
+  const { document } = window;
+  let cancelled = 0;
+  picker.startPicker({ document, onCancel: () => cancelled++, onDone: () => assert.fail('not done') });
+  picker.startPicker({ document, onCancel: () => cancelled++ });
+  assert.equal(cancelled, 1);
+  assert.equal(document.querySelectorAll(`[${picker.HOST_ATTR}]`).length, 1);
+
+  document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  assert.equal(cancelled, 2);
+  assert.equal(document.querySelector(`[${picker.HOST_ATTR}]`), null);
+});
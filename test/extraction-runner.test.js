@@ -0,0 +1,136 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const runner = require('../lib/extraction-runner.js');
+
+test('isRestrictedUrl blocks browser-internal pages and allows the web', () => {
+  assert.equal(runner.isRestrictedUrl('chrome://extensions/'), true);
+  assert.equal(runner.isRestrictedUrl('https://chrome.google.com/webstore/detail/x'), true);
+  assert.equal(runner.isRestrictedUrl('file:///tmp/a.html'), true);
+  assert.equal(runner.isRestrictedUrl(''), true);
+  assert.equal(runner.isRestrictedUrl('https://example.com/'), false);
+});
+
+test('buildCopyContent wraps Markdown and HTML with flags only when HTML is included', () => {
+  assert.equal(runner.buildCopyContent('# MD', '<p>x</p>', false), '# MD');
+  assert.equal(runner.buildCopyContent('# MD', '', true), '# MD');
+  assert.equal(
+    runner.buildCopyContent('# MD', '<p>x</p>', true),
+    '<!-- MARKDOWN START -->\n# MD\n<!-- MARKDOWN END -->\n\n<!-- HTML START -->\n<p>x</p>\n<!-- HTML END -->'
+  );
+  assert.equal(runner.buildCopyContent(null, '<p>x</p>', true), null);
+});
+
+test('mergeFrameResults appends subframes that extracted on their own', () => {
+  const merged = runner.mergeFrameResults([
+    { frameId: 7, result: { success: true, markdown: 'frame' } },
+    { frameId: 0, result: { success: true, markdown: 'main', title: 'T' } },
+    { frameId: 8, result: { success: true, skipped: true } },
+    { frameId: 9, result: { success: false, error: 'x' } }
+  ]);
+
+  assert.equal(merged.markdown, 'main\n\n---\n\nframe');
+  assert.equal(merged.title, 'T');
+});
+
+test('mergeFrameResults drops widget frames and heads content frames with their title', () => {
+  const article = 'Body text. '.repeat(30);
+  const merged = runner.mergeFrameResults([
+    { frameId: 0, result: { success: true, markdown: 'main' } },
+    { frameId: 4, result: { success: true, markdown: 'Accept cookies', title: 'Consent', frame: { textLength: 14, hasMainContent: true } } },
+    { frameId: 5, result: { success: true, markdown: article, title: 'Ad', frame: { textLength: 330, hasMainContent: false } } },
+    { frameId: 6, result: { success: true, markdown: article, title: 'Embedded post', frame: { textLength: 330, hasMainContent: true } } }
+  ]);
+
+  assert.equal(merged.markdown, `main\n\n---\n\n## Embedded post\n\n${article}`);
+});
+
+test('mergeFrameResults passes a failed or missing main result through', () => {
+  assert.equal(runner.mergeFrameResults([{ frameId: 3, result: { success: true } }]), undefined);
+  assert.deepEqual(
+    runner.mergeFrameResults([{ frameId: 0, result: { success: false, error: 'boom' } }]),
+    { success: false, error: 'boom' }
+  );
+});
+
+test('runExtraction injects the page scripts, then calls the extractor', async (t) => {
+  const calls = [];
+  global.chrome = {
+    scripting: {
+      executeScript: async (details) => {
+        calls.push(details);
+        return details.func ? [{ frameId: 0, result: { success: true, markdown: 'md' } }] : [];
+      }
+    }
+  };
+  t.after(() => delete global.chrome);
+
+  const result = await runner.runExtraction({ id: 5, url: 'https://example.com/' }, { includeFrames: true });
+
+  assert.equal(result.markdown, 'md');
+  assert.deepEqual(calls[0].files, runner.INJECTED_FILES);
+  assert.deepEqual(calls[0].target, { tabId: 5, allFrames: true });
+  assert.deepEqual(calls[1].args, [{ includeFrames: true }]);
+});
+
+test('launchPicker injects the picker into the top frame and starts it', async (t) => {
+  const calls = [];
+  global.chrome = { scripting: { executeScript: async (details) => calls.push(details) && [] } };
+  t.after(() => delete global.chrome);
+
+  await runner.launchPicker({ id: 3, url: 'https://example.com/' });
+  assert.deepEqual(calls[0], { target: { tabId: 3 }, files: runner.PICKER_FILES });
+  assert.equal(typeof calls[1].func, 'function');
+
+  await assert.rejects(runner.launchPicker({ id: 3, url: 'chrome://settings' }), /Cannot access this page/);
+  assert.equal(calls.length, 2);
+});
+
+test('runExtraction rejects restricted pages and failed extractions', async (t) => {
+  global.chrome = {
+    scripting: {
+      executeScript: async (details) =>
+        details.func ? [{ frameId: 0, result: { success: false, error: 'nope', diagnostics: { phases: [] } } }] : []
+    }
+  };
+  t.after(() => delete global.chrome);
+
+  await assert.rejects(runner.runExtraction(undefined, {}), /No active tab/);
+  await assert.rejects(runner.runExtraction({ id: 1, url: 'chrome://newtab' }, {}), /Cannot access this page/);
+  await assert.rejects(runner.runExtraction({ id: 1, url: 'https://example.com/' }, {}), (error) => {
+    assert.match(error.message, /nope/);
+    assert.deepEqual(error.diagnostics, { phases: [] });
+    return true;
+  });
+});
+
+test('runExtraction inlines images in the top frame when imageMode is inline', async (t) => {
+  const calls = [];
+  global.chrome = {
+    scripting: {
+      executeScript: async (details) => {
+        calls.push(details);
+        if (!details.func) return [];
+        if (details.args.length === 2) {
+          return [{ frameId: 0, result: { markdown: '![a](data:image/png;base64,AA)', inlined: 1, skipped: 0 } }];
+        }
+        return [{ frameId: 0, result: { success: true, markdown: '![a](https://x.com/a.png)' } }];
+      }
+    }
+  };
+  t.after(() => delete global.chrome);
+
+  const options = { includeImages: true, imageMode: 'inline', inlineImageMaxKB: 50, inlineTotalMaxKB: 500, inlineMaxDimension: 0 };
+  const result = await runner.runExtraction({ id: 7, url: 'https://x.com/' }, options);
+
+  assert.equal(result.markdown, '![a](data:image/png;base64,AA)');
+  assert.equal(result.inlinedImages, 1);
+  assert.deepEqual(calls[2].target, { tabId: 7 });
+  assert.deepEqual(calls[2].args[1], { maxImageBytes: 50 * 1024, maxTotalBytes: 500 * 1024, maxDimension: 0 });
+
+  calls.length = 0;
+  await runner.runExtraction({ id: 7, url: 'https://x.com/' }, { ...options, includeImages: false });
+  assert.equal(calls.length, 2);
+});
@@ -22,8 +22,18 @@ const { JSDOM } = require('jsdom');
 
 const ROOT = path.join(__dirname, '..');
 
-// Pure cleanup module also assigns globalThis.__WCM_CLEANUP__ (needed by extractor).
+// Pure modules also assign their globalThis.__WCM_*__ APIs (needed by extractor).
 require('../lib/markdown-cleanup.js');
+const scorer = require('../lib/content-scorer.js');
+require('../lib/page-metadata.js');
+require('../lib/custom-handlers.js');
+require('../lib/link-urls.js');
+require('../lib/code-blocks.js');
+require('../lib/math.js');
+require('../lib/footnotes.js');
+require('../lib/diagnostics.js');
+require('../lib/image-sources.js');
+require('../lib/media-embeds.js');
 
 // Give Turndown a DOM to find at load time, then load the browser scripts so
 // their top-level globals (TurndownService, __WCM_EXTRACT__) attach here.
@@ -43,9 +53,21 @@ function applyDomGlobals(window) {
   global.Node = window.Node;
 }
 
-function extract(html, { url = 'https://example.com/article', includeImages = false } = {}) {
+function extract(html, { url = 'https://example.com/article', includeImages = false, ...options } = {}) {
   applyDomGlobals(new JSDOM(html, { url }).window);
-  return globalThis.__WCM_EXTRACT__({ includeImages });
+  return globalThis.__WCM_EXTRACT__({ includeImages, ...options });
+}
+
+/**
+ * Extract with part of the page selected. `select(document)` returns the
+ * Range objects to add to the selection.
+ */
+function extractSelection(html, select, options = {}) {
+  const window = new JSDOM(html, { url: 'https://example.com/article' }).window;
+  applyDomGlobals(window);
+  const selection = window.getSelection();
+  for (const range of select(window.document)) selection.addRange(range);
+  return globalThis.__WCM_EXTRACT__({ includeImages: false, ...options });
 }
 
 function page(title, bodyHtml) {
@@ -68,6 +90,41 @@ test('extracts an article with title and metadata header', () => {
   assert.ok(result.markdown.includes('sufficiently long article'));
 });
 
+test('renders figures as the image followed by an italic caption', () => {
+  const html = page('Fig', `<article><p>${LONG_TEXT}</p>
+    <figure><figcaption>Revenue <em>by</em> region</figcaption><img src="/chart.png" alt="Chart"></figure>
+    <figure><pre><code>npm test</code></pre><figcaption>Running the tests</figcaption></figure></article>`);
+
+  const withImages = extract(html, { includeImages: true });
+  assert.match(withImages.markdown, /!\[Chart\]\(https:\/\/example\.com\/chart\.png\)\n\n\*Revenue _by_ region\*/);
+  assert.match(withImages.markdown, /```\nnpm test\n```\n\n\*Running the tests\*/);
+
+  // Without images the caption still says what was there
+  assert.match(extract(html).markdown, /main content of the page\.\n\n\*Revenue _by_ region\*/);
+});
+
+test('keeps embedded videos and players as labeled links', () => {
+  const html = page('Embeds', `<article><p>${LONG_TEXT}</p>
+    <iframe src="https://www.youtube-nocookie.com/embed/abc123?start=30" title="Setting up the project"></iframe>
+    <video src="/media/demo.mp4?utm_source=x" title="Demo"></video></article>`);
+  const result = extract(html);
+
+  assert.match(result.markdown, /^\[▶ Video: Setting up the project\]\(https:\/\/www\.youtube\.com\/watch\?v=abc123&t=30s\)$/m);
+  assert.match(result.markdown, /^\[▶ Video: Demo\]\(https:\/\/example\.com\/media\/demo\.mp4\)$/m);
+  assert.doesNotMatch(result.html, /<iframe|<video/);
+});
+
+test('drops hidden embeds instead of turning them into links', () => {
+  const html = page('Embeds', `<article>
+    <div class="hero" aria-hidden="true"><video autoplay muted loop src="/media/hero.mp4" title="Hero loop"></video></div>
+    <p>${LONG_TEXT}</p>
+    <iframe src="https://www.youtube.com/embed/abc123" title="Walkthrough" style="display: none"></iframe></article>`);
+  const result = extract(html);
+
+  assert.doesNotMatch(result.markdown, /Hero loop|hero\.mp4|Walkthrough/);
+  assert.match(result.markdown, /main content of the page\./);
+});
+
 test('excludes images by default and includes them when requested', () => {
   const html = page('Pics', `<article><p>${LONG_TEXT}</p><img src="https://example.com/pic.png" alt="A picture"></article>`);
 
@@ -79,6 +136,20 @@ test('excludes images by default and includes them when requested', () => {
   assert.match(withImages.markdown, /!\[A picture\]\(https:\/\/example\.com\/pic\.png\)/);
 });
 
+test('resolves lazy-loaded images and drops placeholders and tracking pixels', () => {
+  const html = page('Lazy', `<article><p>${LONG_TEXT}</p>
+    <img src="data:image/gif;base64,R0lGODlhAQABAAAAACw=" data-srcset="/img/s.jpg 400w, /img/l.jpg 1200w" alt="Lazy">
+    <p><img class="lazy" src="/blank.gif"><noscript><img src="/img/fallback.png" alt="Fallback"></noscript></p>
+    <figure><img src="/img/chart.png" alt=""><figcaption>Quarterly chart</figcaption></figure>
+    <img src="https://example.com/pixel.gif" width="1" height="1"></article>`);
+  const result = extract(html, { includeImages: true });
+
+  assert.match(result.markdown, /!\[Lazy\]\(https:\/\/example\.com\/img\/l\.jpg\)/);
+  assert.match(result.markdown, /!\[Fallback\]\(https:\/\/example\.com\/img\/fallback\.png\)/);
+  assert.match(result.markdown, /!\[Quarterly chart\]\(https:\/\/example\.com\/img\/chart\.png\)/);
+  assert.doesNotMatch(result.markdown, /pixel\.gif|blank\.gif|data:image/);
+  assert.doesNotMatch(result.html, /srcset|noscript/);
+});
 test('strips script/style/noscript from the HTML export', () => {
   const html = page('Scripts', `<article><script>alert(1)</script><style>.a{}</style><p>${LONG_TEXT}</p></article>`);
   const result = extract(html);
@@ -96,6 +167,59 @@ test('removes structural chrome (nav/footer) from the output', () => {
   assert.doesNotMatch(result.markdown, /FOOTERJUNK/);
 });
 
+test('passes heading style, bullet marker and metadata fields through', () => {
+  const html = page('Styled', `<article><h2>Part</h2><p>${LONG_TEXT}</p><ul><li>one</li></ul></article>`);
+  const result = extract(html, {
+    headingStyle: 'setext',
+    bulletListMarker: '*',
+    metadataFields: { site: false }
+  });
+
+  assert.match(result.markdown, /^Part\n-+$/m);
+  assert.match(result.markdown, /^\* one$/m);
+  assert.doesNotMatch(result.markdown, /\*\*Site:\*\*/);
+  assert.match(result.markdown, /\*\*Source:\*\*/);
+});
+
+test('emits YAML front matter with page metadata when requested', () => {
+  const html = `<!DOCTYPE html><html lang="de"><head><title>Front</title>
+    <meta property="article:published_time" content="2026-03-01T10:00:00Z">
+    <meta property="article:tag" content="alpha"><meta property="article:tag" content="beta">
+    <link rel="canonical" href="https://example.com/canonical"></head>
+    <body><article><p>${LONG_TEXT}</p></article></body></html>`;
+  const result = extract(html, { headerFormat: 'yaml' });
+
+  assert.match(result.markdown, /^---\ntitle: "Front"\nsource: "https:\/\/example\.com\/article"\n/);
+  assert.match(result.markdown, /^extracted: \d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}[+-]\d{2}:\d{2}$/m);
+  assert.match(result.markdown, /^published: 2026-03-01T10:00:00Z$/m);
+  assert.match(result.markdown, /^canonical: "https:\/\/example\.com\/canonical"$/m);
+  assert.match(result.markdown, /^tags:\n  - "alpha"\n  - "beta"$/m);
+  assert.match(result.markdown, /^language: "de"$/m);
+  assert.match(result.markdown, /\n---\n\n# Front\n\n/);
+});
+
+test('fills the header from JSON-LD authors, dates and description', () => {
+  const ld = JSON.stringify({
+    '@type': 'Article',
+    headline: 'Real headline',
+    author: [{ '@type': 'Person', name: 'Jane Doe' }, { '@type': 'Person', name: 'John Roe' }],
+    datePublished: '2026-03-01T10:00:00Z',
+    dateModified: '2026-03-02T10:00:00Z',
+    description: 'Summary'
+  });
+  const html = `<!DOCTYPE html><html><head><title>Real headline | Site</title>
+    <script type="application/ld+json">${ld}</script></head>
+    <body><article><p>${LONG_TEXT}</p></article></body></html>`;
+  const result = extract(html);
+
+  assert.equal(result.title, 'Real headline');
+  assert.match(result.markdown, /\*\*Author:\*\* Jane Doe, John Roe/);
+  assert.match(result.markdown, /\*\*Published:\*\* 2026-03-01T10:00:00Z/);
+  assert.match(result.markdown, /\*\*Updated:\*\* 2026-03-02T10:00:00Z/);
+  assert.match(result.markdown, /\*\*Description:\*\* Summary/);
+  assert.match(result.markdown, /\*\*Reading time:\*\* 1 min/);
+});
+
 test('does NOT split run-together text on a generic site', () => {
   const html = page('Generic', `<article><p>${LONG_TEXT} I really like Node.Js a lot.</p></article>`);
   const result = extract(html, { url: 'https://example.com/article' });
@@ -118,6 +242,471 @@ test('cleans the LinkedIn page title via the site handler', () => {
   assert.match(result.markdown, /^# Jane Doe/);
 });
 
+test('converts a table with a thead into a GFM pipe table', () => {
+  const html = page('Table', `<article><p>${LONG_TEXT}</p><table>
+    <thead><tr><th align="left">Plan</th><th style="text-align: right">Price</th></tr></thead>
+    <tbody><tr><td>Basic | Lite</td><td>$5</td></tr><tr><td>Pro</td><td>$10<br>billed yearly</td></tr></tbody>
+  </table></article>`);
+  const result = extract(html);
+
+  assert.ok(result.markdown.includes([
+    '| Plan | Price |',
+    '| :--- | ---: |',
+    '| Basic \\| Lite | $5 |',
+    '| Pro | $10<br>billed yearly |'
+  ].join('\n')));
+});
+
+test('treats a first row of th cells as the table header', () => {
+  const html = page('Table', `<article><p>${LONG_TEXT}</p><table>
+    <tr><th>Name</th><th>Value</th></tr><tr><td>a</td><td>1</td></tr>
+  </table></article>`);
+  const result = extract(html);
+
+  assert.ok(result.markdown.includes('| Name | Value |\n| --- | --- |\n| a | 1 |'));
+});
+
+test('expands colspan and rowspan into every covered cell', () => {
+  const html = page('Table', `<article><p>${LONG_TEXT}</p><table>
+    <tr><th>A</th><th>B</th><th>C</th></tr>
+    <tr><td rowspan="2">x</td><td colspan="2">wide</td></tr>
+    <tr><td>y</td><td>z</td></tr>
+  </table></article>`);
+  const result = extract(html);
+
+  assert.ok(result.markdown.includes('| x | wide | wide |\n| x | y | z |'));
+});
+
+test('clamps huge colspan and rowspan to the size of the table', () => {
+  const html = page('Table', `<article><p>${LONG_TEXT}</p><table>
+    <tr><th colspan="1000">Report</th></tr>
+    <tr><td rowspan="65534">q1</td><td>a</td><td>1</td></tr>
+    <tr><td>b</td><td>2</td></tr>
+  </table></article>`);
+  const result = extract(html);
+
+  assert.ok(result.markdown.includes([
+    '| Report | Report | Report |',
+    '| --- | --- | --- |',
+    '| q1 | a | 1 |',
+    '| q1 | b | 2 |'
+  ].join('\n')));
+  assert.doesNotMatch(result.markdown, /\| q1 \|\s*\|/);
+  assert.equal(result.markdown.split('\n').filter((line) => line.startsWith('|')).length, 4);
+});
+
+test('falls back to cleaned HTML for tables with block content in cells', () => {
+  const html = page('Table', `<article><p>${LONG_TEXT}</p><table class="fancy">
+    <tr><th>Steps</th></tr><tr><td style="color:red"><ul><li>one</li><li>two</li></ul></td></tr>
+  </table></article>`);
+  const result = extract(html);
+
+  assert.match(result.markdown, /<table><tbody><tr><th>Steps<\/th><\/tr><tr><td><ul><li>one<\/li>/);
+  assert.doesNotMatch(result.markdown, /class="fancy"|style=/);
+});
+
+const PARAGRAPH =
+  'Readers come back for the long-form prose, the careful arguments, and the ' +
+  'occasional tangent, which is why this paragraph has commas, length, and substance.';
+
+function doc(bodyHtml) {
+  return new JSDOM(page('Scoring', bodyHtml)).window.document;
+}
+
+test('scorer prefers the prose container over a link-heavy sidebar', () => {
+  const d = doc(`
+    <div class="sidebar"><p><a href="/a">${PARAGRAPH}</a></p><p><a href="/b">${PARAGRAPH}</a></p></div>
+    <div id="story"><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p></div>`);
+  const best = scorer.findMainContent(d);
+
+  assert.equal(best.element.id, 'story');
+  assert.equal(best.merged, false);
+});
+
+test('scorer ranks by class/id hints and reports candidate details', () => {
+  const d = doc(`
+    <div class="comments"><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p></div>
+    <div class="post-content"><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p></div>`);
+  const [top] = scorer.scoreCandidates(d);
+
+  assert.equal(top.element.className, 'post-content');
+  assert.equal(top.paragraphCount, 2);
+  assert.equal(top.linkDensity, 0);
+  assert.ok(top.textLength > 200);
+});
+
+test('scorer ignores paragraphs inside nav/aside/footer', () => {
+  const d = doc(`<aside><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p></aside><footer><p>${PARAGRAPH}</p></footer>`);
+  assert.equal(scorer.findMainContent(d), null);
+});
+
+test('scorer merges qualifying sibling blocks around the winner', () => {
+  const d = doc(`<div id="wrap">
+    <div class="entry"><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p></div>
+    <div class="entry"><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p></div>
+    <div class="share"><a href="/x">Share</a></div>
+  </div>`);
+  const best = scorer.findMainContent(d);
+
+  assert.equal(best.merged, true);
+  assert.equal(best.element.children.length, 2);
+  assert.doesNotMatch(best.element.textContent, /Share/);
+});
+
+test('extraction uses the scored candidate instead of the whole body', () => {
+  const html = page('Scored', `
+    <div class="menu"><a href="/1">Home</a> <a href="/2">About</a> MENUJUNK</div>
+    <div class="story-body"><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p></div>`);
+  const result = extract(html);
+
+  assert.ok(result.markdown.includes('Readers come back'));
+  assert.doesNotMatch(result.markdown, /MENUJUNK/);
+});
+
+test('site handler selectors still take precedence over scoring', () => {
+  const html = page('Post', `
+    <div class="body markup">${LONG_TEXT}</div>
+    <div class="other"><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p></div>`);
+  const result = extract(html, { url: 'https://blog.substack.com/p/post' });
+
+  assert.ok(result.markdown.includes('sufficiently long article'));
+  assert.doesNotMatch(result.markdown, /Readers come back/);
+});
+
+test('user-defined handlers override the built-in one for a site', () => {
+  const html = page('Post | My Blog', `
+    <div class="body markup">${LONG_TEXT}</div>
+    <div class="mine"><p>${PARAGRAPH}</p><p class="promo">PROMOJUNK</p></div>`);
+  const result = extract(html, {
+    url: 'https://blog.substack.com/p/post',
+    customHandlers: [{
+      id: 'my-blog',
+      match: 'blog.substack.com/p/*',
+      contentSelectors: ['.mine'],
+      removeSelectors: ['.promo'],
+      titleRules: [{ pattern: ' \\| My Blog$', flags: '', replacement: '' }]
+    }]
+  });
+
+  assert.equal(result.title, 'Post');
+  assert.ok(result.markdown.includes('Readers come back'));
+  assert.doesNotMatch(result.markdown, /sufficiently long article|PROMOJUNK/);
+});
+
+test('reports the handler, selector path and removals in the diagnostics', () => {
+  const html = page('Post', `
+    <div class="short">Too short.</div>
+    <div class="mine"><p>${PARAGRAPH}</p><p class="promo">A</p><p class="promo">B</p></div>`);
+  const { diagnostics } = extract(html, {
+    url: 'https://blog.example.com/p/post',
+    customHandlers: [{
+      id: 'my-blog',
+      match: 'blog.example.com',
+      contentSelectors: ['.missing', '.short', '.mine'],
+      removeSelectors: ['.promo']
+    }]
+  });
+
+  assert.deepEqual(diagnostics.handler, { id: 'my-blog', custom: true });
+  assert.equal(diagnostics.content.source, 'handler');
+  assert.equal(diagnostics.content.selector, '.mine');
+  assert.equal(diagnostics.content.element, 'div.mine');
+  assert.deepEqual(
+    diagnostics.content.path.map((step) => [step.selector, step.found, step.accepted]),
+    [['.missing', false, false], ['.short', true, false], ['.mine', true, true]]
+  );
+  assert.deepEqual(diagnostics.removals[0], { source: 'handler', selector: '.promo', count: 2 });
+  assert.ok(diagnostics.removals.some((removal) => removal.source === 'output' && removal.selector === 'nav'));
+  assert.deepEqual(
+    diagnostics.phases.map((phase) => phase.name),
+    ['metadata', 'hidden elements', 'content selection', 'media', 'cleanup', 'footnotes', 'code blocks', 'URLs', 'conversion', 'post-processing']
+  );
+});
+
+test('reports scored candidates when no handler matches', () => {
+  const html = page('Plain', `<nav><a href="/">Home</a></nav><div id="story" class="post"><p>${LONG_TEXT}</p><p>${PARAGRAPH}</p></div>`);
+  const { diagnostics } = extract(html);
+
+  assert.equal(diagnostics.handler, null);
+  assert.equal(diagnostics.content.source, 'scorer');
+  assert.deepEqual(diagnostics.content.path, [{ source: 'scorer', found: true, element: 'div#story.post' }]);
+  const [top] = diagnostics.content.candidates;
+  assert.equal(top.element, 'div#story.post');
+  assert.ok(top.textRatio > 0.9 && top.textRatio <= 1);
+  assert.equal(top.linkDensity, 0);
+  assert.equal(typeof diagnostics.totalMs, 'number');
+});
+
+test('uses the elements picked with the element picker, minus the excluded ones', () => {
+  const html = page('Picked', `
+    <article><p>${LONG_TEXT}</p></article>
+    <div id="sidebar-note"><p>Picked note.</p><div class="share">Share this</div></div>
+    <div class="extra"><p>Second pick.</p></div>`);
+  const result = extract(html, { pick: { include: ['.extra', '#sidebar-note'], exclude: ['.share'] } });
+
+  assert.match(result.markdown, /Picked note\.\n\nSecond pick\./);
+  assert.doesNotMatch(result.markdown, /sufficiently long article|Share this/);
+  assert.equal(result.diagnostics.content.source, 'picker');
+  assert.deepEqual(result.diagnostics.content.path, [{ source: 'picker', selectors: 2, found: 2 }]);
+  assert.ok(result.diagnostics.removals.some((removal) => removal.source === 'picker' && removal.count === 1));
+  assert.equal(document.querySelector('[data-wcm-hidden]'), null);
+});
+
+test('picked exclusions apply to automatically found content too', () => {
+  const html = page('Excluded', `<article><p>${LONG_TEXT}</p><p class="promo">Buy now.</p></article>`);
+  const result = extract(html, { pick: { include: [], exclude: ['p.promo'] } });
+
+  assert.ok(result.markdown.includes('sufficiently long article'));
+  assert.doesNotMatch(result.markdown, /Buy now/);
+});
+
+test('converts only the selected text when there is a selection', () => {
+  const html = page('Sel', `<article><p id="a">${LONG_TEXT}</p><p id="b">Quoted section only.</p></article>`);
+  const result = extractSelection(html, (d) => {
+    const range = d.createRange();
+    range.selectNodeContents(d.getElementById('b'));
+    return [range];
+  });
+
+  assert.equal(result.hasSelection, true);
+  assert.equal(result.fromSelection, true);
+  assert.match(result.markdown, /^# Sel/);
+  assert.ok(result.markdown.includes('Quoted section only.'));
+  assert.doesNotMatch(result.markdown, /sufficiently long/);
+});
+
+test('converts the full page when useSelection is false', () => {
+  const html = page('Sel', `<article><p>${LONG_TEXT}</p><p id="b">Quoted section only.</p></article>`);
+  const result = extractSelection(html, (d) => {
+    const range = d.createRange();
+    range.selectNodeContents(d.getElementById('b'));
+    return [range];
+  }, { useSelection: false });
+
+  assert.equal(result.hasSelection, true);
+  assert.equal(result.fromSelection, false);
+  assert.ok(result.markdown.includes('sufficiently long'));
+});
+
+test('keeps list structure for partially selected list items', () => {
+  const html = page('Sel', `<article><p>${LONG_TEXT}</p><ol start="3"><li id="x">Alpha item</li><li id="y">Beta item</li></ol></article>`);
+  const result = extractSelection(html, (d) => {
+    const range = d.createRange();
+    range.setStart(d.getElementById('x').firstChild, 2);
+    range.setEnd(d.getElementById('y').firstChild, 4);
+    return [range];
+  });
+
+  assert.match(result.markdown, /^3\. pha item\n4\. Beta$/m);
+});
+
+test('keeps table structure for selected table rows', () => {
+  const html = page('Sel', `<article><p>${LONG_TEXT}</p><table><tbody>
+    <tr id="r1"><td>a1</td><td>b1</td></tr><tr id="r2"><td>a2</td><td>b2</td></tr><tr><td>a3</td><td>b3</td></tr>
+  </tbody></table></article>`);
+  const result = extractSelection(html, (d) => {
+    const range = d.createRange();
+    range.setStartBefore(d.getElementById('r1'));
+    range.setEndAfter(d.getElementById('r2'));
+    return [range];
+  });
+
+  assert.ok(result.markdown.includes('| a1 | b1 |\n| a2 | b2 |'));
+  assert.doesNotMatch(result.markdown, /a3/);
+});
+
+test('combines every range of a multi-range selection', () => {
+  // jsdom (like Chrome) keeps a single range, so stand in for Firefox's
+  // multi-range selections with a minimal Selection lookalike.
+  const window = new JSDOM(
+    page('Sel', `<article><p id="a">First quote.</p><p>${LONG_TEXT}</p><p id="b">Second quote.</p></article>`),
+    { url: 'https://example.com/article' }
+  ).window;
+  applyDomGlobals(window);
+  const ranges = ['a', 'b'].map((id) => {
+    const range = window.document.createRange();
+    range.selectNodeContents(window.document.getElementById(id));
+    return range;
+  });
+  window.getSelection = () => ({
+    rangeCount: ranges.length,
+    isCollapsed: false,
+    getRangeAt: (i) => ranges[i],
+    toString: () => ranges.map(String).join('')
+  });
+
+  const result = globalThis.__WCM_EXTRACT__({ includeImages: false });
+  assert.match(result.markdown, /First quote\.\n\nSecond quote\./);
+  assert.doesNotMatch(result.markdown, /sufficiently long/);
+});
+
+/**
+ * Extract after `setup(document)` has built parts of the page (shadow roots,
+ * frame documents) that cannot be expressed in the HTML string.
+ */
+function extractWith(html, setup, options = {}) {
+  const window = new JSDOM(html, { url: 'https://example.com/article' }).window;
+  applyDomGlobals(window);
+  setup(window.document);
+  return globalThis.__WCM_EXTRACT__({ includeImages: false, ...options });
+}
+
+test('flattens open shadow roots, resolving slot assignment', () => {
+  const html = page('Shadow', '<doc-page id="host"><span slot="title">Slotted title text</span><span>unassigned light DOM</span></doc-page>');
+  const result = extractWith(html, (d) => {
+    const shadow = d.getElementById('host').attachShadow({ mode: 'open' });
+    shadow.innerHTML = `<article><h2><slot name="title">Fallback</slot></h2>
+      <p>${LONG_TEXT}</p><p><slot name="missing">Fallback content used</slot></p></article>`;
+  });
+
+  assert.match(result.markdown, /^## Slotted title text$/m);
+  assert.ok(result.markdown.includes('sufficiently long article'));
+  assert.ok(result.markdown.includes('Fallback content used'));
+  assert.doesNotMatch(result.markdown, /unassigned light DOM|\bFallback\n/);
+});
+
+test('inlines same-origin iframe documents only when includeFrames is set', () => {
+  const html = page('Frames', `<article><p>${LONG_TEXT}</p><iframe id="f"></iframe></article>`);
+  const fillFrame = (d) => {
+    d.getElementById('f').contentDocument.body.innerHTML = '<p>Framed paragraph text.</p>';
+  };
+
+  const without = extractWith(html, fillFrame);
+  assert.doesNotMatch(without.markdown, /Framed paragraph/);
+
+  const withFrames = extractWith(html, fillFrame, { includeFrames: true });
+  assert.ok(withFrames.markdown.includes('Framed paragraph text.'));
+  assert.doesNotMatch(withFrames.html, /<iframe/i);
+});
+
+test('drops elements hidden by stylesheets, attributes and zero size', () => {
+  const html = `<!DOCTYPE html><html><head><title>Hidden</title><style>
+      .gone { display: none; }
+      .invisible { visibility: hidden; }
+      .collapsed { width: 0; height: 0; overflow: hidden; }
+      .ratio { height: 0; padding-bottom: 56.25%; overflow: hidden; }
+      .clearfix { height: 0; overflow: hidden; }
+    </style></head><body><article><p>${LONG_TEXT}</p>
+      <div class="gone">CLASSHIDDEN</div>
+      <div class="invisible">INVISIBLE</div>
+      <div class="collapsed">COLLAPSED</div>
+      <div class="ratio">ASPECTRATIO</div>
+      <div class="clearfix">ONEZERODIMENSION</div>
+      <div hidden>HIDDENATTR</div>
+      <div hidden="until-found">UNTILFOUND</div>
+      <span aria-hidden="true">ARIAHIDDEN</span>
+    </article></body></html>`;
+  const result = extract(html);
+
+  assert.doesNotMatch(result.markdown, /CLASSHIDDEN|INVISIBLE|COLLAPSED|HIDDENATTR|ARIAHIDDEN/);
+  assert.match(result.markdown, /UNTILFOUND/);
+  assert.match(result.markdown, /ASPECTRATIO/);
+  assert.match(result.markdown, /ONEZERODIMENSION/);
+  assert.doesNotMatch(result.html, /data-wcm/);
+});
+
+test('drops screen-reader-only text unless keepScreenReaderText is set', () => {
+  const html = `<!DOCTYPE html><html><head><title>SR</title><style>
+      .sr-only { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0, 0, 0, 0); }
+    </style></head><body><article><p>${LONG_TEXT} <span class="sr-only">SRTEXT</span></p></article></body></html>`;
+
+  assert.doesNotMatch(extract(html).markdown, /SRTEXT/);
+  const kept = extract(html, { keepScreenReaderText: true });
+  assert.match(kept.markdown, /SRTEXT/);
+  assert.doesNotMatch(kept.html, /data-wcm/);
+});
+
+test('resolves relative URLs and strips tracking parameters', () => {
+  const html = page('Links', `<article><p>${LONG_TEXT} <a href="/in/jane-doe?utm_source=share&trk=1">Jane</a></p>
+    <img src="img/pic.png?fbclid=abc" alt="Pic"></article>`);
+  const result = extract(html, { url: 'https://www.linkedin.com/posts/x', includeImages: true });
+
+  assert.match(result.markdown, /\[Jane\]\(https:\/\/www\.linkedin\.com\/in\/jane-doe\?trk=1\)/);
+  assert.match(result.markdown, /!\[Pic\]\(https:\/\/www\.linkedin\.com\/posts\/img\/pic\.png\)/);
+  assert.match(result.html, /href="https:\/\/www\.linkedin\.com\/in\/jane-doe\?trk=1"/);
+
+  const kept = extract(html, { url: 'https://www.linkedin.com/posts/x', trackingParams: '' });
+  assert.match(kept.markdown, /jane-doe\?utm_source=share&trk=1\)/);
+});
+
+test('supports reference-style and text-only links', () => {
+  const html = page('Refs', `<article><p>${LONG_TEXT} <a href="https://example.com/one">One</a> and <a href="/two">Two</a>.</p></article>`);
+
+  const full = extract(html, { linkStyle: 'referenced' }).markdown;
+  assert.match(full, /\[One\]\[1\] and \[Two\]\[2\]\./);
+  assert.match(full, /^\[1\]: https:\/\/example\.com\/one$/m);
+  assert.match(full, /^\[2\]: https:\/\/example\.com\/two$/m);
+
+  const collapsed = extract(html, { linkStyle: 'referenced', linkReferenceStyle: 'collapsed' }).markdown;
+  assert.match(collapsed, /\[One\]\[\] and \[Two\]\[\]/);
+  assert.match(collapsed, /^\[One\]: https:\/\/example\.com\/one$/m);
+
+  const shortcut = extract(html, { linkStyle: 'referenced', linkReferenceStyle: 'shortcut' }).markdown;
+  assert.match(shortcut, /\[One\] and \[Two\]\./);
+  assert.match(shortcut, /^\[Two\]: https:\/\/example\.com\/two$/m);
+
+  const text = extract(html, { linkStyle: 'text' }).markdown;
+  assert.match(text, / One and Two\./);
+  assert.doesNotMatch(text, /example\.com\/one/);
+});
+
+test('converts highlighter markup into fenced code with its language', () => {
+  const html = page('Code', `<article><p>${LONG_TEXT}</p>
+    <div class="highlight highlight-source-python"><pre><span class="pl-k">def</span> <span class="pl-en">f</span>():
+    <span class="pl-k">return</span>  <span class="pl-c1">1</span>
+
+
+<span class="pl-en">f</span>()</pre><div class="zeroclipboard-container"><button>Copy</button></div></div></article>`);
+  const result = extract(html);
+
+  assert.ok(result.markdown.includes('```python\ndef f():\n    return  1\n\n\nf()\n```'));
+  assert.doesNotMatch(result.markdown, /Copy/);
+  assert.match(result.html, /<pre><code class="language-python">def f/);
+});
+
+test('converts KaTeX and MathJax formulas to LaTeX', () => {
+  const katex = (texSource, glyphs) =>
+    '<span class="katex"><span class="katex-mathml"><math><semantics><mrow><mi>x</mi></mrow>' +
+    `<annotation encoding="application/x-tex">${texSource}</annotation></semantics></math></span>` +
+    `<span class="katex-html" aria-hidden="true">${glyphs}</span></span>`;
+  const html = `<!DOCTYPE html><html><head><title>Math</title><style>
+      .katex-mathml { position: absolute; clip: rect(1px, 1px, 1px, 1px); width: 1px; height: 1px; overflow: hidden; }
+    </style></head><body><article><p>${LONG_TEXT} Euler: ${katex('e^{i\\pi}+1=0', 'eiπ+1=0')}.</p>
+    <span class="katex-display">${katex('\\sum_{k=1}^n k', '∑k')}</span>
+    <p>And <span class="MathJax" id="MathJax-Element-1-Frame">x²</span><script type="math/tex" id="MathJax-Element-1">x^2</script> too.</p>
+    </article></body></html>`;
+  const result = extract(html);
+
+  assert.match(result.markdown, /Euler: \$e\^\{i\\pi\}\+1=0\$\./);
+  assert.ok(result.markdown.includes('$$\n\\sum_{k=1}^n k\n$$'));
+  assert.match(result.markdown, /And \$x\^2\$ too\./);
+  assert.doesNotMatch(result.markdown, /eiπ|∑k|x²/);
+});
+
+test('converts footnotes to [^n] references and definitions', () => {
+  const html = page('Notes', `<article><p>${LONG_TEXT}<sup class="reference"><a href="#cite_note-1">[1]</a></sup>
+    Also this.<sup class="reference"><a href="#cite_note-2">[2]</a></sup></p>
+    <h2>References</h2><ol class="references">
+      <li id="cite_note-1"><span class="mw-cite-backlink"><a href="#cite_ref-1">^</a></span> See <a href="/book">the book</a>.</li>
+      <li id="cite_note-2"><p>Long note.</p><p>Second paragraph.</p></li>
+    </ol></article>`);
+  const { markdown } = extract(html);
+
+  assert.match(markdown, /main content of the page\.\[\^1\]/);
+  assert.match(markdown, /Also this\.\[\^2\]/);
+  assert.match(markdown, /^\[\^1\]: See \[the book\]\(https:\/\/example\.com\/book\)\.$/m);
+  assert.match(markdown, /^\[\^2\]: Long note\.\n\n {4}Second paragraph\.$/m);
+  assert.doesNotMatch(markdown, /References|cite_note|\^\]/);
+});
+
+test('untags the live page after extraction', () => {
+  const window = new JSDOM(page('Live', `<article><p>${LONG_TEXT}</p><div hidden id="h">x</div></article>`)).window;
+  applyDomGlobals(window);
+  globalThis.__WCM_EXTRACT__({ includeImages: false });
+
+  assert.equal(window.document.querySelector('[data-wcm-hidden], [data-wcm-sr-only]'), null);
+});
+
 test('returns a failure object instead of throwing on bad input', () => {
   // The extractor reads window.location first; make that throw and confirm the
   // error is caught and reported rather than propagated.
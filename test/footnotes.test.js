@@ -0,0 +1,114 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const footnotes = require('../lib/footnotes.js');
+const cleanup = require('../lib/markdown-cleanup.js');
+
+function convert(html, opts) {
+  const { document } = new JSDOM(`<!DOCTYPE html><html><body><main>${html}</main></body></html>`).window;
+  const root = document.querySelector('main');
+  const count = footnotes.convertFootnotes(root, opts);
+  const refs = Array.from(root.querySelectorAll(`[${footnotes.REF_ATTR}]`), (el) => el.getAttribute(footnotes.REF_ATTR));
+  const defs = Array.from(root.querySelectorAll(`[${footnotes.DEF_ATTR}]`), (el) => el.textContent.trim());
+  return { count, refs, defs, root };
+}
+
+test('pandoc: doc-noteref links and the doc-endnotes section', () => {
+  const { count, refs, defs, root } = convert(`
+    <p>Claim<a href="#fn1" class="footnote-ref" id="fnref1" role="doc-noteref"><sup>1</sup></a> and
+    another<a href="#fn2" class="footnote-ref" id="fnref2" role="doc-noteref"><sup>2</sup></a>.</p>
+    <section class="footnotes" role="doc-endnotes"><hr><ol>
+      <li id="fn1"><p>First note. <a href="#fnref1" class="footnote-back" role="doc-backlink">↩︎</a></p></li>
+      <li id="fn2"><p>Second note. <a href="#fnref2" class="footnote-back" role="doc-backlink">↩︎</a></p></li>
+    </ol></section>`);
+
+  assert.equal(count, 2);
+  assert.deepEqual(refs, ['1', '2']);
+  assert.deepEqual(defs, ['First note.', 'Second note.']);
+  assert.equal(root.querySelector('section.footnotes'), null);
+});
+
+test('Wikipedia: sup > a references, repeats share a number, heading removed', () => {
+  const { refs, defs, root } = convert(`
+    <p>Fact.<sup id="cite_ref-a_1-0" class="reference"><a href="#cite_note-a-1">[1]</a></sup>
+    Other.<sup id="cite_ref-2" class="reference"><a href="#cite_note-2">[2]</a></sup>
+    Again.<sup id="cite_ref-a_1-1" class="reference"><a href="#cite_note-a-1">[1]</a></sup></p>
+    <div class="mw-heading mw-heading2"><h2 id="References">References</h2></div>
+    <div class="reflist"><ol class="references">
+      <li id="cite_note-a-1"><span class="mw-cite-backlink">^ <a href="#cite_ref-a_1-0"><sup>a</sup></a> <a href="#cite_ref-a_1-1"><sup>b</sup></a></span>
+        <span class="reference-text">Smith, <i>Book</i>.</span></li>
+      <li id="cite_note-2"><span class="mw-cite-backlink"><b><a href="#cite_ref-2">^</a></b></span> <span class="reference-text">Jones.</span></li>
+    </ol></div>`);
+
+  assert.deepEqual(refs, ['1', '2', '1']);
+  assert.deepEqual(defs, ['Smith, Book.', 'Jones.']);
+  assert.equal(root.querySelector('.reflist'), null);
+  assert.equal(root.querySelector('h2'), null);
+});
+
+test('keeps an endnote list that still holds unreferenced notes', () => {
+  const { defs, root } = convert(`
+    <p>Text<sup><a href="#n1">1</a></sup></p>
+    <h2>Notes</h2><ol><li id="n1">Used.</li><li id="n2">Unused.</li></ol>`);
+
+  assert.deepEqual(defs, ['Used.']);
+  assert.match(root.querySelector('ol').textContent, /Unused/);
+  assert.ok(root.querySelector('h2'));
+});
+
+test('ignores in-page links that are not footnote markers', () => {
+  const { count, root } = convert(`
+    <p>See <sup><a href="#details">the details section below</a></sup> or <sup><a href="#missing">3</a></sup>.</p>
+    <h2 id="details">Details</h2>`);
+
+  assert.equal(count, 0);
+  assert.equal(root.querySelectorAll('a').length, 2);
+});
+
+test('a marker pointing into a paragraph or sidebar does not take it as the note', () => {
+  const { count, root } = convert(`
+    <p>As shown<sup><a href="#eq-2">2</a></sup> and in the box<sup><a href="#tip">*</a></sup>.</p>
+    <p>The derivation gives <span id="eq-2">x = 2</span>, which the rest of the section uses.</p>
+    <aside><h3>Tip</h3><p>Read the <b id="tip">boxed</b> part first.</p></aside>`);
+
+  assert.equal(count, 2);
+  assert.match(root.textContent, /which the rest of the section uses/);
+  assert.match(root.querySelector('aside').textContent, /Read the/);
+});
+
+test('only digits, single letters and symbols count as marker text', () => {
+  const notes = '<ol><li id="n1">Note.</li></ol>';
+  for (const marker of ['1', '[12]', 'a', '(b)', '*', '†', '**']) {
+    assert.equal(convert(`<p>Text<sup><a href="#n1">${marker}</a></sup></p>${notes}`).count, 1, marker);
+  }
+  for (const marker of ['Fig', 'see', 'Note 3', 'ab']) {
+    assert.equal(convert(`<p>Text<sup><a href="#n1">${marker}</a></sup></p>${notes}`).count, 0, marker);
+  }
+});
+
+test("uses a site handler's footnote selectors (Substack)", () => {
+  const substack = cleanup.getSiteHandler('example.substack.com');
+  const { refs, defs, root } = convert(`
+    <p>Point<a class="footnote-anchor" data-component-name="FootnoteAnchorToDOM" id="footnote-anchor-1" href="#footnote-1">1</a>.</p>
+    <div class="footnote" data-component-name="FootnoteToDOM">
+      <a id="footnote-1" href="#footnote-anchor-1" class="footnote-number" contenteditable="false">1</a>
+      <div class="footnote-content"><p>The note.</p></div>
+    </div>`, { handler: substack });
+
+  assert.deepEqual(refs, ['1']);
+  assert.deepEqual(defs, ['The note.']);
+  assert.equal(root.querySelector('.footnote'), null);
+});
+
+test('finds notes outside the content through lookup', () => {
+  const { document } = new JSDOM('<p>Text<sup><a href="#fn-x">1</a></sup></p><ol id="notes"><li id="fn-x">Elsewhere.</li></ol>').window;
+  const root = document.createElement('div');
+  root.appendChild(document.querySelector('p'));
+
+  assert.equal(footnotes.convertFootnotes(root, { lookup: (id) => document.getElementById(id) }), 1);
+  assert.equal(root.querySelector(`[${footnotes.DEF_ATTR}]`).textContent, 'Elsewhere.');
+  assert.ok(document.getElementById('fn-x'), 'notes outside the content are left alone');
+});
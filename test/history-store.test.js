@@ -0,0 +1,128 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const history = require('../lib/history-store.js');
+
+const PAGE = {
+  url: 'https://www.example.com/post',
+  title: 'A post',
+  markdown: '# A post\n\n**Extracted:** 2026-02-04 at 14:30\n\nBody text.',
+  html: '<p>Body text.</p>',
+  options: { includeImages: true, includeHtml: false, headerFormat: 'bold', tokenBudget: 100000, customHandlers: [] },
+  fromSelection: false
+};
+
+test('createEntry splits an extraction into a summary and its content', () => {
+  const { entry, content } = history.createEntry(PAGE, { now: 1000 });
+  assert.deepEqual(entry, {
+    url: 'https://www.example.com/post',
+    pageKey: 'https://example.com/post',
+    title: 'A post',
+    site: 'example.com',
+    createdAt: 1000,
+    options: { includeImages: true, includeHtml: false, headerFormat: 'bold' },
+    fromSelection: false,
+    hasHtml: false,
+    size: Buffer.byteLength(PAGE.markdown),
+    fingerprint: entry.fingerprint
+  });
+  assert.deepEqual(content, { markdown: PAGE.markdown, html: null });
+
+  const withHtml = history.createEntry({ ...PAGE, options: { ...PAGE.options, pick: { include: ['#a'] } } }, { keepHtml: true });
+  assert.equal(withHtml.entry.hasHtml, true);
+  assert.equal(withHtml.entry.options.picked, true);
+  assert.equal(withHtml.entry.size, Buffer.byteLength(PAGE.markdown) + Buffer.byteLength(PAGE.html));
+  assert.equal(withHtml.content.html, PAGE.html);
+});
+
+test('fingerprints ignore the extraction time but not the content or options', () => {
+  const first = history.createEntry(PAGE, { now: 1 }).entry.fingerprint;
+  const later = history.createEntry({ ...PAGE, markdown: PAGE.markdown.replace('14:30', '16:05') }, { now: 2 }).entry.fingerprint;
+  const changed = history.createEntry({ ...PAGE, html: '<p>New text.</p>' }).entry.fingerprint;
+  const otherOptions = history.createEntry({ ...PAGE, options: { ...PAGE.options, headerFormat: 'yaml' } }).entry.fingerprint;
+  assert.match(first, /^[0-9a-f]{8}$/);
+  assert.equal(later, first);
+  assert.notEqual(changed, first);
+  assert.notEqual(otherOptions, first);
+});
+
+test('search: query terms, phrases, site and date filters, snippets', () => {
+  assert.deepEqual(history.parseQuery('  Rust "borrow checker" '), ['rust', 'borrow checker']);
+
+  const entry = { title: 'Ownership', url: 'https://doc.rust-lang.org/book/ch04', site: 'doc.rust-lang.org', createdAt: 5000 };
+  const content = { markdown: '# Ownership\n\nThe **borrow checker** makes sure references are valid.' };
+  assert.equal(history.matchesQuery(['borrow checker', 'rust'], entry, content), true);
+  assert.equal(history.matchesQuery(['borrow checker', 'python'], entry, content), false);
+
+  assert.equal(history.matchesFilter(entry, { site: 'doc.rust-lang.org', from: 4000, until: 6000 }), true);
+  assert.equal(history.matchesFilter(entry, { site: 'example.com' }), false);
+  assert.equal(history.matchesFilter(entry, { until: 4999 }), false);
+
+  assert.equal(history.buildSnippet(content.markdown, ['borrow checker']), 'Ownership The borrow checker makes sure references are valid.');
+  const long = `${'filler '.repeat(40)}needle ${'tail '.repeat(60)}`;
+  assert.match(history.buildSnippet(long, ['needle']), /^….*needle.*…$/);
+  assert.equal(history.buildSnippet(long, ['absent']), '');
+});
+
+test('parseDateRange covers whole local days', () => {
+  const { from, until } = history.parseDateRange('2026-02-03', '2026-02-04');
+  assert.equal(from, new Date(2026, 1, 3).getTime());
+  assert.equal(until, new Date(2026, 1, 5).getTime() - 1);
+  assert.deepEqual(history.parseDateRange('', 'not a date'), { from: null, until: null });
+});
+
+test('planPrune deletes the oldest entries beyond the limit, never the newest', () => {
+  const entries = [
+    { id: 1, createdAt: 100, size: 400 },
+    { id: 3, createdAt: 300, size: 300 },
+    { id: 2, createdAt: 200, size: 300 }
+  ];
+  assert.deepEqual(history.planPrune(entries, 1000), []);
+  assert.deepEqual(history.planPrune(entries, 700), [1]);
+  assert.deepEqual(history.planPrune(entries, 100), [2, 1]);
+});
+
+test('listSites counts entries per site and formatBytes reads well', () => {
+  const sites = history.listSites([{ site: 'b.com' }, { site: 'a.com' }, { site: 'b.com' }, { site: '' }]);
+  assert.deepEqual(sites, [{ site: 'b.com', count: 2 }, { site: 'a.com', count: 1 }]);
+  assert.equal(history.formatBytes(512), '512 B');
+  assert.equal(history.formatBytes(1536), '1.5 KB');
+  assert.equal(history.formatBytes(5 * history.MB), '5.0 MB');
+});
+
+test('versions of a page share a key from the canonical URL', () => {
+  assert.equal(history.pageKey('https://www.Example.com/pricing/?utm_source=x&b=2&a=1#plans'), 'https://example.com/pricing?a=1&b=2');
+  assert.equal(history.pageKey('https://example.com/'), 'https://example.com');
+  assert.equal(history.createEntry({ ...PAGE, url: 'https://example.com/post?ref=feed', canonicalUrl: 'https://example.com/post/' }).entry.pageKey,
+    'https://example.com/post');
+
+  const entries = [
+    { id: 1, pageKey: 'https://example.com/a', createdAt: 100 },
+    { id: 2, pageKey: 'https://example.com/b', createdAt: 200 },
+    { id: 3, pageKey: 'https://example.com/a', createdAt: 300 },
+    { id: 4, pageKey: 'https://example.com/a', createdAt: 400 }
+  ];
+  assert.equal(history.findPreviousVersion(entries, entries[3]).id, 3);
+  assert.equal(history.findPreviousVersion(entries, entries[2]).id, 1);
+  assert.equal(history.findPreviousVersion(entries, entries[0]), null);
+  assert.equal(history.findPreviousVersion(entries, entries[1]), null);
+});
+
+test('the version to compare with was saved earlier with the same options', () => {
+  const options = { includeImages: false, headerFormat: 'bold', linkStyle: 'inlined', tokenBudget: 5000 };
+  const recorded = history.recordOptions(options);
+  assert.deepEqual(recorded, { includeImages: false, headerFormat: 'bold', linkStyle: 'inlined' });
+
+  const versions = [
+    { id: 1, createdAt: 100, options: recorded },
+    { id: 2, createdAt: 200, options: { ...recorded, headerFormat: 'yaml' } },
+    { id: 3, createdAt: 300, options: history.recordOptions({ ...options, pick: { include: ['main'] } }) },
+    { id: 4, createdAt: 400, options: recorded } // saved in the current popup session
+  ];
+  assert.equal(history.pickLatestVersion(versions, { options, before: 350 }).id, 1);
+  assert.equal(history.pickLatestVersion(versions, { options: { ...options, headerFormat: 'yaml' }, before: 350 }).id, 2);
+  assert.equal(history.pickLatestVersion(versions, { options: { headerFormat: 'toml' }, before: 350 }), null);
+  assert.equal(history.pickLatestVersion(versions).id, 4);
+});
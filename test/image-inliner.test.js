@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const inliner = require('../lib/image-inliner.js');
+
+function dataUri(length) {
+  const prefix = 'data:image/png;base64,';
+  return prefix + 'A'.repeat(length - prefix.length);
+}
+
+test('inlineMarkdownImages embeds images, loading each distinct source once', async () => {
+  const loaded = [];
+  const result = await inliner.inlineMarkdownImages(
+    'A ![one](/a.png) B ![again](/a.png "Title") C ![two](https://cdn.com/b.jpg)',
+    {
+      baseUrl: 'https://x.com/post/',
+      loadImage: async (url) => {
+        loaded.push(url);
+        return dataUri(100);
+      }
+    }
+  );
+
+  assert.deepEqual(loaded, ['https://x.com/a.png', 'https://cdn.com/b.jpg']);
+  assert.equal(result.inlined, 2);
+  assert.equal(result.skipped, 0);
+  assert.equal(result.markdown, `A ![one](${dataUri(100)}) B ![again](${dataUri(100)} "Title") C ![two](${dataUri(100)})`);
+});
+
+test('inlineMarkdownImages reads sources with balanced parentheses whole', async () => {
+  const loaded = [];
+  const result = await inliner.inlineMarkdownImages('![a](https://x.com/photo_(2019).jpg) text', {
+    loadImage: async (url) => {
+      loaded.push(url);
+      return dataUri(100);
+    }
+  });
+
+  assert.deepEqual(loaded, ['https://x.com/photo_(2019).jpg']);
+  assert.equal(result.markdown, `![a](${dataUri(100)}) text`);
+});
+
+test('inlineMarkdownImages keeps URLs over the per-image or total cap', async () => {
+  const sizes = { 'https://x.com/big.png': 600, 'https://x.com/1.png': 300, 'https://x.com/2.png': 300 };
+  const result = await inliner.inlineMarkdownImages(
+    '![big](big.png) ![1](1.png) ![2](2.png) ![gone](gone.png) ![d](data:image/gif;base64,R0)',
+    {
+      baseUrl: 'https://x.com/',
+      maxImageBytes: 500,
+      maxTotalBytes: 500,
+      loadImage: async (url) => (sizes[url] ? dataUri(sizes[url]) : null)
+    }
+  );
+
+  assert.equal(result.inlined, 1);
+  assert.equal(result.skipped, 3);
+  assert.equal(result.markdown, `![big](big.png) ![1](${dataUri(300)}) ![2](2.png) ![gone](gone.png) ![d](data:image/gif;base64,R0)`);
+});
+
+test('loadImageAsDataUri encodes small images as-is and rejects non-images', async () => {
+  const fetchImpl = async (url, init) => {
+    assert.equal(init.cache, 'force-cache');
+    const type = url.endsWith('.png') ? 'image/png' : 'text/html';
+    return { ok: true, blob: async () => new Blob([new Uint8Array([1, 2, 3])], { type }) };
+  };
+  const limits = { maxImageBytes: 1000, maxDimension: 0 };
+
+  assert.equal(await inliner.loadImageAsDataUri('https://x.com/a.png', limits, fetchImpl), 'data:image/png;base64,AQID');
+  assert.equal(await inliner.loadImageAsDataUri('https://x.com/page', limits, fetchImpl), null);
+  assert.equal(
+    await inliner.loadImageAsDataUri('https://x.com/a.png', limits, async () => { throw new TypeError('CORS'); }),
+    null
+  );
+});
+
+test('loadImageAsDataUri gives up on oversized images it cannot re-encode', async () => {
+  const big = new Uint8Array(2000);
+  const fetchImpl = async (url) => ({
+    ok: true,
+    blob: async () => new Blob([big], { type: url.endsWith('.gif') ? 'image/gif' : 'image/jpeg' })
+  });
+  const limits = { maxImageBytes: 1000, maxDimension: 800 };
+
+  // GIFs would lose their animation; Node has no canvas for the JPEG
+  assert.equal(await inliner.loadImageAsDataUri('https://x.com/a.gif', limits, fetchImpl), null);
+  assert.equal(await inliner.loadImageAsDataUri('https://x.com/a.jpg', limits, fetchImpl), null);
+});
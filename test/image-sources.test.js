@@ -0,0 +1,115 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const images = require('../lib/image-sources.js');
+
+const GIF_PLACEHOLDER = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+
+function resolve(html) {
+  const { document } = new JSDOM(`<!DOCTYPE html><html><body><main>${html}</main></body></html>`).window;
+  const root = document.querySelector('main');
+  const counts = images.resolveImages(root);
+  const found = Array.from(root.querySelectorAll('img'), (img) => ({ src: img.getAttribute('src'), alt: img.getAttribute('alt') }));
+  return { counts, images: found, root };
+}
+
+test('parseSrcset reads width and density descriptors, with commas inside URLs', () => {
+  assert.deepEqual(images.parseSrcset('a.jpg 480w, b.jpg 1080w'), [
+    { url: 'a.jpg', width: 480, density: 0 },
+    { url: 'b.jpg', width: 1080, density: 0 }
+  ]);
+  assert.deepEqual(images.parseSrcset('https://cdn.example.com/w_400,h_300/x.jpg 1x, https://cdn.example.com/w_800,h_600/x.jpg 2x'), [
+    { url: 'https://cdn.example.com/w_400,h_300/x.jpg', width: 0, density: 1 },
+    { url: 'https://cdn.example.com/w_800,h_600/x.jpg', width: 0, density: 2 }
+  ]);
+  assert.deepEqual(images.parseSrcset('only.jpg'), [{ url: 'only.jpg', width: 0, density: 1 }]);
+  assert.deepEqual(images.parseSrcset(''), []);
+});
+
+test('isPlaceholderUrl spots empty sources, tiny data URIs and spacer files', () => {
+  assert.equal(images.isPlaceholderUrl(''), true);
+  assert.equal(images.isPlaceholderUrl(GIF_PLACEHOLDER), true);
+  assert.equal(images.isPlaceholderUrl('/static/img/blank.gif'), true);
+  assert.equal(images.isPlaceholderUrl('/assets/lazy-placeholder.png?v=2'), true);
+  assert.equal(images.isPlaceholderUrl('data:image/jpeg;base64,' + 'A'.repeat(4000)), false);
+  assert.equal(images.isPlaceholderUrl('/photos/pixelated-art.jpg'), false);
+  assert.equal(images.isPlaceholderUrl('/img/pixel-art-tutorial.png'), false);
+  assert.equal(images.isPlaceholderUrl('/img/loading-screen-redesign.png'), false);
+  assert.equal(images.isPlaceholderUrl('/img/placeholder_text_example.png'), false);
+  assert.equal(images.isPlaceholderUrl('/img/transparent_1x1.gif'), true);
+});
+
+test('lazy sources win over placeholder src, and srcset over data-src', () => {
+  const { counts, images: found } = resolve(`
+    <img src="${GIF_PLACEHOLDER}" data-src="/real.jpg" alt="Real">
+    <img src="/lqip.jpg" data-srcset="/small.jpg 320w, /large.jpg 1280w, /medium.jpg 640w" data-src="/fallback.jpg" alt="Set">
+    <img class="lazyload" data-original="/orig.png" alt="Orig">`);
+  assert.deepEqual(found, [
+    { src: '/real.jpg', alt: 'Real' },
+    { src: '/large.jpg', alt: 'Set' },
+    { src: '/orig.png', alt: 'Orig' }
+  ]);
+  assert.deepEqual(counts, { resolved: 3, dropped: 0 });
+});
+
+test('picture sources are considered and the picture becomes a plain image', () => {
+  const { images: found, root } = resolve(`
+    <picture>
+      <source type="image/avif" srcset="/a-800.avif 800w, /a-1600.avif 1600w">
+      <source srcset="/a-800.jpg 800w">
+      <img src="/a-400.jpg" alt="Pic" loading="lazy" sizes="100vw">
+    </picture>`);
+  assert.deepEqual(found, [{ src: '/a-1600.avif', alt: 'Pic' }]);
+  assert.equal(root.querySelector('picture'), null);
+  assert.equal(root.querySelector('img').outerHTML, '<img src="/a-1600.avif" alt="Pic">');
+});
+
+test('noscript fallbacks replace placeholder images', () => {
+  const { images: found, root } = resolve(`
+    <p><img src="${GIF_PLACEHOLDER}" class="lazy" alt="From page"><noscript><img src="/from-noscript.jpg"></noscript></p>
+    <p><img src="/kept.jpg" alt="Kept"><noscript><img src="/ignored.jpg"></noscript></p>
+    <div><noscript><img src="/alone.jpg" alt="Alone"></noscript></div>`);
+  assert.deepEqual(found, [
+    { src: '/from-noscript.jpg', alt: 'From page' },
+    { src: '/kept.jpg', alt: 'Kept' },
+    { src: '/alone.jpg', alt: 'Alone' }
+  ]);
+  assert.equal(root.querySelector('noscript'), null);
+});
+
+test('noscript content kept as text (scripting on) is parsed too', () => {
+  const { document } = new JSDOM('<!DOCTYPE html><html><body><main></main></body></html>').window;
+  const root = document.querySelector('main');
+  const lazy = document.createElement('img');
+  lazy.setAttribute('src', GIF_PLACEHOLDER);
+  const noscript = document.createElement('noscript');
+  noscript.textContent = '<img src="/real.jpg" alt="Real">';
+  root.append(lazy, noscript);
+
+  images.resolveImages(root);
+  assert.equal(root.innerHTML, '<img src="/real.jpg" alt="Real">');
+});
+
+test('placeholders without a real source and tracking pixels are dropped', () => {
+  const { counts, images: found } = resolve(`
+    <img src="${GIF_PLACEHOLDER}" alt="Nothing behind it">
+    <img src="https://example.com/p.gif" width="1" height="1">
+    <img src="https://www.facebook.com/tr?id=1&ev=PageView">
+    <img src="https://example.com/photo.jpg" alt="Photo">`);
+  assert.deepEqual(found, [{ src: 'https://example.com/photo.jpg', alt: 'Photo' }]);
+  assert.deepEqual(counts, { resolved: 0, dropped: 3 });
+});
+
+test('empty alt text comes from the figure caption', () => {
+  const { images: found } = resolve(`
+    <figure><img src="/chart.png" alt=""><figcaption> Sales by
+      quarter </figcaption></figure>
+    <figure><img src="/own.png" alt="Own alt"><figcaption>Caption</figcaption></figure>`);
+  assert.deepEqual(found, [
+    { src: '/chart.png', alt: 'Sales by quarter' },
+    { src: '/own.png', alt: 'Own alt' }
+  ]);
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const links = require('../lib/link-urls.js');
+
+const BASE = 'https://www.linkedin.com/posts/some-post';
+const DEFAULTS = links.compileParamPatterns(links.DEFAULT_TRACKING_PARAMS);
+
+test('markdownDestination wraps URLs Markdown would cut short in angle brackets', () => {
+  assert.equal(links.markdownDestination('https://en.wikipedia.org/wiki/Foo_(bar)'), 'https://en.wikipedia.org/wiki/Foo_(bar)');
+  assert.equal(links.markdownDestination('https://example.com/a)b'), '<https://example.com/a)b>');
+  assert.equal(links.markdownDestination('https://example.com/my file.png'), '<https://example.com/my file.png>');
+  assert.equal(links.markdownDestination('https://example.com/?q=<b>'), '<https://example.com/?q=\\<b\\>>');
+  assert.equal(links.markdownDestination('data:text/plain,a\nb'), 'data:text/plain,a%0Ab');
+});
+
+test('compileParamPatterns accepts lists and strings with wildcards', () => {
+  const patterns = links.compileParamPatterns('utm_*, fbclid\nref.src');
+  assert.equal(patterns.length, 3);
+  assert.ok(patterns[0].test('utm_source'));
+  assert.ok(patterns[0].test('UTM_Medium'));
+  assert.ok(!patterns[0].test('xutm_source'));
+  assert.ok(patterns[2].test('ref.src'));
+  assert.ok(!patterns[2].test('refxsrc'), 'dots are literal');
+  assert.deepEqual(links.compileParamPatterns(''), []);
+});
+
+test('cleanUrl resolves relative URLs against the base', () => {
+  assert.equal(links.cleanUrl('/in/jane-doe', BASE, []), 'https://www.linkedin.com/in/jane-doe');
+  assert.equal(links.cleanUrl('../img/a.png', 'https://example.com/blog/post/', []), 'https://example.com/blog/img/a.png');
+  assert.equal(links.cleanUrl('//cdn.example.com/x.js', BASE, []), 'https://cdn.example.com/x.js');
+});
+
+test('cleanUrl strips tracking parameters and keeps the rest', () => {
+  assert.equal(
+    links.cleanUrl('https://example.com/a?id=7&utm_source=x&utm_medium=y&fbclid=z#top', BASE, DEFAULTS),
+    'https://example.com/a?id=7#top'
+  );
+  assert.equal(links.cleanUrl('/a?gclid=1', BASE, DEFAULTS), 'https://www.linkedin.com/a');
+  // Untouched queries keep their exact encoding
+  assert.equal(links.cleanUrl('https://example.com/s?q=a%20b', BASE, DEFAULTS), 'https://example.com/s?q=a%20b');
+  assert.equal(links.cleanUrl('https://example.com/a?utm_source=x', BASE, []), 'https://example.com/a?utm_source=x');
+  // ...and so do the parameters left over when some are stripped
+  assert.equal(
+    links.cleanUrl('https://example.com/s?q=a%20b&utm_source=x&flag&tag=c+d&%75tm_medium=y', BASE, DEFAULTS),
+    'https://example.com/s?q=a%20b&flag&tag=c+d'
+  );
+  assert.equal(links.cleanUrl('https://example.com/a?utm_source=x&fbclid=y#top', BASE, DEFAULTS), 'https://example.com/a#top');
+});
+
+test('cleanUrl leaves fragments, scripts and unparseable URLs alone', () => {
+  assert.equal(links.cleanUrl('#section-2', BASE, DEFAULTS), '#section-2');
+  assert.equal(links.cleanUrl('javascript:void(0)', BASE, DEFAULTS), 'javascript:void(0)');
+  assert.equal(links.cleanUrl('mailto:a@example.com', BASE, DEFAULTS), 'mailto:a@example.com');
+  assert.equal(links.cleanUrl('http://[bad', BASE, DEFAULTS), 'http://[bad');
+});
+
+test('rewriteElementUrls rewrites link hrefs and image sources in place', () => {
+  const { document } = new JSDOM(
+    '<div><a href="/in/jane?utm_campaign=x">Jane</a><img src="pic.png"><a href="https://example.com/">Home</a></div>'
+  ).window;
+  const root = document.querySelector('div');
+
+  assert.equal(links.rewriteElementUrls(root, BASE, DEFAULTS), 2);
+  assert.equal(root.querySelector('a').getAttribute('href'), 'https://www.linkedin.com/in/jane');
+  assert.equal(root.querySelector('img').getAttribute('src'), 'https://www.linkedin.com/posts/pic.png');
+  assert.equal(root.querySelectorAll('a')[1].getAttribute('href'), 'https://example.com/');
+});
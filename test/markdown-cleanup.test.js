@@ -34,6 +34,166 @@ test('buildMetadataHeader includes author and section when provided', () => {
   assert.match(header, /\*\*Section:\*\* Tech/);
 });
 
+test('buildMetadataHeader omits fields switched off in opts.fields', () => {
+  const header = cleanup.buildMetadataHeader({
+    url: 'https://example.com',
+    dateStr: 'x',
+    siteName: 'Example',
+    authorName: 'Jane Doe',
+    section: null
+  }, { fields: { extracted: false, author: false } });
+
+  assert.match(header, /\*\*Source:\*\*/);
+  assert.doesNotMatch(header, /Extracted|Author/);
+  assert.equal(cleanup.buildMetadataHeader({ url: 'u' }, {
+    fields: { source: false, extracted: false, site: false }
+  }), '');
+});
+
+const FULL_META = {
+  title: 'Say "hi": a guide',
+  url: 'https://example.com/post?a=1',
+  dateStr: '2026-06-14 at 21:45',
+  extractedAt: '2026-06-14T21:45:00+02:00',
+  siteName: 'Example',
+  authorName: 'Jane Doe',
+  section: null,
+  publishedDate: '2026-06-01T08:00:00Z',
+  canonicalUrl: 'https://example.com/post',
+  tags: ['news', 'a "quoted" tag'],
+  language: 'en'
+};
+
+test('buildMetadataHeader adds published, canonical, tags and language when present', () => {
+  const header = cleanup.buildMetadataHeader(FULL_META);
+  assert.match(header, /\*\*Published:\*\* 2026-06-01T08:00:00Z/);
+  assert.match(header, /\*\*Canonical URL:\*\* https:\/\/example\.com\/post\n/);
+  assert.match(header, /\*\*Tags:\*\* news, a "quoted" tag/);
+  assert.match(header, /\*\*Language:\*\* en/);
+});
+
+test('buildMetadataHeader skips the canonical URL when it equals the source', () => {
+  const header = cleanup.buildMetadataHeader({ ...FULL_META, canonicalUrl: FULL_META.url });
+  assert.doesNotMatch(header, /Canonical/);
+});
+
+test('buildMetadataHeader renders escaped YAML front matter', () => {
+  const header = cleanup.buildMetadataHeader(FULL_META, { format: 'yaml' });
+  assert.equal(header, [
+    '---',
+    'title: "Say \\"hi\\": a guide"',
+    'source: "https://example.com/post?a=1"',
+    'extracted: 2026-06-14T21:45:00+02:00',
+    'site: "Example"',
+    'author: "Jane Doe"',
+    'published: 2026-06-01T08:00:00Z',
+    'canonical: "https://example.com/post"',
+    'tags:',
+    '  - "news"',
+    '  - "a \\"quoted\\" tag"',
+    'language: "en"',
+    '---',
+    ''
+  ].join('\n'));
+});
+
+test('buildMetadataHeader renders TOML front matter with native dates and arrays', () => {
+  const header = cleanup.buildMetadataHeader(FULL_META, { format: 'toml' });
+  assert.match(header, /^\+\+\+\ntitle = "Say \\"hi\\": a guide"\n/);
+  assert.match(header, /^extracted = 2026-06-14T21:45:00\+02:00$/m);
+  assert.match(header, /^tags = \["news", "a \\"quoted\\" tag"\]$/m);
+  assert.match(header, /\n\+\+\+\n$/);
+});
+
+// No TOML parser is installed, so read the subset the header writes strictly
+// by the TOML 1.0 grammar: basic strings, string arrays and native dates.
+const TOML_DATE = /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})?)?$/;
+const TOML_STRING = /^"(?:[^"\\\x00-\x1f\x7f]|\\["\\bfnrt]|\\u[0-9a-fA-F]{4})*"$/;
+
+function parseTomlFrontMatter(header) {
+  const lines = header.trimEnd().split('\n');
+  assert.equal(lines.shift(), '+++');
+  assert.equal(lines.pop(), '+++');
+  const table = {};
+  for (const line of lines) {
+    const [, key, value] = line.match(/^([A-Za-z0-9_-]+) = (.*)$/) || assert.fail(`not a key/value pair: ${line}`);
+    if (TOML_DATE.test(value)) table[key] = { date: value };
+    else if (TOML_STRING.test(value)) table[key] = JSON.parse(value);
+    else if (/^\[.*\]$/.test(value) && value.slice(1, -1).split(', ').every((item) => TOML_STRING.test(item))) table[key] = JSON.parse(value);
+    else assert.fail(`not valid TOML: ${line}`);
+  }
+  return table;
+}
+
+test('buildMetadataHeader writes TOML dates as RFC 3339 or quotes them', () => {
+  const header = cleanup.buildMetadataHeader(
+    { ...FULL_META, publishedDate: '2024-01-01T12:00', modifiedDate: '2024-01-02 08:30:15+0100', extractedAt: '2024-13-40' },
+    { format: 'toml', fields: { modified: true } }
+  );
+  const table = parseTomlFrontMatter(header);
+  assert.deepEqual(table.published, { date: '2024-01-01T12:00:00' });
+  assert.deepEqual(table.modified, { date: '2024-01-02T08:30:15+01:00' });
+  assert.equal(table.extracted, '2024-13-40');
+  assert.deepEqual(table.tags, ['news', 'a "quoted" tag']);
+
+  assert.deepEqual(parseTomlFrontMatter(cleanup.buildMetadataHeader(FULL_META, { format: 'toml' })).published, { date: '2026-06-01T08:00:00Z' });
+});
+
+test('buildMetadataHeader quotes non-ISO dates and escapes newlines', () => {
+  const header = cleanup.buildMetadataHeader(
+    { ...FULL_META, extractedAt: null, authorName: 'Line\nbreak' },
+    { format: 'yaml' }
+  );
+  assert.match(header, /^extracted: "2026-06-14 at 21:45"$/m);
+  assert.match(header, /^author: "Line\\nbreak"$/m);
+});
+
+test('buildMetadataHeader keeps "--" out of HTML comment headers', () => {
+  const header = cleanup.buildMetadataHeader({ ...FULL_META, title: 'A -- B -->' }, { format: 'comment' });
+  assert.match(header, /^<!--\ntitle: A - - B - ->\n/);
+  assert.equal(header.match(/--/g).length, 2);
+});
+
+test('composeDocument places front matter before the title', () => {
+  assert.match(cleanup.composeDocument(FULL_META, 'Body', { format: 'yaml' }), /^---\n[\s\S]*\n---\n\n# Say "hi": a guide\n\nBody$/);
+  assert.match(cleanup.composeDocument(FULL_META, 'Body'), /^# Say "hi": a guide\n\n\*\*Source:\*\*[\s\S]*\n---\n\nBody$/);
+  assert.equal(cleanup.composeDocument(FULL_META, 'Body', { format: 'none' }), '# Say "hi": a guide\n\nBody');
+});
+
+test('normalizeDate keeps ISO dates, converts parseable ones and rejects junk', () => {
+  assert.equal(cleanup.normalizeDate('2026-06-01T08:00:00+02:00'), '2026-06-01T08:00:00+02:00');
+  assert.match(cleanup.normalizeDate('June 1, 2026'), /^2026-06-01T00:00:00[+-]\d{2}:\d{2}$/);
+  assert.equal(cleanup.normalizeDate('not a date'), null);
+  assert.equal(cleanup.normalizeDate(null), null);
+});
+
+test('formatIsoTimestamp includes the local UTC offset', () => {
+  assert.match(cleanup.formatIsoTimestamp(new Date(2026, 0, 2, 3, 4, 5)), /^2026-01-02T03:04:05[+-]\d{2}:\d{2}$/);
+});
+
+test('buildGfmTable renders a header, alignment row and body rows', () => {
+  const table = cleanup.buildGfmTable(
+    [['Plan', 'Price'], ['Basic', '$5'], ['Pro', '$10']],
+    { hasHeader: true, alignments: ['left', 'right'] }
+  );
+  assert.equal(table, [
+    '| Plan | Price |',
+    '| :--- | ---: |',
+    '| Basic | $5 |',
+    '| Pro | $10 |'
+  ].join('\n'));
+});
+
+test('buildGfmTable emits an empty header row when the table has none', () => {
+  const table = cleanup.buildGfmTable([['a', 'b']], { hasHeader: false });
+  assert.equal(table, '|  |  |\n| --- | --- |\n| a | b |');
+});
+
+test('escapeTableCell escapes pipes and turns newlines into <br>', () => {
+  assert.equal(cleanup.escapeTableCell('a | b'), 'a \\| b');
+  assert.equal(cleanup.escapeTableCell('line one  \nline two'), 'line one<br>line two');
+});
+
 test('getSiteHandler resolves known hosts and returns null for others', () => {
   assert.equal(cleanup.getSiteHandler('www.linkedin.com').id, 'linkedin');
   assert.equal(cleanup.getSiteHandler('foo.substack.com').id, 'substack');
@@ -90,6 +250,15 @@ test('postProcessMarkdown collapses excessive blank lines', () => {
   assert.equal(cleanup.postProcessMarkdown('a\n\n\n\n\nb'), 'a\n\nb');
 });
 
+test('postProcessMarkdown leaves fenced code blocks untouched', () => {
+  const block = '```python\nx = 1   \n\n\n\nprint(**kwargs)\n```';
+  const tilde = '~~~\n```\n[a\nb](c)\n~~~';
+  assert.equal(
+    cleanup.postProcessMarkdown(`a  \n\n\n\n${block}\n\n${tilde}\n\n\n\nb`),
+    `a\n\n${block}\n\n${tilde}\n\nb`
+  );
+});
+
 test('cleanLinkedInMarkdown removes Activity section and standalone action words', () => {
   const input = [
     '## About',
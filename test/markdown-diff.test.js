@@ -0,0 +1,118 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const diff = require('../lib/markdown-diff.js');
+
+// Shorthand for a diff's runs: '=abc -d +e'
+function runs(ops) {
+  return ops.map((op) => ({ equal: '=', delete: '-', insert: '+' })[op.type] + op.items.join('')).join(' ');
+}
+
+test('diffSequences finds a shortest edit script', () => {
+  assert.equal(runs(diff.diffSequences('abcabba'.split(''), 'cbabac'.split(''))), '-ab =c +b =ab -b =a +c');
+  assert.equal(runs(diff.diffSequences([], ['x'])), '+x');
+  assert.equal(runs(diff.diffSequences(['x', 'y'], ['x', 'y'])), '=xy');
+  // Past the edit limit the diff splits at an item both have once; without
+  // one, the middle is replaced as a whole
+  assert.equal(runs(diff.diffSequences('axbyc'.split(''), 'a1b2c'.split(''), { maxEdits: 2 })), '=a -x +1 =b -y +2 =c');
+  assert.equal(runs(diff.diffSequences('axyc'.split(''), 'a12c'.split(''), { maxEdits: 2 })), '=a -xy +12 =c');
+});
+
+test('diffWords keeps words whole', () => {
+  assert.deepEqual(diff.tokenizeWords('Pro: $12/mo'), ['Pro', ':', ' ', '$', '12', '/', 'mo']);
+  assert.deepEqual(diff.diffWords('Basic plan: $10 per month', 'Basic plan: $12 per month'), [
+    { type: 'equal', text: 'Basic plan: $' },
+    { type: 'delete', text: '10' },
+    { type: 'insert', text: '12' },
+    { type: 'equal', text: ' per month' }
+  ]);
+});
+
+const OLD = [
+  '# Pricing',
+  '',
+  '**Source:** https://example.com/pricing',
+  '',
+  '**Extracted:** 2026-03-01 at 09:00',
+  '',
+  '---',
+  '',
+  '## Basic',
+  '',
+  'Basic plan: $10 per month',
+  '',
+  '## Team',
+  '',
+  'Up to 10 seats.',
+  '',
+  '## Legacy',
+  '',
+  'No longer sold.'
+].join('\n');
+
+const NEW = OLD
+  .replace('09:00', '11:45')
+  .replace('$10', '$12')
+  .replace('\n\n## Legacy\n\nNo longer sold.', '\n\nNow with SSO.');
+
+test('diffMarkdown pairs changed lines and ignores the extraction time', () => {
+  const result = diff.diffMarkdown(OLD, NEW);
+  assert.deepEqual({ added: result.added, removed: result.removed, changed: result.changed }, { added: 1, removed: 3, changed: 1 });
+  const changes = result.lines.filter((line) => line.type !== 'equal');
+  assert.deepEqual(changes.map((line) => [line.type, line.text, line.oldNo, line.newNo]), [
+    ['delete', 'Basic plan: $10 per month', 9, undefined],
+    ['insert', 'Basic plan: $12 per month', undefined, 9],
+    ['delete', '## Legacy', 15, undefined],
+    ['delete', '', 16, undefined],
+    ['delete', 'No longer sold.', 17, undefined],
+    ['insert', 'Now with SSO.', undefined, 15]
+  ]);
+  assert.deepEqual(changes[1].words, [
+    { type: 'equal', text: 'Basic plan: $' },
+    { type: 'insert', text: '12' },
+    { type: 'equal', text: ' per month' }
+  ]);
+  // Unrelated lines are not paired up
+  assert.equal(changes[5].words, undefined);
+
+  const yaml = '---\ntitle: "T"\nextracted: "2026-03-01T09:00:00Z"\n---\n\n# T\n\nSame.';
+  const unchanged = diff.diffMarkdown(yaml, yaml.replace('09:00', '10:30'));
+  assert.deepEqual([unchanged.added, unchanged.removed, unchanged.changed], [0, 0, 0]);
+});
+
+test('buildChangesMarkdown keeps only the changed sections, under their headings', () => {
+  const markdown = diff.buildChangesMarkdown(diff.diffMarkdown(OLD, NEW), { title: 'Pricing', url: 'https://example.com/pricing' });
+  const [intro, body] = markdown.split('\n---\n\n');
+  assert.match(intro, /^# Changes: Pricing\n\n\*\*Source:\*\* https:\/\/example\.com\/pricing\n\n\*\*Compared with:\*\* the version saved earlier \(1 changed, 1 added, 3 removed lines\)\n$/);
+  assert.equal(body, [
+    '# Pricing',
+    '',
+    '## Basic',
+    '',
+    'Basic plan: $12 per month',
+    '',
+    '## Team',
+    '',
+    'Up to 10 seats.',
+    '',
+    'Now with SSO.',
+    '',
+    '**Removed sections:**',
+    '',
+    '- Legacy',
+    ''
+  ].join('\n'));
+
+  assert.equal(diff.buildChangesMarkdown(diff.diffMarkdown(OLD, OLD)), '');
+});
+
+test('splitSections ignores headings inside code fences', () => {
+  const lines = ['Intro', '# A', '```sh', '# not a heading', '```', '## B', 'text'];
+  assert.deepEqual(diff.splitSections(lines).map((s) => [s.start, s.end, s.heading && s.heading.text]), [
+    [0, 1, null],
+    [1, 5, 'A'],
+    [5, 7, 'B']
+  ]);
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+// Heading anchors come from the bundle's slugger, parsing from the vendored
+// markdown-it, and raw HTML is sanitized with the global DOMParser
+require('../lib/batch-export.js');
+global.markdownit = require('../lib/markdown-it.js');
+global.markdownitFootnote = require('../lib/markdown-it-footnote.js');
+global.DOMParser = new JSDOM('').window.DOMParser;
+
+const renderer = require('../lib/markdown-renderer.js');
+
+function render(markdown) {
+  return renderer.renderMarkdown(markdown).html;
+}
+
+test('blocks: headings with GitHub anchors, lists, quotes, rules and tables', () => {
+  const { html, headings, title } = renderer.renderMarkdown([
+    '# Guide *one*',
+    '',
+    '## Setup',
+    '',
+    '- first',
+    '- second',
+    '    - nested',
+    '- [x] done',
+    '',
+    '3. three',
+    '4. four',
+    '',
+    '> quoted',
+    'lazily',
+    '',
+    '---',
+    '',
+    '| Name | Count |',
+    '|:-----|------:|',
+    '| a \\| b | 2 |',
+    '',
+    '## Setup'
+  ].join('\n'));
+
+  assert.equal(title, 'Guide one');
+  assert.deepEqual(headings.map((h) => [h.level, h.id]), [[1, 'guide-one'], [2, 'setup'], [2, 'setup-1']]);
+  assert.match(html, /<h1 id="guide-one">Guide <em>one<\/em><\/h1>/);
+  assert.match(html, /<ul>\n<li>first<\/li>\n<li>second\n<ul>\n<li>nested<\/li>\n<\/ul>\n<\/li>\n<li class="task"><input type="checkbox" disabled checked> done<\/li>\n<\/ul>/);
+  assert.match(html, /<ol start="3">\n<li>three<\/li>\n<li>four<\/li>\n<\/ol>/);
+  assert.match(html, /<blockquote>\n<p>quoted\nlazily<\/p>\n<\/blockquote>\n<hr>/);
+  assert.match(html, /<th style="text-align:left">Name<\/th>\n<th style="text-align:right">Count<\/th>/);
+  assert.match(html, /<td style="text-align:left">a \| b<\/td>/);
+
+  // A header-less table (see buildGfmTable) loses the empty header row
+  assert.doesNotMatch(render('| | |\n|---|---|\n| a | b |'), /<thead>/);
+});
+
+test('inlines: emphasis, code, links, images, escapes and math', () => {
+  const html = render([
+    'Some **bold**, _em_, ~~gone~~, `a < b` and \\*literal\\* text with $x^2$.  ',
+    'A [link](https://example.com/a_(b) "Title"), a [reference][docs], <https://auto.example.com>',
+    'and ![A chart](https://example.com/chart.png).',
+    '',
+    '[docs]: https://docs.example.com'
+  ].join('\n'));
+  assert.equal(html, '<p>Some <strong>bold</strong>, <em>em</em>, <s>gone</s>, <code>a &lt; b</code> and *literal* text ' +
+    'with <span class="math">x^2</span>.<br>\n' +
+    'A <a href="https://example.com/a_(b)" title="Title">link</a>, a <a href="https://docs.example.com">reference</a>, ' +
+    '<a href="https://auto.example.com">https://auto.example.com</a>\n' +
+    'and <img src="https://example.com/chart.png" alt="A chart">.</p>');
+});
+
+test('code fences are highlighted by language and always escaped', () => {
+  const html = render('```js\n// greet\nconst s = "<b>" + 42;\n```\n\n```python\nif x:  # check\n    return None\n```\n\n```\nplain <text>\n```');
+  assert.match(html, /<pre><code class="language-js"><span class="tok-comment">\/\/ greet<\/span>\n<span class="tok-keyword">const<\/span> s = <span class="tok-string">&quot;&lt;b&gt;&quot;<\/span> \+ <span class="tok-number">42<\/span>;<\/code><\/pre>/);
+  assert.match(html, /<span class="tok-keyword">if<\/span> x:  <span class="tok-comment"># check<\/span>/);
+  assert.match(html, /<pre><code>plain &lt;text&gt;<\/code><\/pre>/);
+  assert.equal(renderer.highlightCode('-old\n+new', 'diff'),
+    '<span class="tok-deleted">-old</span>\n<span class="tok-inserted">+new</span>');
+});
+
+test('unsafe links and raw HTML are neutralized', () => {
+  const html = render([
+    '[click](javascript:alert(1)) ![x](javascript:alert(2))',
+    '',
+    '<table><tr><td onclick="steal()" colspan="2">cell<script>steal()</script><a href="javascript:x()">a</a></td></tr></table>',
+    '',
+    'Inline <b onmouseover="x()">tags</b> stay text, but H<sub>2</sub>O works.'
+  ].join('\n'));
+  assert.match(html, /^<p>click x<\/p>/);
+  assert.match(html, /<table><tbody><tr><td colspan="2">cell<a>a<\/a><\/td><\/tr><\/tbody><\/table>/);
+  assert.match(html, /Inline &lt;b onmouseover=&quot;x\(\)&quot;&gt;tags&lt;\/b&gt; stay text, but H<sub>2<\/sub>O works\./);
+});
+
+test('schemes are read as browsers read them, past control characters and spaces', () => {
+  const { html } = renderer.renderArticle([
+    '[a](\u0001javascript:alert(1)) [b](<\u0001javascript:alert(1)>) [c](JaVaScRiPt:alert(1)) ![d](\u0001javascript:alert(1))',
+    '',
+    '<div><a href="&#1;javascript:alert(2)">e</a><a href=" &#9;java&#10;script:alert(3)">f</a><img src="vbscript:x" alt="g"></div>',
+    '',
+    '[ok](https://example.com/a) [rel](/docs) ![img](data:image/png;base64,AA)'
+  ].join('\n'));
+  assert.doesNotMatch(html, /(?:href|src)="[^"]*script:/i);
+  assert.match(html, /<div><a>e<\/a><a>f<\/a><img alt="g"><\/div>/);
+  assert.match(html, /<a href="https:\/\/example\.com\/a">ok<\/a> <a href="\/docs">rel<\/a> <img src="data:image\/png;base64,AA" alt="img">/);
+  assert.equal(renderer.sanitizeHtml('<a href="\u0001javascript:x()">y</a>'), '<a>y</a>');
+});
+
+test('footnotes are numbered by first reference and linked both ways', () => {
+  const html = render('Claim.[^b] Other.[^a] Again.[^b]\n\n[^a]: First note.\n[^b]: Second note.\n    More of it.');
+  assert.match(html, /Claim\.<sup class="footnote-ref"><a href="#fn1" id="fnref1">1<\/a><\/sup> Other\.<sup class="footnote-ref"><a href="#fn2" id="fnref2">2<\/a><\/sup> Again\.<sup class="footnote-ref"><a href="#fn1" id="fnref1:1">1<\/a><\/sup>/);
+  assert.match(html, /<section class="footnotes">\n<ol class="footnotes-list">\n<li id="fn1" class="footnote-item"><p>Second note\.\nMore of it\. <a href="#fnref1" class="footnote-backref">↩︎<\/a> <a href="#fnref1:1" class="footnote-backref">↩︎<\/a><\/p>\n<\/li>\n<li id="fn2"/);
+});
+
+test('front matter and comment headers become the metadata table', () => {
+  const yaml = renderer.renderMarkdown('---\ntitle: "From header"\nsource: "https://example.com/a"\ntags:\n  - "x"\n  - "y"\nreading_time: "4 min"\n---\n\nBody.');
+  assert.deepEqual(yaml.metadata, [
+    { key: 'title', value: 'From header' },
+    { key: 'source', value: 'https://example.com/a' },
+    { key: 'tags', value: 'x, y' },
+    { key: 'reading_time', value: '4 min' }
+  ]);
+  assert.equal(yaml.title, 'From header');
+  assert.equal(yaml.html, '<p>Body.</p>');
+
+  const toml = renderer.renderMarkdown('+++\ntitle = "T"\ntags = ["a", "b"]\n+++\n# T');
+  assert.deepEqual(toml.metadata, [{ key: 'title', value: 'T' }, { key: 'tags', value: 'a, b' }]);
+
+  const comment = renderer.renderMarkdown('<!--\ntitle: T\nsite: Example\n-->\n# T\n\n<!-- an ordinary comment -->\nText');
+  assert.deepEqual(comment.metadata, [{ key: 'title', value: 'T' }, { key: 'site', value: 'Example' }]);
+  assert.equal(comment.html, '<h1 id="t">T</h1>\n<p>Text</p>');
+});
+
+test('buildHtmlDocument puts the metadata and contents under the title', () => {
+  const markdown = '---\ntitle: "Guide"\nsource: "https://example.com/guide"\n---\n# Guide\n\n## Install\n\n### From source\n\n## Use\n\nText.';
+  const page = renderer.buildHtmlDocument(markdown);
+  assert.match(page, /^<!DOCTYPE html>/);
+  assert.match(page, /<title>Guide<\/title>/);
+  assert.ok(page.includes(renderer.DOCUMENT_CSS));
+  assert.match(page, /<article class="document">\n<h1 id="guide">Guide<\/h1>\n<table class="metadata"><tbody><tr><th scope="row">Source<\/th><td><a href="https:\/\/example.com\/guide">https:\/\/example.com\/guide<\/a><\/td><\/tr><\/tbody><\/table>\n<nav class="toc"/);
+  assert.match(page, /<li class="toc-level-1"><a href="#install">Install<\/a><\/li><li class="toc-level-2"><a href="#from-source">From source<\/a><\/li><li class="toc-level-1"><a href="#use">Use<\/a><\/li>/);
+
+  // Short documents skip the contents; an untitled one takes the given title
+  const { title, html } = renderer.renderArticle('Just a paragraph.', { title: 'Page <1>' });
+  assert.equal(title, 'Page <1>');
+  assert.equal(html, '<h1>Page &lt;1&gt;</h1>\n<p>Just a paragraph.</p>');
+});
+
+test('buildToc leaves out documents that carry their own contents', () => {
+  const { headings } = renderer.renderMarkdown('# Exported tabs\n\n## Contents\n\n1. [A](#a)\n\n# A\n\n# B');
+  assert.equal(renderer.buildToc(headings), '');
+});
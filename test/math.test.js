@@ -0,0 +1,93 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const math = require('../lib/math.js');
+
+function dom(html) {
+  return new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`).window.document;
+}
+
+function tex(mathml) {
+  return math.mathmlToTex(dom(mathml).querySelector('math'));
+}
+
+const KATEX_INLINE =
+  '<span class="katex"><span class="katex-mathml"><math xmlns="http://www.w3.org/1998/Math/MathML"><semantics>' +
+  '<mrow><msup><mi>e</mi><mrow><mi>i</mi><mi>π</mi></mrow></msup><mo>+</mo><mn>1</mn><mo>=</mo><mn>0</mn></mrow>' +
+  '<annotation encoding="application/x-tex">e^{i\\pi} + 1 = 0</annotation></semantics></math></span>' +
+  '<span class="katex-html" aria-hidden="true"><span class="base">eiπ+1=0</span></span></span>';
+
+test('KaTeX: TeX from the annotation, display from the wrapper', () => {
+  const doc = dom(`<p>${KATEX_INLINE}</p><span class="katex-display">${KATEX_INLINE}</span>`);
+  const [inline, display] = [doc.querySelector('p .katex'), doc.querySelector('.katex-display')];
+
+  assert.ok(math.isMathContainer(inline));
+  assert.deepEqual(math.getMathSource(inline), { tex: 'e^{i\\pi} + 1 = 0', display: false });
+  assert.deepEqual(math.getMathSource(display), { tex: 'e^{i\\pi} + 1 = 0', display: true });
+});
+
+test('MathJax 2: the script holds the source and the rendered output is skipped', () => {
+  const doc = dom(
+    '<span class="MathJax_Preview" style="display: none;"></span>' +
+    '<div class="MathJax_Display"><span class="MathJax" id="MathJax-Element-1-Frame">x2</span></div>' +
+    '<script type="math/tex; mode=display" id="MathJax-Element-1">\\int_0^1 x^2\\,dx</script>' +
+    '<span class="MathJax" id="MathJax-Element-2-Frame">a</span><script type="math/tex" id="MathJax-Element-2">a</script>'
+  );
+  const scripts = doc.querySelectorAll('script');
+  assert.deepEqual(math.getMathSource(scripts[0]), { tex: '\\int_0^1 x^2\\,dx', display: true });
+  assert.deepEqual(math.getMathSource(scripts[1]), { tex: 'a', display: false });
+  assert.equal(math.getMathSource(doc.querySelector('.MathJax_Display')).tex, '');
+  assert.equal(math.getMathSource(doc.querySelector('.MathJax_Preview')).tex, '');
+});
+
+test('MathJax 3: converts the assistive MathML', () => {
+  const doc = dom(
+    '<mjx-container class="MathJax" jax="CHTML" display="true"><mjx-math aria-hidden="true">junk</mjx-math>' +
+    '<mjx-assistive-mml display="block"><math display="block"><mfrac><mn>1</mn><mi>n</mi></mfrac></math></mjx-assistive-mml>' +
+    '</mjx-container>'
+  );
+  assert.deepEqual(math.getMathSource(doc.querySelector('mjx-container')), { tex: '\\frac{1}{n}', display: true });
+});
+
+test('Wikipedia: strips the displaystyle wrapper', () => {
+  const doc = dom(
+    '<span class="mwe-math-element"><span class="mwe-math-mathml-inline" style="display: none;"><math alttext="{\\displaystyle a^{2}}">' +
+    '<semantics><mrow><msup><mi>a</mi><mn>2</mn></msup></mrow><annotation encoding="application/x-tex">{\\displaystyle a^{2}}</annotation></semantics>' +
+    '</math></span><img class="mwe-math-fallback-image-inline" alt="{\\displaystyle a^{2}}" src="a.svg"></span>'
+  );
+  assert.deepEqual(math.getMathSource(doc.querySelector('.mwe-math-element')), { tex: 'a^{2}', display: false });
+});
+
+test('mathmlToTex: scripts, fractions, roots and symbols', () => {
+  assert.equal(tex('<math><msubsup><mi>x</mi><mi>i</mi><mn>2</mn></msubsup></math>'), 'x_i^2');
+  assert.equal(tex('<math><msup><mi>x</mi><mrow><mi>n</mi><mo>+</mo><mn>1</mn></mrow></msup></math>'), 'x^{n+1}');
+  assert.equal(tex('<math><msqrt><msup><mi>b</mi><mn>2</mn></msup><mo>−</mo><mn>4</mn><mi>a</mi><mi>c</mi></msqrt></math>'), '\\sqrt{b^2-4ac}');
+  assert.equal(tex('<math><mroot><mi>x</mi><mn>3</mn></mroot></math>'), '\\sqrt[3]{x}');
+  assert.equal(tex('<math><mi>α</mi><mi>x</mi><mo>≤</mo><mi>β</mi></math>'), '\\alpha x\\leq\\beta');
+  assert.equal(tex('<math><mi>sin</mi><mo>&#x2061;</mo><mi>θ</mi></math>'), '\\sin\\theta');
+  assert.equal(tex('<math><mi>ℝ</mi><mtext>for all </mtext><mi mathvariant="bold">v</mi></math>'), '\\mathbb{R}\\text{for all }\\mathbf{v}');
+});
+
+test('mathmlToTex: large operators, accents, fences and matrices', () => {
+  assert.equal(
+    tex('<math><munderover><mo>∑</mo><mrow><mi>i</mi><mo>=</mo><mn>1</mn></mrow><mi>n</mi></munderover><msub><mi>a</mi><mi>i</mi></msub></math>'),
+    '\\sum_{i=1}^n a_i'
+  );
+  assert.equal(tex('<math><munder><mi>lim</mi><mrow><mi>x</mi><mo>→</mo><mn>0</mn></mrow></munder></math>'), '\\lim_{x\\to 0}');
+  assert.equal(tex('<math><mover accent="true"><mi>v</mi><mo>→</mo></mover></math>'), '\\vec{v}');
+  assert.equal(tex('<math><mover><mi>x</mi><mo>^</mo></mover></math>'), '\\hat{x}');
+  assert.equal(tex('<math><mover><mo>=</mo><mtext>def</mtext></mover></math>'), '\\overset{\\text{def}}{=}');
+  assert.equal(tex('<math><mfenced open="{" close=""><mi>a</mi><mi>b</mi></mfenced></math>'), '\\left\\{a,b\\right.');
+  assert.equal(
+    tex('<math><mrow><mo>(</mo><mtable><mtr><mtd><mn>1</mn></mtd><mtd><mn>0</mn></mtd></mtr><mtr><mtd><mn>0</mn></mtd><mtd><mn>1</mn></mtd></mtr></mtable><mo>)</mo></mrow></math>'),
+    '(\\begin{matrix}1 & 0 \\\\ 0 & 1\\end{matrix})'
+  );
+});
+
+test('cleanTex trims and unwraps displaystyle', () => {
+  assert.equal(math.cleanTex('  {\\displaystyle \\frac{a}{b}} '), '\\frac{a}{b}');
+  assert.equal(math.cleanTex('{a}{b}'), '{a}{b}');
+});
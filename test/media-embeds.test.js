@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const media = require('../lib/media-embeds.js');
+
+const BASE = 'https://blog.example.com/post';
+
+function convert(html) {
+  const { document } = new JSDOM(`<!DOCTYPE html><html><body><main>${html}</main></body></html>`).window;
+  const root = document.querySelector('main');
+  const count = media.convertMediaEmbeds(root, BASE);
+  const links = Array.from(root.querySelectorAll(`[${media.MEDIA_ATTR}] > a`), (a) => [a.textContent, a.getAttribute('href')]);
+  return { count, links, root };
+}
+
+test('resolveEmbedUrl recovers the page behind known players', () => {
+  const cases = [
+    ['https://www.youtube.com/embed/dQw4w9WgXcQ?start=90&rel=0', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=90s'],
+    ['https://www.youtube-nocookie.com/embed/abc_DEF-123', 'https://www.youtube.com/watch?v=abc_DEF-123'],
+    ['//www.youtube.com/embed/videoseries?list=PL123', 'https://www.youtube.com/playlist?list=PL123'],
+    ['https://player.vimeo.com/video/76979871?h=8272103f6e&title=0', 'https://vimeo.com/76979871/8272103f6e'],
+    ['https://platform.twitter.com/embed/Tweet.html?dnt=false&id=1460323737035677698', 'https://x.com/i/status/1460323737035677698'],
+    ['https://codepen.io/team/codepen/embed/preview/PNaGbb?default-tab=result', 'https://codepen.io/team/codepen/pen/PNaGbb'],
+    ['https://gist.github.com/octocat/6cad326836d38bd3a7ae.js', 'https://gist.github.com/octocat/6cad326836d38bd3a7ae']
+  ];
+  for (const [src, url] of cases) {
+    assert.equal(media.resolveEmbedUrl(src, BASE).url, url, src);
+  }
+  assert.equal(media.resolveEmbedUrl('https://ads.example.net/frame.html', BASE), null);
+  assert.equal(media.resolveEmbedUrl('javascript:void(0)', BASE), null);
+});
+
+test('iframe players become labeled links, with generic titles left out', () => {
+  const { count, links } = convert(`
+    <iframe src="https://www.youtube.com/embed/abc123" title="Intro to flexbox"></iframe>
+    <iframe data-src="https://player.vimeo.com/video/42" title="Vimeo video player"></iframe>
+    <iframe src="https://platform.twitter.com/embed/Tweet.html?id=99" title="X Post"></iframe>
+    <iframe src="https://ads.example.net/frame.html"></iframe>`);
+  assert.equal(count, 3);
+  assert.deepEqual(links, [
+    ['▶ Video: Intro to flexbox', 'https://www.youtube.com/watch?v=abc123'],
+    ['▶ Video (Vimeo)', 'https://vimeo.com/42'],
+    ['Post on X', 'https://x.com/i/status/99']
+  ]);
+});
+
+test('video and audio elements link to their source', () => {
+  const { links } = convert(`
+    <video controls title="Demo"><source src="/media/demo.webm" type="video/webm"><source src="/media/demo.mp4"></video>
+    <audio src="https://cdn.example.com/episode.mp3" aria-label="Episode 12"></audio>
+    <video src="blob:https://blog.example.com/1234"></video>`);
+  assert.deepEqual(links, [
+    ['▶ Video: Demo', 'https://blog.example.com/media/demo.webm'],
+    ['▶ Audio: Episode 12', 'https://cdn.example.com/episode.mp3']
+  ]);
+});
+
+test('pre-script embeds: lite-youtube, CodePen markup and Gist scripts', () => {
+  const { links, root } = convert(`
+    <lite-youtube videoid="xyz789" playlabel="Play: Keynote"></lite-youtube>
+    <p class="codepen" data-slug-hash="PNaGbb" data-user="chriscoyier">See the Pen</p>
+    <script src="https://gist.github.com/octocat/6cad326836d38bd3a7ae.js"></script>
+    <div><script src="https://gist.github.com/octocat/aaaa1111.js"></script><div class="gist">rendered</div></div>`);
+  assert.deepEqual(links, [
+    ['▶ Video: Play: Keynote', 'https://www.youtube.com/watch?v=xyz789'],
+    ['CodePen', 'https://codepen.io/chriscoyier/pen/PNaGbb'],
+    ['Gist: octocat/6cad326836d38bd3a7ae', 'https://gist.github.com/octocat/6cad326836d38bd3a7ae']
+  ]);
+  // A gist that already rendered keeps its code
+  assert.ok(root.querySelector('script[src*="aaaa1111"]'));
+});
+
+test('embeds inside a paragraph stay inline', () => {
+  const { root } = convert('<p>Watch <iframe src="https://www.youtube.com/embed/abc"></iframe> first.</p>');
+  assert.equal(root.querySelector('p').innerHTML,
+    `Watch <span ${media.MEDIA_ATTR}="video"><a href="https://www.youtube.com/watch?v=abc">▶ Video (YouTube)</a></span> first.`);
+});
+
+test('embeds matching or inside the skip selector are left alone', () => {
+  const { document } = new JSDOM(`<!DOCTYPE html><html><body><main>
+    <div data-wcm-hidden><video src="/hero.mp4"></video></div>
+    <iframe data-wcm-hidden src="https://www.youtube.com/embed/abc"></iframe>
+    <video src="/demo.mp4" title="Demo"></video></main></body></html>`).window;
+  const root = document.querySelector('main');
+  assert.equal(media.convertMediaEmbeds(root, BASE, { skip: '[data-wcm-hidden]' }), 1);
+  assert.equal(root.querySelectorAll('[data-wcm-hidden] video, iframe[data-wcm-hidden]').length, 2);
+});
@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * Tests for lib/page-metadata.js against jsdom documents. The module only
+ * reads the document it is given, so no globals need to be set up.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const metadata = require('../lib/page-metadata.js');
+
+function doc(head, { lang = '', url = 'https://example.com/post' } = {}) {
+  const langAttr = lang ? ` lang="${lang}"` : '';
+  return new JSDOM(
+    `<!DOCTYPE html><html${langAttr}><head>${head}</head><body><p>Body</p></body></html>`,
+    { url }
+  ).window.document;
+}
+
+function jsonLd(data) {
+  return `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+}
+
+test('reads an Article from a JSON-LD @graph, resolving referenced authors', () => {
+  const meta = metadata.extractPageMetadata(doc(jsonLd({
+    '@context': 'https://schema.org',
+    '@graph': [
+      { '@type': 'WebSite', '@id': '#site', name: 'Example' },
+      { '@type': 'Person', '@id': '#jane', name: 'Jane Doe' },
+      {
+        '@type': 'NewsArticle',
+        headline: 'Structured headline',
+        description: 'What it is about',
+        author: [{ '@id': '#jane' }, { '@type': 'Person', name: 'John Roe' }],
+        datePublished: '2026-03-01T10:00:00Z',
+        dateModified: '2026-03-02T11:00:00Z',
+        keywords: 'alpha, beta',
+        articleSection: ['Tech'],
+        inLanguage: 'en-GB',
+        publisher: { '@type': 'Organization', name: 'Example News' },
+        timeRequired: 'PT7M'
+      }
+    ]
+  })));
+
+  assert.equal(meta.title, 'Structured headline');
+  assert.equal(meta.description, 'What it is about');
+  assert.deepEqual(meta.authors, ['Jane Doe', 'John Roe']);
+  assert.equal(meta.publishedDate, '2026-03-01T10:00:00Z');
+  assert.equal(meta.modifiedDate, '2026-03-02T11:00:00Z');
+  assert.deepEqual(meta.keywords, ['alpha', 'beta']);
+  assert.equal(meta.section, 'Tech');
+  assert.equal(meta.language, 'en-GB');
+  assert.equal(meta.readingTime, 7);
+});
+
+test('reads a top-level JSON-LD array and a Person-only profile page', () => {
+  const article = metadata.extractPageMetadata(doc(jsonLd([
+    { '@type': 'BreadcrumbList' },
+    { '@type': ['BlogPosting'], headline: 'From array', author: 'Sam' }
+  ])));
+  assert.equal(article.title, 'From array');
+  assert.deepEqual(article.authors, ['Sam']);
+
+  const profile = metadata.extractPageMetadata(doc(jsonLd({
+    '@type': 'Person', givenName: 'Ada', familyName: 'Lovelace'
+  })));
+  assert.deepEqual(profile.authors, ['Ada Lovelace']);
+});
+
+test('ignores malformed JSON-LD and falls back to OpenGraph and article tags', () => {
+  const meta = metadata.extractPageMetadata(doc(`
+    <script type="application/ld+json">{ not json</script>
+    <meta property="og:title" content="OG title">
+    <meta property="og:site_name" content="OG Site">
+    <meta property="og:locale" content="fr_FR">
+    <meta property="article:published_time" content="2026-01-01">
+    <meta property="article:modified_time" content="2026-01-05">
+    <meta property="article:author" content="https://example.com/authors/jane">
+    <meta name="author" content="Jane Doe">
+    <meta property="article:tag" content="one"><meta property="article:tag" content="two">
+    <meta name="twitter:description" content="Tweet text">`));
+
+  assert.equal(meta.title, 'OG title');
+  assert.equal(meta.siteName, 'OG Site');
+  assert.equal(meta.language, 'fr-FR');
+  assert.equal(meta.publishedDate, '2026-01-01');
+  assert.equal(meta.modifiedDate, '2026-01-05');
+  assert.deepEqual(meta.authors, ['Jane Doe']);
+  assert.deepEqual(meta.keywords, ['one', 'two']);
+  assert.equal(meta.description, 'Tweet text');
+});
+
+test('reads Dublin Core names case-insensitively and the canonical link', () => {
+  const meta = metadata.extractPageMetadata(doc(`
+    <meta name="DC.Title" content="DC title">
+    <meta name="DC.Creator" content="A. Author">
+    <meta name="DC.Date.Issued" content="2025-12-31">
+    <meta name="DC.Subject" content="history, maps">
+    <link rel="canonical" href="/canonical-path">`, { lang: 'de' }));
+
+  assert.equal(meta.title, 'DC title');
+  assert.deepEqual(meta.authors, ['A. Author']);
+  assert.equal(meta.publishedDate, '2025-12-31');
+  assert.deepEqual(meta.keywords, ['history', 'maps']);
+  assert.equal(meta.canonicalUrl, 'https://example.com/canonical-path');
+  assert.equal(meta.language, 'de');
+});
+
+test('keeps a comma inside one author name and splits authors on semicolons', () => {
+  const single = metadata.extractPageMetadata(doc('<meta name="author" content="Doe, Jane">'));
+  assert.deepEqual(single.authors, ['Doe, Jane']);
+
+  const several = metadata.extractPageMetadata(doc('<meta name="author" content="Doe, Jane; Roe, John">'));
+  assert.deepEqual(several.authors, ['Doe, Jane', 'Roe, John']);
+});
+
+test('reads inLanguage as null, a Language object or an array', () => {
+  const languageOf = (inLanguage, lang) => metadata.extractPageMetadata(
+    doc(jsonLd({ '@type': 'Article', headline: 'H', inLanguage }), { lang })
+  ).language;
+
+  assert.equal(languageOf(null, 'fr'), 'fr');
+  assert.equal(languageOf({ '@type': 'Language', name: 'English' }), 'English');
+  assert.equal(languageOf(['es', 'en']), 'es');
+  assert.equal(languageOf([{ '@type': 'Language', name: 'German' }]), 'German');
+});
+
+test('returns empty values for a page without metadata', () => {
+  const meta = metadata.extractPageMetadata(doc('<title>Plain</title>'));
+  assert.equal(meta.title, null);
+  assert.deepEqual(meta.authors, []);
+  assert.deepEqual(meta.keywords, []);
+  assert.equal(meta.publishedDate, null);
+  assert.equal(meta.readingTime, null);
+});
+
+test('parseDurationMinutes and estimateReadingTime', () => {
+  assert.equal(metadata.parseDurationMinutes('PT1H2M30S'), 63);
+  assert.equal(metadata.parseDurationMinutes('five minutes'), null);
+  assert.equal(metadata.estimateReadingTime('word '.repeat(460)), 2);
+  assert.equal(metadata.estimateReadingTime('short'), 1);
+  assert.equal(metadata.estimateReadingTime(''), null);
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const settings = require('../lib/settings.js');
+const links = require('../lib/link-urls.js');
+
+test('normalizeSettings returns the defaults for empty input', () => {
+  assert.deepEqual(settings.normalizeSettings(undefined), settings.DEFAULT_SETTINGS);
+  assert.deepEqual(settings.normalizeSettings({}), settings.DEFAULT_SETTINGS);
+});
+
+test('the default tracking parameters are the built-in list of lib/link-urls.js', () => {
+  assert.equal(settings.DEFAULT_SETTINGS.trackingParams, links.DEFAULT_TRACKING_PARAMS.join(', '));
+});
+
+test('normalizeSettings keeps valid values and drops invalid or unknown ones', () => {
+  const out = settings.normalizeSettings({
+    includeImages: true,
+    includeHtml: 'yes',
+    headingStyle: 'setext',
+    bulletListMarker: '#',
+    linkStyle: 'referenced',
+    somethingElse: 1
+  });
+
+  assert.equal(out.includeImages, true);
+  assert.equal(out.includeHtml, false);
+  assert.equal(out.headingStyle, 'setext');
+  assert.equal(out.bulletListMarker, '-');
+  assert.equal(out.linkStyle, 'referenced');
+  assert.equal('somethingElse' in out, false);
+});
+
+test('normalizeSettings merges partial metadata field toggles over the defaults', () => {
+  const out = settings.normalizeSettings({ metadataFields: { author: false, bogus: false } });
+
+  assert.equal(out.metadataFields.author, false);
+  assert.equal(out.metadataFields.source, true);
+  assert.equal('bogus' in out.metadataFields, false);
+});
+
+test('normalizeSettings does not share nested objects with the defaults', () => {
+  const out = settings.normalizeSettings({});
+  out.metadataFields.source = false;
+  assert.equal(settings.DEFAULT_SETTINGS.metadataFields.source, true);
+});
+
+test('normalizeSettings rounds and clamps numeric settings', () => {
+  const out = settings.normalizeSettings({ inlineImageMaxKB: 5, inlineTotalMaxKB: 512.6, inlineMaxDimension: '800', historyMaxMB: 0 });
+
+  assert.equal(out.inlineImageMaxKB, 10);
+  assert.equal(out.inlineTotalMaxKB, 513);
+  assert.equal(out.inlineMaxDimension, settings.DEFAULT_SETTINGS.inlineMaxDimension);
+  assert.equal(out.historyMaxMB, 1);
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const tokens = require('../lib/token-budget.js');
+
+const SENTENCE = 'The quick brown fox jumps over the lazy dog. ';
+
+test('countText reports characters, words and estimated tokens', () => {
+  const counts = tokens.countText('Hello, world. Déjà vu 😀');
+  assert.equal(counts.characters, 23); // the emoji is one character
+  assert.equal(counts.words, 5);
+  assert.ok(counts.tokens > 0);
+
+  assert.deepEqual(tokens.countText(''), { characters: 0, words: 0, tokens: 0 });
+});
+
+test('the BPE estimate lands near real tokenizer counts', () => {
+  // cl100k_base: 10 tokens for this sentence, 6 for the CJK string
+  const prose = tokens.countText('The quick brown fox jumps over the lazy dog.').tokens;
+  assert.ok(prose >= 9 && prose <= 12, `got ${prose}`);
+  const cjk = tokens.countText('日本語のテキスト').tokens;
+  assert.ok(cjk >= 5 && cjk <= 10, `got ${cjk}`);
+  // Long words split into several tokens, numbers into groups of three
+  assert.ok(tokens.countText('internationalization').tokens > 1);
+  assert.equal(tokens.countText('123456789').tokens, 3);
+});
+
+test('tokenizers are pluggable and fall back to the default', () => {
+  tokens.registerTokenizer({ id: 'words', label: 'Words', count: (text) => text.split(/\s+/).filter(Boolean).length });
+
+  assert.equal(tokens.countText('one two three', 'words').tokens, 3);
+  assert.equal(tokens.getTokenizer('missing').id, tokens.DEFAULT_TOKENIZER);
+  assert.ok(tokens.listTokenizers().some((t) => t.id === 'chars'));
+  assert.throws(() => tokens.registerTokenizer({ id: 'broken' }), TypeError);
+});
+
+test('fitToBudget leaves content that already fits alone', () => {
+  const result = tokens.fitToBudget('# Short', '<p>x</p>', { budget: 1000 });
+  assert.deepEqual(result, { markdown: '# Short', html: '<p>x</p>', tokens: result.tokens, fits: true, steps: [] });
+});
+
+test('fitToBudget drops the HTML block, then images, then link URLs', () => {
+  const markdown = '# Page\n\n![Diagram](https://x.com/a-very-long-image-path/diagram.png)\n\n' +
+    'See [the docs](https://example.com/some/long/documentation/path) for more.';
+  const html = '<p>' + SENTENCE.repeat(20) + '</p>';
+  const size = (md) => tokens.countText(md).tokens;
+
+  const noHtml = tokens.fitToBudget(markdown, html, { budget: size(markdown) });
+  assert.deepEqual(noHtml.steps, ['HTML block']);
+  assert.equal(noHtml.html, null);
+
+  const noImages = tokens.fitToBudget(markdown, html, { budget: size(markdown) - 5 });
+  assert.deepEqual(noImages.steps, ['HTML block', 'images']);
+  assert.equal(noImages.markdown, '# Page\n\nSee [the docs](https://example.com/some/long/documentation/path) for more.');
+
+  const noUrls = tokens.fitToBudget(markdown, null, { budget: 12 });
+  assert.deepEqual(noUrls.steps, ['images', 'link URLs']);
+  assert.equal(noUrls.markdown, '# Page\n\nSee the docs for more.');
+  assert.equal(noUrls.fits, true);
+});
+
+test('fitToBudget strips whole URLs with parentheses and leaves fenced code alone', () => {
+  const markdown = 'See ![a](https://x.com/photo_(2019).jpg) and [w](https://en.wikipedia.org/wiki/Foo_(bar) "Foo") here.\n\n' +
+    '```md\n![kept](https://x.com/kept.png) and [kept](https://x.com/kept)\n```';
+
+  const result = tokens.fitToBudget(markdown, null, { budget: tokens.countText(markdown).tokens - 30 });
+  assert.deepEqual(result.steps, ['images', 'link URLs']);
+  assert.equal(result.markdown, 'See  and w here.\n\n```md\n![kept](https://x.com/kept.png) and [kept](https://x.com/kept)\n```');
+});
+
+test('fitToBudget drops trailing sections and notes the truncation', () => {
+  const markdown = ['# Page', 'Intro. ' + SENTENCE, '## One', SENTENCE.repeat(5), '## Two', SENTENCE.repeat(5),
+    '```\n## not a heading\n```', '## Three', SENTENCE.repeat(5)].join('\n\n');
+  const full = tokens.countText(markdown).tokens;
+
+  const result = tokens.fitToBudget(markdown, null, { budget: Math.floor(full * 0.6) });
+
+  assert.equal(result.fits, true);
+  assert.deepEqual(result.steps, ['2 trailing sections']);
+  assert.match(result.markdown, /## One/);
+  assert.doesNotMatch(result.markdown, /## Two|## Three/);
+  assert.match(result.markdown, /\*\[Truncated to fit a [\d,]+-token budget\]\*\n$/);
+});
+
+test('fitToBudget reduces reference links together with their definitions', () => {
+  const markdown = ['# Page', 'Intro with [the docs][1] and [a guide][].', '## One', SENTENCE.repeat(5) + '[Shortcut]',
+    '## Two', SENTENCE.repeat(5) + '[Footnote][^1] and [the docs][1].',
+    '[1]: https://example.com/some/long/documentation/path\n[a guide]: https://example.com/guide\n[shortcut]: https://example.com/s'
+  ].join('\n\n');
+  const full = tokens.countText(markdown).tokens;
+
+  const noUrls = tokens.fitToBudget(markdown, null, { budget: full - 10 });
+  assert.deepEqual(noUrls.steps, ['link URLs']);
+  assert.match(noUrls.markdown, /^Intro with the docs and a guide\.$/m);
+  assert.match(noUrls.markdown, /dog\. Shortcut\n/);
+  assert.match(noUrls.markdown, /\[Footnote\]\[\^1\] and the docs\.$/);
+  assert.doesNotMatch(noUrls.markdown, /\]: https/);
+
+  // The definitions never end up as the first "section" to go
+  const trimmed = tokens.fitToBudget(markdown, null, { budget: Math.floor(full * 0.6) });
+  assert.deepEqual(trimmed.steps, ['link URLs', '1 trailing section']);
+  assert.match(trimmed.markdown, /## One/);
+  assert.doesNotMatch(trimmed.markdown, /## Two|\]: https|\]\[1\]/);
+});
+
+test('fitToBudget drops paragraphs without splitting fenced code on blank lines', () => {
+  const code = '```js\nconst a = 1;\n\n\nconst b = 2;\n```';
+  const markdown = ['# Page', 'Intro. ' + SENTENCE, code, SENTENCE.repeat(5), SENTENCE.repeat(5)].join('\n\n');
+  const full = tokens.countText(markdown).tokens;
+
+  for (let budget = 20; budget < full; budget += 5) {
+    const result = tokens.fitToBudget(markdown, null, { budget });
+    const fences = (result.markdown.match(/^```/gm) || []).length;
+    assert.equal(fences % 2, 0, `open fence at a ${budget}-token budget`);
+    if (result.markdown.includes('const a')) assert.ok(result.markdown.includes(code), `code cut at a ${budget}-token budget`);
+  }
+});
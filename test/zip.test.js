@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+
+const { crc32, createZip } = require('../lib/zip.js');
+
+/**
+ * Read entries back from the central directory, inflating deflated ones.
+ */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  let pos = view.getUint32(end + 16, true);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(pos, true), 0x02014b50);
+    const method = view.getUint16(pos + 10, true);
+    const crc = view.getUint32(pos + 16, true);
+    const size = view.getUint32(pos + 20, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const offset = view.getUint32(pos + 42, true);
+    const name = Buffer.from(bytes.subarray(pos + 46, pos + 46 + nameLength)).toString('utf8');
+
+    assert.equal(view.getUint32(offset, true), 0x04034b50);
+    const dataStart = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+    const raw = Buffer.from(bytes.subarray(dataStart, dataStart + size));
+    const data = method === 8 ? zlib.inflateRawSync(raw) : raw;
+
+    entries.push({ name, method, crc, data });
+    pos += 46 + nameLength;
+  }
+  return entries;
+}
+
+test('crc32 matches the standard check values', () => {
+  assert.equal(crc32(new TextEncoder().encode('hello')), 0x3610a686);
+  assert.equal(crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+  assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test('createZip writes readable entries, deflating only when it helps', async () => {
+  const markdown = '# Title\n\n' + 'Repeated paragraph text. '.repeat(200);
+  const image = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 1, 2, 3, 4]);
+
+  const entries = readZip(await createZip([
+    { name: 'page.md', data: markdown },
+    { name: 'assets/1-pic.png', data: image, compress: false },
+    { name: 'notes/ünïcode.txt', data: 'x' }
+  ]));
+
+  assert.deepEqual(entries.map((e) => e.name), ['page.md', 'assets/1-pic.png', 'notes/ünïcode.txt']);
+  assert.equal(entries[0].method, 8);
+  assert.equal(entries[0].data.toString('utf8'), markdown);
+  assert.equal(entries[1].method, 0);
+  assert.deepEqual(new Uint8Array(entries[1].data), image);
+  assert.equal(entries[2].method, 0); // one byte never shrinks
+  entries.forEach((entry) => assert.equal(entry.crc, crc32(entry.data)));
+});